@@ -6,6 +6,12 @@ import ChatPanel from './components/ChatPanel';
 import UsersPanel from './components/UsersPanel';
 import ProfileModal from './components/ProfileModal';
 import useE2EE from './hooks/useE2EE';
+import useGroupChats from './hooks/useGroupChats';
+import useInterestRooms from './hooks/useInterestRooms';
+import useGroupRandomChat from './hooks/useGroupRandomChat';
+import friendE2EE, { E2EEUnavailableError } from './crypto/FriendE2EE';
+import e2eeSessionManager from './crypto/E2EESessionManager';
+import sessionStorage from './crypto/SessionStorage';
 
   // ============================================================================
   // CONFIGURATION & CONSTANTS
@@ -33,6 +39,8 @@ const API_ENDPOINTS = {
   // message endpoints
   MESSAGES_READ_ALL: `${API_BASE_URL}/api/messages/read-all`,
   MESSAGES_BETWEEN: (user1Id, user2Id) => `${API_BASE_URL}/api/messages/${user1Id}/${user2Id}`,
+  MESSAGES_HISTORY: (friendId) => `${API_BASE_URL}/api/messages/history/${friendId}`,
+  MESSAGES_UNREAD: `${API_BASE_URL}/api/messages/unread`,
   
   // interest endpoints
   INTERESTS: `${API_BASE_URL}/api/interests`
@@ -45,6 +53,28 @@ const API_ENDPOINTS = {
 // initialize socket.io connection
 let socket;
 
+// friend message acknowledgement settings (retries reuse the same client message id)
+const MESSAGE_ACK_TIMEOUT = 10000;
+const MESSAGE_SEND_ATTEMPTS = 3;
+
+// friend chat history is loaded in pages, older pages on scroll
+const MESSAGE_PAGE_SIZE = 50;
+
+// a typing indicator restored after a reload clears itself unless a new typingStart arrives
+const TYPING_RESTORE_TIMEOUT = 6000;
+
+// helper function to describe a moderation sanction to the affected user
+const formatSanctionMessage = ({ type, expiresAt }) => {
+  const until = expiresAt ? ` until ${new Date(expiresAt).toLocaleString()}` : '';
+  if (type === 'matchmaking_ban') {
+    return `Random chat is disabled for your account${until}.`;
+  }
+  if (type === 'ban' && !expiresAt) {
+    return 'This account has been permanently banned.';
+  }
+  return `This account is suspended${until}.`;
+};
+
 // helper function to generate consistent session ids for random chat
 const generateRandomSessionId = (user1, user2) => {
   // sort usernames to ensure consistent session id regardless of who initiates
@@ -100,8 +130,13 @@ function App() {
   const [activeUsers, setActiveUsers] = useState([]);
   const [selectedUser, setSelectedUser] = useState(null);
   const [messages, setMessages] = useState({});
+  const [historyState, setHistoryState] = useState({}); // per friend: { friendId, hasMore, isLoading }
+  const [friendVerification, setFriendVerification] = useState({}); // per friend id: { verified, changed, unencrypted, encryptionUnavailable }
+  const [friendReadState, setFriendReadState] = useState({}); // per friend: { friendId, unreadCount, newestMessageId, seenAt }
+  const [secureStorage, setSecureStorage] = useState({ locked: false, hasPassphrase: false }); // encrypted session store
   const [friendRequests, setFriendRequests] = useState([]);
   const [friends, setFriends] = useState([]);
+  const [friendAccounts, setFriendAccounts] = useState([]); // { id, username } for group member pickers
   
   // typing indicators & ui state
   const [typingUsers, setTypingUsers] = useState(new Set()); // track all typing users
@@ -133,6 +168,7 @@ function App() {
   // additional random chat state
   const [randomChatMessages, setRandomChatMessages] = useState([]);
   const [isWaitingForMatch, setIsWaitingForMatch] = useState(false);
+  const [queueStatus, setQueueStatus] = useState(null); // position and estimated wait while waiting
   const [currentSessionId, setCurrentSessionId] = useState(null); // store server-provided session id
   const [matchedInterests, setMatchedInterests] = useState([]); // store interests that matched users share
   
@@ -155,11 +191,137 @@ function App() {
     encryptMessage,
     decryptMessage,
     cleanupE2EESession,
-    rotateKeys,
-    shouldRotateKeys,
-    getSessionInfo
+    getSessionInfo,
+    getSafetyNumber
   } = useE2EE(socket, user, isRandomChatActive, matchedRandomUser, currentSessionId);
 
+  // ============================================================================
+  // GROUP CHATS HOOK
+  // ============================================================================
+
+  const {
+    groups,
+    selectedGroup,
+    selectedGroupId,
+    groupMessages,
+    groupTypingUsers,
+    hasMoreGroupHistory,
+    isLoadingGroupHistory,
+    loadOlderGroupMessages,
+    selectGroup,
+    sendGroupMessage,
+    groupTypingStart,
+    groupTypingStop,
+    createGroup,
+    renameGroup,
+    addGroupMembers,
+    removeGroupMember,
+    setGroupMemberRole,
+    leaveGroup
+  } = useGroupChats(socket, user, token, API_BASE_URL);
+
+  // ============================================================================
+  // INTEREST ROOMS HOOK
+  // ============================================================================
+
+  const {
+    rooms,
+    interests: roomInterests,
+    activeRoom,
+    roomMessages,
+    roomError,
+    loadRooms,
+    joinRoom,
+    leaveRoom,
+    sendRoomMessage,
+    createRoom,
+    updateRoom,
+    deleteRoom,
+    clearRoomError
+  } = useInterestRooms(socket, user, token, API_BASE_URL);
+
+  // ============================================================================
+  // GROUP RANDOM CHAT HOOK
+  // ============================================================================
+
+  const {
+    groupMatch,
+    groupMatchMessages,
+    isWaitingForGroup,
+    groupMatchError,
+    startGroupMatch,
+    cancelGroupMatch,
+    leaveGroupMatch,
+    skipGroupMatch,
+    sendGroupMatchMessage,
+    clearGroupMatchError
+  } = useGroupRandomChat(socket, user);
+
+  // friend chat keys: publish this device's prekey bundle once signed in
+  useEffect(() => {
+    if (!user?.id || !token) return;
+
+    friendE2EE.initialize({ userId: user.id, apiBaseUrl: API_BASE_URL })
+      .catch(() => {
+        // key server unreachable or keys locked by a passphrase,
+        // messages to friends fall back to server-side encryption
+      })
+      .finally(refreshSecureStorage);
+  }, [user?.id, token]);
+
+  const refreshSecureStorage = async () => {
+    try {
+      setSecureStorage({
+        locked: await sessionStorage.isLocked(),
+        hasPassphrase: await sessionStorage.hasPassphrase()
+      });
+    } catch (error) {
+      // indexeddb unavailable (private browsing), nothing is stored
+    }
+  };
+
+  // passphrase entered in the profile after a reload, resolves false if it was wrong
+  const handleUnlockSecureStorage = async (passphrase) => {
+    const unlocked = await sessionStorage.unlock(passphrase);
+    if (unlocked) {
+      await refreshSecureStorage();
+      friendE2EE.initialize({ userId: user.id, apiBaseUrl: API_BASE_URL }).catch(() => {
+        // key server unreachable, retried on the next login
+      });
+    }
+    return unlocked;
+  };
+
+  // null removes the passphrase
+  const handleSetStoragePassphrase = async (passphrase) => {
+    if (passphrase) {
+      await sessionStorage.setPassphrase(passphrase);
+    } else {
+      await sessionStorage.removePassphrase();
+    }
+    await refreshSecureStorage();
+  };
+
+  // remove every random chat session, friend key and cached plaintext from this device
+  const wipeAllSecureSessions = async () => {
+    try {
+      await e2eeSessionManager.closeAllSessions();
+      await sessionStorage.wipeAll();
+    } catch (error) {
+      // indexeddb unavailable, nothing was stored
+    }
+    setSecureStorage({ locked: false, hasPassphrase: false });
+  };
+
+  // a friend we verified now uses a different identity key
+  useEffect(() => {
+    return friendE2EE.onIdentityChange(({ friendId, wasVerified }) => {
+      if (wasVerified) {
+        setFriendVerification(prev => ({ ...prev, [friendId]: { ...prev[friendId], verified: false, changed: true } }));
+      }
+    });
+  }, []);
+
   // ============================================================================
   // SOCKET CONNECTION & EVENT HANDLERS
   // ============================================================================
@@ -197,38 +359,90 @@ function App() {
         if (error.message.includes('Authentication error')) {
           // token is invalid, logout user
           handleLogout();
+        } else if (error.message === 'Session logged out') {
+          // this device was logged out from another one
+          handleLogout();
+        } else if (error.message === 'Account suspended') {
+          // account was suspended or banned since the token was issued
+          handleLogout();
+          setAuthError(formatSanctionMessage(error.data || {}));
+          if (!displayErrorFlag) handleError();
         }
       });
 
+      // handle moderation sanctions applied while connected
+      socket.on('accountSuspended', (sanction) => {
+        handleLogout();
+        setAuthError(formatSanctionMessage(sanction));
+        if (!displayErrorFlag) handleError();
+      });
+
+      // this device was logged out from the sessions list on another device
+      socket.on('sessionRevoked', () => {
+        handleLogout();
+      });
+
+      // friends used up most of our one-time prekeys
+      socket.on('prekeysLow', () => {
+        friendE2EE.replenishPrekeys().catch(() => {
+          // retried when the next friend claims a prekey
+        });
+      });
+
+      socket.on('moderationWarning', ({ reason }) => {
+        alert(`You have received a warning from a moderator${reason ? `: ${reason}` : '.'}`);
+      });
+
+      socket.on('matchmakingBanned', (sanction) => {
+        setIsWaitingForMatch(false);
+        alert(formatSanctionMessage(sanction));
+      });
+
       // handle socket errors
       socket.on('error', (error) => {
         // could show a toast notification here
       });
 
       // handle new messages from the server
-      socket.on('newMessage', (messageData) => {
-        const { sender, message, timestamp, isReceived, targetUserId, id } = messageData;
+      socket.on('newMessage', async (messageData, ack) => {
+        const { sender, senderId, receiver, timestamp, isReceived, id, isE2EE } = messageData;
         
-        // handle broadcast messages (targetuserid indicates it was broadcasted)
-        if (targetUserId && targetUserId !== user.id) {
-          return;
+        // acknowledge receipt so the server marks the message delivered
+        if (typeof ack === 'function') {
+          ack({ received: true });
         }
         
-      setMessages(prev => ({
+        // end-to-end encrypted messages are opened on this device only
+        const message = isE2EE
+          ? await friendE2EE.openMessage({ id, senderId, envelope: messageData.message })
+          : messageData.message;
+        
+        // copies of messages we sent from another device belong to the receiver's chat
+        const chatKey = isReceived === false && receiver ? receiver : sender;
+        
+      setMessages(prev => {
+        // inbox replays and retries can repeat a message we already have
+        if (id && (prev[chatKey] || []).some(msg => msg.id === id)) {
+          return prev;
+        }
+        return {
         ...prev,
-        [sender]: [...(prev[sender] || []), {
+        [chatKey]: [...(prev[chatKey] || []), {
             id: id || Date.now(), // use server id if available, fallback to timestamp
           sender,
           message,
             isReceived: isReceived || false,
             isRead: false, // new messages are not read yet
-            timestamp: new Date(timestamp)
+            isE2EE: Boolean(isE2EE),
+            timestamp: new Date(timestamp),
+            reactions: []
         }]
-      }));
+        };
+      });
         
         // if we're currently in a chat with this sender, emit chat_seen to mark messages as read
         // but only if the tab is currently visible
-        if (selectedUser === sender && socket) {
+        if (isReceived !== false && selectedUser === sender && socket) {
           if (document.visibilityState === 'visible') {
             markFriendMessagesAsRead(sender);
           }
@@ -309,15 +523,13 @@ function App() {
           socket.emit('friendRequestAccepted', { 
             friendId: data.sender_id 
           });
-          
-          // join the new friend room (redundant but ensures compatibility)
-          socket.emit('joinFriendRoom', { roomId: `chat:${user.username}:${data.sender_username}` });
         }
       });
 
-      // handle joining friend room
-      socket.on('joinFriendRoom', (data) => {
-        socket.emit('joinRoom', data.roomId);
+      // handle friendship removed by the other user (e.g. they blocked us)
+      socket.on('friendRemoved', ({ username }) => {
+        setFriends(prev => prev.filter(friend => friend !== username));
+        setSelectedUser(prev => (prev === username ? null : prev));
       });
 
       socket.on('friendRequestDeleted', (data) => {
@@ -331,10 +543,93 @@ function App() {
         loadFriendRequests();
       });
 
+      // handle delivery confirmations for messages we sent
+      socket.on('messagesDelivered', (data) => {
+        const { messageIds } = data;
+        
+        setMessages(prev => {
+          const updatedMessages = { ...prev };
+          
+          Object.keys(updatedMessages).forEach(username => {
+            updatedMessages[username] = updatedMessages[username].map(msg =>
+              msg.sender === user.username && messageIds.includes(msg.id)
+                ? { ...msg, isDelivered: true }
+                : msg
+            );
+          });
+          
+          return updatedMessages;
+        });
+      });
+
+      // a friend message was edited on some device of either user
+      socket.on('messageEdited', async ({ id, senderId, message: content, isE2EE, editedAt }) => {
+        const message = isE2EE
+          ? await friendE2EE.openMessage({ id, senderId, envelope: content }, { refresh: true })
+          : content;
+        
+        setMessages(prev => {
+          const updatedMessages = { ...prev };
+          
+          Object.keys(updatedMessages).forEach(username => {
+            updatedMessages[username] = updatedMessages[username].map(msg =>
+              msg.id === id ? { ...msg, message, isEdited: true, editedAt: new Date(editedAt) } : msg
+            );
+          });
+          
+          return updatedMessages;
+        });
+      });
+
+      // reactions changed on a friend message or, with sessionId, a random chat message
+      socket.on('messageReactions', ({ sessionId, messageId, reactions }) => {
+        if (sessionId) {
+          setRandomChatMessages(prev => prev.map(msg =>
+            msg.id === messageId ? { ...msg, reactions } : msg
+          ));
+          return;
+        }
+        
+        setMessages(prev => {
+          const updatedMessages = { ...prev };
+          
+          Object.keys(updatedMessages).forEach(username => {
+            updatedMessages[username] = updatedMessages[username].map(msg =>
+              msg.id === messageId ? { ...msg, reactions } : msg
+            );
+          });
+          
+          return updatedMessages;
+        });
+      });
+
+      // a friend message was deleted, keep its place as a tombstone
+      socket.on('messageDeleted', ({ id }) => {
+        setMessages(prev => {
+          const updatedMessages = { ...prev };
+          
+          Object.keys(updatedMessages).forEach(username => {
+            updatedMessages[username] = updatedMessages[username].map(msg =>
+              msg.id === id ? { ...msg, message: null, isDeleted: true } : msg
+            );
+          });
+          
+          return updatedMessages;
+        });
+      });
+
       // handle message read status
       socket.on('messagesRead', (data) => {
         const { messageIds, readBy, readByUsername, readAt } = data;
         
+        // the friend list shows when they last read our messages
+        if (readByUsername) {
+          setFriendReadState(prev => ({
+            ...prev,
+            [readByUsername]: { ...prev[readByUsername], seenAt: new Date(readAt) }
+          }));
+        }
+        
         // update messages in state to show as read
         setMessages(prev => {
           const updatedMessages = { ...prev };
@@ -344,7 +639,7 @@ function App() {
             updatedMessages[username] = updatedMessages[username].map(msg => {
               // for messages sent by current user, mark as read if they're in the read list
               if (msg.sender === user.username && messageIds.includes(msg.id)) {
-                return { ...msg, isRead: true };
+                return { ...msg, isRead: true, isDelivered: true };
               }
               return msg;
             });
@@ -354,6 +649,25 @@ function App() {
         });
       });
 
+      // messages we read on another device are no longer unread here
+      socket.on('messagesReadOnOtherDevice', ({ messageIds, friendId }) => {
+        setFriendReadState(prev => {
+          const friendUsername = Object.keys(prev).find(username => prev[username].friendId === friendId);
+          return friendUsername ? { ...prev, [friendUsername]: { ...prev[friendUsername], unreadCount: 0 } } : prev;
+        });
+        setMessages(prev => {
+          const updatedMessages = { ...prev };
+          
+          Object.keys(updatedMessages).forEach(username => {
+            updatedMessages[username] = updatedMessages[username].map(msg =>
+              msg.isReceived && messageIds.includes(msg.id) ? { ...msg, isRead: true } : msg
+            );
+          });
+          
+          return updatedMessages;
+        });
+      });
+
       // handle friend status changes
       socket.on('friendStatusChanged', ({ userId, status }) => {
         // update friend status in ui
@@ -375,7 +689,7 @@ function App() {
       });
 
       // handle random chat messages (with e2ee support)
-      socket.on('randomMessage', async ({ sender, message, encryptedData, isEncrypted, timestamp, isReceived, sessionId, isSystem }) => {
+      socket.on('randomMessage', async ({ id, sender, message, encryptedData, isEncrypted, timestamp, isReceived, sessionId, isSystem }) => {
         let finalMessage = message;
         
         // decrypt message if it's encrypted
@@ -400,9 +714,11 @@ function App() {
         // prevent duplicate messages by checking if this message already exists
         setRandomChatMessages(prev => {
           const messageExists = prev.some(msg => 
+            (id && msg.id === id) || (
             msg.sender === sender && 
             (msg.message === finalMessage || (isEncrypted && msg.encryptedData)) &&
             Math.abs(new Date(msg.timestamp) - new Date(timestamp)) < 1000 // within 1 second
+            )
           );
           
           if (messageExists) {
@@ -410,6 +726,7 @@ function App() {
           }
           
           const newMessages = [...prev, {
+            id, // shared with the sender so reactions can refer to the message
             sender: sender,
             message: finalMessage,
             isReceived: isReceived,
@@ -417,7 +734,8 @@ function App() {
             encryptedData: isEncrypted ? encryptedData : null,
             timestamp: new Date(timestamp),
             isRead: false, // add isread property for read status
-            isSystem: isSystem || false // preserve system message flag
+            isSystem: isSystem || false, // preserve system message flag
+            reactions: []
           }];
           
           // immediately emit randomchatseen if this is a message from the matched user
@@ -442,47 +760,6 @@ function App() {
         // this is now handled by the separate random chat typing effect
       });
 
-      // handle random chat match found
-      socket.on('randomMatchFound', ({ matchedUser, sessionId }) => {
-        // prevent duplicate handling of the same match
-        if (lastMatchedUser === matchedUser && isRandomChatActive && matchedRandomUser === matchedUser) {
-          return;
-        }
-        
-        // update last matched user
-        setLastMatchedUser(matchedUser);
-        
-        // check if the matched user is already a friend
-        // handle case where friends array might not be loaded yet
-        const isAlreadyFriend = friends && friends.length > 0 ? friends.some(friend => friend.username === matchedUser) : false;
-        
-        if (isAlreadyFriend) {
-          // switch to friend chat instead of random chat
-          setSelectedUser(matchedUser);
-          setIsRandomChatActiveWithLog(false);
-          setMatchedRandomUserWithLog(null);
-          setIsWaitingForMatch(false);
-          
-          // load friend messages
-          loadMessages(matchedUser);
-        } else {
-          // start random chat
-          setIsRandomChatActiveWithLog(true);
-          setMatchedRandomUserWithLog(matchedUser);
-          setSelectedUser(null);
-          setIsWaitingForMatch(false);
-          
-          // fix scaling layout issue when random chat becomes active
-          setTimeout(() => forceLayoutRecalculation(), 100);
-          
-          // join random chat room with consistent session id
-          const randomSessionId = generateRandomSessionId(user.username, matchedUser);
-          if (socket) {
-            socket.emit('joinRandomChat', { sessionId, matchedUser: matchedUser });
-          }
-        }
-      });
-
       // handle random chat ended
       socket.on('randomChatEnded', ({ endedBy }) => {
         // when someone ends the match, this user should be re-queued and waiting for a new match
@@ -590,11 +867,20 @@ function App() {
 
       // handle server-authoritative matchmaking events
       socket.on('queueJoined', () => {
+        setQueueStatus(null);
         setIsWaitingForMatch(true);
       });
 
-      socket.on('queueJoinFailed', ({ reason }) => {
+      // pushed every few seconds while waiting
+      socket.on('queueStatus', (status) => {
+        setQueueStatus(status);
+      });
+
+      socket.on('queueJoinFailed', ({ reason, expiresAt }) => {
         setIsWaitingForMatch(false);
+        if (reason === 'matchmaking_banned') {
+          alert(formatSanctionMessage({ type: 'matchmaking_ban', expiresAt }));
+        }
       });
 
       socket.on('matchFound', ({ sessionId, partner, interests, systemMessages = [] }) => {
@@ -634,9 +920,7 @@ function App() {
             isRead: true
           }]);
         }
-        
-        // join the random chat room
-        socket.emit('joinRandomChat', { sessionId, matchedUser: partner });
+
       });
 
       socket.on('matchCancelled', () => {
@@ -846,10 +1130,14 @@ function App() {
   useEffect(() => {
     if (!socket) return;
     
-    const handleMessagesSeen = ({ chatId, friendId, friendUsername }) => {
+    const handleMessagesSeen = ({ chatId, friendId, friendUsername, readAt }) => {
       // when we receive this event, it means the other user (friendid) has seen our messages
       // so we need to update messages sent by current user to the friendusername
       if (friendUsername) {
+        setFriendReadState(prev => ({
+          ...prev,
+          [friendUsername]: { ...prev[friendUsername], seenAt: readAt ? new Date(readAt) : new Date() }
+        }));
         setMessages(prev => {
           const updated = { ...prev };
           if (updated[friendUsername]) {
@@ -1006,18 +1294,31 @@ function App() {
 
   // helper function to count unread messages for a specific friend
   const getUnreadMessageCount = (friendUsername) => {
-    if (!messages[friendUsername] || !user) {
+    if (!user) {
       return 0;
     }
     
     // count messages that are:
     // 1. from the friend (not from current user)
     // 2. not read (isread = false)
-    return messages[friendUsername].filter(msg => 
-      msg.sender !== user.username && !msg.isRead
-    ).length;
+    const unread = (messages[friendUsername] || []).filter(msg => 
+      msg.sender !== user.username && !msg.isRead && !msg.isDeleted
+    );
+    if (historyState[friendUsername]) {
+      return unread.length;
+    }
+    
+    // history not loaded yet: the server's count plus messages that arrived since
+    const readState = friendReadState[friendUsername];
+    if (!readState) {
+      return unread.length;
+    }
+    return readState.unreadCount + unread.filter(msg => msg.id > (readState.newestMessageId || 0)).length;
   };
 
+  // when the friend last read our messages (null if never)
+  const getSeenAt = (friendUsername) => friendReadState[friendUsername]?.seenAt || null;
+
   // force layout recalculation when chat becomes active (fixes scaling issue)
   const forceLayoutRecalculation = () => {
     // force immediate reflow and resize
@@ -1074,6 +1375,9 @@ function App() {
             }
             return updated;
           });
+          setFriendReadState(prev => prev[friendUsername]
+            ? { ...prev, [friendUsername]: { ...prev[friendUsername], unreadCount: 0 } }
+            : prev);
         }
       }
     } catch (error) {
@@ -1368,7 +1672,7 @@ function App() {
     }
   };
 
-  const handleLogout = async () => {
+  const handleLogout = async ({ wipeSecureSessions = false } = {}) => {
     try {
       // call logout api endpoint
       if (token) {
@@ -1391,6 +1695,12 @@ function App() {
     setUser(null);
     setSelectedUser(null);
     setMessages({});
+    setHistoryState({});
+    setFriendVerification({});
+    friendE2EE.reset();
+    if (wipeSecureSessions) {
+      await wipeAllSecureSessions();
+    }
     setFriendRequests([]);
     setFriends([]);
     setSelectedInterests([]);
@@ -1404,8 +1714,8 @@ function App() {
   // FRIEND MANAGEMENT & CHAT SELECTION
   // ============================================================================
 
-  // handle user selection and room joining
-  const handleUserSelect = async (username) => {
+  // leave random chat or matchmaking before opening a friend or group chat
+  const leaveRandomChat = async () => {
     // if we're in random chat, end it first properly
     if (isRandomChatActive && matchedRandomUser) {
       await handleEndRandomChat();
@@ -1424,6 +1734,20 @@ function App() {
       setIsWaitingForMatch(false);
     }
     
+    // the same goes for group random chat
+    if (groupMatch) {
+      leaveGroupMatch();
+    } else if (isWaitingForGroup) {
+      cancelGroupMatch();
+    }
+  };
+
+  // handle user selection and room joining
+  const handleUserSelect = async (username) => {
+    await leaveRandomChat();
+    
+    leaveRoom();
+    selectGroup(null);
     setSelectedUser(username);
     
     // fix scaling layout issue when chat becomes active
@@ -1589,27 +1913,199 @@ function App() {
     }
   };
 
+  // update a locally sent message once the server answers for its client id
+  const updateSentMessage = (recipient, clientMessageId, changes) => {
+    setMessages(prev => ({
+      ...prev,
+      [recipient]: (prev[recipient] || []).map(msg =>
+        msg.clientMessageId === clientMessageId ? { ...msg, ...changes } : msg
+      )
+    }));
+  };
+
+  // edit one of our friend messages; other devices and the friend get messageEdited
+  const handleEditMessage = async (messageId, newText) => {
+    if (!socket || !newText.trim()) {
+      return { ok: false };
+    }
+    
+    // edits of encrypted messages are encrypted for the friend as well
+    const original = (messages[selectedUser] || []).find(msg => msg.id === messageId);
+    let content = newText;
+    if (original?.isE2EE) {
+      try {
+        content = await friendE2EE.encryptFor(historyState[selectedUser]?.friendId, newText);
+      } catch (error) {
+        content = null;
+      }
+      if (!content) {
+        alert('Failed to encrypt message');
+        return { ok: false };
+      }
+    }
+    
+    return new Promise(resolve => {
+      socket.timeout(MESSAGE_ACK_TIMEOUT).emit('editMessage', { messageId, message: content }, (err, response) => {
+        if (err || !response?.ok) {
+          alert(response?.error || 'Failed to edit message');
+          resolve({ ok: false });
+          return;
+        }
+        if (original?.isE2EE) {
+          friendE2EE.rememberPlaintext(messageId, newText);
+        }
+        resolve({ ...response, message: newText });
+      });
+    });
+  };
+
+  // safety number for the open friend chat
+  const loadFriendSafetyNumber = () => {
+    const friendId = historyState[selectedUser]?.friendId;
+    if (!friendId) return Promise.resolve(null);
+    return friendE2EE.getSafetyNumber(friendId);
+  };
+
+  // remember that the safety number was compared with the friend (or forget it)
+  const handleSetFriendVerified = async (identityKey, isVerified) => {
+    const friendId = historyState[selectedUser]?.friendId;
+    if (!friendId) return;
+    await friendE2EE.setVerified(friendId, identityKey, isVerified);
+    setFriendVerification(prev => ({ ...prev, [friendId]: { ...prev[friendId], verified: isVerified, changed: false } }));
+  };
+
+  // delete one of our friend messages for both sides
+  const handleDeleteMessage = (messageId) => {
+    if (!socket) return;
+    socket.timeout(MESSAGE_ACK_TIMEOUT).emit('deleteMessage', { messageId }, (err, response) => {
+      if (err || !response?.ok) {
+        alert(response?.error || 'Failed to delete message');
+      }
+    });
+  };
+
+  // add or remove our reaction on a friend or random chat message
+  const handleToggleReaction = (msg, emoji) => {
+    if (!socket || !msg.id) return;
+    
+    const hasReacted = (msg.reactions || []).some(reaction =>
+      reaction.emoji === emoji && reaction.users.includes(user.username)
+    );
+    
+    socket.emit(hasReacted ? 'removeReaction' : 'addReaction', {
+      messageId: msg.id,
+      emoji,
+      sessionId: isRandomChatActive ? currentSessionId : undefined
+    });
+  };
+
+  // emit a friend message and wait for the server ack, retrying with the same client id
+  const emitMessageWithAck = (payload, recipient, plaintext, attempt = 1) => {
+    socket.timeout(MESSAGE_ACK_TIMEOUT).emit('sendMessage', payload, (err, response) => {
+      if (err) {
+        // no ack in time; the client id makes a retry safe
+        if (attempt < MESSAGE_SEND_ATTEMPTS) {
+          emitMessageWithAck(payload, recipient, plaintext, attempt + 1);
+        } else {
+          updateSentMessage(recipient, payload.clientMessageId, { isFailed: true });
+        }
+        return;
+      }
+      
+      if (response?.ok) {
+        // keep our own text, the envelope cannot be decrypted by its sender
+        if (payload.isE2EE) {
+          friendE2EE.rememberPlaintext(response.id, plaintext);
+        }
+        updateSentMessage(recipient, payload.clientMessageId, {
+          id: response.id,
+          isPending: false,
+          isDelivered: Boolean(response.deliveredAt),
+          isRead: Boolean(response.readAt)
+        });
+      } else {
+        updateSentMessage(recipient, payload.clientMessageId, { isPending: false, isFailed: true });
+      }
+    });
+  };
+
+  // open a group chat in place of the selected friend
+  const handleGroupSelect = async (groupId) => {
+    await leaveRandomChat();
+    
+    leaveRoom();
+    setSelectedUser(null);
+    selectGroup(groupId);
+    
+    // fix scaling layout issue when chat becomes active
+    setTimeout(() => forceLayoutRecalculation(), 100);
+  };
+
+  const handleCreateGroup = async (name, memberIds) => {
+    const result = await createGroup(name, memberIds);
+    if (result.ok) {
+      handleGroupSelect(result.data.id);
+    }
+    return result;
+  };
+
+  // join a public interest room in place of the open chat
+  const handleRoomSelect = async (roomId) => {
+    await leaveRandomChat();
+    
+    setSelectedUser(null);
+    selectGroup(null);
+    return joinRoom(roomId);
+  };
+
+  const handleCreateRoom = async (settings) => {
+    await leaveRandomChat();
+    
+    setSelectedUser(null);
+    selectGroup(null);
+    return createRoom(settings);
+  };
+
   const handleSendMessage = async (message) => {
+    if (groupMatch) {
+      sendGroupMatchMessage(message);
+      return;
+    }
+    if (activeRoom) {
+      sendRoomMessage(message);
+      return;
+    }
+    if (selectedGroupId) {
+      sendGroupMessage(message);
+      return;
+    }
     if (!message.trim() || !selectedUser) return;
     
+    const recipient = selectedUser;
+    const clientMessageId = window.crypto?.randomUUID
+      ? window.crypto.randomUUID()
+      : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    
     const newMessage = {
+      clientMessageId,
       sender: user.username,
       message: message.trim(),
       timestamp: new Date(),
-      isRead: false
+      isRead: false,
+      isPending: true
     };
 
     // add message to local state immediately
     setMessages(prev => ({
       ...prev,
-      [selectedUser]: [...(prev[selectedUser] || []), newMessage]
+      [recipient]: [...(prev[recipient] || []), newMessage]
     }));
 
     // send message via socket for friend chat
     if (socket) {
       // get the user id for the selected user
       try {
-        const response = await fetch(`${API_ENDPOINTS.USER_SEARCH}?username=${encodeURIComponent(selectedUser)}`, {
+        const response = await fetch(`${API_ENDPOINTS.USER_SEARCH}?username=${encodeURIComponent(recipient)}`, {
           headers: {
             'Authorization': `Bearer ${token}`,
             'Content-Type': 'application/json'
@@ -1618,25 +2114,50 @@ function App() {
         
         if (response.ok) {
           const users = await response.json();
-          const targetUser = users.find(u => u.username === selectedUser);
+          const targetUser = users.find(u => u.username === recipient);
           
           if (targetUser) {
-            socket.emit('sendMessage', {
+            // encrypt end to end when the friend has published keys
+            let envelope;
+            try {
+              envelope = await friendE2EE.encryptFor(targetUser.id, message.trim());
+            } catch (error) {
+              if (error instanceof E2EEUnavailableError) {
+                setFriendVerification(prev => ({ ...prev, [targetUser.id]: { ...prev[targetUser.id], encryptionUnavailable: true } }));
+              }
+              throw error;
+            }
+            setFriendVerification(prev => ({
+              ...prev,
+              [targetUser.id]: { ...prev[targetUser.id], unencrypted: !envelope, encryptionUnavailable: false }
+            }));
+            updateSentMessage(recipient, clientMessageId, { isE2EE: Boolean(envelope) });
+            emitMessageWithAck({
               receiverId: targetUser.id,
-              message: message.trim()
-            });
+              message: envelope || message.trim(),
+              isE2EE: Boolean(envelope),
+              clientMessageId
+            }, recipient, message.trim());
           } else {
             // target user not found
+            updateSentMessage(recipient, clientMessageId, { isPending: false, isFailed: true });
           }
         }
       } catch (error) {
         // error sending message
+        updateSentMessage(recipient, clientMessageId, { isPending: false, isFailed: true });
       }
     }
   };
 
   const handleTypingStart = () => {
     if (!socket) return;
+    // interest rooms and group random chat have no typing indicators
+    if ((activeRoom || groupMatch) && !isRandomChatActive) return;
+    if (selectedGroupId && !isRandomChatActive) {
+      groupTypingStart();
+      return;
+    }
     
     const targetUser = isRandomChatActive ? matchedRandomUser : selectedUser;
     if (!targetUser) return;
@@ -1672,6 +2193,11 @@ function App() {
 
   const handleTypingStop = () => {
     if (!socket) return;
+    if ((activeRoom || groupMatch) && !isRandomChatActive) return;
+    if (selectedGroupId && !isRandomChatActive) {
+      groupTypingStop();
+      return;
+    }
     
     const targetUser = isRandomChatActive ? matchedRandomUser : selectedUser;
     if (!targetUser) return;
@@ -1766,7 +2292,8 @@ function App() {
       
       // use server-authoritative matchmaking
       if (socket) {
-        socket.emit('enqueueForRandom', { interests });
+        // browser languages let the matcher prefer partners who speak one of them
+        socket.emit('enqueueForRandom', { interests, languages: navigator.languages || [navigator.language] });
       } else {
         throw new Error('Socket connection not available');
       }
@@ -1775,21 +2302,17 @@ function App() {
     }
   };
 
+  // queue for a group random chat with the selected interests
+  const handleStartGroupMatch = async (interests) => {
+    const result = await startGroupMatch(interests);
+    if (result.reason === 'matchmaking_banned') {
+      alert(formatSanctionMessage({ type: 'matchmaking_ban', expiresAt: result.expiresAt }));
+    }
+  };
+
   const handleRandomChatMessage = async (message) => {
     if (!message.trim() || !matchedRandomUser) return;
     
-    // check if keys should be rotated before sending message
-    if (isE2EEReady && shouldRotateKeys) {
-      const needsRotation = shouldRotateKeys(50); // rotate after 50 messages
-      if (needsRotation) {
-        try {
-          await rotateKeys();
-        } catch (error) {
-          // continue sending message even if rotation fails
-        }
-      }
-    }
-    
     let messageToSend = message.trim();
     let encryptedData = null;
     let isEncrypted = false;
@@ -1806,14 +2329,17 @@ function App() {
       }
     }
     
+    const messageId = crypto.randomUUID();
     const newMessage = {
+      id: messageId,
       sender: user.username,
       message: messageToSend,
       isReceived: false,
       isEncrypted: isEncrypted,
       encryptedData: isEncrypted ? encryptedData : null,
       timestamp: new Date(),
-      isRead: false
+      isRead: false,
+      reactions: []
     };
 
     setRandomChatMessages(prev => [...prev, newMessage]);
@@ -1821,6 +2347,7 @@ function App() {
     // send message via socket for random chat
     if (socket && currentSessionId) {
       socket.emit('sendRandomMessage', {
+        messageId,
         message: isEncrypted ? null : messageToSend, // don't send plaintext if encrypted
         encryptedData: isEncrypted ? encryptedData : null,
         isEncrypted: isEncrypted,
@@ -1889,6 +2416,25 @@ function App() {
     }
   };
 
+  // the queue status is only meaningful while waiting
+  useEffect(() => {
+    if (!isWaitingForMatch) {
+      setQueueStatus(null);
+    }
+  }, [isWaitingForMatch]);
+
+  // keep waiting but match from the general pool (suggested by the queue status after a while)
+  const handleBroadenInterests = () => {
+    if (!socket) return;
+    socket.timeout(10000).emit('broadenInterests', {}, (err, response) => {
+      if (err || !response?.ok) {
+        alert(response?.error || 'Could not broaden your interests, try again');
+        return;
+      }
+      setQueueStatus(prev => prev && { ...prev, suggestBroaden: false });
+    });
+  };
+
   const handleCancelMatchmaking = () => {
     setIsWaitingForMatch(false);
     // could also call the cancel api here if needed
@@ -2081,6 +2627,7 @@ function App() {
         // extract usernames from friend objects
         const friendUsernames = friends.map(friend => friend.username);
         setFriends(friendUsernames);
+        setFriendAccounts(friends.map(friend => ({ id: friend.id, username: friend.username })));
       }
     } catch (error) {
       // error loading friends
@@ -2113,8 +2660,20 @@ function App() {
         throw new Error('Friend not found');
       }
 
-      // now load messages between the two users
-      const messagesResponse = await fetch(API_ENDPOINTS.MESSAGES_BETWEEN(user.id, friendUser.id), {
+      // verification badge and identity change warning for the chat header
+      friendE2EE.getVerificationState(friendUser.id)
+        .then(({ verified, changed }) => {
+          setFriendVerification(prev => ({ ...prev, [friendUser.id]: { ...prev[friendUser.id], verified, changed } }));
+        })
+        .catch((error) => {
+          // friend has no published keys, messages to them go out unencrypted
+          if (error.status === 404) {
+            setFriendVerification(prev => ({ ...prev, [friendUser.id]: { ...prev[friendUser.id], unencrypted: true } }));
+          }
+        });
+
+      // now load the latest page of messages between the two users
+      const messagesResponse = await fetch(`${API_ENDPOINTS.MESSAGES_HISTORY(friendUser.id)}?limit=${MESSAGE_PAGE_SIZE}`, {
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
@@ -2122,20 +2681,16 @@ function App() {
       });
 
       if (messagesResponse.ok) {
-        const messagesData = await messagesResponse.json();
-        
-        const formattedMessages = messagesData.map(msg => ({
-          id: msg.id, // include message id for read status
-          sender: msg.sender_username,
-          message: msg.encrypted_message, // use encrypted_message column (contains plain text for now)
-          timestamp: new Date(msg.sent_at), // use sent_at column
-          isReceived: msg.sender_id !== user.id,
-          isRead: msg.is_read // include read status
-        }));
+        const { messages: messagesData, hasMore } = await messagesResponse.json();
+        const openedMessages = await friendE2EE.openHistoryRows(messagesData);
 
         setMessages(prev => ({
           ...prev,
-          [friendUsername]: formattedMessages
+          [friendUsername]: openedMessages.map(formatHistoryMessage)
+        }));
+        setHistoryState(prev => ({
+          ...prev,
+          [friendUsername]: { friendId: friendUser.id, hasMore, isLoading: false }
         }));
       }
     } catch (error) {
@@ -2143,75 +2698,110 @@ function App() {
     }
   };
 
-  // load unread message counts for all friends (for sidebar badges)
-  const loadUnreadMessageCounts = async () => {
-    if (!user || !user.id || !friends || friends.length === 0) {
+  // load the page of history before the oldest loaded message (infinite scroll)
+  const loadOlderMessages = async (friendUsername) => {
+    const history = historyState[friendUsername];
+    const loaded = messages[friendUsername] || [];
+    if (!history || !history.hasMore || history.isLoading || loaded.length === 0) {
       return;
     }
 
-    try {
-      // load messages for all friends to get unread counts
-      const messagePromises = friends.map(async (friendUsername) => {
-        try {
-          // get friend's user id
-          const searchResponse = await fetch(`${API_ENDPOINTS.USER_SEARCH}?username=${encodeURIComponent(friendUsername)}`, {
-            headers: {
-              'Authorization': `Bearer ${token}`,
-              'Content-Type': 'application/json'
-            }
-          });
+    setHistoryState(prev => ({
+      ...prev,
+      [friendUsername]: { ...prev[friendUsername], isLoading: true }
+    }));
 
-          if (!searchResponse.ok) return null;
+    let hasMore = history.hasMore;
+    try {
+      const response = await fetch(
+        `${API_ENDPOINTS.MESSAGES_HISTORY(history.friendId)}?limit=${MESSAGE_PAGE_SIZE}&before=${encodeURIComponent(loaded[0].id)}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
 
-          const searchResults = await searchResponse.json();
-          const friendUser = searchResults.find(u => u.username === friendUsername);
-          if (!friendUser) return null;
+      if (response.ok) {
+        const page = await response.json();
+        hasMore = page.hasMore;
+        const openedMessages = await friendE2EE.openHistoryRows(page.messages);
 
-          // load messages between users
-          const messagesResponse = await fetch(API_ENDPOINTS.MESSAGES_BETWEEN(user.id, friendUser.id), {
-            headers: {
-              'Authorization': `Bearer ${token}`,
-              'Content-Type': 'application/json'
-            }
-          });
+        setMessages(prev => {
+          const current = prev[friendUsername] || [];
+          const older = openedMessages
+            .map(formatHistoryMessage)
+            .filter(msg => !current.some(existing => existing.id === msg.id));
+          return { ...prev, [friendUsername]: [...older, ...current] };
+        });
+      }
+    } catch (error) {
+      // error loading older messages
+    }
 
-          if (!messagesResponse.ok) return null;
+    setHistoryState(prev => ({
+      ...prev,
+      [friendUsername]: { ...prev[friendUsername], hasMore, isLoading: false }
+    }));
+  };
 
-          const messagesData = await messagesResponse.json();
-          
-          const formattedMessages = messagesData.map(msg => ({
-            id: msg.id,
-            sender: msg.sender_username,
-            message: msg.encrypted_message,
-            timestamp: new Date(msg.sent_at),
-            isReceived: msg.sender_id !== user.id,
-            isRead: msg.is_read
-          }));
+  // map a stored message row to the chat message shape
+  const formatHistoryMessage = (msg) => ({
+    id: msg.id, // include message id for read status
+    sender: msg.sender_username,
+    message: msg.encrypted_message, // server-side decrypted text, or opened locally for e2ee rows
+    timestamp: new Date(msg.sent_at), // use sent_at column
+    isReceived: msg.sender_id !== user.id,
+    isRead: msg.is_read, // include read status
+    isE2EE: Boolean(msg.is_e2ee),
+    isDelivered: Boolean(msg.delivered_at),
+    isEdited: Boolean(msg.edited_at),
+    isDeleted: Boolean(msg.deleted_at),
+    reactions: msg.reactions || []
+  });
+
+  // load unread message counts and read state for all friends (for sidebar badges), stored server-side
+  // so they survive reloads
+  const loadUnreadMessageCounts = async () => {
+    if (!user || !user.id || !friends || friends.length === 0) {
+      return;
+    }
 
-          return { friendUsername, messages: formattedMessages };
-        } catch (error) {
-          // error loading messages for friend
-          return null;
+    try {
+      const response = await fetch(API_ENDPOINTS.MESSAGES_UNREAD, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
         }
       });
 
-      const results = await Promise.all(messagePromises);
-      
-      // update messages state with all loaded conversations
-      const newMessages = {};
-      results.forEach(result => {
-        if (result) {
-          newMessages[result.friendUsername] = result.messages;
-        }
+      if (!response.ok) return;
+
+      const { friends: readStates } = await response.json();
+      const nextReadState = {};
+      readStates.forEach(state => {
+        nextReadState[state.username] = {
+          friendId: state.friend_id,
+          unreadCount: state.unread_count,
+          newestMessageId: state.newest_message_id,
+          seenAt: state.seen_at ? new Date(state.seen_at) : null
+        };
       });
+      setFriendReadState(nextReadState);
 
-      if (Object.keys(newMessages).length > 0) {
-        setMessages(prev => ({
-          ...prev,
-          ...newMessages
-        }));
+      // friends who were typing before the reload
+      const typingFriends = readStates.filter(state => state.is_typing).map(state => state.username);
+      if (typingFriends.length > 0) {
+        setTypingUsers(prev => new Set([...prev, ...typingFriends]));
+        setTimeout(() => {
+          setTypingUsers(prev => {
+            const updated = new Set(prev);
+            typingFriends.forEach(username => updated.delete(username));
+            return updated;
+          });
+        }, TYPING_RESTORE_TIMEOUT);
       }
-
     } catch (error) {
       // error loading unread message counts
     }
@@ -2483,6 +3073,20 @@ function App() {
     const urlParams = new URLSearchParams(window.location.search);
     const tokenParam = urlParams.get('token');
     const userParam = urlParams.get('user');
+    const sanctionParam = urlParams.get('sanction');
+    
+    // oauth login rejected because the account is suspended or banned
+    if (sanctionParam) {
+      try {
+        const { error } = JSON.parse(decodeURIComponent(sanctionParam));
+        setAuthError(error);
+        setErrorFlag(true);
+      } catch (error) {
+        // error parsing sanction details
+      }
+      window.history.replaceState({}, document.title, window.location.pathname);
+      return;
+    }
     
     if (tokenParam && userParam) {
       try {
@@ -2572,12 +3176,34 @@ function App() {
             setIsRandomChatActive(false);
             setMatchedRandomUser(null);
             setSelectedUser(null);
+            selectGroup(null);
+            leaveRoom();
+            if (groupMatch) {
+              leaveGroupMatch();
+            } else if (isWaitingForGroup) {
+              cancelGroupMatch();
+            }
             setIsWaitingForMatch(false);
             setMatchedInterests([]);
           }}
           userStatuses={userStatuses}
           onRefreshData={refreshData}
           getUnreadMessageCount={getUnreadMessageCount}
+          getSeenAt={getSeenAt}
+          // group chats
+          groups={groups}
+          selectedGroupId={selectedGroupId}
+          onSelectGroup={handleGroupSelect}
+          onCreateGroup={handleCreateGroup}
+          friendAccounts={friendAccounts}
+          // public interest rooms
+          rooms={rooms}
+          interests={roomInterests}
+          activeRoomId={activeRoom?.id || null}
+          roomError={roomError}
+          onJoinRoom={handleRoomSelect}
+          onCreateRoom={handleCreateRoom}
+          onRefreshRooms={loadRooms}
         />
         
         <ChatPanel
@@ -2595,6 +3221,8 @@ function App() {
           isRandomChatActive={isRandomChatActive}
           matchedRandomUser={matchedRandomUser}
           isWaitingForMatch={isWaitingForMatch}
+          queueStatus={queueStatus}
+          onBroadenInterests={handleBroadenInterests}
           onCancelMatchmaking={handleCancelMatchmaking}
           selectedInterests={selectedInterests}
           onInterestsChange={setSelectedInterests}
@@ -2610,6 +3238,47 @@ function App() {
           // matched interests for random chat
           matchedInterests={matchedInterests}
           sentFriendRequests={sentFriendRequests}
+          // paginated friend chat history
+          hasMoreHistory={selectedGroupId ? hasMoreGroupHistory : Boolean(selectedUser && historyState[selectedUser]?.hasMore)}
+          isLoadingHistory={selectedGroupId ? isLoadingGroupHistory : Boolean(selectedUser && historyState[selectedUser]?.isLoading)}
+          onLoadOlderMessages={selectedGroupId ? loadOlderGroupMessages : loadOlderMessages}
+          // editing and deleting sent friend messages
+          onEditMessage={handleEditMessage}
+          onDeleteMessage={handleDeleteMessage}
+          // reactions on friend and random chat messages
+          onToggleReaction={handleToggleReaction}
+          // safety number verification
+          onLoadSafetyNumber={isRandomChatActive ? getSafetyNumber : loadFriendSafetyNumber}
+          onSetVerified={isRandomChatActive ? undefined : handleSetFriendVerified}
+          friendVerification={(selectedUser && friendVerification[historyState[selectedUser]?.friendId]) || null}
+          // group chat
+          selectedGroup={selectedGroup}
+          groupMessages={groupMessages}
+          groupTypingUsers={groupTypingUsers}
+          friendAccounts={friendAccounts}
+          onRenameGroup={(name) => renameGroup(selectedGroupId, name)}
+          onAddGroupMembers={(userIds) => addGroupMembers(selectedGroupId, userIds)}
+          onRemoveGroupMember={(userId) => removeGroupMember(selectedGroupId, userId)}
+          onSetGroupMemberRole={(userId, role) => setGroupMemberRole(selectedGroupId, userId, role)}
+          onLeaveGroup={() => leaveGroup(selectedGroupId)}
+          // public interest room
+          activeRoom={activeRoom}
+          roomMessages={roomMessages}
+          roomError={roomError}
+          onLeaveRoom={leaveRoom}
+          onUpdateRoom={updateRoom}
+          onDeleteRoom={deleteRoom}
+          onClearRoomError={clearRoomError}
+          // group random chat
+          groupMatch={groupMatch}
+          groupMatchMessages={groupMatchMessages}
+          isWaitingForGroup={isWaitingForGroup}
+          groupMatchError={groupMatchError}
+          onStartGroupMatch={handleStartGroupMatch}
+          onCancelGroupMatch={cancelGroupMatch}
+          onLeaveGroupMatch={leaveGroupMatch}
+          onSkipGroupMatch={skipGroupMatch}
+          onClearGroupMatchError={clearGroupMatchError}
         />
 
         <UsersPanel
@@ -2636,6 +3305,9 @@ function App() {
         currentInterests={selectedInterests || []}
         onLogout={handleLogout}
         userStatuses={userStatuses}
+        secureStorage={secureStorage}
+        onUnlockSecureStorage={handleUnlockSecureStorage}
+        onSetStoragePassphrase={handleSetStoragePassphrase}
       />
       </div>
     </div>
@@ -1,12 +1,25 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { FaPaperPlane, FaSmile, FaCircle, FaSearch, FaTimes, FaUserPlus, FaSpinner, FaCheck, FaGift, FaFlag, FaEye } from 'react-icons/fa';
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import { FaPaperPlane, FaSmile, FaCircle, FaSearch, FaTimes, FaUserPlus, FaSpinner, FaCheck, FaGift, FaFlag, FaEye, FaPen, FaTrash, FaShieldAlt, FaExclamationTriangle, FaUsers, FaHashtag, FaCog, FaSignOutAlt } from 'react-icons/fa';
 import ProfilePicture from './ProfilePicture';
 import GiphyModal from './GiphyModal';
 import EmojiPicker from './EmojiPicker';
 import ModerationReportModal from './ModerationReportModal';
+import SafetyNumberModal from './SafetyNumberModal';
+import GroupMembersModal from './GroupMembersModal';
+import InterestRoomModal from './InterestRoomModal';
 import logo from '../assets/logo.jpg';
 import gifIcon from '../assets/gif-file.png';
 
+// how long sent friend messages offer edit/delete (server defaults, the server has the final say)
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+const DELETE_WINDOW_MS = 60 * 60 * 1000;
+
+// reactions offered before opening the full emoji picker
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🔥'];
+
+// queue wait times from the server (seconds) for display
+const formatWait = (seconds) => (seconds < 60 ? `${seconds}s` : `${Math.round(seconds / 60)} min`);
+
 // ============================================================================
 // CHAT PANEL COMPONENT
 // ============================================================================
@@ -27,6 +40,9 @@ const ChatPanel = ({
   matchedRandomUser = null,
   isWaitingForMatch = false,
   onCancelMatchmaking,
+  // queue depth, position and estimated wait while waiting for a 1-on-1 match
+  queueStatus = null,
+  onBroadenInterests,
   selectedInterests = [],
   onInterestsChange,
   onInterestToggle,
@@ -40,7 +56,48 @@ const ChatPanel = ({
   e2eeError = null,
   // Matched interests and friend request status
   matchedInterests = [],
-  sentFriendRequests = []
+  sentFriendRequests = [],
+  // paginated friend chat history
+  hasMoreHistory = false,
+  isLoadingHistory = false,
+  onLoadOlderMessages,
+  // editing and deleting sent friend messages
+  onEditMessage,
+  onDeleteMessage,
+  // reactions on friend and random chat messages
+  onToggleReaction,
+  // safety number verification (onSetVerified and friendVerification only for friends)
+  onLoadSafetyNumber,
+  onSetVerified,
+  friendVerification = null,
+  // group chat (selectedGroup has members; history props above apply to the open group)
+  selectedGroup = null,
+  groupMessages = [],
+  groupTypingUsers = [],
+  friendAccounts = [],
+  onRenameGroup,
+  onAddGroupMembers,
+  onRemoveGroupMember,
+  onSetGroupMemberRole,
+  onLeaveGroup,
+  // public interest room (activeRoom has live members)
+  activeRoom = null,
+  roomMessages = [],
+  roomError = '',
+  onLeaveRoom,
+  onUpdateRoom,
+  onDeleteRoom,
+  onClearRoomError,
+  // group random chat (groupMatch has the members' usernames)
+  groupMatch = null,
+  groupMatchMessages = [],
+  isWaitingForGroup = false,
+  groupMatchError = '',
+  onStartGroupMatch,
+  onCancelGroupMatch,
+  onLeaveGroupMatch,
+  onSkipGroupMatch,
+  onClearGroupMatchError
 }) => {
   // ============================================================================
   // COMPONENT STATE
@@ -50,10 +107,19 @@ const ChatPanel = ({
   const [message, setMessage] = useState('');
   const [showGiphyModal, setShowGiphyModal] = useState(false);
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [reactionPickerFor, setReactionPickerFor] = useState(null); // message id with the open reaction picker
+  const [showFullReactionPicker, setShowFullReactionPicker] = useState(false);
+  const [showSafetyNumber, setShowSafetyNumber] = useState(false);
+  const [showGroupMembers, setShowGroupMembers] = useState(false);
+  const [showRoomMembers, setShowRoomMembers] = useState(true);
+  const [showRoomSettings, setShowRoomSettings] = useState(false);
   
   // random chat & matchmaking state
   const [interestSearchTerm, setInterestSearchTerm] = useState('');
   const [isMatching, setIsMatching] = useState(false);
+  const [matchMode, setMatchMode] = useState('pair'); // 'pair' or 'group' random chat
   const [showInterestDropdown, setShowInterestDropdown] = useState(false);
   const [availableInterests, setAvailableInterests] = useState([]);
   const [isLoadingInterests, setIsLoadingInterests] = useState(false);
@@ -74,6 +140,8 @@ const ChatPanel = ({
   const typingTimeoutRef = useRef(null);
   const dropdownRef = useRef(null);
   const messageInputRef = useRef(null);
+  const friendMessagesRef = useRef(null);
+  const scrollAnchorRef = useRef(null); // scroll position saved before older history is prepended
 
   // ============================================================================
   // COMPUTED VALUES & DERIVED STATE
@@ -107,6 +175,13 @@ const ChatPanel = ({
   // REACT EFFECTS & LIFECYCLE
   // ============================================================================
 
+  // a skip or an ended group puts us back in the group queue, show it as such
+  useEffect(() => {
+    if (isWaitingForGroup) {
+      setMatchMode('group');
+    }
+  }, [isWaitingForGroup]);
+
   // reset isMatching when user is no longer in random chat or waiting
   useEffect(() => {
     if (!isRandomChatActive && !isWaitingForMatch) {
@@ -216,9 +291,43 @@ const ChatPanel = ({
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   };
 
+  // keep the visible messages in place when older history is prepended
+  useLayoutEffect(() => {
+    const container = friendMessagesRef.current;
+    const anchor = scrollAnchorRef.current;
+    if (!container || !anchor || isLoadingHistory) return;
+    
+    container.scrollTo({ top: container.scrollHeight - anchor.scrollHeight + anchor.scrollTop, behavior: 'instant' });
+  }, [messages, groupMessages, roomMessages, isLoadingHistory]);
+
   useEffect(() => {
+    // older history was prepended, stay where the user was reading
+    if (scrollAnchorRef.current) {
+      if (!isLoadingHistory) {
+        scrollAnchorRef.current = null;
+      }
+      return;
+    }
     scrollToBottom();
-  }, [messages]);
+  }, [messages, groupMessages, roomMessages, groupMatchMessages, isLoadingHistory]);
+
+  // forget a pending anchor when switching chats
+  useEffect(() => {
+    scrollAnchorRef.current = null;
+    setShowGroupMembers(false);
+    setShowRoomSettings(false);
+  }, [selectedUser, selectedGroup?.id, activeRoom?.id]);
+
+  // load older friend history when scrolled near the top
+  const handleFriendMessagesScroll = (e) => {
+    const container = e.currentTarget;
+    if (container.scrollTop > 80 || !hasMoreHistory || isLoadingHistory || !onLoadOlderMessages || scrollAnchorRef.current) {
+      return;
+    }
+    
+    scrollAnchorRef.current = { scrollHeight: container.scrollHeight, scrollTop: container.scrollTop };
+    onLoadOlderMessages(selectedUser);
+  };
 
   useEffect(() => {
     return () => {
@@ -273,8 +382,8 @@ const ChatPanel = ({
   const handleSubmit = (e) => {
     e.preventDefault();
     
-    // for random chat, check matchedRandomUser; for friend chat, check selectedUser
-    const hasValidChatPartner = isRandomChatActive ? matchedRandomUser : selectedUser;
+    // for random chat, check matchedRandomUser; for friend, group, room and group random chat, the open chat
+    const hasValidChatPartner = isRandomChatActive ? matchedRandomUser : (groupMatch || activeRoom || selectedGroup || selectedUser);
     
     if (message.trim() && hasValidChatPartner && message.length < 2000) {
       onSendMessage(message.trim());
@@ -286,6 +395,187 @@ const ChatPanel = ({
     }
   };
 
+  // whether one of our friend messages can still be edited/deleted
+  const canChangeMessage = (msg, windowMs) => {
+    return !isRandomChatActive &&
+      msg.sender === currentUser &&
+      !msg.isPending && !msg.isFailed && !msg.isDeleted &&
+      Date.now() - new Date(msg.timestamp).getTime() < windowMs;
+  };
+
+  const startEditing = (msg) => {
+    setEditingMessageId(msg.id);
+    setEditText(msg.message || '');
+  };
+
+  const cancelEditing = () => {
+    setEditingMessageId(null);
+    setEditText('');
+  };
+
+  const saveEdit = async (msg) => {
+    const text = editText.trim();
+    if (!text || text === msg.message) {
+      cancelEditing();
+      return;
+    }
+    
+    const result = await onEditMessage?.(msg.id, text);
+    if (result?.ok) {
+      cancelEditing();
+    }
+  };
+
+  const confirmDelete = (msg) => {
+    if (window.confirm('Delete this message for everyone?')) {
+      onDeleteMessage?.(msg.id);
+    }
+  };
+
+  const toggleReactionPicker = (messageId) => {
+    setReactionPickerFor(reactionPickerFor === messageId ? null : messageId);
+    setShowFullReactionPicker(false);
+  };
+
+  const selectReaction = (msg, emoji) => {
+    onToggleReaction?.(msg, emoji);
+    setReactionPickerFor(null);
+    setShowFullReactionPicker(false);
+  };
+
+  // reaction chips and the add-reaction control under a message bubble
+  const renderReactions = (msg) => {
+    if (!onToggleReaction || !msg.id || msg.isPending || msg.isFailed || msg.isDeleted || msg.isSystem) {
+      return null;
+    }
+    
+    const reactions = msg.reactions || [];
+    const isOwnMessage = msg.sender === currentUser;
+    
+    return (
+      <div className={`relative flex flex-wrap items-center gap-1 mt-1 ${isOwnMessage ? 'justify-end' : 'justify-start'}`}>
+        {reactions.map((reaction) => {
+          const hasReacted = reaction.users.includes(currentUser);
+          return (
+            <button
+              key={reaction.emoji}
+              onClick={() => onToggleReaction(msg, reaction.emoji)}
+              title={reaction.users.join(', ')}
+              className={`px-2 py-0.5 rounded-full text-xs border transition-colors ${
+                hasReacted
+                  ? 'bg-purple-600/30 border-purple-500 text-white'
+                  : 'bg-gray-800 border-gray-600 text-gray-300 hover:border-gray-400'
+              }`}
+            >
+              {reaction.emoji} {reaction.count}
+            </button>
+          );
+        })}
+        <button
+          onClick={() => toggleReactionPicker(msg.id)}
+          className={`${reactionPickerFor === msg.id ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'} text-gray-500 hover:text-yellow-400 transition-opacity`}
+          title="Add reaction"
+        >
+          <FaSmile size={12} />
+        </button>
+        
+        {/* quick reactions, with the full picker one click away */}
+        {reactionPickerFor === msg.id && (
+          <div className={`absolute bottom-full ${isOwnMessage ? 'right-0' : 'left-0'} mb-1 z-40 flex items-center gap-1 px-2 py-1 bg-gray-800 border border-gray-600 rounded-full shadow-lg`}>
+            {QUICK_REACTIONS.map((emoji) => (
+              <button
+                key={emoji}
+                onClick={() => selectReaction(msg, emoji)}
+                className="text-lg hover:scale-125 transition-transform"
+              >
+                {emoji}
+              </button>
+            ))}
+            <button
+              data-emoji-button
+              onClick={() => setShowFullReactionPicker(!showFullReactionPicker)}
+              className="ml-1 text-gray-400 hover:text-white text-sm"
+              title="More reactions"
+            >
+              +
+            </button>
+            <EmojiPicker
+              isOpen={showFullReactionPicker}
+              onClose={() => setShowFullReactionPicker(false)}
+              onEmojiSelect={(emoji) => selectReaction(msg, emoji)}
+            />
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // message input with character count, gif and emoji buttons (friend and group chats)
+  const renderMessageInput = (placeholder) => (
+    <div className="h-[76.9px] p-4 border-t border-gray-700 bg-gray-800 shadow-lg ">
+      <form onSubmit={handleSubmit} className="flex items-center space-x-3">
+        <div className="flex-1 relative">
+          <textarea
+            ref={messageInputRef}
+            value={message}
+            onChange={handleInputChange}
+            placeholder={placeholder}
+            className="w-full px-4 py-2 pr-16 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent resize-none shadow-sm"
+            rows="1"
+            maxLength={2000}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                handleSubmit(e);
+              }
+            }}
+          />
+          <div className="absolute right-3 top-1/2 transform -translate-y-1/2 flex items-center space-x-2">
+            {message.length > 0 && (
+              <span className={`text-xs mr-2 ${
+                message.length > 1800 ? 'text-red-400' : 'text-gray-400'
+              }`}>
+                {message.length}/2000
+              </span>
+            )}
+            <button
+              type="button"
+              onClick={() => setShowGiphyModal(true)}
+              className="opacity-70 hover:opacity-100 transition-opacity"
+              title="Add GIF"
+            >
+              <img src={gifIcon} alt="GIF" className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              data-emoji-button
+              onClick={() => setShowEmojiPicker(!showEmojiPicker)}
+              className="text-gray-400 hover:text-yellow-400 transition-colors"
+              title="Add Emoji"
+            >
+              <FaSmile size={16} />
+            </button>
+          </div>
+        
+          {/* emoji picker */}
+          <EmojiPicker
+            isOpen={showEmojiPicker}
+            onClose={() => setShowEmojiPicker(false)}
+            onEmojiSelect={handleEmojiSelect}
+            inputRef={messageInputRef}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={!message.trim()}
+          className="bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white p-2.5 rounded-lg transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 focus:ring-offset-gray-800 shadow-sm flex-shrink-0"
+        >
+          <FaPaperPlane size={16} />
+        </button>
+      </form>
+    </div>
+  );
+
   const formatTime = (timestamp) => {
     const date = new Date(timestamp);
     const now = new Date();
@@ -391,6 +681,11 @@ const ChatPanel = ({
   });
 
   const handleStartChat = async () => {
+    if (matchMode === 'group') {
+      await onStartGroupMatch?.(selectedInterests);
+      return;
+    }
+    
     // don't set isMatching locally - wait for server acknowledgment
     try {
       await onStartRandomChat?.(selectedInterests);
@@ -403,6 +698,11 @@ const ChatPanel = ({
   };
 
   const handleCancelMatch = async () => {
+    if (isWaitingForGroup) {
+      onCancelGroupMatch?.();
+      return;
+    }
+    
     try {
       // use server-authoritative cancel
       if (window.socket) {
@@ -813,12 +1113,502 @@ const ChatPanel = ({
     );
   }
 
+  // ============================================================================
+  // INTEREST ROOM INTERFACE
+  // ============================================================================
+
+  if (activeRoom && !isRandomChatActive) {
+    return (
+      <div className="flex-1 flex flex-col bg-gray-900">
+        {/* room header - topic, occupancy and slow mode */}
+        <div className="h-[85px] p-4 border-b border-gray-700 bg-gray-800 shadow-sm">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center min-w-0">
+              <div className="w-10 h-10 rounded-full bg-gray-700 flex items-center justify-center mr-3 flex-shrink-0">
+                <FaHashtag size={18} className="text-purple-300" />
+              </div>
+              <div className="min-w-0">
+                <h2 className="text-lg font-semibold text-white truncate">{activeRoom.name}</h2>
+                <p className="text-gray-400 text-sm truncate">
+                  {activeRoom.interest_name} · {activeRoom.occupancy}/{activeRoom.max_occupancy} people
+                  {activeRoom.slow_mode_seconds > 0 && (
+                    <span className="text-yellow-400"> · slow mode {activeRoom.slow_mode_seconds}s</span>
+                  )}
+                </p>
+              </div>
+            </div>
+            <div className="flex items-center space-x-2 flex-shrink-0 ml-3">
+              <button
+                onClick={() => setShowRoomMembers(!showRoomMembers)}
+                className={`flex items-center px-3 py-2 text-sm rounded-lg transition-colors ${
+                  showRoomMembers ? 'bg-purple-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-200'
+                }`}
+                title="People in this room"
+              >
+                <FaUsers size={12} className="mr-1" />
+                {activeRoom.occupancy}
+              </button>
+              {activeRoom.can_manage && (
+                <button
+                  onClick={() => setShowRoomSettings(true)}
+                  className="p-2 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded-lg transition-colors"
+                  title="Room settings"
+                >
+                  <FaCog size={14} />
+                </button>
+              )}
+              <button
+                onClick={onLeaveRoom}
+                className="flex items-center px-3 py-2 bg-red-600 hover:bg-red-700 text-white text-sm rounded-lg transition-colors"
+              >
+                <FaSignOutAlt size={12} className="mr-1" />
+                Leave
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <InterestRoomModal
+          isOpen={showRoomSettings}
+          onClose={() => setShowRoomSettings(false)}
+          room={activeRoom}
+          onSave={onUpdateRoom}
+          onDelete={onDeleteRoom}
+        />
+
+        <div className="flex-1 flex min-h-0">
+          {/* room messages (not stored, only what arrived while here) */}
+          <div className="flex-1 overflow-y-auto p-4 space-y-4 scroll-smooth">
+            {activeRoom.description && (
+              <div className="flex justify-center">
+                <span className="px-3 py-1 text-xs text-gray-400 bg-gray-800 rounded-full">{activeRoom.description}</span>
+              </div>
+            )}
+            
+            {roomMessages.length > 0 ? (
+              <>
+                {roomMessages.map((msg, index) => (
+                  <div
+                    key={msg.id || msg.clientMessageId || index}
+                    className={`flex ${msg.sender === currentUser ? 'justify-end' : 'justify-start'} animate-fadeIn`}
+                  >
+                    <div className={`flex items-start max-w-xs lg:max-w-md xl:max-w-lg ${msg.sender === currentUser ? 'flex-row-reverse' : 'flex-row'}`}>
+                      <ProfilePicture 
+                        username={msg.sender} 
+                        size="md" 
+                        showStatus={false}
+                        className={`${msg.sender === currentUser ? 'ml-2' : 'mr-2'} flex-shrink-0 mt-1`}
+                      />
+                      <div className="flex-1">
+                        {msg.sender !== currentUser && (
+                          <p className="text-xs text-purple-300 mb-1">{msg.sender}</p>
+                        )}
+                        <div
+                          className={`px-4 py-2 rounded-lg shadow-sm transition-all duration-200 ${
+                            msg.sender === currentUser
+                              ? 'bg-purple-600 text-white hover:bg-purple-700'
+                              : 'bg-gray-700 text-white hover:bg-gray-600'
+                          } ${msg.isFailed ? 'opacity-60' : ''}`}
+                        >
+                          <p className="text-sm leading-relaxed break-words">{formatMessage(msg.message)}</p>
+                        </div>
+                        <div className={`text-xs text-gray-500 mt-1 flex items-center gap-2 ${
+                          msg.sender === currentUser ? 'justify-end' : 'justify-start'
+                        }`}>
+                          <span>{formatTime(msg.timestamp)}</span>
+                          {msg.isPending && <span className="text-gray-400">…</span>}
+                          {msg.isFailed && <span className="text-red-400">Not sent</span>}
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+                ))}
+                
+                <div ref={messagesEndRef} />
+              </>
+            ) : (
+              <div className="flex items-center justify-center h-full animate-fadeIn">
+                <div className="text-center">
+                  <div className="w-16 h-16 bg-gray-800 rounded-full flex items-center justify-center mx-auto mb-4 shadow-lg">
+                    <FaHashtag size={24} className="text-gray-600" />
+                  </div>
+                  <h3 className="text-lg font-medium text-gray-300 mb-2">Welcome to {activeRoom.name}</h3>
+                  <p className="text-gray-500 text-sm">
+                    Messages here are not saved, only people in the room see them.
+                  </p>
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* live member list */}
+          {showRoomMembers && (
+            <div className="w-56 border-l border-gray-700 bg-gray-800 overflow-y-auto">
+              <p className="px-4 py-3 text-gray-400 text-xs uppercase tracking-wide border-b border-gray-700">
+                In the room ({activeRoom.members.length})
+              </p>
+              {activeRoom.members.map(member => (
+                <div key={member.userId} className="flex items-center px-4 py-2">
+                  <ProfilePicture username={member.username} size="sm" showStatus={false} className="mr-2" />
+                  <span className="text-white text-sm truncate">
+                    {member.username}
+                    {member.username === currentUser && <span className="text-gray-400"> (you)</span>}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* slow mode and moderation feedback */}
+        {roomError && (
+          <div className="px-4 py-2 bg-gray-800 border-t border-gray-700 flex items-center justify-between">
+            <span className="text-sm text-yellow-400 flex items-center">
+              <FaExclamationTriangle size={12} className="mr-2" />
+              {roomError}
+            </span>
+            <button
+              onClick={onClearRoomError}
+              className="text-gray-400 hover:text-white transition-colors"
+            >
+              <FaTimes size={12} />
+            </button>
+          </div>
+        )}
+
+        {renderMessageInput(`Message #${activeRoom.name}...`)}
+
+        <GiphyModal
+          isOpen={showGiphyModal}
+          onClose={() => setShowGiphyModal(false)}
+          onGifSelect={(gifUrl) => onSendMessage(gifUrl)}
+        />
+      </div>
+    );
+  }
+
+  // ============================================================================
+  // GROUP CHAT INTERFACE
+  // ============================================================================
+
+  if (selectedGroup && !isRandomChatActive) {
+    const members = selectedGroup.members || [];
+    const otherMembers = members.filter(member => member.username !== currentUser);
+    
+    // members other than us whose read marker passed the message
+    const seenByCount = (msg) => otherMembers.filter(member =>
+      Number.isInteger(msg.id) && member.last_read_message_id >= msg.id
+    ).length;
+    
+    return (
+      <div className="flex-1 flex flex-col bg-gray-900">
+        {/* group header - name, members and settings */}
+        <div className="h-[85px] p-4 border-b border-gray-700 bg-gray-800 shadow-sm">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center min-w-0">
+              <div className="w-10 h-10 rounded-full bg-purple-700 flex items-center justify-center mr-3 flex-shrink-0">
+                <FaUsers size={18} className="text-white" />
+              </div>
+              <div className="min-w-0">
+                <h2 className="text-lg font-semibold text-white truncate">{selectedGroup.name}</h2>
+                <p className="text-gray-400 text-sm truncate">
+                  {members.length > 0
+                    ? members.map(member => member.username === currentUser ? 'You' : member.username).join(', ')
+                    : `${selectedGroup.member_count || 0} members`}
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={() => setShowGroupMembers(true)}
+              className="flex items-center px-3 py-2 bg-gray-700 hover:bg-gray-600 text-gray-200 text-sm rounded-lg transition-colors flex-shrink-0 ml-3"
+              title="Group members"
+            >
+              <FaUsers size={12} className="mr-1" />
+              Members
+            </button>
+          </div>
+        </div>
+
+        <GroupMembersModal
+          isOpen={showGroupMembers}
+          onClose={() => setShowGroupMembers(false)}
+          group={selectedGroup}
+          currentUser={currentUser}
+          friends={friendAccounts}
+          userStatuses={userStatuses}
+          onRenameGroup={onRenameGroup}
+          onAddMembers={onAddGroupMembers}
+          onRemoveMember={onRemoveGroupMember}
+          onSetMemberRole={onSetGroupMemberRole}
+          onLeaveGroup={onLeaveGroup}
+        />
+
+        {/* group messages */}
+        <div
+          ref={friendMessagesRef}
+          onScroll={handleFriendMessagesScroll}
+          className="flex-1 overflow-y-auto p-4 space-y-4 scroll-smooth"
+        >
+          {isLoadingHistory && (
+            <div className="flex justify-center py-2">
+              <FaSpinner className="animate-spin text-gray-400" />
+            </div>
+          )}
+          
+          {groupMessages.length > 0 ? (
+            <>
+              {groupMessages.map((msg, index) => msg.isSystem ? (
+                // membership notices
+                <div key={msg.id || index} className="flex justify-center">
+                  <span className="px-3 py-1 text-xs text-gray-400 bg-gray-800 rounded-full">{msg.message}</span>
+                </div>
+              ) : (
+                <div
+                  key={msg.id || msg.clientMessageId || index}
+                  className={`flex ${msg.sender === currentUser ? 'justify-end' : 'justify-start'} animate-fadeIn`}
+                >
+                  <div className={`flex items-start max-w-xs lg:max-w-md xl:max-w-lg ${msg.sender === currentUser ? 'flex-row-reverse' : 'flex-row'}`}>
+                    <ProfilePicture 
+                      username={msg.sender} 
+                      size="md" 
+                      status={userStatuses[msg.sender] || 'offline'}
+                      showStatus={false}
+                      className={`${msg.sender === currentUser ? 'ml-2' : 'mr-2'} flex-shrink-0 mt-1`}
+                    />
+                    <div className="flex-1">
+                      {msg.sender !== currentUser && (
+                        <p className="text-xs text-purple-300 mb-1">{msg.sender}</p>
+                      )}
+                      <div
+                        className={`px-4 py-2 rounded-lg shadow-sm transition-all duration-200 ${
+                          msg.sender === currentUser
+                            ? 'bg-purple-600 text-white hover:bg-purple-700'
+                            : 'bg-gray-700 text-white hover:bg-gray-600'
+                        }`}
+                      >
+                        <p className="text-sm leading-relaxed break-words">{formatMessage(msg.message)}</p>
+                      </div>
+                      <div className={`text-xs text-gray-500 mt-1 flex items-center gap-2 ${
+                        msg.sender === currentUser ? 'justify-end' : 'justify-start'
+                      }`}>
+                        <span>{formatTime(msg.timestamp)}</span>
+                        {/* per-member read state for our own messages */}
+                        {msg.sender === currentUser && (
+                          <span className={msg.isFailed ? 'text-red-400' : seenByCount(msg) > 0 ? 'text-blue-400' : 'text-gray-400'}>
+                            {msg.isFailed
+                              ? 'Not sent'
+                              : msg.isPending
+                              ? '…'
+                              : seenByCount(msg) === 0
+                              ? '✓'
+                              : seenByCount(msg) === otherMembers.length
+                              ? 'Seen by everyone'
+                              : `Seen by ${seenByCount(msg)}`}
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              ))}
+              
+              <div ref={messagesEndRef} />
+            </>
+          ) : (
+            <div className="flex items-center justify-center h-full animate-fadeIn">
+              <div className="text-center">
+                <div className="w-16 h-16 bg-gray-800 rounded-full flex items-center justify-center mx-auto mb-4 shadow-lg">
+                  <FaUsers size={24} className="text-gray-600" />
+                </div>
+                <h3 className="text-lg font-medium text-gray-300 mb-2">No messages yet</h3>
+                <p className="text-gray-500 text-sm">
+                  Say hello to {selectedGroup.name}!
+                </p>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* typing indicator */}
+        {groupTypingUsers.length > 0 && (
+          <div className="px-4 py-2 bg-gray-800 border-t border-gray-700">
+            <div className="flex items-center space-x-2">
+              <div className="flex space-x-1">
+                <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"></div>
+                <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.1s' }}></div>
+                <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.2s' }}></div>
+              </div>
+              <span className="text-sm text-gray-400">
+                {groupTypingUsers.length === 1
+                  ? `${groupTypingUsers[0]} is typing...`
+                  : `${groupTypingUsers.length} people are typing...`}
+              </span>
+            </div>
+          </div>
+        )}
+
+        {renderMessageInput(`Message ${selectedGroup.name}...`)}
+
+        <GiphyModal
+          isOpen={showGiphyModal}
+          onClose={() => setShowGiphyModal(false)}
+          onGifSelect={(gifUrl) => onSendMessage(gifUrl)}
+        />
+      </div>
+    );
+  }
+
+  // ============================================================================
+  // GROUP RANDOM CHAT INTERFACE
+  // ============================================================================
+
+  if (groupMatch && !isRandomChatActive) {
+    const sharedInterests = groupMatch.interests.filter(interest => interest.toLowerCase() !== 'fallback');
+    
+    return (
+      <div className="flex-1 flex flex-col bg-gray-900">
+        {/* group header - shared interests and controls */}
+        <div className="h-[85px] p-4 border-b border-gray-700 bg-gray-800 shadow-sm">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center min-w-0">
+              <div className="w-10 h-10 rounded-full bg-gray-700 flex items-center justify-center mr-3 flex-shrink-0">
+                <FaUsers size={18} className="text-purple-300" />
+              </div>
+              <div className="min-w-0">
+                <h2 className="text-lg font-semibold text-white truncate">Group Random Chat</h2>
+                <p className="text-gray-400 text-sm truncate">
+                  {sharedInterests.length > 0 ? sharedInterests.join(', ') : 'General pool'} · {groupMatch.members.length} people
+                </p>
+              </div>
+            </div>
+            <div className="flex items-center space-x-2 flex-shrink-0 ml-3">
+              <button
+                onClick={onLeaveGroupMatch}
+                className="flex items-center px-3 py-2 bg-red-600 hover:bg-red-700 text-white text-sm rounded-lg transition-colors"
+                title="Leave the group"
+              >
+                <FaSignOutAlt size={12} className="mr-1" />
+                Leave
+              </button>
+              <button
+                onClick={onSkipGroupMatch}
+                className="flex items-center px-3 py-2 bg-gray-600 hover:bg-gray-700 text-white text-sm rounded-lg transition-colors"
+                title="Skip to another group"
+              >
+                <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 5l7 7-7 7M5 5l7 7-7 7" />
+                </svg>
+                Skip
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <div className="flex-1 flex min-h-0">
+          {/* group messages (not stored, like one-to-one random chat) */}
+          <div className="flex-1 overflow-y-auto p-4 space-y-4 scroll-smooth">
+            {groupMatchMessages.map((msg, index) => msg.isSystem ? (
+              <div key={index} className="flex justify-center my-4">
+                <div className="max-w-md">
+                  <div className="bg-gradient-to-r from-blue-500/10 to-purple-500/10 border border-blue-500/20 rounded-lg px-4 py-2">
+                    <p className="text-center text-sm leading-relaxed text-blue-300">{msg.message}</p>
+                  </div>
+                  <div className="text-center text-xs text-gray-500 mt-1">
+                    {formatTime(msg.timestamp)}
+                  </div>
+                </div>
+              </div>
+            ) : (
+              <div
+                key={msg.id || msg.clientMessageId || index}
+                className={`flex ${msg.sender === currentUser ? 'justify-end' : 'justify-start'} animate-fadeIn`}
+              >
+                <div className={`flex items-start max-w-xs lg:max-w-md xl:max-w-lg ${msg.sender === currentUser ? 'flex-row-reverse' : 'flex-row'}`}>
+                  <ProfilePicture 
+                    username={msg.sender} 
+                    size="md" 
+                    showStatus={false}
+                    className={`${msg.sender === currentUser ? 'ml-2' : 'mr-2'} flex-shrink-0 mt-1`}
+                  />
+                  <div className="flex-1">
+                    {msg.sender !== currentUser && (
+                      <p className="text-xs text-purple-300 mb-1">{msg.sender}</p>
+                    )}
+                    <div
+                      className={`px-4 py-2 rounded-lg shadow-sm transition-all duration-200 ${
+                        msg.sender === currentUser
+                          ? 'bg-purple-600 text-white hover:bg-purple-700'
+                          : 'bg-gray-700 text-white hover:bg-gray-600'
+                      } ${msg.isFailed ? 'opacity-60' : ''}`}
+                    >
+                      <p className="text-sm leading-relaxed break-words">{formatMessage(msg.message)}</p>
+                    </div>
+                    <div className={`text-xs text-gray-500 mt-1 flex items-center gap-2 ${
+                      msg.sender === currentUser ? 'justify-end' : 'justify-start'
+                    }`}>
+                      <span>{formatTime(msg.timestamp)}</span>
+                      {msg.isPending && <span className="text-gray-400">…</span>}
+                      {msg.isFailed && <span className="text-red-400">Not sent</span>}
+                    </div>
+                  </div>
+                </div>
+              </div>
+            ))}
+            
+            <div ref={messagesEndRef} />
+          </div>
+
+          {/* who is still in the group */}
+          <div className="w-56 border-l border-gray-700 bg-gray-800 overflow-y-auto">
+            <p className="px-4 py-3 text-gray-400 text-xs uppercase tracking-wide border-b border-gray-700">
+              In the group ({groupMatch.members.length})
+            </p>
+            {groupMatch.members.map(member => (
+              <div key={member} className="flex items-center px-4 py-2">
+                <ProfilePicture username={member} size="sm" showStatus={false} className="mr-2" />
+                <span className="text-white text-sm truncate">
+                  {member}
+                  {member === currentUser && <span className="text-gray-400"> (you)</span>}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {groupMatchError && (
+          <div className="px-4 py-2 bg-gray-800 border-t border-gray-700 flex items-center justify-between">
+            <span className="text-sm text-yellow-400 flex items-center">
+              <FaExclamationTriangle size={12} className="mr-2" />
+              {groupMatchError}
+            </span>
+            <button
+              onClick={onClearGroupMatchError}
+              className="text-gray-400 hover:text-white transition-colors"
+            >
+              <FaTimes size={12} />
+            </button>
+          </div>
+        )}
+
+        {renderMessageInput('Message the group...')}
+
+        <GiphyModal
+          isOpen={showGiphyModal}
+          onClose={() => setShowGiphyModal(false)}
+          onGifSelect={(gifUrl) => onSendMessage(gifUrl)}
+        />
+      </div>
+    );
+  }
+
   // ============================================================================
   // RANDOM CHAT MATCHMAKING INTERFACE
   // ============================================================================
 
   // random chat interface
   if (!selectedUser && !isRandomChatActive) {
+    const isWaiting = isWaitingForMatch || isWaitingForGroup;
+    
     return (
       <div className="flex-1 flex flex-col bg-gray-900">
         {/* navigation panel */}
@@ -847,7 +1637,7 @@ const ChatPanel = ({
             <div className="mb-6">
               <label className="block text-sm font-medium text-gray-300 mb-3">
                 Interests (max 3):
-                {isWaitingForMatch && (
+                {isWaiting && (
                   <span className="ml-2 text-xs text-yellow-400">
                     (Locked during matchmaking - cancel to change)
                   </span>
@@ -863,13 +1653,13 @@ const ChatPanel = ({
                     <span
                       key={interest}
                       className={`inline-flex items-center px-3 py-1 text-sm rounded-full ${
-                        isWaitingForMatch 
+                        isWaiting 
                           ? 'bg-gray-600 text-gray-300' 
                           : 'bg-purple-600 text-white'
                       }`}
                     >
                       {interest}
-                      {!isWaitingForMatch && (
+                      {!isWaiting && (
                         <button
                           onClick={() => handleInterestToggle(interest)}
                           className="ml-2 hover:text-gray-300"
@@ -887,23 +1677,23 @@ const ChatPanel = ({
                 <div className="relative">
                   <input
                     type="text"
-                    placeholder={isWaitingForMatch ? "Cancel matchmaking to change interests" : "Search interests..."}
+                    placeholder={isWaiting ? "Cancel matchmaking to change interests" : "Search interests..."}
                     value={interestSearchTerm}
                     onChange={(e) => setInterestSearchTerm(e.target.value)}
-                    onFocus={() => !isWaitingForMatch && setShowInterestDropdown(true)}
-                    disabled={isWaitingForMatch}
+                    onFocus={() => !isWaiting && setShowInterestDropdown(true)}
+                    disabled={isWaiting}
                     className={`w-full px-4 py-3 border rounded-lg text-white placeholder-gray-400 focus:outline-none transition-all ${
-                      isWaitingForMatch
+                      isWaiting
                         ? 'bg-gray-700 border-gray-600 cursor-not-allowed text-gray-400'
                         : 'bg-gray-800 border-gray-600 focus:ring-2 focus:ring-purple-500 focus:border-transparent'
                     }`}
                   />
                   <FaSearch className={`absolute right-3 top-1/2 transform -translate-y-1/2 ${
-                    isWaitingForMatch ? 'text-gray-500' : 'text-gray-400'
+                    isWaiting ? 'text-gray-500' : 'text-gray-400'
                   }`} size={16} />
                 </div>
 
-                {showInterestDropdown && !isWaitingForMatch && (
+                {showInterestDropdown && !isWaiting && (
                   <div className="absolute z-10 w-full mt-1 bg-gray-800 border border-gray-600 rounded-lg shadow-lg max-h-60 overflow-y-auto">
                     {isLoadingInterests ? (
                       <div className="px-4 py-3 text-gray-400 flex items-center">
@@ -941,16 +1731,32 @@ const ChatPanel = ({
               </div>
             </div>
 
+            {/* one stranger or a small group */}
+            <div className="flex mb-4 bg-gray-800 rounded-lg p-1">
+              {[['pair', '1-on-1'], ['group', 'Group (3-6 people)']].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  onClick={() => setMatchMode(mode)}
+                  disabled={isWaiting}
+                  className={`flex-1 py-2 text-sm rounded-md transition-colors disabled:cursor-not-allowed ${
+                    matchMode === mode ? 'bg-purple-600 text-white' : 'text-gray-400 hover:text-white'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
             {/* start chat button */}
             <button
               onClick={handleStartChat}
-              disabled={isMatching || isWaitingForMatch}
+              disabled={isMatching || isWaiting}
               className="w-full bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white py-3 px-6 rounded-lg font-medium transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 focus:ring-offset-gray-900"
             >
-              {(isMatching || isWaitingForMatch) ? (
+              {(isMatching || isWaiting) ? (
                 <div className="flex items-center justify-center">
                   <FaSpinner className="animate-spin mr-2" size={16} />
-                  {isWaitingForMatch ? 'Waiting for match...' : 'Finding a match...'}
+                  {isWaitingForGroup ? 'Waiting for a group...' : isWaiting ? 'Waiting for match...' : 'Finding a match...'}
                 </div>
               ) : (
                 'Start Chat'
@@ -958,7 +1764,7 @@ const ChatPanel = ({
             </button>
 
             {/* cancel button (only show when waiting) */}
-            {isWaitingForMatch && (
+            {isWaiting && (
               <button
                 onClick={handleCancelMatch}
                 className="w-full mt-3 bg-gray-600 hover:bg-gray-700 text-white py-3 px-6 rounded-lg font-medium transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2 focus:ring-offset-gray-900"
@@ -967,6 +1773,40 @@ const ChatPanel = ({
               </button>
             )}
 
+            {/* where the user stands in the 1-on-1 queue */}
+            {isWaitingForMatch && queueStatus && (
+              <div className="mt-4 p-3 bg-gray-800 rounded-lg text-sm text-gray-300">
+                <p>
+                  {queueStatus.estimatedWaitSeconds !== null
+                    ? `About ${formatWait(queueStatus.estimatedWaitSeconds)} to go`
+                    : 'Not enough recent matches to estimate your wait'}
+                  <span className="text-gray-500"> · waiting {formatWait(queueStatus.waitedSeconds)}</span>
+                </p>
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {queueStatus.queues.map(queue => (
+                    <span key={queue.interest} className="px-2 py-1 bg-gray-700 rounded text-xs">
+                      {queue.interest === 'fallback' ? 'Anyone' : queue.interest}: #{queue.position} of {queue.waiting}
+                    </span>
+                  ))}
+                </div>
+                {queueStatus.suggestBroaden && onBroadenInterests && (
+                  <div className="mt-3 pt-3 border-t border-gray-700">
+                    <p className="text-yellow-400 mb-2">Still looking. Drop your interests to match with anyone?</p>
+                    <button
+                      onClick={onBroadenInterests}
+                      className="w-full bg-purple-600 hover:bg-purple-700 text-white py-2 px-4 rounded-lg transition-colors"
+                    >
+                      Match with anyone
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {groupMatchError && (
+              <p className="text-center text-yellow-400 text-sm mt-3">{groupMatchError}</p>
+            )}
+
             {selectedInterests.length === 0 && (
               <p className="text-center text-gray-500 text-sm mt-3">
                 No interests selected? You'll be matched randomly!
@@ -986,6 +1826,13 @@ const ChatPanel = ({
   if (isRandomChatActive && matchedRandomUser) {
     return (
       <div className="flex-1 flex flex-col bg-gray-900">
+        <SafetyNumberModal
+          isOpen={showSafetyNumber}
+          onClose={() => setShowSafetyNumber(false)}
+          partnerUsername={matchedRandomUser}
+          loadSafetyNumber={onLoadSafetyNumber}
+        />
+
         {/* ============================================================================ */}
         {/* RANDOM CHAT HEADER - PROFILE PICTURE & CONTROLS */}
         {/* ============================================================================ */}
@@ -1031,6 +1878,16 @@ const ChatPanel = ({
               </div>
             </div>
             <div className="flex items-center space-x-2">
+              {isE2EEReady && (
+                <button
+                  onClick={() => setShowSafetyNumber(true)}
+                  className="flex items-center px-3 py-2 bg-gray-700 hover:bg-gray-600 text-green-400 text-sm rounded-lg transition-colors"
+                  title="Verify safety number"
+                >
+                  <FaShieldAlt size={12} className="mr-1" />
+                  Verify
+                </button>
+              )}
               <button
                 onClick={() => onEndRandomChat?.()}
                 className="flex items-center px-3 py-2 bg-red-600 hover:bg-red-700 text-white text-sm rounded-lg transition-colors"
@@ -1218,7 +2075,7 @@ const ChatPanel = ({
                       />
                       
                       {/* message content */}
-                      <div className="flex-1">
+                      <div className="flex-1 group">
                         <div
                           className={`px-4 py-2 rounded-lg ${
                             msg.sender === currentUser
@@ -1228,6 +2085,7 @@ const ChatPanel = ({
                         >
                           <p className="text-sm leading-relaxed">{formatMessage(msg.message)}</p>
                         </div>
+                        {renderReactions(msg)}
                         {/* timestamp and read status below message bubble */}
                         <div className={`text-xs text-gray-500 mt-1 flex items-center gap-2 ${
                           msg.sender === currentUser ? 'justify-end' : 'justify-start'
@@ -1235,8 +2093,8 @@ const ChatPanel = ({
                           <span>{formatTime(msg.timestamp)}</span>
                           {/* read status for sent messages (both friend and random chat) */}
                           {msg.sender === currentUser && (
-                            <span className="text-gray-400">
-                              {msg.isRead ? '✓✓' : '✓'}
+                            <span className={msg.isFailed ? 'text-red-400' : msg.isRead ? 'text-blue-400' : 'text-gray-400'}>
+                              {msg.isFailed ? 'Not sent' : msg.isPending ? '…' : (msg.isRead || msg.isDelivered) ? '✓✓' : '✓'}
                             </span>
                           )}
                         </div>
@@ -1397,16 +2255,73 @@ const ChatPanel = ({
             />
             <div className="flex-1">
               <h2 className="text-lg font-semibold text-white">{selectedUser}</h2>
-              <div className="flex items-center">
+              <div className="flex items-center space-x-2">
                 <span className="text-gray-400 text-sm capitalize">
                   {userStatuses[selectedUser] || 'offline'}
                 </span>
+                {friendVerification?.verified && (
+                  <div className="flex items-center space-x-1 px-2 py-1 bg-green-600/20 border border-green-600/50 rounded-full">
+                    <FaShieldAlt className="w-2 h-2 text-green-400" />
+                    <span className="text-green-400 text-xs font-medium">Verified</span>
+                  </div>
+                )}
               </div>
             </div>
           </div>
+          <button
+            onClick={() => setShowSafetyNumber(true)}
+            className="flex items-center px-3 py-2 bg-gray-700 hover:bg-gray-600 text-green-400 text-sm rounded-lg transition-colors"
+            title="Verify safety number"
+          >
+            <FaShieldAlt size={12} className="mr-1" />
+            Verify
+          </button>
         </div>
       </div>
 
+      {/* a verified friend's identity key changed: messages may be intercepted */}
+      {friendVerification?.changed && (
+        <div className="flex items-center justify-between px-4 py-3 bg-red-700 text-white">
+          <div className="flex items-center">
+            <FaExclamationTriangle className="mr-3 flex-shrink-0" />
+            <span className="text-sm font-medium">
+              {selectedUser}'s safety number has changed since you verified it. Verify it again before sharing anything sensitive.
+            </span>
+          </div>
+          <button
+            onClick={() => setShowSafetyNumber(true)}
+            className="ml-4 px-3 py-1 bg-white text-red-700 text-sm font-semibold rounded-lg hover:bg-red-100 transition-colors flex-shrink-0"
+          >
+            Verify
+          </button>
+        </div>
+      )}
+
+      {/* the friend used end to end encryption before and has no keys now: sends fail instead of going out in plaintext */}
+      {friendVerification?.encryptionUnavailable ? (
+        <div className="flex items-center px-4 py-3 bg-red-700 text-white">
+          <FaExclamationTriangle className="mr-3 flex-shrink-0" />
+          <span className="text-sm font-medium">
+            {selectedUser} no longer has end-to-end encryption set up. Messages are not sent until they sign in again.
+          </span>
+        </div>
+      ) : friendVerification?.unencrypted && (
+        <div className="flex items-center px-4 py-2 bg-yellow-700/80 text-white">
+          <FaExclamationTriangle className="mr-3 flex-shrink-0" />
+          <span className="text-sm">
+            This chat is not end-to-end encrypted. {selectedUser} has not used an app that supports it yet.
+          </span>
+        </div>
+      )}
+
+      <SafetyNumberModal
+        isOpen={showSafetyNumber}
+        onClose={() => setShowSafetyNumber(false)}
+        partnerUsername={selectedUser}
+        loadSafetyNumber={onLoadSafetyNumber}
+        onSetVerified={onSetVerified}
+      />
+
       {/* ============================================================================ */}
       {/* FRIEND CHAT MESSAGES AREA */}
       {/* ============================================================================ */}
@@ -1416,7 +2331,18 @@ const ChatPanel = ({
      
      
      
-     <div className="flex-1 overflow-y-auto p-4 space-y-4 scroll-smooth">
+     <div
+        ref={friendMessagesRef}
+        onScroll={isRandomChatActive ? undefined : handleFriendMessagesScroll}
+        className="flex-1 overflow-y-auto p-4 space-y-4 scroll-smooth"
+      >
+        {/* older history is loading above the current messages */}
+        {!isRandomChatActive && isLoadingHistory && (
+          <div className="flex justify-center py-2">
+            <FaSpinner className="animate-spin text-gray-400" />
+          </div>
+        )}
+        
         {/* handle different message formats */}
         {(() => {
           let messagesToRender = [];
@@ -1435,7 +2361,7 @@ const ChatPanel = ({
                 
                 return (
                 <div
-                  key={index}
+                  key={isRandomChatActive ? index : (msg.id || index)} // stable keys so prepended history does not re-mount
                   className={`flex ${msg.sender === currentUser ? 'justify-end' : 'justify-start'} animate-fadeIn`}
                   style={{ animationDelay: `${index * 50}ms` }}
                 >
@@ -1450,25 +2376,80 @@ const ChatPanel = ({
                     />
                     
                     {/* message content */}
-                    <div className="flex-1">
-                      <div
-                        className={`px-4 py-2 rounded-lg shadow-sm transition-all duration-200 ${
-                          msg.sender === currentUser
-                            ? 'bg-purple-600 text-white hover:bg-purple-700'
-                            : 'bg-gray-700 text-white hover:bg-gray-600'
-                        }`}
-                      >
-                        <p className="text-sm leading-relaxed break-words">{formatMessage(msg.message)}</p>
-                      </div>
+                    <div className="flex-1 group">
+                      {msg.isDeleted ? (
+                        <div className="px-4 py-2 rounded-lg border border-gray-700 bg-gray-800">
+                          <p className="text-sm italic text-gray-400">This message was deleted</p>
+                        </div>
+                      ) : editingMessageId === msg.id ? (
+                        <div className="px-3 py-2 rounded-lg bg-gray-800 border border-purple-500">
+                          <textarea
+                            value={editText}
+                            onChange={(e) => setEditText(e.target.value)}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter' && !e.shiftKey) {
+                                e.preventDefault();
+                                saveEdit(msg);
+                              } else if (e.key === 'Escape') {
+                                cancelEditing();
+                              }
+                            }}
+                            rows={2}
+                            autoFocus
+                            className="w-full bg-transparent text-sm text-white resize-none focus:outline-none"
+                          />
+                          <div className="flex justify-end gap-2 mt-1">
+                            <button
+                              onClick={cancelEditing}
+                              className="px-2 py-1 text-xs text-gray-300 hover:text-white transition-colors"
+                            >
+                              Cancel
+                            </button>
+                            <button
+                              onClick={() => saveEdit(msg)}
+                              className="px-2 py-1 text-xs bg-purple-600 hover:bg-purple-700 text-white rounded transition-colors"
+                            >
+                              Save
+                            </button>
+                          </div>
+                        </div>
+                      ) : (
+                        <div
+                          className={`px-4 py-2 rounded-lg shadow-sm transition-all duration-200 ${
+                            msg.sender === currentUser
+                              ? 'bg-purple-600 text-white hover:bg-purple-700'
+                              : 'bg-gray-700 text-white hover:bg-gray-600'
+                          }`}
+                        >
+                          <p className="text-sm leading-relaxed break-words">{formatMessage(msg.message)}</p>
+                        </div>
+                      )}
+                      {editingMessageId !== msg.id && renderReactions(msg)}
                       {/* timestamp and read status below message bubble */}
                       <div className={`text-xs text-gray-500 mt-1 flex items-center gap-2 ${
                         msg.sender === currentUser ? 'justify-end' : 'justify-start'
                       }`}>
+                        {/* edit/delete actions for our own recent friend messages */}
+                        {editingMessageId !== msg.id && (canChangeMessage(msg, EDIT_WINDOW_MS) || canChangeMessage(msg, DELETE_WINDOW_MS)) && (
+                          <span className="flex items-center gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                            {canChangeMessage(msg, EDIT_WINDOW_MS) && (
+                              <button onClick={() => startEditing(msg)} className="hover:text-white" title="Edit message">
+                                <FaPen size={10} />
+                              </button>
+                            )}
+                            {canChangeMessage(msg, DELETE_WINDOW_MS) && (
+                              <button onClick={() => confirmDelete(msg)} className="hover:text-red-400" title="Delete message">
+                                <FaTrash size={10} />
+                              </button>
+                            )}
+                          </span>
+                        )}
                         <span>{formatTime(msg.timestamp)}</span>
+                        {msg.isEdited && !msg.isDeleted && <span className="italic">edited</span>}
                         {/* read status for sent messages (both friend and random chat) */}
                         {msg.sender === currentUser && (
-                          <span className="text-gray-400">
-                            {msg.isRead ? '✓✓' : '✓'}
+                          <span className={msg.isFailed ? 'text-red-400' : msg.isRead ? 'text-blue-400' : 'text-gray-400'}>
+                            {msg.isFailed ? 'Not sent' : msg.isPending ? '…' : (msg.isRead || msg.isDelivered) ? '✓✓' : '✓'}
                           </span>
                         )}
                       </div>
@@ -1526,68 +2507,7 @@ const ChatPanel = ({
       
       
       
-      <div className="h-[76.9px] p-4 border-t border-gray-700 bg-gray-800 shadow-lg ">
-        <form onSubmit={handleSubmit} className="flex items-center space-x-3">
-          <div className="flex-1 relative">
-            <textarea
-              ref={messageInputRef}
-              value={message}
-              onChange={handleInputChange}
-              placeholder={`Message ${selectedUser}...`}
-              className="w-full px-4 py-2 pr-16 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent resize-none shadow-sm"
-              rows="1"
-              maxLength={2000}
-              onKeyDown={(e) => {
-                if (e.key === 'Enter' && !e.shiftKey) {
-                  e.preventDefault();
-                  handleSubmit(e);
-                }
-              }}
-            />
-            <div className="absolute right-3 top-1/2 transform -translate-y-1/2 flex items-center space-x-2">
-              {message.length > 0 && (
-                <span className={`text-xs mr-2 ${
-                  message.length > 1800 ? 'text-red-400' : 'text-gray-400'
-                }`}>
-                  {message.length}/2000
-                </span>
-              )}
-              <button
-                type="button"
-                onClick={() => setShowGiphyModal(true)}
-                className="opacity-70 hover:opacity-100 transition-opacity"
-                title="Add GIF"
-              >
-                <img src={gifIcon} alt="GIF" className="w-4 h-4" />
-              </button>
-              <button
-                type="button"
-                data-emoji-button
-                onClick={() => setShowEmojiPicker(!showEmojiPicker)}
-                className="text-gray-400 hover:text-yellow-400 transition-colors"
-                title="Add Emoji"
-              >
-                <FaSmile size={16} />
-              </button>
-            </div>
-            
-            {/* emoji picker */}
-            <EmojiPicker
-              isOpen={showEmojiPicker}
-              onClose={() => setShowEmojiPicker(false)}
-              onEmojiSelect={handleEmojiSelect}
-              inputRef={messageInputRef}
-            />
-          </div>
-          <button
-            type="submit"
-            disabled={!message.trim()}
-            className="bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white p-2.5 rounded-lg transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 focus:ring-offset-gray-800 shadow-sm flex-shrink-0"
-          >
-            <FaPaperPlane size={16} />
-          </button>
-        </form>
-      </div>
+      {renderMessageInput(`Message ${selectedUser}...`)}
 
       {/* ============================================================================ */}
       {/* MODALS */}
@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import { FaTimes, FaUsers, FaCheck } from 'react-icons/fa';
+import ProfilePicture from './ProfilePicture';
+
+// ============================================================================
+// CREATE GROUP MODAL
+// ============================================================================
+
+// name a new group and pick the friends to start it with (friends are { id, username })
+const CreateGroupModal = ({
+  isOpen,
+  onClose,
+  friends = [],
+  onCreateGroup
+}) => {
+  const [name, setName] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // start from a blank form every time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setName('');
+      setSelectedIds([]);
+      setError('');
+    }
+  }, [isOpen]);
+
+  // ============================================================================
+  // EVENT HANDLERS
+  // ============================================================================
+
+  const toggleFriend = (friendId) => {
+    setSelectedIds(prev => prev.includes(friendId)
+      ? prev.filter(id => id !== friendId)
+      : [...prev, friendId]);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || selectedIds.length === 0) return;
+
+    setIsSaving(true);
+    setError('');
+    const result = await onCreateGroup(name.trim(), selectedIds);
+    setIsSaving(false);
+
+    if (result?.ok) {
+      onClose();
+    } else {
+      setError(result?.error || 'Failed to create group');
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-800 rounded-lg shadow-2xl max-w-md w-full">
+        {/* header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-700">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <FaUsers className="mr-2 text-purple-400" />
+            New group
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <FaTimes size={18} />
+          </button>
+        </div>
+
+        {/* content */}
+        <form onSubmit={handleSubmit} className="p-4 space-y-4">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Group name"
+            maxLength={100}
+            autoFocus
+            className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+
+          <div>
+            <p className="text-gray-400 text-sm mb-2">
+              Add friends {selectedIds.length > 0 && `(${selectedIds.length} selected)`}
+            </p>
+            {friends.length === 0 ? (
+              <p className="text-gray-500 text-sm text-center py-4">Groups are made with friends, add some first.</p>
+            ) : (
+              <div className="max-h-64 overflow-y-auto border border-gray-700 rounded-lg">
+                {friends.map(friend => (
+                  <button
+                    key={friend.id}
+                    type="button"
+                    onClick={() => toggleFriend(friend.id)}
+                    className="w-full flex items-center px-3 py-2 hover:bg-gray-700 transition-colors"
+                  >
+                    <ProfilePicture username={friend.username} size="sm" showStatus={false} className="mr-3" />
+                    <span className="flex-1 text-left text-white truncate">{friend.username}</span>
+                    {selectedIds.includes(friend.id) && <FaCheck className="text-purple-400" />}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {error && <p className="text-red-400 text-sm">{error}</p>}
+
+          <button
+            type="submit"
+            disabled={isSaving || !name.trim() || selectedIds.length === 0}
+            className="w-full px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg transition-colors"
+          >
+            {isSaving ? 'Creating...' : 'Create group'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CreateGroupModal;
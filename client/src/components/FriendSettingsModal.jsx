@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { FaTimes, FaTrash } from 'react-icons/fa';
+import { FaTimes, FaTrash, FaBan } from 'react-icons/fa';
 import ProfilePicture from './ProfilePicture';
 
 const FriendSettingsModal = ({ 
@@ -14,6 +14,8 @@ const FriendSettingsModal = ({
   const [isLoading, setIsLoading] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [showBlockConfirm, setShowBlockConfirm] = useState(false);
+  const [isBlocking, setIsBlocking] = useState(false);
 
   // ============================================================================
   // API FUNCTIONS
@@ -98,6 +100,35 @@ const FriendSettingsModal = ({
     }
   };
 
+  // handle blocking the friend (also removes the friendship)
+  const handleBlockFriend = async () => {
+    if (!friendData) return;
+    
+    setIsBlocking(true);
+    try {
+      const response = await fetch('https://localhost:5000/api/blocks', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ blocked_id: friendData.id })
+      });
+
+      if (response.ok) {
+        onDeleteFriend?.(friendUsername);
+        onClose();
+      } else {
+        alert('Failed to block user. Please try again.');
+      }
+    } catch (error) {
+      alert('An error occurred while blocking user. Please try again.');
+    } finally {
+      setIsBlocking(false);
+      setShowBlockConfirm(false);
+    }
+  };
+
   // ============================================================================
   // UTILITY FUNCTIONS
   // ============================================================================
@@ -231,14 +262,44 @@ const FriendSettingsModal = ({
         {/* footer */}
         {friendData && (
           <div className="p-4 border-t border-gray-700">
-            {!showDeleteConfirm ? (
-              <button
-                onClick={() => setShowDeleteConfirm(true)}
-                className="w-full bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded-lg transition-colors flex items-center justify-center"
-              >
-                <FaTrash className="mr-2" size={14} />
-                Delete Friend
-              </button>
+            {showBlockConfirm ? (
+              <div className="space-y-3">
+                <p className="text-gray-300 text-sm text-center">
+                  Block {friendUsername}? They will be removed from your friends and can't message, find or be matched with you.
+                </p>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={handleBlockFriend}
+                    disabled={isBlocking}
+                    className="flex-1 bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white py-2 px-4 rounded-lg transition-colors"
+                  >
+                    {isBlocking ? 'Blocking...' : 'Block'}
+                  </button>
+                  <button
+                    onClick={() => setShowBlockConfirm(false)}
+                    className="flex-1 bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded-lg transition-colors"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ) : !showDeleteConfirm ? (
+              <div className="space-y-2">
+                <button
+                  onClick={() => setShowDeleteConfirm(true)}
+                  className="w-full bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded-lg transition-colors flex items-center justify-center"
+                >
+                  <FaTrash className="mr-2" size={14} />
+                  Delete Friend
+                </button>
+                <button
+                  onClick={() => setShowBlockConfirm(true)}
+                  className="w-full bg-gray-700 hover:bg-gray-600 text-red-400 py-2 px-4 rounded-lg transition-colors flex items-center justify-center"
+                >
+                  <FaBan className="mr-2" size={14} />
+                  Block User
+                </button>
+              </div>
             ) : (
               <div className="space-y-3">
                 <p className="text-gray-300 text-sm text-center">
@@ -1,7 +1,9 @@
 import React, { useState } from 'react';
-import { FaUserFriends, FaUserPlus, FaCircle, FaCheck, FaTimes, FaUser, FaCog } from 'react-icons/fa';
+import { FaUserFriends, FaUserPlus, FaCircle, FaCheck, FaTimes, FaUser, FaCog, FaUsers, FaPlus, FaHashtag, FaHourglassHalf } from 'react-icons/fa';
 import ProfilePicture from './ProfilePicture';
 import FriendSettingsModal from './FriendSettingsModal';
+import CreateGroupModal from './CreateGroupModal';
+import InterestRoomModal from './InterestRoomModal';
 
 const FriendsPanel = ({ 
   friends, 
@@ -15,10 +17,27 @@ const FriendsPanel = ({
   onFindFriend,
   userStatuses = {},
   onRefreshData,
-  getUnreadMessageCount
+  getUnreadMessageCount,
+  getSeenAt,
+  // group chats (friendAccounts are { id, username } for picking group members)
+  groups = [],
+  selectedGroupId = null,
+  onSelectGroup,
+  onCreateGroup,
+  friendAccounts = [],
+  // public interest rooms
+  rooms = [],
+  interests = [],
+  activeRoomId = null,
+  roomError = '',
+  onJoinRoom,
+  onCreateRoom,
+  onRefreshRooms
 }) => {
   const [activeTab, setActiveTab] = useState('friends');
   const [searchTerm, setSearchTerm] = useState('');
+  const [isCreateGroupOpen, setIsCreateGroupOpen] = useState(false);
+  const [isCreateRoomOpen, setIsCreateRoomOpen] = useState(false);
   const [friendSettingsModal, setFriendSettingsModal] = useState({
     isOpen: false,
     friendUsername: null
@@ -36,6 +55,35 @@ const FriendsPanel = ({
     request.sender.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
+  const filteredGroups = groups.filter(group =>
+    group.name.toLowerCase().includes(searchTerm.toLowerCase())
+  );
+
+  const filteredRooms = rooms.filter(room =>
+    room.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    room.interest_name.toLowerCase().includes(searchTerm.toLowerCase())
+  );
+
+  const unreadGroupCount = groups.reduce((total, group) => total + (group.unread_count || 0), 0);
+
+  // "seen" time for the friend list: relative within a day, the date after that
+  const formatSeenAt = (seenAt) => {
+    const minutes = Math.floor((Date.now() - seenAt.getTime()) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+    return seenAt.toLocaleDateString();
+  };
+
+  const tabCountText = () => {
+    switch (activeTab) {
+      case 'groups': return `${groups.length} groups`;
+      case 'rooms': return `${rooms.length} rooms`;
+      case 'requests': return `${friendRequests.length} requests`;
+      default: return `${friends.length} friends`;
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'online': return 'text-green-400';
@@ -84,7 +132,7 @@ const FriendsPanel = ({
           <div>
             <h2 className="text-xl font-bold text-white">Friends</h2>
             <p className="text-gray-400 text-sm mt-1">
-              {activeTab === 'friends' ? `${friends.length} friends` : `${friendRequests.length} requests`}
+              {tabCountText()}
             </p>
           </div>
           <div className="flex items-center space-x-2">
@@ -105,7 +153,7 @@ const FriendsPanel = ({
         <div className="relative">
           <input
             type="text"
-            placeholder={`Search ${activeTab === 'friends' ? 'friends' : 'requests'}...`}
+            placeholder={`Search ${activeTab}...`}
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
             className="w-full px-4 py-2 pl-10 bg-gray-800 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all"
@@ -122,7 +170,7 @@ const FriendsPanel = ({
       <div className="flex border-b border-gray-700">
         <button
           onClick={() => setActiveTab('friends')}
-          className={`flex-1 flex items-center justify-center px-4 py-3 text-sm font-medium transition-all ${
+          className={`flex-1 flex items-center justify-center px-2 py-3 text-sm font-medium transition-all ${
             activeTab === 'friends'
               ? 'text-purple-400 border-b-2 border-purple-400 bg-gray-800'
               : 'text-gray-400 hover:text-gray-300 hover:bg-gray-800'
@@ -131,9 +179,39 @@ const FriendsPanel = ({
           <FaUserFriends className="mr-2" />
           Friends
         </button>
+        <button
+          onClick={() => setActiveTab('groups')}
+          className={`flex-1 flex items-center justify-center px-2 py-3 text-sm font-medium transition-all ${
+            activeTab === 'groups'
+              ? 'text-purple-400 border-b-2 border-purple-400 bg-gray-800'
+              : 'text-gray-400 hover:text-gray-300 hover:bg-gray-800'
+          }`}
+        >
+          <FaUsers className="mr-2" />
+          Groups
+          {unreadGroupCount > 0 && (
+            <span className="ml-2 bg-purple-500 text-white text-xs rounded-full px-2 py-1">
+              {unreadGroupCount > 99 ? '99+' : unreadGroupCount}
+            </span>
+          )}
+        </button>
+        <button
+          onClick={() => {
+            setActiveTab('rooms');
+            onRefreshRooms();
+          }}
+          className={`flex-1 flex items-center justify-center px-2 py-3 text-sm font-medium transition-all ${
+            activeTab === 'rooms'
+              ? 'text-purple-400 border-b-2 border-purple-400 bg-gray-800'
+              : 'text-gray-400 hover:text-gray-300 hover:bg-gray-800'
+          }`}
+        >
+          <FaHashtag className="mr-2" />
+          Rooms
+        </button>
         <button
           onClick={() => setActiveTab('requests')}
-          className={`flex-1 flex items-center justify-center px-4 py-3 text-sm font-medium transition-all ${
+          className={`flex-1 flex items-center justify-center px-2 py-3 text-sm font-medium transition-all ${
             activeTab === 'requests'
               ? 'text-purple-400 border-b-2 border-purple-400 bg-gray-800'
               : 'text-gray-400 hover:text-gray-300 hover:bg-gray-800'
@@ -188,6 +266,11 @@ const FriendsPanel = ({
                           <p className="text-gray-400 text-sm capitalize">
                             {userStatuses[friend] || 'offline'}
                           </p>
+                          {getSeenAt && getSeenAt(friend) && (
+                            <p className="text-gray-500 text-xs truncate">
+                              Seen {formatSeenAt(getSeenAt(friend))}
+                            </p>
+                          )}
                         </div>
                         
                         {/* unread message counter - positioned separately for better alignment */}
@@ -217,6 +300,121 @@ const FriendsPanel = ({
               </div>
             )}
           </div>
+        ) : activeTab === 'groups' ? (
+          <div>
+            <div className="p-4 border-b border-gray-700">
+              <button
+                onClick={() => setIsCreateGroupOpen(true)}
+                className="w-full flex items-center justify-center px-3 py-2 bg-purple-600 hover:bg-purple-700 text-white text-sm rounded-lg transition-colors"
+              >
+                <FaPlus size={12} className="mr-2" />
+                New Group
+              </button>
+            </div>
+            {filteredGroups.length === 0 ? (
+              <div className="p-8 text-center">
+                <div className="text-gray-400 mb-4">
+                  <FaUsers size={48} className="mx-auto" />
+                </div>
+                <h3 className="text-lg font-medium text-gray-300 mb-2">No groups yet</h3>
+                <p className="text-gray-500 text-sm">
+                  {searchTerm ? 'No groups match your search' : 'Start a group chat with your friends!'}
+                </p>
+              </div>
+            ) : (
+              <div className="py-2">
+                {filteredGroups.map(group => (
+                  <div
+                    key={group.id}
+                    onClick={() => onSelectGroup(group.id)}
+                    className={`px-4 py-3 border-b border-gray-700 last:border-b-0 hover:bg-gray-800 transition-colors cursor-pointer ${
+                      selectedGroupId === group.id ? 'bg-gray-800 border-r-2 border-purple-500' : ''
+                    }`}
+                  >
+                    <div className="flex items-center">
+                      <div className="w-8 h-8 rounded-full bg-purple-700 flex items-center justify-center mr-3 flex-shrink-0">
+                        <FaUsers size={14} className="text-white" />
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <p className="text-white font-medium truncate">{group.name}</p>
+                        <p className="text-gray-400 text-sm">
+                          {group.member_count} members{group.role === 'admin' ? ' · admin' : ''}
+                        </p>
+                      </div>
+                      {group.unread_count > 0 && (
+                        <div className="flex items-center ml-2">
+                          <span className="bg-purple-500 text-white text-xs font-bold rounded-full min-w-[20px] h-5 flex items-center justify-center px-1.5 shadow-md">
+                            {group.unread_count > 99 ? '99+' : group.unread_count}
+                          </span>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ) : activeTab === 'rooms' ? (
+          <div>
+            <div className="p-4 border-b border-gray-700">
+              <button
+                onClick={() => setIsCreateRoomOpen(true)}
+                className="w-full flex items-center justify-center px-3 py-2 bg-purple-600 hover:bg-purple-700 text-white text-sm rounded-lg transition-colors"
+              >
+                <FaPlus size={12} className="mr-2" />
+                New Room
+              </button>
+              {roomError && !activeRoomId && (
+                <p className="text-red-400 text-sm mt-2">{roomError}</p>
+              )}
+            </div>
+            {filteredRooms.length === 0 ? (
+              <div className="p-8 text-center">
+                <div className="text-gray-400 mb-4">
+                  <FaHashtag size={48} className="mx-auto" />
+                </div>
+                <h3 className="text-lg font-medium text-gray-300 mb-2">No rooms open</h3>
+                <p className="text-gray-500 text-sm">
+                  {searchTerm ? 'No rooms match your search' : 'Open a room about something you like!'}
+                </p>
+              </div>
+            ) : (
+              <div className="py-2">
+                {filteredRooms.map(room => (
+                  <div
+                    key={room.id}
+                    onClick={() => onJoinRoom(room.id)}
+                    className={`px-4 py-3 border-b border-gray-700 last:border-b-0 hover:bg-gray-800 transition-colors cursor-pointer ${
+                      activeRoomId === room.id ? 'bg-gray-800 border-r-2 border-purple-500' : ''
+                    }`}
+                  >
+                    <div className="flex items-center">
+                      <div className="w-8 h-8 rounded-full bg-gray-700 flex items-center justify-center mr-3 flex-shrink-0">
+                        <FaHashtag size={14} className="text-purple-300" />
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <p className="text-white font-medium truncate">{room.name}</p>
+                        <p className="text-gray-400 text-sm truncate">
+                          {room.interest_name}{room.is_persistent ? '' : ' · temporary'}
+                        </p>
+                      </div>
+                      <div className="flex flex-col items-end ml-2 text-xs">
+                        <span className={room.occupancy >= room.max_occupancy ? 'text-red-400' : 'text-gray-400'}>
+                          {room.occupancy}/{room.max_occupancy}
+                        </span>
+                        {room.slow_mode_seconds > 0 && (
+                          <span className="text-yellow-400 flex items-center" title={`Slow mode: ${room.slow_mode_seconds}s`}>
+                            <FaHourglassHalf size={10} className="mr-1" />
+                            {room.slow_mode_seconds}s
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
         ) : (
           <div>
             {filteredRequests.length === 0 ? (
@@ -323,6 +521,22 @@ const FriendsPanel = ({
         onDeleteFriend={handleDeleteFriend}
         userStatuses={userStatuses}
       />
+
+      {/* create group modal */}
+      <CreateGroupModal
+        isOpen={isCreateGroupOpen}
+        onClose={() => setIsCreateGroupOpen(false)}
+        friends={friendAccounts}
+        onCreateGroup={onCreateGroup}
+      />
+
+      {/* new interest room modal */}
+      <InterestRoomModal
+        isOpen={isCreateRoomOpen}
+        onClose={() => setIsCreateRoomOpen(false)}
+        interests={interests}
+        onSave={onCreateRoom}
+      />
     </div>
   );
 };
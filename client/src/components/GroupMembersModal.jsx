@@ -0,0 +1,230 @@
+import React, { useState, useEffect } from 'react';
+import { FaTimes, FaUsers, FaCrown, FaUserPlus, FaUserMinus, FaSignOutAlt, FaPen } from 'react-icons/fa';
+import ProfilePicture from './ProfilePicture';
+
+// ============================================================================
+// GROUP MEMBERS MODAL
+// ============================================================================
+
+// members of a group; admins can rename it, add their friends, remove members and change roles.
+// every action resolves { ok, error } and the groupUpdated event refreshes the member list
+const GroupMembersModal = ({
+  isOpen,
+  onClose,
+  group,
+  currentUser,
+  friends = [],
+  userStatuses = {},
+  onRenameGroup,
+  onAddMembers,
+  onRemoveMember,
+  onSetMemberRole,
+  onLeaveGroup
+}) => {
+  const [isAdding, setIsAdding] = useState(false);
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setIsAdding(false);
+      setIsRenaming(false);
+      setError('');
+    }
+  }, [isOpen, group?.id]);
+
+  if (!isOpen || !group) return null;
+
+  const members = group.members || [];
+  const isAdmin = members.some(member => member.username === currentUser && member.role === 'admin');
+  const memberNames = new Set(members.map(member => member.username));
+  const invitableFriends = friends.filter(friend => !memberNames.has(friend.username));
+
+  // ============================================================================
+  // EVENT HANDLERS
+  // ============================================================================
+
+  const run = async (action) => {
+    setError('');
+    const result = await action();
+    if (!result?.ok) {
+      setError(result?.error || 'Something went wrong');
+    }
+    return result;
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    const result = await run(() => onRenameGroup(name.trim()));
+    if (result?.ok) {
+      setIsRenaming(false);
+    }
+  };
+
+  const handleRemove = (member) => {
+    if (window.confirm(`Remove ${member.username} from ${group.name}?`)) {
+      run(() => onRemoveMember(member.user_id));
+    }
+  };
+
+  const handleLeave = async () => {
+    if (window.confirm(`Leave ${group.name}?`)) {
+      const result = await run(onLeaveGroup);
+      if (result?.ok) {
+        onClose();
+      }
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-800 rounded-lg shadow-2xl max-w-md w-full">
+        {/* header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-700">
+          {isRenaming ? (
+            <form onSubmit={handleRename} className="flex flex-1 items-center mr-4">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                maxLength={100}
+                autoFocus
+                className="flex-1 px-3 py-1 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+              />
+              <button type="submit" className="ml-2 px-3 py-1 bg-purple-600 hover:bg-purple-700 text-white text-sm rounded-lg transition-colors">
+                Save
+              </button>
+            </form>
+          ) : (
+            <h2 className="text-xl font-semibold text-white flex items-center truncate">
+              <FaUsers className="mr-2 text-purple-400 flex-shrink-0" />
+              <span className="truncate">{group.name}</span>
+              {isAdmin && (
+                <button
+                  onClick={() => {
+                    setName(group.name);
+                    setIsRenaming(true);
+                  }}
+                  className="ml-2 text-gray-400 hover:text-white transition-colors"
+                  title="Rename group"
+                >
+                  <FaPen size={12} />
+                </button>
+              )}
+            </h2>
+          )}
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <FaTimes size={18} />
+          </button>
+        </div>
+
+        {/* content */}
+        <div className="p-4 space-y-4">
+          {isAdding ? (
+            <div>
+              <p className="text-gray-400 text-sm mb-2">Add friends to the group</p>
+              {invitableFriends.length === 0 ? (
+                <p className="text-gray-500 text-sm text-center py-4">All your friends are already here.</p>
+              ) : (
+                <div className="max-h-64 overflow-y-auto border border-gray-700 rounded-lg">
+                  {invitableFriends.map(friend => (
+                    <button
+                      key={friend.id}
+                      onClick={() => run(() => onAddMembers([friend.id]))}
+                      className="w-full flex items-center px-3 py-2 hover:bg-gray-700 transition-colors"
+                    >
+                      <ProfilePicture username={friend.username} size="sm" showStatus={false} className="mr-3" />
+                      <span className="flex-1 text-left text-white truncate">{friend.username}</span>
+                      <FaUserPlus className="text-purple-400" />
+                    </button>
+                  ))}
+                </div>
+              )}
+              <button
+                onClick={() => setIsAdding(false)}
+                className="mt-3 text-sm text-gray-400 hover:text-white transition-colors"
+              >
+                Back to members
+              </button>
+            </div>
+          ) : (
+            <div>
+              <p className="text-gray-400 text-sm mb-2">{members.length} members</p>
+              <div className="max-h-72 overflow-y-auto border border-gray-700 rounded-lg">
+                {members.map(member => (
+                  <div key={member.user_id} className="flex items-center px-3 py-2 border-b border-gray-700 last:border-b-0">
+                    <ProfilePicture
+                      username={member.username}
+                      size="md"
+                      status={userStatuses[member.username] || 'offline'}
+                      className="mr-3"
+                    />
+                    <div className="flex-1 min-w-0">
+                      <p className="text-white truncate">
+                        {member.username}
+                        {member.username === currentUser && <span className="text-gray-400"> (you)</span>}
+                      </p>
+                      {member.role === 'admin' && (
+                        <p className="text-yellow-400 text-xs flex items-center">
+                          <FaCrown size={10} className="mr-1" />
+                          Admin
+                        </p>
+                      )}
+                    </div>
+
+                    {/* admin controls for the other members */}
+                    {isAdmin && member.username !== currentUser && (
+                      <div className="flex items-center space-x-2">
+                        <button
+                          onClick={() => run(() => onSetMemberRole(member.user_id, member.role === 'admin' ? 'member' : 'admin'))}
+                          className="px-2 py-1 text-xs bg-gray-700 hover:bg-gray-600 text-gray-200 rounded transition-colors"
+                        >
+                          {member.role === 'admin' ? 'Remove admin' : 'Make admin'}
+                        </button>
+                        <button
+                          onClick={() => handleRemove(member)}
+                          className="p-1 text-gray-400 hover:text-red-400 transition-colors"
+                          title={`Remove ${member.username}`}
+                        >
+                          <FaUserMinus size={14} />
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {error && <p className="text-red-400 text-sm">{error}</p>}
+
+          <div className="flex space-x-2">
+            {isAdmin && !isAdding && (
+              <button
+                onClick={() => setIsAdding(true)}
+                className="flex-1 flex items-center justify-center px-3 py-2 bg-purple-600 hover:bg-purple-700 text-white text-sm rounded-lg transition-colors"
+              >
+                <FaUserPlus size={12} className="mr-2" />
+                Add friends
+              </button>
+            )}
+            <button
+              onClick={handleLeave}
+              className="flex-1 flex items-center justify-center px-3 py-2 bg-red-600 hover:bg-red-700 text-white text-sm rounded-lg transition-colors"
+            >
+              <FaSignOutAlt size={12} className="mr-2" />
+              Leave group
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GroupMembersModal;
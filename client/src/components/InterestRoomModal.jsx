@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { FaTimes, FaHashtag, FaTrash } from 'react-icons/fa';
+
+// slow mode choices in seconds (0 is off)
+const SLOW_MODE_OPTIONS = [0, 5, 10, 30, 60, 300];
+
+const slowModeLabel = (seconds) => {
+  if (seconds === 0) return 'Off';
+  return seconds < 60 ? `${seconds} seconds` : `${seconds / 60} minute${seconds === 60 ? '' : 's'}`;
+};
+
+// ============================================================================
+// INTEREST ROOM MODAL
+// ============================================================================
+
+// open a room for an interest, or change the settings of a room (pass room) the user manages.
+// onSave gets { interest_id, name, description, max_occupancy, slow_mode_seconds } and resolves { ok, error }
+const InterestRoomModal = ({
+  isOpen,
+  onClose,
+  interests = [],
+  room = null,
+  onSave,
+  onDelete
+}) => {
+  const [interestId, setInterestId] = useState('');
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [maxOccupancy, setMaxOccupancy] = useState(20);
+  const [slowModeSeconds, setSlowModeSeconds] = useState(0);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // start from the room's settings (or a blank form) every time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setInterestId(room?.interest_id || interests[0]?.id || '');
+      setName(room?.name || '');
+      setDescription(room?.description || '');
+      setMaxOccupancy(room?.max_occupancy || 20);
+      setSlowModeSeconds(room?.slow_mode_seconds || 0);
+      setError('');
+    }
+  }, [isOpen, room?.id]);
+
+  // ============================================================================
+  // EVENT HANDLERS
+  // ============================================================================
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || !interestId) return;
+
+    setIsSaving(true);
+    setError('');
+    const result = await onSave({
+      ...(room ? {} : { interest_id: Number(interestId) }),
+      name: name.trim(),
+      description: description.trim() || null,
+      max_occupancy: Number(maxOccupancy),
+      slow_mode_seconds: Number(slowModeSeconds)
+    });
+    setIsSaving(false);
+
+    if (result?.ok) {
+      onClose();
+    } else {
+      setError(result?.error || 'Failed to save room');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${room.name}? Everyone in it will be sent out.`)) return;
+    const result = await onDelete();
+    if (result?.ok) {
+      onClose();
+    } else {
+      setError(result?.error || 'Failed to delete room');
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-800 rounded-lg shadow-2xl max-w-md w-full">
+        {/* header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-700">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <FaHashtag className="mr-2 text-purple-400" />
+            {room ? 'Room settings' : 'New room'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <FaTimes size={18} />
+          </button>
+        </div>
+
+        {/* content */}
+        <form onSubmit={handleSubmit} className="p-4 space-y-4">
+          {!room && (
+            <div>
+              <label className="block text-gray-400 text-sm mb-1">Interest</label>
+              <select
+                value={interestId}
+                onChange={(e) => setInterestId(e.target.value)}
+                className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+              >
+                {interests.map(interest => (
+                  <option key={interest.id} value={interest.id}>{interest.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Room name"
+            maxLength={100}
+            autoFocus
+            className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+
+          <input
+            type="text"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            placeholder="What is this room about? (optional)"
+            maxLength={255}
+            className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+
+          <div className="flex space-x-3">
+            <div className="flex-1">
+              <label className="block text-gray-400 text-sm mb-1">Max people</label>
+              <input
+                type="number"
+                min={2}
+                max={100}
+                value={maxOccupancy}
+                onChange={(e) => setMaxOccupancy(e.target.value)}
+                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+              />
+            </div>
+            <div className="flex-1">
+              <label className="block text-gray-400 text-sm mb-1">Slow mode</label>
+              <select
+                value={slowModeSeconds}
+                onChange={(e) => setSlowModeSeconds(e.target.value)}
+                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+              >
+                {[...new Set([...SLOW_MODE_OPTIONS, Number(slowModeSeconds)])].sort((a, b) => a - b).map(seconds => (
+                  <option key={seconds} value={seconds}>{slowModeLabel(seconds)}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {error && <p className="text-red-400 text-sm">{error}</p>}
+
+          <div className="flex space-x-2">
+            {room && onDelete && (
+              <button
+                type="button"
+                onClick={handleDelete}
+                className="flex items-center justify-center px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors"
+              >
+                <FaTrash size={12} className="mr-2" />
+                Delete
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={isSaving || !name.trim() || !interestId}
+              className="flex-1 px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg transition-colors"
+            >
+              {isSaving ? 'Saving...' : room ? 'Save' : 'Open room'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default InterestRoomModal;
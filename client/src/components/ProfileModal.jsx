@@ -1,8 +1,22 @@
 import React, { useState, useEffect } from 'react';
-import { FaUser, FaEdit, FaTimes, FaBell, FaCheck, FaPlus, FaTrash, FaCircle, FaCamera } from 'react-icons/fa';
+import { FaUser, FaEdit, FaTimes, FaBell, FaCheck, FaPlus, FaTrash, FaCircle, FaCamera, FaLock } from 'react-icons/fa';
 import ProfilePicture from './ProfilePicture';
 import ImageSelectionModal from './ImageSelectionModal';
 
+// languages and regions offered for random matching (language / country codes)
+const LANGUAGE_OPTIONS = ['en', 'es', 'pt', 'fr', 'de', 'it', 'nl', 'pl', 'ru', 'tr', 'ar', 'hi', 'bn', 'ur', 'id', 'ja', 'ko', 'zh', 'vi', 'th'];
+const REGION_OPTIONS = ['US', 'CA', 'MX', 'BR', 'AR', 'GB', 'IE', 'FR', 'DE', 'ES', 'IT', 'PT', 'NL', 'PL', 'SE', 'TR', 'RU', 'IN', 'PK', 'BD', 'ID', 'PH', 'JP', 'KR', 'CN', 'AU', 'NZ', 'NG', 'ZA', 'EG'];
+const MAX_LANGUAGES = 5;
+
+// display name for a language or region code, the code itself when the browser has no names
+const displayName = (type, code) => {
+  try {
+    return new Intl.DisplayNames([navigator.language || 'en'], { type }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+};
+
 const ProfileModal = ({ 
   user, 
   isOpen, 
@@ -12,7 +26,10 @@ const ProfileModal = ({
   onUpdateDescription,
   currentInterests = [],
   onLogout,
-  userStatuses = {} // add userStatuses prop
+  userStatuses = {}, // add userStatuses prop
+  secureStorage = { locked: false, hasPassphrase: false },
+  onUnlockSecureStorage,
+  onSetStoragePassphrase
 }) => {
   const [activeTab, setActiveTab] = useState('profile'); // 'profile', 'interests', 'notifications'
   const [isEditingDescription, setIsEditingDescription] = useState(false);
@@ -30,6 +47,19 @@ const ProfileModal = ({
   const [showImageSelection, setShowImageSelection] = useState(false);
   const [profilePictureUrl, setProfilePictureUrl] = useState(null);
   const [isSavingImage, setIsSavingImage] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  // encrypted session store on this device
+  const [passphrase, setPassphrase] = useState('');
+  const [passphraseConfirm, setPassphraseConfirm] = useState('');
+  const [passphraseError, setPassphraseError] = useState('');
+  const [isSavingPassphrase, setIsSavingPassphrase] = useState(false);
+  const [wipeOnLogout, setWipeOnLogout] = useState(false);
+  // random matching preferences
+  const [languages, setLanguages] = useState([]);
+  const [region, setRegion] = useState('');
+  const [languageMatch, setLanguageMatch] = useState('preferred');
+  const [isSavingPreferences, setIsSavingPreferences] = useState(false);
+  const [preferencesMessage, setPreferencesMessage] = useState('');
 
   // ============================================================================
   // STATE AND CONFIGURATION
@@ -58,6 +88,7 @@ const ProfileModal = ({
       loadUserProfile();
       loadUserInterests();
       loadNotifications();
+      loadSessions();
     }
   }, [isOpen, user]);
 
@@ -84,6 +115,9 @@ const ProfileModal = ({
         if (profileData.profile_picture_url) {
           setProfilePictureUrl(profileData.profile_picture_url);
         }
+        setLanguages(profileData.languages || []);
+        setRegion(profileData.region || '');
+        setLanguageMatch(profileData.language_match || 'preferred');
       }
     } catch (error) {
       // error loading user profile
@@ -126,10 +160,97 @@ const ProfileModal = ({
     }
   };
 
+  const loadSessions = async () => {
+    try {
+      const response = await fetch('https://localhost:5000/api/auth/sessions', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      
+      if (response.ok) {
+        const data = await response.json();
+        setSessions(data);
+      }
+    } catch (error) {
+      // error loading device sessions
+    }
+  };
+
   // ============================================================================
   // EVENT HANDLERS
   // ============================================================================
 
+  const resetPassphraseForm = () => {
+    setPassphrase('');
+    setPassphraseConfirm('');
+    setPassphraseError('');
+  };
+
+  const handleUnlockStorage = async () => {
+    setIsSavingPassphrase(true);
+    try {
+      if (await onUnlockSecureStorage(passphrase)) {
+        resetPassphraseForm();
+      } else {
+        setPassphraseError('Wrong passphrase');
+      }
+    } catch (error) {
+      setPassphraseError('Failed to unlock secure storage');
+    } finally {
+      setIsSavingPassphrase(false);
+    }
+  };
+
+  // null removes the passphrase and goes back to a key stored on this device
+  const handleSavePassphrase = async (newPassphrase) => {
+    if (newPassphrase !== null) {
+      if (newPassphrase.length < 8) {
+        setPassphraseError('Passphrase must be at least 8 characters');
+        return;
+      }
+      if (newPassphrase !== passphraseConfirm) {
+        setPassphraseError('Passphrases do not match');
+        return;
+      }
+    }
+
+    setIsSavingPassphrase(true);
+    try {
+      await onSetStoragePassphrase(newPassphrase);
+      resetPassphraseForm();
+    } catch (error) {
+      setPassphraseError('Failed to update passphrase');
+    } finally {
+      setIsSavingPassphrase(false);
+    }
+  };
+
+  const handleLogoutDevice = async (session) => {
+    // logging out this device goes through the regular logout flow
+    if (session.current) {
+      onLogout({ wipeSecureSessions: wipeOnLogout });
+      return;
+    }
+    
+    try {
+      const response = await fetch(`https://localhost:5000/api/auth/sessions/${session.id}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      
+      if (response.ok) {
+        setSessions(prev => prev.filter(s => s.id !== session.id));
+      }
+    } catch (error) {
+      // error logging out device
+    }
+  };
+
   const handleUpdateStatus = async (newStatus) => {
     setIsLoading(true);
     
@@ -206,6 +327,45 @@ const ProfileModal = ({
     }
   };
 
+  const toggleLanguage = (code) => {
+    setPreferencesMessage('');
+    setLanguages(prev => {
+      if (prev.includes(code)) return prev.filter(language => language !== code);
+      return prev.length < MAX_LANGUAGES ? [...prev, code] : prev;
+    });
+  };
+
+  const handleSaveMatchPreferences = async () => {
+    setIsSavingPreferences(true);
+    setPreferencesMessage('');
+    try {
+      const response = await fetch(`https://localhost:5000/api/users/${user.id}`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          languages,
+          region: region || null,
+          // requiring a shared language needs at least one language
+          language_match: languages.length > 0 ? languageMatch : 'preferred'
+        })
+      });
+      
+      if (response.ok) {
+        setPreferencesMessage('Saved, used from your next random chat');
+      } else {
+        const errorData = await response.json().catch(() => ({}));
+        setPreferencesMessage(errorData.error || 'Failed to save preferences');
+      }
+    } catch (error) {
+      setPreferencesMessage('Failed to save preferences');
+    } finally {
+      setIsSavingPreferences(false);
+    }
+  };
+
   const handleAddInterest = async (interest) => {
     if (userInterests.length >= 3) {
       alert('You can only have up to 3 interests');
@@ -450,8 +610,8 @@ const ProfileModal = ({
         // close the modal first
         onClose();
         
-        // call logout to handle cleanup and redirect
-        onLogout();
+        // call logout to handle cleanup and redirect, keys of a deleted account are useless
+        await onLogout({ wipeSecureSessions: true });
         
         // force redirect to login page
         window.location.href = '/';
@@ -662,11 +822,191 @@ const ProfileModal = ({
                 )}
               </div>
 
+              {/* random matching preferences */}
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">
+                  Languages and region
+                </label>
+                <p className="text-gray-400 text-xs mb-3">
+                  Random chat prefers partners who speak one of your languages (up to {MAX_LANGUAGES}) and live in your region. Without languages here your browser's languages are used.
+                </p>
+                <div className="flex flex-wrap gap-2 mb-3">
+                  {LANGUAGE_OPTIONS.map(code => (
+                    <button
+                      key={code}
+                      onClick={() => toggleLanguage(code)}
+                      disabled={!languages.includes(code) && languages.length >= MAX_LANGUAGES}
+                      className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                        languages.includes(code)
+                          ? 'border-purple-500 bg-purple-600 text-white'
+                          : 'border-gray-600 bg-gray-800 text-gray-300 hover:border-gray-500 disabled:opacity-50 disabled:cursor-not-allowed'
+                      }`}
+                    >
+                      {displayName('language', code)}
+                    </button>
+                  ))}
+                </div>
+                <select
+                  value={region}
+                  onChange={(e) => {
+                    setRegion(e.target.value);
+                    setPreferencesMessage('');
+                  }}
+                  className="w-full px-3 py-2 mb-3 bg-gray-800 border border-gray-600 rounded-lg text-white focus:outline-none focus:border-purple-500"
+                >
+                  <option value="">No region</option>
+                  {[...new Set([...REGION_OPTIONS, ...(region ? [region] : [])])].map(code => (
+                    <option key={code} value={code}>{displayName('region', code)}</option>
+                  ))}
+                </select>
+                <label className={`flex items-center mb-3 text-sm ${languages.length > 0 ? 'text-gray-300' : 'text-gray-500'}`}>
+                  <input
+                    type="checkbox"
+                    checked={languages.length > 0 && languageMatch === 'required'}
+                    disabled={languages.length === 0}
+                    onChange={(e) => {
+                      setLanguageMatch(e.target.checked ? 'required' : 'preferred');
+                      setPreferencesMessage('');
+                    }}
+                    className="mr-2"
+                  />
+                  Only match me with people who speak one of my languages
+                </label>
+                <div className="flex items-center space-x-3">
+                  <button
+                    onClick={handleSaveMatchPreferences}
+                    disabled={isSavingPreferences}
+                    className="px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg transition-colors"
+                  >
+                    {isSavingPreferences ? 'Saving...' : 'Save'}
+                  </button>
+                  {preferencesMessage && (
+                    <span className="text-sm text-gray-400">{preferencesMessage}</span>
+                  )}
+                </div>
+              </div>
+
+              {/* encrypted session store */}
+              <div className="pt-6 border-t border-gray-700">
+                <h3 className="text-lg font-semibold text-white mb-2 flex items-center">
+                  <FaLock className="mr-2 text-green-400" size={16} />
+                  Encryption keys on this device
+                </h3>
+                <p className="text-gray-400 text-sm mb-4">
+                  {secureStorage.locked
+                    ? 'Your encryption keys are locked. Enter your passphrase to read and send end-to-end encrypted friend messages.'
+                    : secureStorage.hasPassphrase
+                      ? 'Your encryption keys are protected with a passphrase, you will be asked for it after reloading the page.'
+                      : 'Your encryption keys are encrypted with a key stored in this browser. Add a passphrase to require it after every reload.'}
+                </p>
+                
+                <div className="space-y-2">
+                  <input
+                    type="password"
+                    value={passphrase}
+                    onChange={(e) => {
+                      setPassphrase(e.target.value);
+                      setPassphraseError('');
+                    }}
+                    placeholder={secureStorage.locked ? 'Passphrase' : 'New passphrase'}
+                    className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
+                  />
+                  {!secureStorage.locked && (
+                    <input
+                      type="password"
+                      value={passphraseConfirm}
+                      onChange={(e) => {
+                        setPassphraseConfirm(e.target.value);
+                        setPassphraseError('');
+                      }}
+                      placeholder="Confirm passphrase"
+                      className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500"
+                    />
+                  )}
+                  {passphraseError && (
+                    <p className="text-red-400 text-sm">{passphraseError}</p>
+                  )}
+                  
+                  <div className="flex space-x-2">
+                    {secureStorage.locked ? (
+                      <button
+                        onClick={handleUnlockStorage}
+                        disabled={isSavingPassphrase || !passphrase}
+                        className="px-4 py-2 bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+                      >
+                        Unlock
+                      </button>
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => handleSavePassphrase(passphrase)}
+                          disabled={isSavingPassphrase || !passphrase}
+                          className="px-4 py-2 bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+                        >
+                          {secureStorage.hasPassphrase ? 'Change passphrase' : 'Set passphrase'}
+                        </button>
+                        {secureStorage.hasPassphrase && (
+                          <button
+                            onClick={() => handleSavePassphrase(null)}
+                            disabled={isSavingPassphrase}
+                            className="px-4 py-2 bg-gray-600 hover:bg-gray-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+                          >
+                            Remove passphrase
+                          </button>
+                        )}
+                      </>
+                    )}
+                  </div>
+                </div>
+              </div>
+
               {/* logout section */}
               <div className="pt-6 border-t border-gray-700">
                 <h3 className="text-lg font-semibold text-white mb-4">Account</h3>
+                
+                {/* logged in devices */}
+                {sessions.length > 0 && (
+                  <div className="mb-4 space-y-2">
+                    <h4 className="text-sm font-medium text-gray-300 mb-2">Devices</h4>
+                    {sessions.map((session) => (
+                      <div
+                        key={session.id}
+                        className="flex items-center justify-between p-3 bg-gray-800 rounded-lg border border-gray-700"
+                      >
+                        <div className="min-w-0 mr-3">
+                          <p className="text-white text-sm truncate" title={session.userAgent}>
+                            {session.userAgent}
+                          </p>
+                          <p className="text-gray-400 text-xs">
+                            {session.current ? 'This device' : `Last active ${new Date(session.lastSeenAt).toLocaleString()}`}
+                            {session.connected && (
+                              <FaCircle size={8} className="inline ml-2 text-green-400" />
+                            )}
+                          </p>
+                        </div>
+                        <button
+                          onClick={() => handleLogoutDevice(session)}
+                          className="px-3 py-1 bg-gray-700 hover:bg-red-600 text-white text-sm rounded transition-colors flex-shrink-0"
+                        >
+                          Log out
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                
+                <label className="flex items-center mb-3 text-sm text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={wipeOnLogout}
+                    onChange={(e) => setWipeOnLogout(e.target.checked)}
+                    className="mr-2"
+                  />
+                  Wipe all secure sessions and encryption keys from this device
+                </label>
+                
                 <button
-                  onClick={onLogout}
+                  onClick={() => onLogout({ wipeSecureSessions: wipeOnLogout })}
                   className="w-full px-4 py-3 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors font-medium"
                 >
                   Logout
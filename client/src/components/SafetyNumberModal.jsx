@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import { FaTimes, FaShieldAlt, FaExclamationTriangle, FaCheck } from 'react-icons/fa';
+
+// ============================================================================
+// SAFETY NUMBER VERIFICATION MODAL
+// ============================================================================
+
+// compare the safety number with the chat partner over another channel (in person, a call).
+// onSetVerified is only passed for friends, random chat matches cannot be remembered
+const SafetyNumberModal = ({
+  isOpen,
+  onClose,
+  partnerUsername,
+  loadSafetyNumber,
+  onSetVerified
+}) => {
+  const [safetyNumber, setSafetyNumber] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // ============================================================================
+  // DATA LOADING
+  // ============================================================================
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+    setSafetyNumber(null);
+
+    loadSafetyNumber()
+      .then(result => {
+        if (cancelled) return;
+        if (result) {
+          setSafetyNumber(result);
+        } else {
+          setError('Keys have not been exchanged yet.');
+        }
+      })
+      .catch(() => {
+        if (!cancelled) setError(`${partnerUsername} has not set up encrypted chats yet.`);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, partnerUsername]);
+
+  // ============================================================================
+  // EVENT HANDLERS
+  // ============================================================================
+
+  const handleToggleVerified = async () => {
+    const isVerified = !safetyNumber.verified;
+    await onSetVerified(safetyNumber.identityKey, isVerified);
+    setSafetyNumber(prev => ({ ...prev, verified: isVerified, changed: false }));
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-800 rounded-lg shadow-2xl max-w-md w-full">
+        {/* header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-700">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <FaShieldAlt className="mr-2 text-green-400" />
+            Verify safety number
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <FaTimes size={18} />
+          </button>
+        </div>
+
+        {/* content */}
+        <div className="p-4">
+          {isLoading ? (
+            <div className="text-center py-8">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-purple-500 mx-auto"></div>
+              <p className="text-gray-400 mt-4">Computing safety number...</p>
+            </div>
+          ) : error ? (
+            <p className="text-gray-400 text-center py-8">{error}</p>
+          ) : safetyNumber && (
+            <div className="space-y-4">
+              {/* a previously verified key was replaced */}
+              {safetyNumber.changed && (
+                <div className="flex items-start p-3 bg-red-600/20 border border-red-600/60 rounded-lg">
+                  <FaExclamationTriangle className="text-red-400 mt-1 mr-2 flex-shrink-0" />
+                  <p className="text-red-300 text-sm">
+                    Your safety number with {partnerUsername} changed since you verified it.
+                    They may have reinstalled or signed in on a new device, or someone may be intercepting your messages.
+                    Compare the new number before trusting this chat.
+                  </p>
+                </div>
+              )}
+
+              <p className="text-gray-300 text-sm">
+                Compare these numbers with {partnerUsername} in person or over a call.
+                If they match on both devices, your messages cannot be read by anyone in between.
+              </p>
+
+              {/* visual pattern, both devices show the same one */}
+              <div className="flex justify-center">
+                <svg
+                  viewBox={`0 0 ${safetyNumber.pattern.length + 2} ${safetyNumber.pattern.length + 2}`}
+                  className="w-44 h-44 bg-white rounded"
+                  shapeRendering="crispEdges"
+                >
+                  {safetyNumber.pattern.map((row, y) => row.map((isDark, x) => isDark && (
+                    <rect key={`${x}-${y}`} x={x + 1} y={y + 1} width="1" height="1" fill="#111827" />
+                  )))}
+                </svg>
+              </div>
+
+              {/* numeric code */}
+              <div className="grid grid-cols-4 gap-2 font-mono text-lg text-white text-center bg-gray-700 rounded-lg p-3">
+                {safetyNumber.digits.map((group, index) => (
+                  <span key={index}>{group}</span>
+                ))}
+              </div>
+
+              {onSetVerified && (
+                <button
+                  onClick={handleToggleVerified}
+                  className={`w-full flex items-center justify-center px-4 py-2 rounded-lg text-white transition-colors ${
+                    safetyNumber.verified ? 'bg-gray-600 hover:bg-gray-700' : 'bg-green-600 hover:bg-green-700'
+                  }`}
+                >
+                  {safetyNumber.verified ? (
+                    'Clear verification'
+                  ) : (
+                    <>
+                      <FaCheck className="mr-2" />
+                      Mark as verified
+                    </>
+                  )}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SafetyNumberModal;
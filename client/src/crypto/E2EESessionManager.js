@@ -339,11 +339,13 @@ class E2EESessionManager {
       case 'ratchet_init_from_initiator':
         // RESPONDER: Receive initiator's ratchet key
         if (message.ratchetPublicKey) {
-          await signal.initializePartnerRatchet(message.ratchetPublicKey);
-          
-          // Get responder's ratchet key immediately
+          // Get responder's ratchet key first, the ratchet moves past it once initialized
           const ratchetKey = await signal.getRatchetPublicKey();
           
+          if (!await signal.initializePartnerRatchet(message.ratchetPublicKey)) {
+            throw new Error('Invalid ratchet key received from initiator');
+          }
+          
           // Send responder's ratchet key back
           await this.sendKeyExchangeMessageWithRetry(socket, {
             sessionId,
@@ -365,7 +367,9 @@ class E2EESessionManager {
       case 'ratchet_init_from_responder':
         // INITIATOR: Receive responder's ratchet key
         if (message.ratchetPublicKey) {
-          await signal.initializePartnerRatchet(message.ratchetPublicKey);
+          if (!await signal.initializePartnerRatchet(message.ratchetPublicKey)) {
+            throw new Error('Invalid ratchet key received from responder');
+          }
           
           // Both sides now have each other's ratchet keys
           this.setSessionState(sessionId, this.STATES.READY);
@@ -709,13 +713,16 @@ class E2EESessionManager {
       const decryptionPromise = signal.decrypt(encryptedData);
       const decrypted = await Promise.race([decryptionPromise, timeoutPromise]);
       
+      // lost and reordered messages are recovered by the ratchet, only consecutive failures count
+      this.clearDecryptionErrorCount(sessionId);
       return decrypted;
       
     } catch (error) {
       
       // Categorize decryption errors
       if (error.message.includes('timeout')) {
-      } else if (error.message.includes('invalid') || error.message.includes('corrupt')) {
+      } else if (error.message.includes('Duplicate')) {
+        // redelivered message, already shown the first time
       } else {
         // If consistent decryption failures, mark session as problematic
         this.handleDecryptionError(sessionId, error);
@@ -727,12 +734,14 @@ class E2EESessionManager {
   
   /**
    * Handle decryption errors and potential session recovery
+   * a failed message leaves the ratchet untouched, so the next valid message still decrypts.
+   * a run of failures (forged headers, a partner that lost its state) ends the session
    */
   async handleDecryptionError(sessionId, error) {
     const errorCount = this.getDecryptionErrorCount(sessionId) + 1;
     this.setDecryptionErrorCount(sessionId, errorCount);
     
-    // If too many decryption errors, mark session as problematic
+    // If too many decryption errors in a row, mark session as problematic
     if (errorCount >= 5) {
       this.setSessionState(sessionId, this.STATES.ERROR);
       this.clearDecryptionErrorCount(sessionId);
@@ -906,102 +915,6 @@ class E2EESessionManager {
     }
   }
   
-  /**
-   * Perform key rotation for a session
-   */
-  async rotateSessionKeys(sessionId, socket) {
-    const signal = this.getSession(sessionId);
-    if (!signal) {
-      throw new Error(`Session ${sessionId} not found for key rotation`);
-    }
-    
-    const sessionInfo = signal.getSessionInfo();
-    if (!sessionInfo.canRotateKeys) {
-      throw new Error(`Session ${sessionId} cannot rotate keys - missing root key or partner ratchet key`);
-    }
-    
-    
-    try {
-      // Perform the rotation
-      await signal.performKeyRotation();
-      
-      // Get new ratchet public key
-      const newRatchetPublicKey = await signal.getNewRatchetPublicKey();
-      
-      // Notify partner about key rotation via socket
-      if (socket) {
-        socket.emit('e2ee_key_rotation', {
-          sessionId,
-          newRatchetPublicKey,
-          type: 'key_rotation_notification'
-        });
-      }
-      
-      // Persist the updated session
-      await this.persistSession(sessionId, { 
-        state: this.STATES.READY,
-        keyRotationAt: Date.now()
-      });
-      
-      return true;
-    } catch (error) {
-      throw error;
-    }
-  }
-  
-  /**
-   * Handle partner's key rotation
-   */
-  async handleKeyRotation(sessionId, data) {
-    const signal = this.getSession(sessionId);
-    if (!signal) {
-      return false;
-    }
-    
-    const { newRatchetPublicKey, type } = data;
-    
-    try {
-      if (type === 'key_rotation_notification') {
-        
-        // Update partner's ratchet key
-        await signal.updatePartnerRatchetKey(newRatchetPublicKey);
-        
-        // Persist the session with updated partner key
-        await this.persistSession(sessionId, {
-          state: this.STATES.READY,
-          partnerKeyRotationAt: Date.now()
-        });
-        
-        return true;
-      }
-    } catch (error) {
-      return false;
-    }
-    
-    return false;
-  }
-  
-  /**
-   * Check if session needs key rotation (based on message count or time)
-   */
-  shouldRotateKeys(sessionId, messageThreshold = 100, timeThreshold = 300000) { // 5 minutes
-    const signal = this.getSession(sessionId);
-    if (!signal) return false;
-    
-    const sessionInfo = signal.getSessionInfo();
-    if (!sessionInfo.canRotateKeys) return false;
-    
-    // Check message count threshold
-    if (sessionInfo.messageCounter >= messageThreshold) {
-      return true;
-    }
-    
-    // Check time threshold (would need to store session creation time)
-    // This could be implemented with session metadata
-    
-    return false;
-  }
-
   /**
    * Get session statistics
    */
@@ -5,31 +5,55 @@
 import SignalProtocolClient from './SignalProtocol';
 
 class E2EETest {
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  // the same steps E2EESessionManager runs over the socket: x3dh, then the initial ratchet keys
+  static async establishSession() {
+    const alice = new SignalProtocolClient('Alice');
+    const bob = new SignalProtocolClient('Bob');
+    
+    await alice.initialize();
+    await bob.initialize();
+    
+    const aliceKeys = await alice.getPublicKeys();
+    const bobKeys = await bob.getPublicKeys();
+    
+    const aliceSuccess = await alice.performX3DHKeyAgreement(bobKeys, true);
+    const bobSuccess = await bob.performX3DHKeyAgreement(aliceKeys, false);
+    
+    if (!aliceSuccess || !bobSuccess) {
+      throw new Error('Key agreement failed');
+    }
+    
+    // the responder hands out its ratchet key before moving past it
+    const aliceRatchetKey = await alice.getRatchetPublicKey();
+    const bobRatchetKey = await bob.getRatchetPublicKey();
+    await bob.initializePartnerRatchet(aliceRatchetKey);
+    await alice.initializePartnerRatchet(bobRatchetKey);
+    
+    return { alice, bob };
+  }
+  
+  // resolves true if decryption was refused
+  static async rejects(client, encrypted) {
+    try {
+      await client.decrypt(encrypted);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  }
+  
   // ============================================================================
   // BASIC ENCRYPTION TEST
   // ============================================================================
 
   static async testBasicEncryption() {
     try {
-      // create two users
-      const alice = new SignalProtocolClient('Alice');
-      const bob = new SignalProtocolClient('Bob');
-      
-      // initialize both
-      await alice.initialize();
-      await bob.initialize();
-      
-      // exchange public keys
-      const aliceKeys = await alice.getPublicKeys();
-      const bobKeys = await bob.getPublicKeys();
-      
-      // perform x3dh key agreement
-      const aliceSuccess = await alice.performX3DHKeyAgreement(bobKeys, true);
-      const bobSuccess = await bob.performX3DHKeyAgreement(aliceKeys, false);
-      
-      if (!aliceSuccess || !bobSuccess) {
-        throw new Error('Key agreement failed');
-      }
+      // create two users and run the key exchange
+      const { alice, bob } = await this.establishSession();
       
       // test message encryption/decryption
       const testMessage = 'Hello, this is a test message! 🔐';
@@ -57,18 +81,7 @@ class E2EETest {
 
   static async testMultipleMessages() {
     try {
-      const alice = new SignalProtocolClient('Alice');
-      const bob = new SignalProtocolClient('Bob');
-      
-      await alice.initialize();
-      await bob.initialize();
-      
-      // key exchange
-      const aliceKeys = await alice.getPublicKeys();
-      const bobKeys = await bob.getPublicKeys();
-      
-      await alice.performX3DHKeyAgreement(bobKeys, true);
-      await bob.performX3DHKeyAgreement(aliceKeys, false);
+      const { alice, bob } = await this.establishSession();
       
       // test multiple messages
       const messages = [
@@ -112,21 +125,11 @@ class E2EETest {
 
   static async testKeyRotation() {
     try {
-      const alice = new SignalProtocolClient('Alice');
-      const bob = new SignalProtocolClient('Bob');
-      
-      await alice.initialize();
-      await bob.initialize();
-      
-      // key exchange
-      const aliceKeys = await alice.getPublicKeys();
-      const bobKeys = await bob.getPublicKeys();
-      
-      await alice.performX3DHKeyAgreement(bobKeys, true);
-      await bob.performX3DHKeyAgreement(aliceKeys, false);
+      const { alice, bob } = await this.establishSession();
       
       // send several messages to trigger key rotation
       const messages = Array.from({ length: 10 }, (_, i) => `Message ${i + 1}`);
+      const ratchetKeys = new Set();
       
       for (const message of messages) {
         const encrypted = await alice.encrypt(message);
@@ -135,9 +138,126 @@ class E2EETest {
         if (decrypted !== message) {
           throw new Error(`Key rotation test failed on: ${message}`);
         }
+        
+        // every reply carries a new ratchet key
+        const reply = await bob.encrypt(`Re: ${message}`);
+        if (await alice.decrypt(reply) !== `Re: ${message}`) {
+          throw new Error(`Key rotation reply failed on: ${message}`);
+        }
+        ratchetKeys.add(encrypted.header.dh);
       }
       
-      return true;
+      return ratchetKeys.size === messages.length;
+      
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  // ============================================================================
+  // OUT OF ORDER TEST
+  // ============================================================================
+
+  static async testOutOfOrder() {
+    try {
+      const { alice, bob } = await this.establishSession();
+      
+      // two chains from alice, separated by a reply from bob
+      const first = [];
+      for (let i = 0; i < 3; i++) first.push(await alice.encrypt(`first ${i}`));
+      await alice.decrypt(await bob.encrypt('reply'));
+      const second = [];
+      for (let i = 0; i < 3; i++) second.push(await alice.encrypt(`second ${i}`));
+      
+      // the newer chain arrives first and everything else in reverse
+      const delivery = [second[2], second[0], first[2], first[0], second[1], first[1]];
+      for (const encrypted of delivery) {
+        const expected = first.includes(encrypted) ? `first ${first.indexOf(encrypted)}` : `second ${second.indexOf(encrypted)}`;
+        if (await bob.decrypt(encrypted) !== expected) {
+          throw new Error(`Out of order delivery failed on: ${expected}`);
+        }
+      }
+      
+      // every stored key was used up
+      return bob.getSessionInfo().skippedMessageKeys === 0;
+      
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  // ============================================================================
+  // MESSAGE LOSS TEST
+  // ============================================================================
+
+  static async testMessageLoss() {
+    try {
+      const { alice, bob } = await this.establishSession();
+      
+      // messages 0-4 never arrive, including the end of a chain before a ratchet step
+      for (let i = 0; i < 5; i++) await alice.encrypt(`lost ${i}`);
+      if (await bob.decrypt(await alice.encrypt('after loss')) !== 'after loss') {
+        throw new Error('Message after a gap failed');
+      }
+      
+      await alice.decrypt(await bob.encrypt('reply'));
+      await alice.encrypt('lost after reply');
+      if (await bob.decrypt(await alice.encrypt('new chain')) !== 'new chain') {
+        throw new Error('Message on a new chain after a gap failed');
+      }
+      
+      // both directions keep working
+      return await alice.decrypt(await bob.encrypt('still here')) === 'still here';
+      
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  // ============================================================================
+  // DUPLICATE DELIVERY TEST
+  // ============================================================================
+
+  static async testDuplicateDelivery() {
+    try {
+      const { alice, bob } = await this.establishSession();
+      
+      const first = await alice.encrypt('once');
+      const second = await alice.encrypt('twice');
+      
+      // in order, out of order (via a skipped key) and tampered copies are all refused
+      await bob.decrypt(first);
+      const replayed = await this.rejects(bob, first);
+      
+      const third = await alice.encrypt('thrice');
+      await bob.decrypt(third);
+      await bob.decrypt(second);
+      const replayedSkipped = await this.rejects(bob, second);
+      
+      const tampered = await this.rejects(bob, { ...third, header: { ...third.header, n: third.header.n + 1 } });
+      
+      // none of it disturbed the session
+      const next = await alice.encrypt('after replays');
+      return replayed && replayedSkipped && tampered && await bob.decrypt(next) === 'after replays';
+      
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  // ============================================================================
+  // SKIPPED KEY LIMIT TEST
+  // ============================================================================
+
+  static async testSkippedKeyLimit() {
+    try {
+      const { alice, bob } = await this.establishSession();
+      
+      // a header claiming a huge gap must not make bob derive keys forever
+      const encrypted = await alice.encrypt('far ahead');
+      const refused = await this.rejects(bob, { ...encrypted, header: { ...encrypted.header, n: 1000000 } });
+      
+      return refused && bob.getSessionInfo().skippedMessageKeys === 0 && await bob.decrypt(encrypted) === 'far ahead';
       
     } catch (error) {
       return false;
@@ -152,7 +272,11 @@ class E2EETest {
     const results = {
       basicEncryption: await this.testBasicEncryption(),
       multipleMessages: await this.testMultipleMessages(),
-      keyRotation: await this.testKeyRotation()
+      keyRotation: await this.testKeyRotation(),
+      outOfOrder: await this.testOutOfOrder(),
+      messageLoss: await this.testMessageLoss(),
+      duplicateDelivery: await this.testDuplicateDelivery(),
+      skippedKeyLimit: await this.testSkippedKeyLimit()
     };
     
     const passed = Object.values(results).filter(Boolean).length;
@@ -0,0 +1,569 @@
+/**
+ * end-to-end encryption for persistent friend chats
+ * publishes a prekey bundle so friends can start sessions while we are offline (asynchronous x3dh),
+ * the server only stores the envelopes produced here
+ */
+
+import SignalProtocolClient, { RATCHET_STATE_VERSION } from './SignalProtocol';
+import sessionStorage, { SecureStorageLockedError } from './SessionStorage';
+import { canonicalPublicKey, computeSafetyNumber } from './SafetyNumber';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// one-time prekeys uploaded per batch and the level that triggers a top-up
+const PREKEY_BATCH_SIZE = 50;
+const PREKEY_LOW_WATERMARK = 10;
+
+// sessions kept per friend (both sides starting at once leaves two)
+const MAX_SESSIONS_PER_FRIEND = 5;
+
+// shown for encrypted messages this device holds no keys for
+export const UNAVAILABLE_MESSAGE = '🔒 Encrypted message not available on this device';
+
+// a friend we already talked to end to end has no keys published anymore. sending in plaintext
+// would be a silent downgrade, so the send fails instead
+export class E2EEUnavailableError extends Error {
+  constructor(friendId) {
+    super('End-to-end encryption is no longer available for this friend');
+    this.name = 'E2EEUnavailableError';
+    this.friendId = friendId;
+  }
+}
+
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+const ECDSA = { name: 'ECDSA', namedCurve: 'P-256' };
+
+const sameUser = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+class FriendE2EEManager {
+  constructor() {
+    this.userId = null;
+    this.apiBaseUrl = null;
+
+    // identity record (jwks as stored) and the imported CryptoKeys
+    this.identityRecord = null;
+    this.identity = null;
+
+    // envelopes sent from this device, we cannot decrypt our own sending chain
+    this.outgoing = new Map();
+
+    // ratchet state is single-use, so every operation runs one at a time
+    this.queue = Promise.resolve();
+
+    // notified when a friend starts using a different identity key
+    this.identityListeners = new Set();
+  }
+
+  // ============================================================================
+  // INITIALIZATION
+  // ============================================================================
+
+  // load or create this device's keys and make sure the server has a usable bundle
+  initialize({ userId, apiBaseUrl }) {
+    this.userId = userId;
+    this.apiBaseUrl = apiBaseUrl;
+
+    return this.enqueue(async () => {
+      // a locked store reads as empty, which must not be mistaken for a first login
+      if (await sessionStorage.isLocked()) {
+        throw new SecureStorageLockedError();
+      }
+
+      let record = await sessionStorage.loadRecord(sessionStorage.keyStoreName, this.recordId('identity'));
+      if (!record) {
+        record = await this.createIdentity();
+      }
+      this.identityRecord = record;
+      this.identity = await this.importIdentity(record);
+
+      const status = await this.request('/prekeys/count');
+
+      // first login on this device, or another device published its own identity since
+      if (!status.published || status.identity_key !== record.identityKey.publicKey) {
+        await this.publishBundle(await this.generatePrekeys(PREKEY_BATCH_SIZE));
+      } else if (status.one_time_prekeys < PREKEY_LOW_WATERMARK) {
+        await this.request('/prekeys', {
+          method: 'POST',
+          body: JSON.stringify({ prekeys: await this.generatePrekeys(PREKEY_BATCH_SIZE) })
+        });
+      }
+
+      return true;
+    });
+  }
+
+  // top up one-time prekeys after the server reported the pool running low
+  replenishPrekeys() {
+    return this.enqueue(async () => {
+      if (!this.identity) return;
+
+      const status = await this.request('/prekeys/count');
+      if (status.one_time_prekeys >= PREKEY_LOW_WATERMARK) return;
+
+      await this.request('/prekeys', {
+        method: 'POST',
+        body: JSON.stringify({ prekeys: await this.generatePrekeys(PREKEY_BATCH_SIZE) })
+      });
+    });
+  }
+
+  // forget the signed in user (stored keys stay so history remains readable after the next login)
+  reset() {
+    this.userId = null;
+    this.identityRecord = null;
+    this.identity = null;
+    this.outgoing.clear();
+  }
+
+  isReady() {
+    return Boolean(this.identity);
+  }
+
+  // ============================================================================
+  // KEY MANAGEMENT
+  // ============================================================================
+
+  async createIdentity() {
+    const identityKeyPair = await window.crypto.subtle.generateKey(ECDH, true, ['deriveKey', 'deriveBits']);
+    const signingKeyPair = await window.crypto.subtle.generateKey(ECDSA, true, ['sign', 'verify']);
+    const signedPrekeyPair = await window.crypto.subtle.generateKey(ECDH, true, ['deriveKey', 'deriveBits']);
+
+    const record = {
+      id: this.recordId('identity'),
+      identityKey: await this.exportKeyPair(identityKeyPair),
+      signingKey: await this.exportKeyPair(signingKeyPair),
+      signedPrekey: { keyId: 1, ...(await this.exportKeyPair(signedPrekeyPair)) },
+      nextPrekeyId: 1,
+      createdAt: Date.now()
+    };
+
+    await sessionStorage.saveRecord(sessionStorage.keyStoreName, record);
+    return record;
+  }
+
+  async importIdentity(record) {
+    return {
+      identityKeyPair: await this.importKeyPair(record.identityKey, ECDH, ['deriveKey', 'deriveBits']),
+      signingKeyPair: await this.importKeyPair(record.signingKey, ECDSA, ['sign']),
+      // extractable, it is the first ratchet key of sessions friends start with us
+      signedPrekeyPair: await this.importKeyPair(record.signedPrekey, ECDH, ['deriveKey', 'deriveBits'], true)
+    };
+  }
+
+  // publish identity and signed prekey, the signature lets friends check the prekey is ours
+  async publishBundle(oneTimePrekeys) {
+    const record = this.identityRecord;
+    const signature = await window.crypto.subtle.sign(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      this.identity.signingKeyPair.privateKey,
+      new TextEncoder().encode(record.signedPrekey.publicKey)
+    );
+
+    await this.request('/bundle', {
+      method: 'PUT',
+      body: JSON.stringify({
+        identity_key: record.identityKey.publicKey,
+        signing_key: record.signingKey.publicKey,
+        signed_prekey_id: record.signedPrekey.keyId,
+        signed_prekey: record.signedPrekey.publicKey,
+        signed_prekey_signature: this.toBase64(signature),
+        one_time_prekeys: oneTimePrekeys
+      })
+    });
+  }
+
+  // create one-time prekeys, private halves stay in indexeddb until a friend uses them
+  async generatePrekeys(count) {
+    const prekeys = [];
+
+    for (let i = 0; i < count; i++) {
+      const keyId = this.identityRecord.nextPrekeyId++;
+      const keyPair = await window.crypto.subtle.generateKey(ECDH, true, ['deriveKey', 'deriveBits']);
+      const exported = await this.exportKeyPair(keyPair);
+
+      await sessionStorage.saveRecord(sessionStorage.keyStoreName, { id: this.recordId('prekey', keyId), ...exported });
+      prekeys.push({ key_id: keyId, public_key: exported.publicKey });
+    }
+
+    await sessionStorage.saveRecord(sessionStorage.keyStoreName, this.identityRecord);
+    return prekeys;
+  }
+
+  async exportKeyPair(keyPair) {
+    return {
+      publicKey: canonicalPublicKey(await window.crypto.subtle.exportKey('jwk', keyPair.publicKey)),
+      privateKey: await window.crypto.subtle.exportKey('jwk', keyPair.privateKey)
+    };
+  }
+
+  async importKeyPair({ publicKey, privateKey }, algorithm, privateUsages, extractable = false) {
+    return {
+      publicKey: await this.importPublicKey(publicKey, algorithm, extractable),
+      privateKey: await window.crypto.subtle.importKey('jwk', privateKey, algorithm, extractable, privateUsages)
+    };
+  }
+
+  importPublicKey(publicKey, algorithm = ECDH, extractable = false) {
+    const usages = algorithm.name === 'ECDSA' ? ['verify'] : [];
+    return window.crypto.subtle.importKey('jwk', JSON.parse(publicKey), algorithm, extractable, usages);
+  }
+
+  // ============================================================================
+  // SESSIONS
+  // ============================================================================
+
+  // start a session with a friend from their published bundle (they may be offline)
+  async startSession(friendId, record) {
+    let bundle;
+    try {
+      bundle = await this.request(`/bundle/${friendId}`);
+    } catch (error) {
+      // only a friend who never used an e2ee capable client may get plaintext
+      if (error.status === 404) {
+        if (record && record.identityKey) throw new E2EEUnavailableError(friendId);
+        return null;
+      }
+      throw error;
+    }
+
+    // the signed prekey must come from the friend's signing key
+    const signingKey = await this.importPublicKey(bundle.signing_key, ECDSA);
+    const isSigned = await window.crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      signingKey,
+      this.fromBase64(bundle.signed_prekey.signature),
+      new TextEncoder().encode(bundle.signed_prekey.public_key)
+    );
+    if (!isSigned) {
+      throw new Error('Invalid prekey signature');
+    }
+
+    const client = new SignalProtocolClient(this.userId);
+    const ephemeralKey = await client.initiateFromBundle(this.identity.identityKeyPair, {
+      identityKey: await this.importPublicKey(bundle.identity_key),
+      signedPrekey: await this.importPublicKey(bundle.signed_prekey.public_key),
+      oneTimePrekey: bundle.one_time_prekey ? await this.importPublicKey(bundle.one_time_prekey.public_key) : null
+    });
+
+    // a new friend identity makes every older session useless
+    const friendRecord = record && record.identityKey === bundle.identity_key
+      ? record
+      : { id: this.recordId('friend', friendId), friendId, identityKey: bundle.identity_key, activeSessionId: null, sessions: {} };
+    if (record && record.identityKey && record.identityKey !== bundle.identity_key) {
+      await this.reportIdentityChange(friendId, bundle.identity_key);
+    }
+
+    const sessionId = window.crypto.randomUUID();
+    friendRecord.sessions[sessionId] = {
+      isInitiator: true,
+      confirmed: false,
+      // repeated on every message until the friend answers, so any of them can set up their side
+      prekeyHeader: {
+        identityKey: this.identityRecord.identityKey.publicKey,
+        ephemeralKey: canonicalPublicKey(ephemeralKey),
+        signedPrekeyId: bundle.signed_prekey.key_id,
+        oneTimePrekeyId: bundle.one_time_prekey ? bundle.one_time_prekey.key_id : null
+      },
+      state: await client.exportState(),
+      updatedAt: Date.now()
+    };
+    friendRecord.activeSessionId = sessionId;
+
+    return friendRecord;
+  }
+
+  // set up our side of a session a friend started from our bundle
+  async acceptSession(header) {
+    const { signedPrekey } = this.identityRecord;
+    if (header.signedPrekeyId !== signedPrekey.keyId) {
+      throw new Error('Unknown signed prekey');
+    }
+
+    let oneTimePrekeyPair = null;
+    if (header.oneTimePrekeyId !== null && header.oneTimePrekeyId !== undefined) {
+      const prekey = await sessionStorage.loadRecord(sessionStorage.keyStoreName, this.recordId('prekey', header.oneTimePrekeyId));
+      if (!prekey) {
+        throw new Error('One-time prekey already used');
+      }
+      oneTimePrekeyPair = await this.importKeyPair(prekey, ECDH, ['deriveKey', 'deriveBits']);
+    }
+
+    const client = new SignalProtocolClient(this.userId);
+    await client.acceptFromHeader(this.identity.identityKeyPair, {
+      signedPrekeyPair: this.identity.signedPrekeyPair,
+      oneTimePrekeyPair,
+      partnerIdentityKey: await this.importPublicKey(header.identityKey),
+      partnerEphemeralKey: await this.importPublicKey(header.ephemeralKey)
+    });
+
+    return {
+      isInitiator: false,
+      confirmed: true,
+      state: await client.exportState(),
+      updatedAt: Date.now()
+    };
+  }
+
+  // keep the most recently used sessions
+  pruneSessions(record) {
+    const sessionIds = Object.keys(record.sessions)
+      .sort((a, b) => record.sessions[b].updatedAt - record.sessions[a].updatedAt);
+    for (const sessionId of sessionIds.slice(MAX_SESSIONS_PER_FRIEND)) {
+      delete record.sessions[sessionId];
+    }
+  }
+
+  // ============================================================================
+  // ENCRYPTION
+  // ============================================================================
+
+  // encrypt a message for a friend, returns the envelope string or null if they never had keys
+  encryptFor(friendId, plaintext) {
+    return this.enqueue(async () => {
+      if (!this.identity) {
+        throw new Error('End-to-end encryption is not ready');
+      }
+
+      // sessions saved before the current ratchet format are replaced by a new one
+      let record = await sessionStorage.loadRecord(sessionStorage.keyStoreName, this.recordId('friend', friendId));
+      const active = record && record.sessions[record.activeSessionId];
+      if (!active || active.state.version !== RATCHET_STATE_VERSION) {
+        record = await this.startSession(friendId, record);
+        if (!record) return null;
+      }
+
+      const sessionId = record.activeSessionId;
+      const session = record.sessions[sessionId];
+
+      const client = new SignalProtocolClient(this.userId);
+      await client.importState(session.state);
+      const { header, encrypted, iv } = await client.encrypt(plaintext);
+
+      session.state = await client.exportState();
+      session.updatedAt = Date.now();
+      await sessionStorage.saveRecord(sessionStorage.keyStoreName, record);
+
+      const isPrekeyMessage = session.isInitiator && !session.confirmed;
+      const envelope = JSON.stringify({
+        v: 1,
+        type: isPrekeyMessage ? 'prekey' : 'message',
+        header: isPrekeyMessage ? { sessionId, ...header, ...session.prekeyHeader } : { sessionId, ...header },
+        iv,
+        ciphertext: encrypted
+      });
+
+      this.outgoing.set(envelope, plaintext);
+      return envelope;
+    });
+  }
+
+  // decrypt an envelope from a friend and advance the session it belongs to
+  async decryptEnvelope(friendId, envelope) {
+    const { type, header, iv, ciphertext } = JSON.parse(envelope);
+
+    const record = await sessionStorage.loadRecord(sessionStorage.keyStoreName, this.recordId('friend', friendId))
+      || { id: this.recordId('friend', friendId), friendId, identityKey: null, activeSessionId: null, sessions: {} };
+
+    let session = record.sessions[header.sessionId];
+    let usedPrekeyId = null;
+    if (!session) {
+      if (type !== 'prekey') {
+        throw new Error('Unknown session');
+      }
+      session = await this.acceptSession(header);
+      usedPrekeyId = header.oneTimePrekeyId;
+
+      // a friend who reinstalled starts over with a new identity
+      if (record.identityKey !== header.identityKey) {
+        if (record.identityKey) {
+          await this.reportIdentityChange(friendId, header.identityKey);
+        }
+        record.sessions = {};
+        record.identityKey = header.identityKey;
+      }
+    }
+
+    // state is only written back once the message decrypted
+    const client = new SignalProtocolClient(this.userId);
+    await client.importState(session.state);
+    const plaintext = await client.decrypt({
+      header: { dh: header.dh, pn: header.pn, n: header.n },
+      encrypted: ciphertext,
+      iv
+    });
+
+    // the friend answered, and the session they used last is the one we reply on
+    session.state = await client.exportState();
+    session.confirmed = true;
+    session.updatedAt = Date.now();
+    record.sessions[header.sessionId] = session;
+    record.activeSessionId = header.sessionId;
+    this.pruneSessions(record);
+    await sessionStorage.saveRecord(sessionStorage.keyStoreName, record);
+
+    if (usedPrekeyId !== null && usedPrekeyId !== undefined) {
+      await sessionStorage.deleteRecord(sessionStorage.keyStoreName, this.recordId('prekey', usedPrekeyId));
+    }
+
+    return plaintext;
+  }
+
+  // plaintext of an encrypted friend message, decrypted once and then read from the local cache.
+  // refresh skips the cache for edits, which replace the envelope of an existing message
+  openMessage({ id, senderId, envelope }, { refresh = false } = {}) {
+    return this.enqueue(async () => {
+      if (id && !refresh) {
+        const cached = await sessionStorage.loadRecord(sessionStorage.plaintextStoreName, this.recordId('message', id));
+        if (cached) return cached.text;
+      }
+
+      let text = this.outgoing.get(envelope);
+      if (text === undefined) {
+        // our own messages from another device were encrypted with that device's sessions
+        if (!this.identity || sameUser(senderId, this.userId)) {
+          return UNAVAILABLE_MESSAGE;
+        }
+        try {
+          text = await this.decryptEnvelope(senderId, envelope);
+        } catch (error) {
+          return UNAVAILABLE_MESSAGE;
+        }
+      }
+
+      if (id) {
+        await sessionStorage.saveRecord(sessionStorage.plaintextStoreName, { id: this.recordId('message', id), text });
+      }
+      return text;
+    });
+  }
+
+  // remember what we sent once the server assigned the message id
+  rememberPlaintext(messageId, text) {
+    return sessionStorage.saveRecord(sessionStorage.plaintextStoreName, { id: this.recordId('message', messageId), text });
+  }
+
+  // replace encrypted rows of a history page with their text, oldest first so chains advance in order
+  async openHistoryRows(rows) {
+    const opened = new Map();
+    const encryptedRows = rows
+      .filter(row => row.is_e2ee && row.encrypted_message)
+      .sort((a, b) => new Date(a.sent_at) - new Date(b.sent_at));
+
+    for (const row of encryptedRows) {
+      opened.set(row.id, await this.openMessage({ id: row.id, senderId: row.sender_id, envelope: row.encrypted_message }));
+    }
+
+    return rows.map(row => (opened.has(row.id) ? { ...row, encrypted_message: opened.get(row.id) } : row));
+  }
+
+  // ============================================================================
+  // VERIFICATION
+  // ============================================================================
+
+  // subscribe to identity key changes ({ friendId, wasVerified }), returns an unsubscribe function
+  onIdentityChange(listener) {
+    this.identityListeners.add(listener);
+    return () => this.identityListeners.delete(listener);
+  }
+
+  async reportIdentityChange(friendId, identityKey) {
+    const verified = await sessionStorage.loadRecord(sessionStorage.keyStoreName, this.recordId('verified', friendId));
+    const change = { friendId, identityKey, wasVerified: Boolean(verified) };
+    this.identityListeners.forEach(listener => listener(change));
+  }
+
+  // whether the friend's current identity key is the one we verified.
+  // changed means it was verified before and the friend's key is different now
+  async getVerificationState(friendId) {
+    const { identity_key: identityKey } = await this.request(`/identity/${friendId}`);
+    const verified = await sessionStorage.loadRecord(sessionStorage.keyStoreName, this.recordId('verified', friendId));
+
+    return {
+      identityKey,
+      verified: Boolean(verified) && verified.identityKey === identityKey,
+      changed: Boolean(verified) && verified.identityKey !== identityKey
+    };
+  }
+
+  // safety number to compare with the friend in person or over another channel
+  async getSafetyNumber(friendId) {
+    if (!this.identity) {
+      throw new Error('End-to-end encryption is not ready');
+    }
+
+    const state = await this.getVerificationState(friendId);
+    const safetyNumber = await computeSafetyNumber({
+      localId: this.userId,
+      localIdentityKey: this.identityRecord.identityKey.publicKey,
+      remoteId: friendId,
+      remoteIdentityKey: state.identityKey
+    });
+
+    return { ...state, ...safetyNumber };
+  }
+
+  // remember (or forget) that the safety number for this identity key matched
+  setVerified(friendId, identityKey, isVerified) {
+    const id = this.recordId('verified', friendId);
+    return isVerified
+      ? sessionStorage.saveRecord(sessionStorage.keyStoreName, { id, identityKey, verifiedAt: Date.now() })
+      : sessionStorage.deleteRecord(sessionStorage.keyStoreName, id);
+  }
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  enqueue(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  recordId(kind, key) {
+    return key === undefined ? `${kind}:${this.userId}` : `${kind}:${this.userId}:${key}`;
+  }
+
+  async request(path, options = {}) {
+    const response = await fetch(`${this.apiBaseUrl}/api/user-keys${path}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${localStorage.getItem('token')}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.error || 'Key server request failed');
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  }
+
+  fromBase64(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+}
+
+// Create singleton instance
+const friendE2EE = new FriendE2EEManager();
+
+export default friendE2EE;
@@ -0,0 +1,123 @@
+/**
+ * safety numbers for comparing identity keys out of band
+ * both partners derive the same 60 digit code and pattern from the two identity keys,
+ * so a relay that swapped keys in transit shows up as a mismatch
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const FINGERPRINT_VERSION = 0;
+const FINGERPRINT_ITERATIONS = 5200;
+
+// each side contributes 30 digits: 6 chunks of 5 bytes, 5 digits per chunk
+const CHUNKS_PER_SIDE = 6;
+
+// size of the square pattern (including the three corner markers)
+export const PATTERN_SIZE = 21;
+const MARKER_SIZE = 7;
+
+// ============================================================================
+// FINGERPRINTS
+// ============================================================================
+
+// public keys are compared as json strings with a fixed member order so they compare equal
+export const canonicalPublicKey = (jwk) => JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y });
+
+const encoder = new TextEncoder();
+
+const concat = (...arrays) => {
+  const combined = new Uint8Array(arrays.reduce((acc, arr) => acc + arr.length, 0));
+  let offset = 0;
+  for (const arr of arrays) {
+    combined.set(arr, offset);
+    offset += arr.length;
+  }
+  return combined;
+};
+
+// iterated hash over one identity key and the stable id of its owner
+async function fingerprint(identityKey, ownerId) {
+  const key = encoder.encode(identityKey);
+  let hash = concat(new Uint8Array([0, FINGERPRINT_VERSION]), key, encoder.encode(String(ownerId).toLowerCase()));
+
+  for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+    hash = new Uint8Array(await window.crypto.subtle.digest('SHA-512', concat(hash, key)));
+  }
+
+  return hash.slice(0, CHUNKS_PER_SIDE * 5);
+}
+
+// 5 bytes -> 5 digits
+function encodeChunks(bytes) {
+  const groups = [];
+  for (let i = 0; i < CHUNKS_PER_SIDE; i++) {
+    const chunk = bytes.slice(i * 5, i * 5 + 5);
+    const value = chunk.reduce((acc, byte) => acc * 256 + byte, 0);
+    groups.push(String(value % 100000).padStart(5, '0'));
+  }
+  return groups;
+}
+
+// square pattern to compare at a glance, corner markers make it look and align like a qr code
+async function buildPattern(seed) {
+  const cells = Array.from({ length: PATTERN_SIZE }, () => new Array(PATTERN_SIZE).fill(false));
+
+  // enough hash output for one bit per cell
+  let bits = new Uint8Array(0);
+  let block = seed;
+  while (bits.length * 8 < PATTERN_SIZE * PATTERN_SIZE) {
+    block = new Uint8Array(await window.crypto.subtle.digest('SHA-256', block));
+    bits = concat(bits, block);
+  }
+
+  const inMarker = (row, col) => {
+    const far = PATTERN_SIZE - MARKER_SIZE - 1;
+    return (row <= MARKER_SIZE && col <= MARKER_SIZE) ||
+      (row <= MARKER_SIZE && col >= far) ||
+      (row >= far && col <= MARKER_SIZE);
+  };
+
+  for (let row = 0; row < PATTERN_SIZE; row++) {
+    for (let col = 0; col < PATTERN_SIZE; col++) {
+      if (inMarker(row, col)) continue;
+      const index = row * PATTERN_SIZE + col;
+      cells[row][col] = Boolean(bits[index >> 3] & (1 << (index & 7)));
+    }
+  }
+
+  // three finder squares: dark ring, light ring, dark 3x3 centre
+  const drawMarker = (top, left) => {
+    for (let row = 0; row < MARKER_SIZE; row++) {
+      for (let col = 0; col < MARKER_SIZE; col++) {
+        const ring = Math.min(row, col, MARKER_SIZE - 1 - row, MARKER_SIZE - 1 - col);
+        cells[top + row][left + col] = ring !== 1;
+      }
+    }
+  };
+  drawMarker(0, 0);
+  drawMarker(0, PATTERN_SIZE - MARKER_SIZE);
+  drawMarker(PATTERN_SIZE - MARKER_SIZE, 0);
+
+  return cells;
+}
+
+/**
+ * compute the safety number shared by two chat partners
+ * identity keys are the public jwk strings exchanged by the protocol, ids are user ids or usernames
+ * @returns {{ digits: string[], pattern: boolean[][] }} 12 groups of 5 digits and a PATTERN_SIZE grid
+ */
+export async function computeSafetyNumber({ localId, localIdentityKey, remoteId, remoteIdentityKey }) {
+  const local = await fingerprint(localIdentityKey, localId);
+  const remote = await fingerprint(remoteIdentityKey, remoteId);
+
+  // same order on both sides
+  const localFirst = String(localId).toLowerCase() < String(remoteId).toLowerCase();
+  const [first, second] = localFirst ? [local, remote] : [remote, local];
+
+  return {
+    digits: [...encodeChunks(first), ...encodeChunks(second)],
+    pattern: await buildPattern(concat(first, second))
+  };
+}
@@ -1,8 +1,27 @@
 /**
  * indexeddb session storage for e2ee sessions
- * prevents re-initialization and browser crashes
+ * prevents re-initialization and browser crashes.
+ * every entry is encrypted with a non-extractable aes-gcm wrapping key, either kept in indexeddb
+ * itself (protects against reading the files on disk) or derived from a passphrase and only held in memory
  */
 
+// ============================================================================
+// WRAPPING KEYS
+// ============================================================================
+
+const WRAPPING_ALGORITHM = { name: 'AES-GCM', length: 256 };
+const PASSPHRASE_ITERATIONS = 310000;
+
+// encrypted with a passphrase key so unlock can tell a wrong passphrase apart
+const PASSPHRASE_CHECK = 'LuckyLinkE2EE passphrase check';
+
+export class SecureStorageLockedError extends Error {
+  constructor() {
+    super('Secure session storage is locked');
+    this.name = 'SecureStorageLockedError';
+  }
+}
+
 class SessionStorage {
   constructor() {
     // ============================================================================
@@ -10,9 +29,20 @@ class SessionStorage {
     // ============================================================================
 
     this.dbName = 'LuckyLinkE2EE';
-    this.dbVersion = 1;
+    this.dbVersion = 3;
     this.storeName = 'sessions';
+    // friend chat e2ee: long-term key material and ratchet state, and decrypted message text
+    this.keyStoreName = 'keys';
+    this.plaintextStoreName = 'plaintexts';
+    // version -> wrapping key record, the highest version is current
+    this.wrappingKeyStoreName = 'wrappingKeys';
     this.db = null;
+
+    // current wrapping key ({ version, kind, key }), key is null while a passphrase key is locked
+    this.wrappingKey = null;
+    this.initPromise = null;
+    // re-encryption of entries written in the clear or under an older key version
+    this.migration = null;
   }
 
   // ============================================================================
@@ -20,7 +50,22 @@ class SessionStorage {
   // ============================================================================
 
   async init() {
-    if (this.db) return this.db;
+    if (!this.initPromise) {
+      this.initPromise = this.openDatabase()
+        .then(() => this.loadWrappingKey())
+        .catch((error) => {
+          this.initPromise = null;
+          throw error;
+        });
+    }
+
+    await this.initPromise;
+    await this.migration;
+    return this.db;
+  }
+
+  openDatabase() {
+    if (this.db) return Promise.resolve(this.db);
 
     return new Promise((resolve, reject) => {
       const request = indexedDB.open(this.dbName, this.dbVersion);
@@ -44,23 +89,272 @@ class SessionStorage {
           store.createIndex('username', 'username', { unique: false });
           store.createIndex('timestamp', 'timestamp', { unique: false });
         }
+        
+        // version 2: friend chat key records, kept apart so expiry of random chat sessions never touches them
+        if (!db.objectStoreNames.contains(this.keyStoreName)) {
+          db.createObjectStore(this.keyStoreName, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(this.plaintextStoreName)) {
+          db.createObjectStore(this.plaintextStoreName, { keyPath: 'id' });
+        }
+
+        // version 3: wrapping keys. entries from version 2 are still in the clear, webcrypto cannot run
+        // inside an upgrade transaction so they are encrypted by the migration after opening
+        if (!db.objectStoreNames.contains(this.wrappingKeyStoreName)) {
+          db.createObjectStore(this.wrappingKeyStoreName, { keyPath: 'version' });
+        }
       };
     });
   }
 
+  // ============================================================================
+  // WRAPPING KEY MANAGEMENT
+  // ============================================================================
+
+  async loadWrappingKey() {
+    const records = await this.getAllRaw(this.wrappingKeyStoreName);
+    let current = records.reduce((latest, record) => (!latest || record.version > latest.version ? record : latest), null);
+
+    if (!current) {
+      current = await this.createDeviceKey(1);
+      await this.putRaw(this.wrappingKeyStoreName, current);
+    }
+
+    this.wrappingKey = {
+      version: current.version,
+      kind: current.kind,
+      key: current.kind === 'device' ? current.key : null
+    };
+
+    if (this.wrappingKey.key) {
+      this.migration = this.resealAll();
+    }
+  }
+
+  // the CryptoKey itself is stored, indexeddb keeps it non-extractable
+  async createDeviceKey(version) {
+    return {
+      version,
+      kind: 'device',
+      key: await window.crypto.subtle.generateKey(WRAPPING_ALGORITHM, false, ['encrypt', 'decrypt']),
+      createdAt: Date.now()
+    };
+  }
+
+  derivePassphraseKey(passphrase, salt, iterations) {
+    return window.crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+      .then(baseKey => window.crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        baseKey,
+        WRAPPING_ALGORITHM,
+        false,
+        ['encrypt', 'decrypt']
+      ));
+  }
+
+  // a passphrase key is required and has not been entered since the page loaded
+  async isLocked() {
+    await this.init();
+    return !this.wrappingKey.key;
+  }
+
+  async hasPassphrase() {
+    await this.init();
+    return this.wrappingKey.kind === 'passphrase';
+  }
+
+  // derive the passphrase key for this page load, resolves false for a wrong passphrase
+  async unlock(passphrase) {
+    await this.init();
+    if (this.wrappingKey.key) return true;
+
+    const record = (await this.getAllRaw(this.wrappingKeyStoreName)).find(r => r.version === this.wrappingKey.version);
+    const key = await this.derivePassphraseKey(passphrase, record.salt, record.iterations);
+    try {
+      await this.decryptValue(key, record.check, PASSPHRASE_CHECK);
+    } catch (error) {
+      return false;
+    }
+
+    this.wrappingKey.key = key;
+    this.migration = this.resealAll();
+    await this.migration;
+    return true;
+  }
+
+  // wrap everything with a key derived from a passphrase (or a new one), under a new key version
+  async setPassphrase(passphrase) {
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const key = await this.derivePassphraseKey(passphrase, salt, PASSPHRASE_ITERATIONS);
+    return this.replaceWrappingKey({
+      kind: 'passphrase',
+      salt,
+      iterations: PASSPHRASE_ITERATIONS,
+      check: await this.encryptValue(key, PASSPHRASE_CHECK, PASSPHRASE_CHECK),
+      createdAt: Date.now()
+    }, key);
+  }
+
+  // back to a key stored on the device
+  async removePassphrase() {
+    const record = await this.createDeviceKey(0);
+    return this.replaceWrappingKey(record, record.key);
+  }
+
+  async replaceWrappingKey(record, key) {
+    if (await this.isLocked()) {
+      throw new SecureStorageLockedError();
+    }
+
+    const previous = this.wrappingKey;
+    const version = previous.version + 1;
+    await this.putRaw(this.wrappingKeyStoreName, { ...record, version });
+
+    // entries are re-encrypted before the old key record is dropped, so an interrupted change from a
+    // device key resumes on the next load
+    this.wrappingKey = { version, kind: record.kind, key };
+    this.migration = this.resealAll(previous);
+    await this.migration;
+  }
+
+  // encrypt entries that are in the clear or under an older key version, then drop older keys.
+  // passphrase keys are not stored, the one being replaced is passed in
+  async resealAll(previous = null) {
+    const keyRecords = await this.getAllRaw(this.wrappingKeyStoreName);
+    const keys = new Map(keyRecords.map(record => [record.version, record.key]));
+    if (previous) {
+      keys.set(previous.version, previous.key);
+    }
+
+    for (const storeName of [this.storeName, this.keyStoreName, this.plaintextStoreName]) {
+      const keyPath = this.keyPathOf(storeName);
+      for (const entry of await this.getAllRaw(storeName)) {
+        if (entry.keyVersion === this.wrappingKey.version) continue;
+
+        let value = entry;
+        if (entry.keyVersion !== undefined) {
+          const oldKey = keys.get(entry.keyVersion);
+          if (!oldKey) {
+            // written under a passphrase key that is gone (change interrupted by a reload), unreadable
+            await this.deleteRaw(storeName, entry[keyPath]);
+            continue;
+          }
+          value = await this.decryptValue(oldKey, entry, this.entryContext(storeName, entry[keyPath]));
+        }
+        await this.putRaw(storeName, await this.sealEntry(storeName, entry[keyPath], value));
+      }
+    }
+
+    for (const record of keyRecords) {
+      if (record.version !== this.wrappingKey.version) {
+        await this.deleteRaw(this.wrappingKeyStoreName, record.version);
+      }
+    }
+  }
+
+  // ============================================================================
+  // ENTRY ENCRYPTION
+  // ============================================================================
+
+  keyPathOf(storeName) {
+    return storeName === this.storeName ? 'sessionId' : 'id';
+  }
+
+  // bound to the store and key as additional data, so entries cannot be swapped around
+  entryContext(storeName, id) {
+    return `${storeName}:${id}`;
+  }
+
+  async encryptValue(key, value, context) {
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await window.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(context) },
+      key,
+      new TextEncoder().encode(JSON.stringify(value))
+    );
+    return { iv, ciphertext: new Uint8Array(ciphertext) };
+  }
+
+  async decryptValue(key, { iv, ciphertext }, context) {
+    const plaintext = await window.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(context) },
+      key,
+      ciphertext
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  // only the key (and the session timestamp, for expiry) stay readable
+  async sealEntry(storeName, id, value) {
+    if (!this.wrappingKey || !this.wrappingKey.key) {
+      throw new SecureStorageLockedError();
+    }
+
+    const keyPath = this.keyPathOf(storeName);
+    const sealed = await this.encryptValue(this.wrappingKey.key, value, this.entryContext(storeName, id));
+    const entry = { [keyPath]: id, keyVersion: this.wrappingKey.version, ...sealed };
+    if (storeName === this.storeName) {
+      entry.timestamp = value.timestamp;
+    }
+    return entry;
+  }
+
+  async openEntry(storeName, entry) {
+    if (!entry) return null;
+    // written before version 3 and not migrated yet
+    if (entry.keyVersion === undefined) return entry;
+
+    if (!this.wrappingKey.key) {
+      throw new SecureStorageLockedError();
+    }
+    return this.decryptValue(this.wrappingKey.key, entry, this.entryContext(storeName, entry[this.keyPathOf(storeName)]));
+  }
+
+  // ============================================================================
+  // RAW ACCESS
+  // ============================================================================
+
+  getAllRaw(storeName) {
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  putRaw(storeName, entry) {
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction([storeName], 'readwrite').objectStore(storeName).put(entry);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  deleteRaw(storeName, id) {
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction([storeName], 'readwrite').objectStore(storeName).delete(id);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // ============================================================================
+  // RANDOM CHAT SESSIONS
+  // ============================================================================
+
   async saveSession(sessionId, sessionData) {
     try {
       await this.init();
       
-      const transaction = this.db.transaction([this.storeName], 'readwrite');
-      const store = transaction.objectStore(this.storeName);
-      
-      const data = {
+      const data = await this.sealEntry(this.storeName, sessionId, {
         sessionId,
         ...sessionData,
         timestamp: Date.now(),
         version: 1
-      };
+      });
+      
+      const transaction = this.db.transaction([this.storeName], 'readwrite');
+      const store = transaction.objectStore(this.storeName);
       
       await new Promise((resolve, reject) => {
         const request = store.put(data);
@@ -81,7 +375,7 @@ class SessionStorage {
       const transaction = this.db.transaction([this.storeName], 'readonly');
       const store = transaction.objectStore(this.storeName);
       
-      return new Promise((resolve, reject) => {
+      const result = await new Promise((resolve, reject) => {
         const request = store.get(sessionId);
         
         request.onsuccess = () => {
@@ -97,6 +391,8 @@ class SessionStorage {
           resolve(null);
         };
       });
+      
+      return await this.openEntry(this.storeName, result);
     } catch (error) {
       return null;
     }
@@ -161,7 +457,7 @@ class SessionStorage {
       const transaction = this.db.transaction([this.storeName], 'readonly');
       const store = transaction.objectStore(this.storeName);
       
-      return new Promise((resolve, reject) => {
+      const results = await new Promise((resolve, reject) => {
         const request = store.getAll();
         
         request.onsuccess = () => {
@@ -172,6 +468,8 @@ class SessionStorage {
           resolve([]);
         };
       });
+      
+      return await Promise.all(results.map(result => this.openEntry(this.storeName, result)));
     } catch (error) {
       return [];
     }
@@ -182,12 +480,99 @@ class SessionStorage {
     return session !== null;
   }
 
+  // ============================================================================
+  // FRIEND CHAT RECORDS
+  // ============================================================================
+
+  async saveRecord(storeName, record) {
+    try {
+      await this.init();
+      
+      const entry = await this.sealEntry(storeName, record.id, record);
+      
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+      
+      await new Promise((resolve, reject) => {
+        const request = store.put(entry);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+      });
+      
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async loadRecord(storeName, id) {
+    try {
+      await this.init();
+      
+      const transaction = this.db.transaction([storeName], 'readonly');
+      const store = transaction.objectStore(storeName);
+      
+      const entry = await new Promise((resolve) => {
+        const request = store.get(id);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => resolve(null);
+      });
+      
+      return await this.openEntry(storeName, entry);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async deleteRecord(storeName, id) {
+    try {
+      await this.init();
+      
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+      
+      await new Promise((resolve, reject) => {
+        const request = store.delete(id);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+      });
+      
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // ============================================================================
+  // WIPE
+  // ============================================================================
+
+  // remove every session, key and cached message, including the wrapping keys.
+  // a new device key is created on the next use
+  async wipeAll() {
+    await this.openDatabase();
+
+    const storeNames = [this.storeName, this.keyStoreName, this.plaintextStoreName, this.wrappingKeyStoreName];
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeNames, 'readwrite');
+      storeNames.forEach(storeName => transaction.objectStore(storeName).clear());
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    this.wrappingKey = null;
+    this.initPromise = null;
+    this.migration = null;
+  }
+
   // Cleanup method for component unmount
   close() {
     if (this.db) {
       this.db.close();
       this.db = null;
     }
+    this.wrappingKey = null;
+    this.initPromise = null;
   }
 }
 
@@ -3,6 +3,23 @@
  * uses web crypto api instead of node.js crypto module
  */
 
+import { canonicalPublicKey } from './SafetyNumber';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// bumped whenever exportState changes shape, older states cannot be resumed
+export const RATCHET_STATE_VERSION = 2;
+
+// message keys derived ahead for a single chain (a bigger gap is treated as an attack)
+const MAX_SKIP = 1000;
+
+// message keys kept for late messages across all chains, the oldest are dropped first
+const MAX_SKIPPED_KEYS = 2000;
+
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+
 class SignalProtocolClient {
   constructor(username) {
     this.username = username;
@@ -14,18 +31,30 @@ class SignalProtocolClient {
     // key pairs will be generated asynchronously
     this.identityKeyPair = null;
     this.ephemeralKeyPair = null;
+    this.isInitiator = false;
     
     this.sessionKey = null;
     this.partnerIdentityPublicKey = null;
+    this.partnerIdentityKeyJWK = null; // kept for safety number verification
     this.partnerEphemeralPublicKey = null;
+    
+    // double ratchet state: counters of the current sending chain (Ns), receiving chain (Nr)
+    // and the length of our previous sending chain (PN)
     this.messageCounter = 0;
     this.partnerMessageCounter = 0;
+    this.previousCounter = 0;
     this.sendingChainKey = null;
     this.receivingChainKey = null;
     this.rootKey = null;
+    
+    // our ratchet key pair and the partner's current ratchet key (CryptoKey and canonical jwk string)
     this.currentRatchetKeyPair = null;
+    this.currentRatchetPublicKey = null;
     this.partnerRatchetPublicKey = null;
     this.lastReceivedRatchetKey = null;
+    
+    // `${ratchetKey}:${counter}` -> message key for messages that have not arrived yet
+    this.skippedMessageKeys = new Map();
   }
   
   // ============================================================================
@@ -79,6 +108,18 @@ class SignalProtocolClient {
     };
   }
   
+  // identity public keys of both sides (jwk), compared through safety numbers
+  async getIdentityPublicKeys() {
+    if (!this.identityKeyPair || !this.partnerIdentityKeyJWK) {
+      return null;
+    }
+    
+    return {
+      local: await window.crypto.subtle.exportKey('jwk', this.identityKeyPair.publicKey),
+      remote: this.partnerIdentityKeyJWK
+    };
+  }
+  
   // ============================================================================
   // X3DH KEY AGREEMENT
   // ============================================================================
@@ -109,6 +150,7 @@ class SignalProtocolClient {
       );
       
       this.partnerIdentityPublicKey = partnerIdentityKey;
+      this.partnerIdentityKeyJWK = partnerPublicKeys.identity;
       this.partnerEphemeralPublicKey = partnerEphemeralKey;
       
       // perform 4 dh operations for x3dh
@@ -168,66 +210,10 @@ class SignalProtocolClient {
         return 0;
       });
       
-      // Combine all 4 shared secrets
-      const combined = new Uint8Array(dhArrays.reduce((acc, arr) => acc + arr.length, 0));
-      let offset = 0;
-      for (const arr of dhArrays) {
-        combined.set(arr, offset);
-        offset += arr.length;
-      }
-      
-      
-      // Apply KDF with domain separation
-      const encoder = new TextEncoder();
-      const domainSeparator = encoder.encode('Signal_X3DH_P256');
-      const kdfInput = new Uint8Array(domainSeparator.length + combined.length);
-      kdfInput.set(domainSeparator);
-      kdfInput.set(combined, domainSeparator.length);
-      
-      // Derive master secret using HKDF
-      const masterSecret = await this.hkdf(kdfInput, 32);
-      
-      // Derive root key
-      const rootInput = new Uint8Array(masterSecret.length + 4);
-      rootInput.set(masterSecret);
-      rootInput.set(encoder.encode('root'), masterSecret.length);
-      this.rootKey = await this.hkdf(rootInput, 32);
-      
-      // Initialize ratchet with new key pair
-      this.currentRatchetKeyPair = await window.crypto.subtle.generateKey(
-        {
-          name: 'ECDH',
-          namedCurve: 'P-256'
-        },
-        true,
-        ['deriveKey', 'deriveBits']
-      );
-      
-      // Derive base chain key
-      const chainInput = new Uint8Array(this.rootKey.length + 5);
-      chainInput.set(this.rootKey);
-      chainInput.set(encoder.encode('chain'), this.rootKey.length);
-      const baseChain = await this.hkdf(chainInput, 32);
-      
-      // Create two deterministic chains
-      const chain1Input = new Uint8Array(baseChain.length + 1);
-      chain1Input.set(baseChain);
-      chain1Input[baseChain.length] = 0x01;
-      const chain1 = await this.hkdf(chain1Input, 32);
-      
-      const chain2Input = new Uint8Array(baseChain.length + 1);
-      chain2Input.set(baseChain);
-      chain2Input[baseChain.length] = 0x02;
-      const chain2 = await this.hkdf(chain2Input, 32);
-      
-      // Chain assignment based on role
-      if (isInitiator) {
-        this.sendingChainKey = chain1;
-        this.receivingChainKey = chain2;
-      } else {
-        this.sendingChainKey = chain2;
-        this.receivingChainKey = chain1;
-      }
+      // first ratchet key, exchanged through getRatchetPublicKey / initializePartnerRatchet
+      this.isInitiator = isInitiator;
+      await this.deriveSessionKeys(this.concatBytes(dhArrays));
+      await this.generateRatchetKeyPair();
       
       return true;
     } catch (error) {
@@ -235,164 +221,421 @@ class SignalProtocolClient {
     }
   }
   
+  // derive the shared root key from the combined x3dh secrets.
+  // sending and receiving chains come from the first dh ratchet step
+  async deriveSessionKeys(combined) {
+    // Apply KDF with domain separation
+    const encoder = new TextEncoder();
+    const domainSeparator = encoder.encode('Signal_X3DH_P256');
+    const kdfInput = new Uint8Array(domainSeparator.length + combined.length);
+    kdfInput.set(domainSeparator);
+    kdfInput.set(combined, domainSeparator.length);
+    
+    this.rootKey = await this.hkdf(kdfInput, 32);
+    this.sendingChainKey = null;
+    this.receivingChainKey = null;
+    this.messageCounter = 0;
+    this.partnerMessageCounter = 0;
+    this.previousCounter = 0;
+    this.skippedMessageKeys = new Map();
+  }
+  
+  // ============================================================================
+  // ASYNCHRONOUS X3DH (PREKEY BUNDLES)
+  // ============================================================================
+
+  // start a session from a published prekey bundle, the partner can be offline.
+  // keys are CryptoKeys: own long-term identity pair and the partner's imported public keys.
+  // returns the ephemeral public key the partner needs to derive the same secret
+  async initiateFromBundle(identityKeyPair, { identityKey, signedPrekey, oneTimePrekey = null }) {
+    this.identityKeyPair = identityKeyPair;
+    this.partnerIdentityPublicKey = identityKey;
+    this.isInitiator = true;
+    this.ephemeralKeyPair = await window.crypto.subtle.generateKey(ECDH, true, ['deriveKey', 'deriveBits']);
+
+    // dh1: identity × signed prekey, dh2: ephemeral × identity, dh3: ephemeral × signed prekey
+    const secrets = [
+      await this.dh(identityKeyPair.privateKey, signedPrekey),
+      await this.dh(this.ephemeralKeyPair.privateKey, identityKey),
+      await this.dh(this.ephemeralKeyPair.privateKey, signedPrekey)
+    ];
+
+    // dh4: ephemeral × one-time prekey (skipped once the partner ran out of them)
+    if (oneTimePrekey) {
+      secrets.push(await this.dh(this.ephemeralKeyPair.privateKey, oneTimePrekey));
+    }
+
+    await this.deriveSessionKeys(this.concatBytes(secrets));
+
+    // the signed prekey doubles as the partner's first ratchet key, so we can send right away.
+    // their first reply always carries a new ratchet key, no need to remember this one
+    this.partnerRatchetPublicKey = signedPrekey;
+    await this.generateRatchetKeyPair();
+    [this.rootKey, this.sendingChainKey] = await this.kdfRootKey(
+      this.rootKey,
+      await this.dh(this.currentRatchetKeyPair.privateKey, signedPrekey)
+    );
+
+    return window.crypto.subtle.exportKey('jwk', this.ephemeralKeyPair.publicKey);
+  }
+
+  // complete a session started by initiateFromBundle from the first message's header,
+  // using the private halves of the prekeys the initiator picked.
+  // the signed prekey pair must be extractable, it is our first ratchet key and part of exportState
+  async acceptFromHeader(identityKeyPair, { signedPrekeyPair, oneTimePrekeyPair = null, partnerIdentityKey, partnerEphemeralKey }) {
+    this.identityKeyPair = identityKeyPair;
+    this.partnerIdentityPublicKey = partnerIdentityKey;
+    this.partnerEphemeralPublicKey = partnerEphemeralKey;
+    this.isInitiator = false;
+
+    // same dh order as the initiator, computed from the other side
+    const secrets = [
+      await this.dh(signedPrekeyPair.privateKey, partnerIdentityKey),
+      await this.dh(identityKeyPair.privateKey, partnerEphemeralKey),
+      await this.dh(signedPrekeyPair.privateKey, partnerEphemeralKey)
+    ];
+
+    if (oneTimePrekeyPair) {
+      secrets.push(await this.dh(oneTimePrekeyPair.privateKey, partnerEphemeralKey));
+    }
+
+    await this.deriveSessionKeys(this.concatBytes(secrets));
+
+    // chains are derived by the ratchet step on the initiator's first message
+    this.currentRatchetKeyPair = signedPrekeyPair;
+    this.currentRatchetPublicKey = canonicalPublicKey(
+      await window.crypto.subtle.exportKey('jwk', signedPrekeyPair.publicKey)
+    );
+  }
+
+  // ecdh shared secret as bytes
+  async dh(privateKey, publicKey) {
+    const bits = await window.crypto.subtle.deriveBits(
+      { name: 'ECDH', public: publicKey },
+      privateKey,
+      256
+    );
+    return new Uint8Array(bits);
+  }
+
+  concatBytes(arrays) {
+    const combined = new Uint8Array(arrays.reduce((acc, arr) => acc + arr.length, 0));
+    let offset = 0;
+    for (const arr of arrays) {
+      combined.set(arr, offset);
+      offset += arr.length;
+    }
+    return combined;
+  }
+
+  // ============================================================================
+  // STATE PERSISTENCE
+  // ============================================================================
+
+  // serializable ratchet state so friend sessions survive reloads
+  async exportState() {
+    const encode = (bytes) => (bytes ? this.arrayBufferToBase64(bytes) : null);
+
+    let ratchetKeyPair = null;
+    if (this.currentRatchetKeyPair) {
+      ratchetKeyPair = {
+        publicKey: this.currentRatchetPublicKey,
+        privateKey: await window.crypto.subtle.exportKey('jwk', this.currentRatchetKeyPair.privateKey)
+      };
+    }
+
+    return {
+      version: RATCHET_STATE_VERSION,
+      rootKey: encode(this.rootKey),
+      sendingChainKey: encode(this.sendingChainKey),
+      receivingChainKey: encode(this.receivingChainKey),
+      ratchetKeyPair,
+      partnerRatchetKey: this.lastReceivedRatchetKey,
+      messageCounter: this.messageCounter,
+      partnerMessageCounter: this.partnerMessageCounter,
+      previousCounter: this.previousCounter,
+      skippedMessageKeys: [...this.skippedMessageKeys].map(([id, key]) => [id, encode(key)])
+    };
+  }
+
+  async importState(state) {
+    if (state.version !== RATCHET_STATE_VERSION) {
+      throw new Error('Unsupported session state');
+    }
+
+    const decode = (value) => (value ? new Uint8Array(this.base64ToArrayBuffer(value)) : null);
+    this.rootKey = decode(state.rootKey);
+    this.sendingChainKey = decode(state.sendingChainKey);
+    this.receivingChainKey = decode(state.receivingChainKey);
+    this.messageCounter = state.messageCounter || 0;
+    this.partnerMessageCounter = state.partnerMessageCounter || 0;
+    this.previousCounter = state.previousCounter || 0;
+    this.skippedMessageKeys = new Map(state.skippedMessageKeys.map(([id, key]) => [id, decode(key)]));
+
+    this.currentRatchetKeyPair = null;
+    this.currentRatchetPublicKey = null;
+    if (state.ratchetKeyPair) {
+      const { publicKey, privateKey } = state.ratchetKeyPair;
+      this.currentRatchetKeyPair = {
+        publicKey: await window.crypto.subtle.importKey('jwk', JSON.parse(publicKey), ECDH, true, []),
+        privateKey: await window.crypto.subtle.importKey('jwk', privateKey, ECDH, true, ['deriveKey', 'deriveBits'])
+      };
+      this.currentRatchetPublicKey = publicKey;
+    }
+
+    this.lastReceivedRatchetKey = state.partnerRatchetKey;
+    this.partnerRatchetPublicKey = state.partnerRatchetKey ? await this.importRatchetKey(state.partnerRatchetKey) : null;
+  }
+
+  // ============================================================================
+  // DOUBLE RATCHET
+  // ============================================================================
+
+  async generateRatchetKeyPair() {
+    this.currentRatchetKeyPair = await window.crypto.subtle.generateKey(ECDH, true, ['deriveKey', 'deriveBits']);
+    this.currentRatchetPublicKey = canonicalPublicKey(
+      await window.crypto.subtle.exportKey('jwk', this.currentRatchetKeyPair.publicKey)
+    );
+  }
+
+  importRatchetKey(ratchetKey) {
+    return window.crypto.subtle.importKey('jwk', JSON.parse(ratchetKey), ECDH, false, []);
+  }
+
   async getRatchetPublicKey() {
     if (!this.currentRatchetKeyPair) {
       return null;
     }
     return await window.crypto.subtle.exportKey('jwk', this.currentRatchetKeyPair.publicKey);
   }
-  
+
+  // first ratchet step of a live key exchange, once both sides know the other's initial ratchet key.
+  // the responder must send its own key (getRatchetPublicKey) before calling this, since it moves on
+  // to a new ratchet key so that it can reply before the initiator has written anything
   async initializePartnerRatchet(partnerRatchetPublicKeyJWK) {
     try {
-      const partnerRatchetKey = await window.crypto.subtle.importKey(
-        'jwk',
-        partnerRatchetPublicKeyJWK,
-        {
-          name: 'ECDH',
-          namedCurve: 'P-256'
-        },
-        false,
-        []
-      );
-      
-      this.partnerRatchetPublicKey = partnerRatchetKey;
-      this.lastReceivedRatchetKey = partnerRatchetPublicKeyJWK;
-      
+      this.lastReceivedRatchetKey = canonicalPublicKey(partnerRatchetPublicKeyJWK);
+      this.partnerRatchetPublicKey = await this.importRatchetKey(this.lastReceivedRatchetKey);
+
+      const sharedSecret = await this.dh(this.currentRatchetKeyPair.privateKey, this.partnerRatchetPublicKey);
+
+      if (this.isInitiator) {
+        [this.rootKey, this.sendingChainKey] = await this.kdfRootKey(this.rootKey, sharedSecret);
+      } else {
+        [this.rootKey, this.receivingChainKey] = await this.kdfRootKey(this.rootKey, sharedSecret);
+        await this.generateRatchetKeyPair();
+        [this.rootKey, this.sendingChainKey] = await this.kdfRootKey(
+          this.rootKey,
+          await this.dh(this.currentRatchetKeyPair.privateKey, this.partnerRatchetPublicKey)
+        );
+      }
+
       return true;
     } catch (error) {
       return false;
     }
   }
-  
+
+  // partner sent a new ratchet key: finish the receiving chain, then start new receiving and sending chains
+  async ratchetStep(partnerRatchetKey) {
+    this.previousCounter = this.messageCounter;
+    this.messageCounter = 0;
+    this.partnerMessageCounter = 0;
+    this.lastReceivedRatchetKey = partnerRatchetKey;
+    this.partnerRatchetPublicKey = await this.importRatchetKey(partnerRatchetKey);
+
+    [this.rootKey, this.receivingChainKey] = await this.kdfRootKey(
+      this.rootKey,
+      await this.dh(this.currentRatchetKeyPair.privateKey, this.partnerRatchetPublicKey)
+    );
+
+    await this.generateRatchetKeyPair();
+    [this.rootKey, this.sendingChainKey] = await this.kdfRootKey(
+      this.rootKey,
+      await this.dh(this.currentRatchetKeyPair.privateKey, this.partnerRatchetPublicKey)
+    );
+  }
+
+  // KDF_RK: hkdf-sha256 keyed by the root key over a ratchet dh output -> [new root key, chain key]
+  async kdfRootKey(rootKey, sharedSecret) {
+    const inputKey = await window.crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveBits']);
+    const output = new Uint8Array(await window.crypto.subtle.deriveBits(
+      {
+        name: 'HKDF',
+        hash: 'SHA-256',
+        salt: rootKey,
+        info: new TextEncoder().encode('Signal_DoubleRatchet_P256')
+      },
+      inputKey,
+      512
+    ));
+    return [output.slice(0, 32), output.slice(32)];
+  }
+
+  // KDF_CK: hmac-sha256 keyed by the chain key, 0x01 gives the message key and 0x02 the next chain key
   async deriveMessageKey(chainKey) {
-    const encoder = new TextEncoder();
-    
-    // Derive message key from chain key
-    const messageInput = new Uint8Array(chainKey.length + 7);
-    messageInput.set(chainKey);
-    messageInput.set(encoder.encode('message'), chainKey.length);
-    const messageKey = await this.hkdf(messageInput, 32);
-    
-    // Advance chain key
-    const chainInput = new Uint8Array(chainKey.length + 5);
-    chainInput.set(chainKey);
-    chainInput.set(encoder.encode('chain'), chainKey.length);
-    const newChainKey = await this.hkdf(chainInput, 32);
-    
+    const hmacKey = await window.crypto.subtle.importKey(
+      'raw',
+      chainKey,
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+
+    const messageKey = new Uint8Array(await window.crypto.subtle.sign('HMAC', hmacKey, new Uint8Array([0x01])));
+    const newChainKey = new Uint8Array(await window.crypto.subtle.sign('HMAC', hmacKey, new Uint8Array([0x02])));
+
     return { messageKey, newChainKey };
   }
-  
+
+  skippedKeyId(ratchetKey, counter) {
+    return `${ratchetKey}:${counter}`;
+  }
+
+  // store the message keys of the current receiving chain up to (not including) counter
+  async skipMessageKeys(until) {
+    if (!this.receivingChainKey) {
+      return;
+    }
+    if (until - this.partnerMessageCounter > MAX_SKIP) {
+      throw new Error('Too many skipped messages');
+    }
+
+    while (this.partnerMessageCounter < until) {
+      const { messageKey, newChainKey } = await this.deriveMessageKey(this.receivingChainKey);
+      this.skippedMessageKeys.set(this.skippedKeyId(this.lastReceivedRatchetKey, this.partnerMessageCounter), messageKey);
+      this.receivingChainKey = newChainKey;
+      this.partnerMessageCounter++;
+
+      // maps iterate in insertion order, so the first entry is the oldest
+      if (this.skippedMessageKeys.size > MAX_SKIPPED_KEYS) {
+        this.skippedMessageKeys.delete(this.skippedMessageKeys.keys().next().value);
+      }
+    }
+  }
+
+  // ============================================================================
+  // ENCRYPTION
+  // ============================================================================
+
+  // the header is authenticated as additional data, so it cannot be swapped between messages
+  encodeHeader({ dh, pn, n }) {
+    return new TextEncoder().encode(JSON.stringify({ dh, pn, n }));
+  }
+
   async encrypt(message) {
     if (!this.sendingChainKey) {
       throw new Error('No sending chain key available');
     }
-    
-    try {
-      
-      // Derive message key and advance chain
-      const { messageKey, newChainKey } = await this.deriveMessageKey(this.sendingChainKey);
-      this.sendingChainKey = newChainKey;
-      
-      // Generate IV
-      const iv = window.crypto.getRandomValues(new Uint8Array(12));
-      
-      // Import message key for AES-GCM
-      const cryptoKey = await window.crypto.subtle.importKey(
-        'raw',
-        messageKey,
-        { name: 'AES-GCM' },
-        false,
-        ['encrypt']
-      );
-      
-      // Encrypt message
-      const encoder = new TextEncoder();
-      const messageBuffer = encoder.encode(message);
-      
-      const encrypted = await window.crypto.subtle.encrypt(
-        {
-          name: 'AES-GCM',
-          iv: iv
-        },
-        cryptoKey,
-        messageBuffer
-      );
-      
-      // Increment message counter
-      this.messageCounter++;
-      
-      
-      return {
-        encrypted: this.arrayBufferToBase64(encrypted),
-        iv: this.arrayBufferToBase64(iv),
-        counter: this.messageCounter,
-        username: this.username // Add sender username for debugging
-      };
-    } catch (error) {
-      throw error;
-    }
+
+    const header = { dh: this.currentRatchetPublicKey, pn: this.previousCounter, n: this.messageCounter };
+    const { messageKey, newChainKey } = await this.deriveMessageKey(this.sendingChainKey);
+
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const cryptoKey = await window.crypto.subtle.importKey('raw', messageKey, { name: 'AES-GCM' }, false, ['encrypt']);
+    const encrypted = await window.crypto.subtle.encrypt(
+      {
+        name: 'AES-GCM',
+        iv: iv,
+        additionalData: this.encodeHeader(header)
+      },
+      cryptoKey,
+      new TextEncoder().encode(message)
+    );
+
+    this.sendingChainKey = newChainKey;
+    this.messageCounter++;
+
+    return {
+      header,
+      encrypted: this.arrayBufferToBase64(encrypted),
+      iv: this.arrayBufferToBase64(iv),
+      counter: header.n,
+      username: this.username // Add sender username for debugging
+    };
   }
-  
+
+  // decrypt a message in any order: late messages use stored skipped keys, a new ratchet key in the
+  // header starts new chains. state only changes when the message authenticates, so duplicates and
+  // tampered messages leave the session as it was
   async decrypt(encryptedData) {
-    if (!this.receivingChainKey) {
-      throw new Error('No receiving chain key available');
+    const { header } = encryptedData;
+    if (!header || typeof header.dh !== 'string' || !Number.isInteger(header.n) || !Number.isInteger(header.pn)) {
+      throw new Error('Invalid message header');
     }
-    
-    try {
 
-      // Check if we need to skip ahead in the chain for out-of-order messages
-      let currentChainKey = this.receivingChainKey;
-      let skipCount = Math.max(0, encryptedData.counter - this.partnerMessageCounter - 1);
-      
-      if (skipCount > 0) {
-        for (let i = 0; i < skipCount; i++) {
-          const { newChainKey } = await this.deriveMessageKey(currentChainKey);
-          currentChainKey = newChainKey;
-        }
+    const skippedId = this.skippedKeyId(header.dh, header.n);
+    if (this.skippedMessageKeys.has(skippedId)) {
+      const plaintext = await this.decryptWithKey(this.skippedMessageKeys.get(skippedId), encryptedData);
+      this.skippedMessageKeys.delete(skippedId);
+      return plaintext;
+    }
+
+    if (header.dh === this.lastReceivedRatchetKey && header.n < this.partnerMessageCounter) {
+      throw new Error('Duplicate message');
+    }
+
+    const snapshot = this.snapshotRatchet();
+    try {
+      if (header.dh !== this.lastReceivedRatchetKey) {
+        await this.skipMessageKeys(header.pn);
+        await this.ratchetStep(header.dh);
       }
+      await this.skipMessageKeys(header.n);
+
+      const { messageKey, newChainKey } = await this.deriveMessageKey(this.receivingChainKey);
+      const plaintext = await this.decryptWithKey(messageKey, encryptedData);
 
-      // Derive message key and advance chain
-      const { messageKey, newChainKey } = await this.deriveMessageKey(currentChainKey);
       this.receivingChainKey = newChainKey;
-      this.partnerMessageCounter = encryptedData.counter;
-      
-      // Import message key for AES-GCM
-      const cryptoKey = await window.crypto.subtle.importKey(
-        'raw',
-        messageKey,
-        { name: 'AES-GCM' },
-        false,
-        ['decrypt']
-      );
-      
-      // Decrypt message
-      const encrypted = this.base64ToArrayBuffer(encryptedData.encrypted);
-      const iv = this.base64ToArrayBuffer(encryptedData.iv);
-      
-      const decrypted = await window.crypto.subtle.decrypt(
-        {
-          name: 'AES-GCM',
-          iv: new Uint8Array(iv)
-        },
-        cryptoKey,
-        encrypted
-      );
-      
-      const decoder = new TextDecoder();
-      const decryptedText = decoder.decode(decrypted);
-      
-      return decryptedText;
+      this.partnerMessageCounter++;
+      return plaintext;
     } catch (error) {
+      this.restoreRatchet(snapshot);
       throw error;
     }
   }
-  
+
+  async decryptWithKey(messageKey, { header, encrypted, iv }) {
+    const cryptoKey = await window.crypto.subtle.importKey('raw', messageKey, { name: 'AES-GCM' }, false, ['decrypt']);
+    const decrypted = await window.crypto.subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv: new Uint8Array(this.base64ToArrayBuffer(iv)),
+        additionalData: this.encodeHeader(header)
+      },
+      cryptoKey,
+      this.base64ToArrayBuffer(encrypted)
+    );
+    return new TextDecoder().decode(decrypted);
+  }
+
+  // key material is replaced rather than modified, so a shallow copy is enough to roll back
+  snapshotRatchet() {
+    return {
+      rootKey: this.rootKey,
+      sendingChainKey: this.sendingChainKey,
+      receivingChainKey: this.receivingChainKey,
+      messageCounter: this.messageCounter,
+      partnerMessageCounter: this.partnerMessageCounter,
+      previousCounter: this.previousCounter,
+      currentRatchetKeyPair: this.currentRatchetKeyPair,
+      currentRatchetPublicKey: this.currentRatchetPublicKey,
+      partnerRatchetPublicKey: this.partnerRatchetPublicKey,
+      lastReceivedRatchetKey: this.lastReceivedRatchetKey,
+      skippedMessageKeys: new Map(this.skippedMessageKeys)
+    };
+  }
+
+  restoreRatchet(snapshot) {
+    Object.assign(this, snapshot);
+  }
+
   // Helper function: HKDF for key derivation
   async hkdf(input, length) {
     const hash = await window.crypto.subtle.digest('SHA-256', input);
     return new Uint8Array(hash).slice(0, length);
   }
-  
+
   // Helper functions for base64 conversion
   arrayBufferToBase64(buffer) {
     const bytes = new Uint8Array(buffer);
@@ -402,7 +645,7 @@ class SignalProtocolClient {
     }
     return btoa(binary);
   }
-  
+
   base64ToArrayBuffer(base64) {
     const binary = atob(base64);
     const bytes = new Uint8Array(binary.length);
@@ -411,111 +654,6 @@ class SignalProtocolClient {
     }
     return bytes.buffer;
   }
-  
-  // Key rotation functionality
-  async performKeyRotation() {
-    if (!this.rootKey || !this.partnerRatchetPublicKey) {
-      throw new Error('Cannot perform key rotation without established session');
-    }
-    
-    
-    try {
-      // Generate new ratchet key pair
-      const newRatchetKeyPair = await window.crypto.subtle.generateKey(
-        {
-          name: 'ECDH',
-          namedCurve: 'P-256'
-        },
-        true,
-        ['deriveKey', 'deriveBits']
-      );
-      
-      // Derive new root key using current partner's ratchet key
-      const newSharedSecret = await window.crypto.subtle.deriveBits(
-        {
-          name: 'ECDH',
-          public: this.partnerRatchetPublicKey
-        },
-        newRatchetKeyPair.privateKey,
-        256
-      );
-      
-      // Derive new root key from old root key and new shared secret
-      const encoder = new TextEncoder();
-      const kdfInput = new Uint8Array(this.rootKey.length + newSharedSecret.byteLength);
-      kdfInput.set(this.rootKey);
-      kdfInput.set(new Uint8Array(newSharedSecret), this.rootKey.length);
-      
-      const rotationInput = new Uint8Array(kdfInput.length + 8);
-      rotationInput.set(kdfInput);
-      rotationInput.set(encoder.encode('rotation'), kdfInput.length);
-      
-      this.rootKey = await this.hkdf(rotationInput, 32);
-      
-      // Update ratchet key pair
-      this.currentRatchetKeyPair = newRatchetKeyPair;
-      
-      // Derive new chain keys
-      const chainInput = new Uint8Array(this.rootKey.length + 5);
-      chainInput.set(this.rootKey);
-      chainInput.set(encoder.encode('chain'), this.rootKey.length);
-      const baseChain = await this.hkdf(chainInput, 32);
-      
-      // Create new deterministic chains
-      const chain1Input = new Uint8Array(baseChain.length + 1);
-      chain1Input.set(baseChain);
-      chain1Input[baseChain.length] = 0x01;
-      const newSendingChain = await this.hkdf(chain1Input, 32);
-      
-      const chain2Input = new Uint8Array(baseChain.length + 1);
-      chain2Input.set(baseChain);
-      chain2Input[baseChain.length] = 0x02;
-      const newReceivingChain = await this.hkdf(chain2Input, 32);
-      
-      // Update chain keys
-      this.sendingChainKey = newSendingChain;
-      this.receivingChainKey = newReceivingChain;
-      
-      // Reset message counters for new chains
-      this.messageCounter = 0;
-      this.partnerMessageCounter = 0;
-      
-      return true;
-    } catch (error) {
-      throw error;
-    }
-  }
-  
-  // Get new ratchet public key after rotation
-  async getNewRatchetPublicKey() {
-    if (!this.currentRatchetKeyPair) {
-      throw new Error('No current ratchet key pair available');
-    }
-    return await window.crypto.subtle.exportKey('jwk', this.currentRatchetKeyPair.publicKey);
-  }
-  
-  // Update partner's ratchet key after their rotation
-  async updatePartnerRatchetKey(newPartnerRatchetPublicKeyJWK) {
-    try {
-      const newPartnerRatchetKey = await window.crypto.subtle.importKey(
-        'jwk',
-        newPartnerRatchetPublicKeyJWK,
-        {
-          name: 'ECDH',
-          namedCurve: 'P-256'
-        },
-        false,
-        []
-      );
-      
-      this.partnerRatchetPublicKey = newPartnerRatchetKey;
-      this.lastReceivedRatchetKey = newPartnerRatchetPublicKeyJWK;
-      
-      return true;
-    } catch (error) {
-      throw error;
-    }
-  }
 
   getSessionInfo() {
     return {
@@ -524,25 +662,29 @@ class SignalProtocolClient {
       hasReceivingChain: !!this.receivingChainKey,
       messageCounter: this.messageCounter,
       partnerMessageCounter: this.partnerMessageCounter,
-      isInitialized: !!(this.identityKeyPair && this.ephemeralKeyPair),
-      canRotateKeys: !!(this.rootKey && this.partnerRatchetPublicKey)
+      skippedMessageKeys: this.skippedMessageKeys.size,
+      isInitialized: !!(this.identityKeyPair && this.ephemeralKeyPair)
     };
   }
-  
+
   // Clean up session data
   clearSession() {
     this.sessionKey = null;
     this.partnerIdentityPublicKey = null;
+    this.partnerIdentityKeyJWK = null;
     this.partnerEphemeralPublicKey = null;
     this.messageCounter = 0;
     this.partnerMessageCounter = 0;
+    this.previousCounter = 0;
     this.sendingChainKey = null;
     this.receivingChainKey = null;
     this.rootKey = null;
+    this.currentRatchetKeyPair = null;
+    this.currentRatchetPublicKey = null;
     this.partnerRatchetPublicKey = null;
     this.lastReceivedRatchetKey = null;
-    
+    this.skippedMessageKeys = new Map();
   }
 }
 
-export default SignalProtocolClient;
\ No newline at end of file
+export default SignalProtocolClient;
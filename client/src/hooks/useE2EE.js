@@ -5,6 +5,7 @@
 
 import { useState, useEffect, useRef, useCallback } from 'react';
 import e2eeSessionManager from '../crypto/E2EESessionManager';
+import { canonicalPublicKey, computeSafetyNumber } from '../crypto/SafetyNumber';
 
 const useE2EE = (socket, currentUser, isRandomChatActive, matchedRandomUser, currentSessionId) => {
   // ============================================================================
@@ -166,25 +167,10 @@ const useE2EE = (socket, currentUser, isRandomChatActive, matchedRandomUser, cur
       }
     };
 
-    const handleKeyRotation = async (data) => {
-      // verify this is for our current session
-      if (data.sessionId !== currentSessionId) {
-        return;
-      }
-      
-      try {
-        await e2eeSessionManager.handleKeyRotation(currentSessionId, data);
-      } catch (error) {
-        setE2EEError(error.message);
-      }
-    };
-    
     socket.on('e2ee_key_exchange', handleKeyExchange);
-    socket.on('e2ee_key_rotation', handleKeyRotation);
     
     return () => {
       socket.off('e2ee_key_exchange', handleKeyExchange);
-      socket.off('e2ee_key_rotation', handleKeyRotation);
     };
   }, [socket, currentSessionId, currentUser, matchedRandomUser]);
 
@@ -271,31 +257,6 @@ const useE2EE = (socket, currentUser, isRandomChatActive, matchedRandomUser, cur
     }
   }, [currentSessionId]);
   
-  // ============================================================================
-  // KEY ROTATION
-  // ============================================================================
-
-  // perform key rotation
-  const rotateKeys = useCallback(async () => {
-    if (!currentSessionId || !socket) {
-      return false;
-    }
-    
-    try {
-      const success = await e2eeSessionManager.rotateSessionKeys(currentSessionId, socket);
-      return success;
-    } catch (error) {
-      setE2EEError(error.message);
-      return false;
-    }
-  }, [currentSessionId, socket]);
-  
-  // check if keys should be rotated
-  const shouldRotateKeys = useCallback((messageThreshold = 100) => {
-    if (!currentSessionId) return false;
-    return e2eeSessionManager.shouldRotateKeys(currentSessionId, messageThreshold);
-  }, [currentSessionId]);
-
   // ============================================================================
   // UTILITY FUNCTIONS
   // ============================================================================
@@ -310,6 +271,22 @@ const useE2EE = (socket, currentUser, isRandomChatActive, matchedRandomUser, cur
     return session.getSessionInfo();
   }, [currentSessionId]);
   
+  // safety number for the current match, null until the key exchange finished
+  const getSafetyNumber = useCallback(async () => {
+    if (!currentSessionId || !currentUser || !matchedRandomUser) return null;
+    
+    const session = e2eeSessionManager.getSession(currentSessionId);
+    const keys = session ? await session.getIdentityPublicKeys() : null;
+    if (!keys) return null;
+    
+    return computeSafetyNumber({
+      localId: currentUser.username,
+      localIdentityKey: canonicalPublicKey(keys.local),
+      remoteId: matchedRandomUser,
+      remoteIdentityKey: canonicalPublicKey(keys.remote)
+    });
+  }, [currentSessionId, currentUser, matchedRandomUser]);
+  
   return {
     e2eeStatus,
     isE2EEReady,
@@ -317,9 +294,8 @@ const useE2EE = (socket, currentUser, isRandomChatActive, matchedRandomUser, cur
     encryptMessage,
     decryptMessage,
     cleanupE2EESession,
-    rotateKeys,
-    shouldRotateKeys,
-    getSessionInfo
+    getSessionInfo,
+    getSafetyNumber
   };
 };
 
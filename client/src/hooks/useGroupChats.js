@@ -0,0 +1,366 @@
+/**
+ * react hook for group chats among friends
+ * keeps the user's groups, their members and messages in sync with the server
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// same acknowledgement settings as friend messages (retries reuse the client message id)
+const MESSAGE_ACK_TIMEOUT = 10000;
+const MESSAGE_SEND_ATTEMPTS = 3;
+const MESSAGE_PAGE_SIZE = 50;
+
+// shape a stored group message (rest) or a groupMessage event for the chat panel
+const toChatMessage = (msg) => ({
+  id: msg.id,
+  clientMessageId: msg.clientMessageId ?? msg.client_message_id ?? null,
+  sender: msg.sender ?? msg.sender_username ?? null,
+  message: msg.message ?? msg.encrypted_message,
+  isSystem: Boolean(msg.isSystem ?? msg.is_system),
+  timestamp: new Date(msg.timestamp ?? msg.sent_at)
+});
+
+const newClientMessageId = () => (
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`
+);
+
+const useGroupChats = (socket, currentUser, token, apiBaseUrl) => {
+  // ============================================================================
+  // STATE
+  // ============================================================================
+
+  const [groups, setGroups] = useState([]); // groups list with role and unread_count
+  const [selectedGroupId, setSelectedGroupId] = useState(null);
+  const [groupDetails, setGroupDetails] = useState({}); // per group id: group with members
+  const [groupMessages, setGroupMessages] = useState({}); // per group id: messages, oldest first
+  const [groupHistory, setGroupHistory] = useState({}); // per group id: { hasMore, isLoading }
+  const [groupTyping, setGroupTyping] = useState({}); // per group id: usernames typing
+  const selectedGroupRef = useRef(null);
+
+  useEffect(() => {
+    selectedGroupRef.current = selectedGroupId;
+  }, [selectedGroupId]);
+
+  // ============================================================================
+  // API
+  // ============================================================================
+
+  // authorized request to the groups api, resolves { ok, data } or { ok: false, error }
+  const request = useCallback(async (path, { method = 'GET', body } = {}) => {
+    try {
+      const response = await fetch(`${apiBaseUrl}/api/groups${path}`, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await response.json().catch(() => ({}));
+      return response.ok ? { ok: true, data } : { ok: false, error: data.error || 'Request failed' };
+    } catch (error) {
+      return { ok: false, error: 'Could not reach the server' };
+    }
+  }, [apiBaseUrl, token]);
+
+  const loadGroups = useCallback(async () => {
+    const result = await request('');
+    if (result.ok) {
+      setGroups(result.data);
+    }
+  }, [request]);
+
+  const loadGroup = useCallback(async (groupId) => {
+    const result = await request(`/${groupId}`);
+    if (result.ok) {
+      setGroupDetails(prev => ({ ...prev, [groupId]: result.data }));
+    }
+  }, [request]);
+
+  // load the newest page, or the page before the oldest loaded message
+  const loadGroupMessages = useCallback(async (groupId, { older = false } = {}) => {
+    const loaded = groupMessages[groupId] || [];
+    const oldest = loaded.find(msg => msg.id);
+    if (older && (!oldest || groupHistory[groupId]?.isLoading)) return;
+
+    setGroupHistory(prev => ({ ...prev, [groupId]: { ...prev[groupId], isLoading: true } }));
+    const query = `?limit=${MESSAGE_PAGE_SIZE}${older ? `&before=${oldest.id}` : ''}`;
+    const result = await request(`/${groupId}/messages${query}`);
+
+    if (result.ok) {
+      const page = result.data.messages.map(toChatMessage);
+      setGroupMessages(prev => {
+        const current = prev[groupId] || [];
+        const known = new Set(current.map(msg => msg.id));
+        const fresh = page.filter(msg => !known.has(msg.id));
+        return { ...prev, [groupId]: older ? [...fresh, ...current] : [...current, ...fresh].sort((a, b) => a.id - b.id) };
+      });
+    }
+    setGroupHistory(prev => ({
+      ...prev,
+      [groupId]: { hasMore: result.ok ? result.data.hasMore : Boolean(prev[groupId]?.hasMore), isLoading: false }
+    }));
+  }, [request, groupMessages, groupHistory]);
+
+  // move our read marker to the newest message of a group
+  const markGroupRead = useCallback((groupId, messages) => {
+    const newest = [...(messages || [])].reverse().find(msg => Number.isInteger(msg.id));
+    if (!socket || !newest) return;
+
+    socket.emit('markGroupRead', { groupId, messageId: newest.id });
+    setGroups(prev => prev.map(group => group.id === groupId ? { ...group, unread_count: 0 } : group));
+  }, [socket]);
+
+  // ============================================================================
+  // EFFECTS
+  // ============================================================================
+
+  // load groups on sign in, forget them on sign out
+  useEffect(() => {
+    if (currentUser?.id && token) {
+      loadGroups();
+      return;
+    }
+    setGroups([]);
+    setSelectedGroupId(null);
+    setGroupDetails({});
+    setGroupMessages({});
+    setGroupHistory({});
+    setGroupTyping({});
+  }, [currentUser?.id, token]);
+
+  // open group: mark what is on screen as read
+  useEffect(() => {
+    if (selectedGroupId && document.visibilityState === 'visible') {
+      markGroupRead(selectedGroupId, groupMessages[selectedGroupId]);
+    }
+  }, [selectedGroupId, groupMessages[selectedGroupId]?.length]);
+
+  // group socket events
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleGroupMessage = (event) => {
+      const message = toChatMessage(event);
+      setGroupMessages(prev => {
+        const current = prev[event.groupId] || [];
+        // our own message from another device may already be here under its client id
+        if (current.some(msg => msg.id === message.id ||
+            (message.clientMessageId && msg.clientMessageId === message.clientMessageId))) {
+          return prev;
+        }
+        return { ...prev, [event.groupId]: [...current, message] };
+      });
+      setGroupTyping(prev => ({
+        ...prev,
+        [event.groupId]: (prev[event.groupId] || []).filter(name => name !== message.sender)
+      }));
+
+      const isOpen = selectedGroupRef.current === event.groupId && document.visibilityState === 'visible';
+      setGroups(prev => prev.map(group => group.id !== event.groupId ? group : {
+        ...group,
+        last_message_at: message.timestamp,
+        unread_count: isOpen || message.isSystem || message.sender === currentUser?.username
+          ? group.unread_count
+          : (group.unread_count || 0) + 1
+      }));
+    };
+
+    const handleGroupUpdated = (group) => {
+      setGroupDetails(prev => ({ ...prev, [group.id]: group }));
+      const me = group.members.find(member => member.username === currentUser?.username);
+      setGroups(prev => prev.map(entry => entry.id !== group.id ? entry : {
+        ...entry,
+        name: group.name,
+        member_count: group.members.length,
+        role: me ? me.role : entry.role
+      }));
+    };
+
+    const handleGroupRemoved = ({ groupId }) => {
+      setGroups(prev => prev.filter(group => group.id !== groupId));
+      setGroupDetails(prev => {
+        const { [groupId]: removed, ...rest } = prev;
+        return rest;
+      });
+      setGroupMessages(prev => {
+        const { [groupId]: removed, ...rest } = prev;
+        return rest;
+      });
+      if (selectedGroupRef.current === groupId) {
+        setSelectedGroupId(null);
+      }
+    };
+
+    const handleGroupRead = ({ groupId, userId, lastReadMessageId, readAt }) => {
+      setGroupDetails(prev => {
+        const group = prev[groupId];
+        if (!group) return prev;
+        return {
+          ...prev,
+          [groupId]: {
+            ...group,
+            members: group.members.map(member => member.user_id === userId
+              ? { ...member, last_read_message_id: lastReadMessageId, last_read_at: readAt }
+              : member)
+          }
+        };
+      });
+      // read on another of our devices
+      if (userId === currentUser?.id) {
+        setGroups(prev => prev.map(group => group.id === groupId ? { ...group, unread_count: 0 } : group));
+      }
+    };
+
+    const handleGroupTyping = ({ groupId, fromUsername, isTyping }) => {
+      setGroupTyping(prev => {
+        const others = (prev[groupId] || []).filter(name => name !== fromUsername);
+        return { ...prev, [groupId]: isTyping ? [...others, fromUsername] : others };
+      });
+    };
+
+    socket.on('groupMessage', handleGroupMessage);
+    socket.on('groupUpdated', handleGroupUpdated);
+    socket.on('groupAdded', loadGroups);
+    socket.on('groupRemoved', handleGroupRemoved);
+    socket.on('groupRead', handleGroupRead);
+    socket.on('groupTyping', handleGroupTyping);
+
+    return () => {
+      socket.off('groupMessage', handleGroupMessage);
+      socket.off('groupUpdated', handleGroupUpdated);
+      socket.off('groupAdded', loadGroups);
+      socket.off('groupRemoved', handleGroupRemoved);
+      socket.off('groupRead', handleGroupRead);
+      socket.off('groupTyping', handleGroupTyping);
+    };
+  }, [socket, currentUser, loadGroups]);
+
+  // ============================================================================
+  // ACTIONS
+  // ============================================================================
+
+  // open a group (null closes it), loading members and the newest messages the first time
+  const selectGroup = useCallback((groupId) => {
+    setSelectedGroupId(groupId);
+    if (!groupId) return;
+
+    loadGroup(groupId);
+    if (!groupMessages[groupId]) {
+      loadGroupMessages(groupId);
+    }
+  }, [loadGroup, loadGroupMessages, groupMessages]);
+
+  const updateSentMessage = (groupId, clientMessageId, changes) => {
+    setGroupMessages(prev => ({
+      ...prev,
+      [groupId]: (prev[groupId] || []).map(msg =>
+        msg.clientMessageId === clientMessageId ? { ...msg, ...changes } : msg
+      )
+    }));
+  };
+
+  // emit a group message and wait for the server ack, retrying with the same client id
+  const emitGroupMessage = (payload, attempt = 1) => {
+    socket.timeout(MESSAGE_ACK_TIMEOUT).emit('sendGroupMessage', payload, (err, response) => {
+      if (err) {
+        if (attempt < MESSAGE_SEND_ATTEMPTS) {
+          emitGroupMessage(payload, attempt + 1);
+        } else {
+          updateSentMessage(payload.groupId, payload.clientMessageId, { isPending: false, isFailed: true });
+        }
+        return;
+      }
+
+      updateSentMessage(payload.groupId, payload.clientMessageId, response?.ok
+        ? { id: response.id, isPending: false, timestamp: new Date(response.timestamp) }
+        : { isPending: false, isFailed: true });
+    });
+  };
+
+  const sendGroupMessage = (text) => {
+    const groupId = selectedGroupRef.current;
+    if (!socket || !groupId || !text.trim()) return;
+
+    const clientMessageId = newClientMessageId();
+    setGroupMessages(prev => ({
+      ...prev,
+      [groupId]: [...(prev[groupId] || []), {
+        clientMessageId,
+        sender: currentUser.username,
+        message: text.trim(),
+        timestamp: new Date(),
+        isPending: true
+      }]
+    }));
+    emitGroupMessage({ groupId, message: text.trim(), clientMessageId });
+  };
+
+  const groupTypingStart = () => {
+    if (socket && selectedGroupRef.current) {
+      socket.emit('groupTypingStart', { groupId: selectedGroupRef.current });
+    }
+  };
+
+  const groupTypingStop = () => {
+    if (socket && selectedGroupRef.current) {
+      socket.emit('groupTypingStop', { groupId: selectedGroupRef.current });
+    }
+  };
+
+  // create a group with friends (user ids), opens it on success
+  const createGroup = async (name, memberIds) => {
+    const result = await request('', { method: 'POST', body: { name, member_ids: memberIds } });
+    if (result.ok) {
+      setGroupDetails(prev => ({ ...prev, [result.data.id]: result.data }));
+      await loadGroups();
+    }
+    return result;
+  };
+
+  const renameGroup = (groupId, name) =>
+    request(`/${groupId}`, { method: 'PATCH', body: { name } });
+
+  const addGroupMembers = (groupId, userIds) =>
+    request(`/${groupId}/members`, { method: 'POST', body: { user_ids: userIds } });
+
+  const removeGroupMember = (groupId, userId) =>
+    request(`/${groupId}/members/${userId}`, { method: 'DELETE' });
+
+  const setGroupMemberRole = (groupId, userId, role) =>
+    request(`/${groupId}/members/${userId}/role`, { method: 'PUT', body: { role } });
+
+  // the groupRemoved event clears the group on every device
+  const leaveGroup = (groupId) =>
+    request(`/${groupId}/leave`, { method: 'POST' });
+
+  const selectedGroup = selectedGroupId
+    ? { ...groups.find(group => group.id === selectedGroupId), ...groupDetails[selectedGroupId] }
+    : null;
+
+  return {
+    groups,
+    selectedGroup,
+    selectedGroupId,
+    groupMessages: selectedGroupId ? groupMessages[selectedGroupId] || [] : [],
+    groupTypingUsers: selectedGroupId ? groupTyping[selectedGroupId] || [] : [],
+    hasMoreGroupHistory: Boolean(selectedGroupId && groupHistory[selectedGroupId]?.hasMore),
+    isLoadingGroupHistory: Boolean(selectedGroupId && groupHistory[selectedGroupId]?.isLoading),
+    loadGroups,
+    loadOlderGroupMessages: () => selectedGroupId && loadGroupMessages(selectedGroupId, { older: true }),
+    selectGroup,
+    sendGroupMessage,
+    groupTypingStart,
+    groupTypingStop,
+    createGroup,
+    renameGroup,
+    addGroupMembers,
+    removeGroupMember,
+    setGroupMemberRole,
+    leaveGroup
+  };
+};
+
+export default useGroupChats;
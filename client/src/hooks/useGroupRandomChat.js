@@ -0,0 +1,260 @@
+/**
+ * react hook for group random chat
+ * queues for a group of strangers sharing an interest and keeps the group's members and messages live
+ * (like one-to-one random chat, messages are not stored and members only see each other's usernames)
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+const ACK_TIMEOUT = 10000;
+const MAX_GROUP_MESSAGES = 200;
+
+const newClientMessageId = () => (
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`
+);
+
+const systemMessage = (message) => ({
+  sender: 'system',
+  message,
+  timestamp: new Date(),
+  isSystem: true
+});
+
+const LEFT_TEXT = {
+  skipped: 'skipped to another group',
+  disconnected: 'disconnected',
+  restricted: 'was removed'
+};
+
+const QUEUE_ERRORS = {
+  already_in_queue_or_match: 'You are already waiting or in a random chat',
+  invalid_interests: 'Pick your interests again',
+  server_error: 'Could not join the queue, try again'
+};
+
+const useGroupRandomChat = (socket, currentUser) => {
+  // ============================================================================
+  // STATE
+  // ============================================================================
+
+  const [groupMatch, setGroupMatch] = useState(null); // { sessionId, members (usernames), interests }
+  const [groupMatchMessages, setGroupMatchMessages] = useState([]);
+  const [isWaitingForGroup, setIsWaitingForGroup] = useState(false);
+  const [groupMatchError, setGroupMatchError] = useState('');
+  const sessionIdRef = useRef(null);
+
+  useEffect(() => {
+    sessionIdRef.current = groupMatch?.sessionId || null;
+  }, [groupMatch?.sessionId]);
+
+  const addMessage = (message) => {
+    setGroupMatchMessages(prev => [...prev, message].slice(-MAX_GROUP_MESSAGES));
+  };
+
+  const clearGroupMatch = useCallback(() => {
+    sessionIdRef.current = null;
+    setGroupMatch(null);
+    setGroupMatchMessages([]);
+  }, []);
+
+  // forget everything on sign out
+  useEffect(() => {
+    if (!currentUser?.id) {
+      clearGroupMatch();
+      setIsWaitingForGroup(false);
+      setGroupMatchError('');
+    }
+  }, [currentUser?.id, clearGroupMatch]);
+
+  // ============================================================================
+  // SOCKET EVENTS
+  // ============================================================================
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleGroupFound = ({ sessionId, members, interests, systemMessages = [] }) => {
+      sessionIdRef.current = sessionId;
+      setGroupMatch({ sessionId, members, interests });
+      setGroupMatchMessages(systemMessages.map(msg => ({ ...msg, timestamp: new Date(msg.timestamp) })));
+      setIsWaitingForGroup(false);
+      setGroupMatchError('');
+    };
+
+    const handleGroupMessage = (event) => {
+      if (event.sessionId !== sessionIdRef.current) return;
+      setGroupMatchMessages(prev => {
+        // our own message from another device may already be here under its client id
+        if (prev.some(msg => msg.id === event.id ||
+            (event.clientMessageId && msg.clientMessageId === event.clientMessageId))) {
+          return prev;
+        }
+        return [...prev, {
+          id: event.id,
+          clientMessageId: event.clientMessageId,
+          sender: event.sender,
+          message: event.message,
+          timestamp: new Date(event.timestamp)
+        }].slice(-MAX_GROUP_MESSAGES);
+      });
+    };
+
+    const handleMemberLeft = ({ sessionId, username, reason }) => {
+      if (sessionId !== sessionIdRef.current) return;
+      setGroupMatch(prev => prev && { ...prev, members: prev.members.filter(member => member !== username) });
+      addMessage(systemMessage(`${username} ${LEFT_TEXT[reason] || 'left the group'}`));
+    };
+
+    // everyone else left; the server queues us again when we are still connected
+    const handleGroupEnded = ({ sessionId, requeued }) => {
+      if (sessionId !== sessionIdRef.current) return;
+      clearGroupMatch();
+      setIsWaitingForGroup(Boolean(requeued));
+      setGroupMatchError(requeued ? 'Everyone else left, looking for a new group' : 'The group ended');
+    };
+
+    // left on another device or removed by the server (a skip queues us for the next group)
+    const handleGroupLeft = ({ sessionId, reason }) => {
+      if (sessionId !== sessionIdRef.current) return;
+      clearGroupMatch();
+      setIsWaitingForGroup(reason === 'skipped');
+      setGroupMatchError(reason === 'restricted' ? 'You were removed from the group' : '');
+    };
+
+    // the server drops us from the group and the queue once every device is gone
+    const handleDisconnect = () => {
+      if (sessionIdRef.current) {
+        setGroupMatchError('Connection lost, you left the group');
+      }
+      clearGroupMatch();
+      setIsWaitingForGroup(false);
+    };
+
+    socket.on('groupMatchFound', handleGroupFound);
+    socket.on('groupRandomMessage', handleGroupMessage);
+    socket.on('groupMatchMemberLeft', handleMemberLeft);
+    socket.on('groupMatchEnded', handleGroupEnded);
+    socket.on('groupMatchLeft', handleGroupLeft);
+    socket.on('disconnect', handleDisconnect);
+
+    return () => {
+      socket.off('groupMatchFound', handleGroupFound);
+      socket.off('groupRandomMessage', handleGroupMessage);
+      socket.off('groupMatchMemberLeft', handleMemberLeft);
+      socket.off('groupMatchEnded', handleGroupEnded);
+      socket.off('groupMatchLeft', handleGroupLeft);
+      socket.off('disconnect', handleDisconnect);
+    };
+  }, [socket, clearGroupMatch]);
+
+  // ============================================================================
+  // ACTIONS
+  // ============================================================================
+
+  // emit with an ack, resolving the server response or a timeout error
+  const emitWithAck = (event, payload) => new Promise(resolve => {
+    socket.timeout(ACK_TIMEOUT).emit(event, payload, (err, response) => {
+      resolve(err ? { ok: false, error: 'The server did not respond' } : response);
+    });
+  });
+
+  // join the group queue, resolves { ok } or { ok: false, reason, expiresAt } (reason matchmaking_banned
+  // is left to the caller to explain)
+  const startGroupMatch = async (interests) => {
+    if (!socket) return { ok: false, reason: 'server_error' };
+
+    setGroupMatchError('');
+    const response = await emitWithAck('enqueueForGroupRandom', { interests });
+    if (!response?.ok) {
+      if (response?.reason !== 'matchmaking_banned') {
+        setGroupMatchError(QUEUE_ERRORS[response?.reason] || response?.error || QUEUE_ERRORS.server_error);
+      }
+      return response || { ok: false, reason: 'server_error' };
+    }
+
+    // the group may already have been found while the ack was on its way
+    if (!sessionIdRef.current) {
+      setIsWaitingForGroup(true);
+    }
+    return { ok: true };
+  };
+
+  const cancelGroupMatch = useCallback(async () => {
+    setIsWaitingForGroup(false);
+    setGroupMatchError('');
+    if (socket) {
+      socket.emit('cancelGroupMatchmaking', {});
+    }
+  }, [socket]);
+
+  const leaveGroupMatch = useCallback(async () => {
+    const sessionId = sessionIdRef.current;
+    if (!sessionId) return;
+
+    clearGroupMatch();
+    setGroupMatchError('');
+    if (socket) {
+      socket.emit('leaveGroupMatch', { sessionId });
+    }
+  }, [socket, clearGroupMatch]);
+
+  // leave for another group; the server keeps us apart from this group's members for a while
+  const skipGroupMatch = async () => {
+    const sessionId = sessionIdRef.current;
+    if (!socket || !sessionId) return;
+
+    clearGroupMatch();
+    setGroupMatchError('');
+    setIsWaitingForGroup(true);
+    const response = await emitWithAck('skipGroupMatch', { sessionId });
+    if (!response?.ok || !response.requeued) {
+      setIsWaitingForGroup(false);
+      setGroupMatchError(response?.error || 'Could not find you another group, try again');
+    }
+  };
+
+  const updateSentMessage = (clientMessageId, changes) => {
+    setGroupMatchMessages(prev => prev.map(msg =>
+      msg.clientMessageId === clientMessageId ? { ...msg, ...changes } : msg
+    ));
+  };
+
+  const sendGroupMatchMessage = async (text) => {
+    const sessionId = sessionIdRef.current;
+    if (!socket || !sessionId || !text.trim()) return;
+
+    const clientMessageId = newClientMessageId();
+    addMessage({
+      clientMessageId,
+      sender: currentUser.username,
+      message: text.trim(),
+      timestamp: new Date(),
+      isPending: true
+    });
+
+    const response = await emitWithAck('sendGroupRandomMessage', { sessionId, message: text.trim(), clientMessageId });
+    if (response?.ok) {
+      updateSentMessage(clientMessageId, { id: response.id, isPending: false, timestamp: new Date(response.timestamp) });
+    } else {
+      updateSentMessage(clientMessageId, { isPending: false, isFailed: true });
+      setGroupMatchError(response?.error || 'Failed to send message');
+    }
+  };
+
+  return {
+    groupMatch,
+    groupMatchMessages,
+    isWaitingForGroup,
+    groupMatchError,
+    startGroupMatch,
+    cancelGroupMatch,
+    leaveGroupMatch,
+    skipGroupMatch,
+    sendGroupMatchMessage,
+    clearGroupMatchError: () => setGroupMatchError('')
+  };
+};
+
+export default useGroupRandomChat;
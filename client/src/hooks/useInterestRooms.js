@@ -0,0 +1,307 @@
+/**
+ * react hook for public interest rooms
+ * lists the rooms with their occupancy and keeps the joined room's members and messages live
+ * (room messages are not stored, they only reach the people in the room at the time)
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+const JOIN_TIMEOUT = 10000;
+const MESSAGE_ACK_TIMEOUT = 10000;
+const MAX_ROOM_MESSAGES = 200;
+
+const newClientMessageId = () => (
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`
+);
+
+// shape an interestRoomMessage event for the chat panel
+const toChatMessage = (event) => ({
+  id: event.id,
+  clientMessageId: event.clientMessageId || null,
+  sender: event.sender,
+  message: event.message,
+  timestamp: new Date(event.timestamp)
+});
+
+const useInterestRooms = (socket, currentUser, token, apiBaseUrl) => {
+  // ============================================================================
+  // STATE
+  // ============================================================================
+
+  const [rooms, setRooms] = useState([]); // every room with occupancy and can_manage
+  const [interests, setInterests] = useState([]); // interests rooms can be opened for
+  const [activeRoom, setActiveRoom] = useState(null); // joined room with its members
+  const [roomMessages, setRoomMessages] = useState([]);
+  const [roomError, setRoomError] = useState('');
+  const activeRoomRef = useRef(null);
+
+  useEffect(() => {
+    activeRoomRef.current = activeRoom?.id || null;
+  }, [activeRoom?.id]);
+
+  // ============================================================================
+  // API
+  // ============================================================================
+
+  // authorized request to the rooms api, resolves { ok, data } or { ok: false, error }
+  const request = useCallback(async (path, { method = 'GET', body } = {}) => {
+    try {
+      const response = await fetch(`${apiBaseUrl}/api${path}`, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await response.json().catch(() => ({}));
+      return response.ok ? { ok: true, data } : { ok: false, error: data.error || 'Request failed' };
+    } catch (error) {
+      return { ok: false, error: 'Could not reach the server' };
+    }
+  }, [apiBaseUrl, token]);
+
+  const loadRooms = useCallback(async () => {
+    const [roomsResult, interestsResult] = await Promise.all([request('/rooms'), request('/interests')]);
+    if (roomsResult.ok) {
+      setRooms(roomsResult.data);
+    }
+    if (interestsResult.ok) {
+      setInterests(interestsResult.data);
+    }
+  }, [request]);
+
+  const setOccupancy = (roomId, occupancy) => {
+    setRooms(prev => prev.map(room => room.id === roomId ? { ...room, occupancy } : room));
+  };
+
+  // the room we were in is gone or we were sent out of it
+  const clearActiveRoom = useCallback((roomId, message = '') => {
+    if (activeRoomRef.current !== roomId) return;
+    setActiveRoom(null);
+    setRoomMessages([]);
+    setRoomError(message);
+  }, []);
+
+  // ============================================================================
+  // EFFECTS
+  // ============================================================================
+
+  // load rooms on sign in, forget them on sign out
+  useEffect(() => {
+    if (currentUser?.id && token) {
+      loadRooms();
+      return;
+    }
+    setRooms([]);
+    setActiveRoom(null);
+    setRoomMessages([]);
+    setRoomError('');
+  }, [currentUser?.id, token]);
+
+  // room socket events
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleRoomMessage = (event) => {
+      if (event.roomId !== activeRoomRef.current) return;
+      const message = toChatMessage(event);
+      setRoomMessages(prev => {
+        // our own message from another device may already be here under its client id
+        if (prev.some(msg => msg.id === message.id ||
+            (message.clientMessageId && msg.clientMessageId === message.clientMessageId))) {
+          return prev;
+        }
+        return [...prev, message].slice(-MAX_ROOM_MESSAGES);
+      });
+    };
+
+    const handleMemberJoined = ({ roomId, userId, username, occupancy }) => {
+      setOccupancy(roomId, occupancy);
+      setActiveRoom(prev => {
+        if (!prev || prev.id !== roomId || prev.members.some(member => member.userId === userId)) return prev;
+        return { ...prev, occupancy, members: [...prev.members, { userId, username, joinedAt: new Date().toISOString() }] };
+      });
+    };
+
+    const handleMemberLeft = ({ roomId, userId, occupancy }) => {
+      setOccupancy(roomId, occupancy);
+      setActiveRoom(prev => {
+        if (!prev || prev.id !== roomId) return prev;
+        return { ...prev, occupancy, members: prev.members.filter(member => member.userId !== userId) };
+      });
+    };
+
+    const handleRoomUpdated = (room) => {
+      setRooms(prev => prev.map(entry => entry.id === room.id ? { ...entry, ...room } : entry));
+      setActiveRoom(prev => prev && prev.id === room.id ? { ...prev, ...room } : prev);
+    };
+
+    // left on another device, removed by the server (restricted, disconnected) or the room was deleted
+    const handleRoomLeft = ({ roomId, reason }) => {
+      clearActiveRoom(roomId, reason === 'restricted' ? 'You were removed from the room' : '');
+    };
+
+    const handleRoomClosed = ({ roomId }) => {
+      setRooms(prev => prev.filter(room => room.id !== roomId));
+      clearActiveRoom(roomId, 'The room was closed');
+    };
+
+    // a reconnect after every device dropped loses the room's seat, take it again
+    const handleReconnect = () => {
+      const roomId = activeRoomRef.current;
+      if (!roomId) return;
+      socket.timeout(JOIN_TIMEOUT).emit('joinInterestRoom', { roomId }, (err, response) => {
+        if (err) return;
+        if (response?.ok) {
+          setActiveRoom(prev => prev && prev.id === roomId
+            ? { ...prev, ...response.room, occupancy: response.members.length, members: response.members }
+            : prev);
+        } else {
+          clearActiveRoom(roomId, response?.error || 'You left the room');
+        }
+      });
+    };
+
+    socket.on('interestRoomMessage', handleRoomMessage);
+    socket.on('interestRoomMemberJoined', handleMemberJoined);
+    socket.on('interestRoomMemberLeft', handleMemberLeft);
+    socket.on('interestRoomUpdated', handleRoomUpdated);
+    socket.on('interestRoomLeft', handleRoomLeft);
+    socket.on('interestRoomClosed', handleRoomClosed);
+    socket.on('connect', handleReconnect);
+
+    return () => {
+      socket.off('interestRoomMessage', handleRoomMessage);
+      socket.off('interestRoomMemberJoined', handleMemberJoined);
+      socket.off('interestRoomMemberLeft', handleMemberLeft);
+      socket.off('interestRoomUpdated', handleRoomUpdated);
+      socket.off('interestRoomLeft', handleRoomLeft);
+      socket.off('interestRoomClosed', handleRoomClosed);
+      socket.off('connect', handleReconnect);
+    };
+  }, [socket, clearActiveRoom]);
+
+  // ============================================================================
+  // ACTIONS
+  // ============================================================================
+
+  // emit with an ack, resolving the server response or a timeout error
+  const emitWithAck = (event, payload, timeout) => new Promise(resolve => {
+    socket.timeout(timeout).emit(event, payload, (err, response) => {
+      resolve(err ? { ok: false, error: 'The server did not respond' } : response);
+    });
+  });
+
+  const leaveRoom = useCallback(async () => {
+    const roomId = activeRoomRef.current;
+    if (!roomId) return;
+
+    activeRoomRef.current = null;
+    setActiveRoom(null);
+    setRoomMessages([]);
+    setRoomError('');
+    if (socket) {
+      socket.emit('leaveInterestRoom', { roomId });
+    }
+  }, [socket]);
+
+  // join a room (leaving the current one), resolves { ok } or { ok: false, error }
+  const joinRoom = async (roomId) => {
+    if (!socket) return { ok: false, error: 'Not connected' };
+    if (activeRoomRef.current === roomId) return { ok: true };
+
+    await leaveRoom();
+    const response = await emitWithAck('joinInterestRoom', { roomId }, JOIN_TIMEOUT);
+    if (!response?.ok) {
+      setRoomError(response?.error || 'Failed to join room');
+      return { ok: false, error: response?.error };
+    }
+
+    const listed = rooms.find(room => room.id === roomId);
+    activeRoomRef.current = roomId;
+    setActiveRoom({
+      ...listed,
+      ...response.room,
+      can_manage: Boolean(listed?.can_manage),
+      occupancy: response.members.length,
+      members: response.members
+    });
+    setOccupancy(roomId, response.members.length);
+    setRoomError('');
+    return { ok: true };
+  };
+
+  const updateSentMessage = (clientMessageId, changes) => {
+    setRoomMessages(prev => prev.map(msg =>
+      msg.clientMessageId === clientMessageId ? { ...msg, ...changes } : msg
+    ));
+  };
+
+  // slow mode and moderation rejections come back in the ack and are shown as the room error
+  const sendRoomMessage = async (text) => {
+    const roomId = activeRoomRef.current;
+    if (!socket || !roomId || !text.trim()) return;
+
+    const clientMessageId = newClientMessageId();
+    setRoomMessages(prev => [...prev, {
+      clientMessageId,
+      sender: currentUser.username,
+      message: text.trim(),
+      timestamp: new Date(),
+      isPending: true
+    }].slice(-MAX_ROOM_MESSAGES));
+
+    const response = await emitWithAck('sendInterestRoomMessage', { roomId, message: text.trim(), clientMessageId }, MESSAGE_ACK_TIMEOUT);
+    if (response?.ok) {
+      updateSentMessage(clientMessageId, { id: response.id, isPending: false, timestamp: new Date(response.timestamp) });
+      setRoomError('');
+    } else {
+      updateSentMessage(clientMessageId, { isPending: false, isFailed: true });
+      setRoomError(response?.error || 'Failed to send message');
+    }
+  };
+
+  // open an ephemeral room for an interest and join it
+  const createRoom = async (settings) => {
+    const result = await request('/rooms', { method: 'POST', body: settings });
+    if (result.ok) {
+      setRooms(prev => [...prev, result.data]);
+      await joinRoom(result.data.id);
+    }
+    return result;
+  };
+
+  const updateRoom = async (changes) => {
+    const roomId = activeRoomRef.current;
+    const result = await request(`/rooms/${roomId}`, { method: 'PATCH', body: changes });
+    if (result.ok) {
+      setRooms(prev => prev.map(room => room.id === roomId ? { ...room, ...result.data } : room));
+      setActiveRoom(prev => prev && prev.id === roomId ? { ...prev, ...result.data } : prev);
+    }
+    return result;
+  };
+
+  // the interestRoomClosed event clears the room for everyone in it
+  const deleteRoom = () => request(`/rooms/${activeRoomRef.current}`, { method: 'DELETE' });
+
+  return {
+    rooms,
+    interests,
+    activeRoom,
+    roomMessages,
+    roomError,
+    loadRooms,
+    joinRoom,
+    leaveRoom,
+    sendRoomMessage,
+    createRoom,
+    updateRoom,
+    deleteRoom,
+    clearRoomError: () => setRoomError('')
+  };
+};
+
+export default useInterestRooms;
@@ -0,0 +1,153 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+const crypto = require('crypto');
+const readlineSync = require('readline-sync');
+const db = require('../utils/db');
+const { createKeyProvider, PROVIDERS } = require('../utils/keyProviders');
+const { passphraseFromEnv } = require('../utils/keyProviders/fileKeystoreProvider');
+const serverKeyModel = require('../models/serverKey');
+
+const USAGE = `usage: npm run keys -- <command> [--provider <name>]
+
+  list                   master keys and how many stored keys each one wraps
+  generate               add a master key (the first one becomes current)
+  rotate                 add a master key and make it current, the re-encryption job rewraps onto it
+  use <id>               make an existing master key current
+  retire <id> [--force]  destroy a master key once nothing is wrapped with it any more
+  server-key generate    create a new RSA key pair for /api/server-keys, stored wrapped
+
+providers: ${Object.keys(PROVIDERS).join(', ')} (default KEY_PROVIDER or env)`;
+
+// passphrase/PIN from the environment when set, otherwise asked for on the terminal
+function promptPassphrase(envName) {
+  return async ({ creating }) => {
+    if (process.env[`${envName}_FILE`] || process.env[envName]) {
+      return passphraseFromEnv(envName)();
+    }
+
+    const passphrase = readlineSync.question(`${creating ? 'New passphrase' : 'Passphrase'}: `, { hideEchoBack: true });
+    if (creating) {
+      if (passphrase.length < 12) {
+        throw new Error('Passphrase must be at least 12 characters');
+      }
+      if (readlineSync.question('Repeat passphrase: ', { hideEchoBack: true }) !== passphrase) {
+        throw new Error('Passphrases do not match');
+      }
+    }
+    return passphrase;
+  };
+}
+
+// stored keys wrapped by each master key, null when the database cannot be reached
+async function countWrappedKeys() {
+  try {
+    const result = await db.query(
+      `SELECT master_key_id, COUNT(*) AS count FROM (
+         SELECT master_key_id FROM conversation_keys
+         UNION ALL
+         SELECT master_key_id FROM server_keys WHERE master_key_id IS NOT NULL
+       ) wrapped
+       GROUP BY master_key_id`
+    );
+    return new Map(result.rows.map(row => [row.master_key_id, parseInt(row.count)]));
+  } catch (error) {
+    console.warn(`Could not count wrapped keys: ${error.message}`);
+    return null;
+  }
+}
+
+async function list(provider) {
+  const keys = await provider.listKeys();
+  if (keys.length === 0) {
+    console.log(`No master keys in the ${provider.name} provider yet, run "generate"`);
+    return;
+  }
+
+  const counts = await countWrappedKeys();
+  for (const key of keys) {
+    const status = key.retired_at ? `retired ${key.retired_at}` : key.current ? 'current' : 'active';
+    const wrapped = counts ? `${counts.get(key.id) || 0} wrapped` : 'wrapped count unknown';
+    console.log(`${String(key.id).padStart(4)}  ${status.padEnd(34)} ${wrapped}${key.created_at ? `  created ${key.created_at}` : ''}`);
+  }
+}
+
+async function retire(provider, id, force) {
+  const counts = await countWrappedKeys();
+  if (!force) {
+    if (!counts) {
+      throw new Error('Cannot check whether the key is still in use, pass --force to retire anyway');
+    }
+    if (counts.get(id)) {
+      throw new Error(`${counts.get(id)} stored keys are still wrapped with master key ${id}, wait for the re-encryption job`);
+    }
+  }
+
+  await provider.retireKey(id);
+  console.log(`Retired master key ${id}`);
+}
+
+async function generateServerKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+  const row = await serverKeyModel.setServerKey({ public_key: publicKey, private_key: privateKey });
+  console.log(`Stored a new server key pair wrapped with master key ${row.master_key_id}`);
+}
+
+function parseId(value) {
+  const id = parseInt(value, 10);
+  if (!/^\d+$/.test(value || '') || id < 1) {
+    throw new Error(USAGE);
+  }
+  return id;
+}
+
+async function main(argv) {
+  const args = [...argv];
+  const providerIndex = args.indexOf('--provider');
+  let providerName;
+  if (providerIndex !== -1) {
+    providerName = args[providerIndex + 1];
+    args.splice(providerIndex, 2);
+  }
+  const force = args.includes('--force');
+  const [command, arg] = args.filter(a => a !== '--force');
+
+  const passphraseEnv = (providerName || process.env.KEY_PROVIDER) === 'pkcs11' ? 'PKCS11_PIN' : 'KEYSTORE_PASSPHRASE';
+  const provider = createKeyProvider(providerName, { getPassphrase: promptPassphrase(passphraseEnv) });
+
+  switch (command) {
+    case 'list':
+      return list(provider);
+    case 'generate': {
+      const id = await provider.generateKey();
+      console.log(`Generated master key ${id}`);
+      return;
+    }
+    case 'rotate': {
+      const id = await provider.generateKey();
+      await provider.setCurrentKey(id);
+      console.log(`Master key ${id} is now current, keep the old keys until the re-encryption job has rewrapped everything`);
+      return;
+    }
+    case 'use':
+      await provider.setCurrentKey(parseId(arg));
+      console.log(`Master key ${arg} is now current`);
+      return;
+    case 'retire':
+      return retire(provider, parseId(arg), force);
+    case 'server-key':
+      if (arg !== 'generate') throw new Error(USAGE);
+      return generateServerKeyPair();
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+main(process.argv.slice(2))
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.pool.end());
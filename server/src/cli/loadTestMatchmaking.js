@@ -0,0 +1,214 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+const http = require('http');
+
+// matchmaking load test: fires thousands of concurrent random chat requests through the same path as the
+// socket and /api/matchmaking (requestRandomMatch -> enqueueUserForRandom -> matchmaking.lua) against the
+// redis in REDIS_HOST/REDIS_PORT and reports latencies. a backlog of users nobody can match is queued first
+// so the queues are long; with indexed queues the latency stays flat however big the backlog is. it uses the
+// real queue keys, so point it at a local or scratch redis, never a live one
+
+const FALLBACK_INTEREST = 'fallback';
+const LANGUAGES = ['en', 'es', 'pt', 'fr', 'de'];
+const MAX_INTERESTS = 100;
+
+// postgres is replaced by a fake without blocks, sanctions or profiles (the load is on redis), which only
+// knows the load test interests so picks are not dropped as unknown
+const db = require('../utils/db');
+db.query = async (text) => {
+  if (text.includes('FROM interests') && !text.includes('user_interests')) {
+    return { rows: Array.from({ length: MAX_INTERESTS }, (_, i) => ({ id: i + 1, name: `loadtest-${i + 1}` })) };
+  }
+  return { rows: [] };
+};
+
+// analytics are out of scope
+const kafka = require('../services/kafka');
+kafka.sendAnalyticsEvent = async () => {};
+
+const matchmaking = require('../services/matchmaking');
+const { redis, socketManager, matchStore } = require('../utils/redis');
+const socketModule = require('../socket/socket');
+
+const USAGE = `usage: npm run loadtest:matchmaking -- [options]
+
+  --users <n>        users enqueued concurrently after the backlog (default 2000)
+  --backlog <n>      unmatchable users queued first, oldest in every queue (default 5000)
+  --concurrency <n>  enqueues in flight at once (default 100)
+  --interests <n>    distinct interests, popularity falls off zipf-like (default 20, at most ${MAX_INTERESTS})
+  --seed <n>         random seed for the interest picks (default 1)
+
+  MATCH_SCAN_LIMIT sets how many waiting users the matcher scores per queue`;
+
+// seeded 32-bit prng (mulberry32), same as the matchmaking simulation
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// up to 3 picked interests plus the fallback, like validateInterests
+function pickInterests(random, count) {
+  const picked = new Set();
+  const wanted = Math.floor(random() * 4);
+  while (picked.size < wanted) {
+    // rank r is picked with probability ~ 1/r
+    picked.add(`loadtest-${Math.floor(Math.pow(count + 1, random()))}`);
+  }
+  return [...picked, FALLBACK_INTEREST];
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+// run jobs with at most `concurrency` in flight, returns the durations in ms (sorted) and each job's result
+async function runConcurrently(jobs, concurrency) {
+  const durations = [];
+  const results = [];
+  let next = 0;
+  const workers = Array.from({ length: Math.min(concurrency, jobs.length) }, async () => {
+    while (next < jobs.length) {
+      const index = next++;
+      const started = process.hrtime.bigint();
+      results[index] = await jobs[index]();
+      durations.push(Number(process.hrtime.bigint() - started) / 1e6);
+    }
+  });
+  const started = Date.now();
+  await Promise.all(workers);
+  return { durations: durations.sort((a, b) => a - b), results, elapsedMs: Date.now() - started };
+}
+
+function report(label, { durations, elapsedMs }) {
+  const format = ms => `${ms.toFixed(1)}ms`.padStart(9);
+  console.log(`${label.padEnd(20)}${String(durations.length).padStart(7)}${format(percentile(durations, 0.5))}` +
+    `${format(percentile(durations, 0.95))}${format(percentile(durations, 0.99))}` +
+    `${format(durations[durations.length - 1] || 0)}${`${Math.round(durations.length / (elapsedMs / 1000))}/s`.padStart(9)}`);
+}
+
+// usec per call of the matcher script from INFO commandstats
+async function scriptStats() {
+  const info = await matchmaking.redis.info('commandstats');
+  const line = info.split('\n').find(row => row.startsWith('cmdstat_evalsha:'));
+  const stats = Object.fromEntries((line || '').replace('cmdstat_evalsha:', '').trim().split(',').map(pair => pair.split('=')));
+  return { calls: Number(stats.calls) || 0, usec: Number(stats.usec) || 0 };
+}
+
+function parseOptions(argv) {
+  const options = { users: 2000, backlog: 5000, concurrency: 100, interests: 20, seed: 1 };
+  const names = { '--users': 'users', '--backlog': 'backlog', '--concurrency': 'concurrency', '--interests': 'interests', '--seed': 'seed' };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = names[argv[i]];
+    const value = Number(argv[i + 1]);
+    if (!name || argv[i + 1] === undefined || !Number.isInteger(value) || value < 0) {
+      throw new Error(USAGE);
+    }
+    options[name] = value;
+  }
+  if (options.users <= 0 || options.concurrency <= 0 || options.interests <= 0 || options.interests > MAX_INTERESTS) {
+    throw new Error(USAGE);
+  }
+  return options;
+}
+
+// every key matchmaking keeps for a user, and the random chats they were put in
+async function cleanup(userIds, clientInstanceId) {
+  for (let i = 0; i < userIds.length; i += 500) {
+    const batch = userIds.slice(i, i + 500);
+    await Promise.all(batch.map(async (userId) => {
+      const session = await socketModule.getRandomSession(userId);
+      if (session) {
+        await matchStore.deleteMatch(session.sessionId);
+      }
+      await matchStore.removeQueueEntry(userId);
+      await matchmaking.removeUserFromQueues(userId);
+    }));
+    await matchmaking.redis.del(...batch.flatMap(userId => [
+      `active:${userId}`, `mm_profile:${userId}`, `avoid:${userId}`, `recent:${userId}`, matchmaking.membershipKey(userId),
+      `user_socket:${userId}`, `user_match:${userId}`,
+    ]));
+  }
+  await socketManager.unregisterInstance(clientInstanceId);
+}
+
+async function main(argv) {
+  const options = parseOptions(argv);
+  const random = createRandom(options.seed);
+  const runId = Date.now().toString(36);
+
+  // someone waiting in the fallback queue means this redis serves real users
+  if (await matchmaking.redis.zcard(matchmaking.queueKey(FALLBACK_INTEREST)) > 0) {
+    throw new Error('users are waiting in this redis, run the load test against a local or scratch redis');
+  }
+
+  const backlogIds = Array.from({ length: options.backlog }, (_, i) => `loadtest:${runId}:backlog:${i}`);
+  const userIds = Array.from({ length: options.users }, (_, i) => `loadtest:${runId}:${i}`);
+
+  // a socket server nobody connects to: matches are announced to rooms without listeners. the users count
+  // as online through sockets owned by a separate live instance, which the stale socket cleanup leaves alone
+  socketModule.initializeSocket(http.createServer(), { instanceId: `loadtest-server:${runId}` });
+  const clientInstanceId = `loadtest-clients:${runId}`;
+  await socketManager.registerInstance(clientInstanceId);
+  const heartbeat = setInterval(() => socketManager.registerInstance(clientInstanceId), 20000);
+  for (let i = 0; i < userIds.length; i += 500) {
+    await Promise.all(userIds.slice(i, i + 500).map(userId =>
+      socketManager.addUserSocket(userId, `loadtest:${userId}`, clientInstanceId)
+    ));
+  }
+
+  console.log(`${options.backlog} backlog users, ${options.users} users, ${options.concurrency} concurrent, ` +
+    `${options.interests} interests\n`);
+  console.log(`${''.padEnd(20)}${'calls'.padStart(7)}${'p50'.padStart(9)}${'p95'.padStart(9)}${'p99'.padStart(9)}` +
+    `${'max'.padStart(9)}${'rate'.padStart(9)}`);
+
+  try {
+    // requiring a shared language without any language never matches, so these stay queued. they go straight
+    // to the lua matcher since a profile asking for that cannot be made without postgres
+    const backlog = await runConcurrently(backlogIds.map(userId => () =>
+      matchmaking.matchOrEnqueue(userId, pickInterests(random, options.interests), { languageRequired: true })
+    ), options.concurrency);
+    report('backlog enqueue', backlog);
+
+    const before = await scriptStats();
+    const enqueue = await runConcurrently(userIds.map(userId => () =>
+      socketModule.requestRandomMatch(userId, userId, pickInterests(random, options.interests), {
+        languages: [LANGUAGES[Math.floor(random() * LANGUAGES.length)]],
+      })
+    ), options.concurrency);
+    report('enqueue or match', enqueue);
+    const after = await scriptStats();
+
+    // whoever is still waiting leaves, as on cancel
+    const waitingIds = (await matchStore.getQueueEntries(userIds)).filter(Boolean).map(entry => entry.userId);
+    const dequeue = await runConcurrently(waitingIds.map(userId => () => socketModule.cancelRandomMatch(userId)),
+      options.concurrency);
+    report('dequeue', dequeue);
+
+    const matched = enqueue.results.filter(result => result.ok && result.status === 'matched').length;
+    const failed = enqueue.results.filter(result => !result.ok).length;
+    const calls = after.calls - before.calls;
+    console.log(`\n${matched * 2} of ${options.users} users matched, ${waitingIds.length} left the queue` +
+      (failed > 0 ? `, ${failed} requests refused` : ''));
+    if (calls > 0) {
+      console.log(`matcher script: ${((after.usec - before.usec) / calls).toFixed(1)}us per call inside redis ` +
+        `(${calls} calls, scanning at most ${process.env.MATCH_SCAN_LIMIT || 200} users per queue)`);
+    }
+  } finally {
+    clearInterval(heartbeat);
+    await socketModule.closeSocket();
+    await cleanup([...backlogIds, ...userIds], clientInstanceId);
+    matchmaking.redis.disconnect();
+    redis.disconnect();
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
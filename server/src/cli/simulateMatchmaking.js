@@ -0,0 +1,291 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+const matchScoring = require('../services/matchScoring');
+
+// deterministic matchmaking simulation: replays the same seeded stream of users through the old first-fit
+// matcher and the weighted scorer (services/matchScoring.js) and compares match quality and wait times.
+// runs on a simulated clock, no redis or database needed
+
+const DEFAULT_CONFIG = matchScoring.scoringConfig();
+
+const USAGE = `usage: npm run simulate:matchmaking -- [options]
+
+  --seed <n>         random seed, the same seed always gives the same report (default 1)
+  --minutes <n>      simulated minutes of arrivals (default 60)
+  --rate <n>         users arriving per minute (default 20)
+  --min-score <n>    score a pair needs right away (default ${DEFAULT_CONFIG.minScore}, MATCH_MIN_SCORE)
+  --decay <seconds>  wait after which any pair is accepted (default ${DEFAULT_CONFIG.decayMs / 1000}, MATCH_SCORE_DECAY_SECONDS)`;
+
+// popularity falls off with the position in the list (zipf-like)
+const INTERESTS = [
+  'music', 'gaming', 'movies', 'sports', 'tech', 'art', 'books', 'travel', 'food', 'fitness',
+  'anime', 'science', 'photography', 'fashion', 'politics', 'history', 'coding', 'pets', 'cars', 'comedy',
+];
+const LANGUAGES = [['en', 0.55], ['es', 0.2], ['pt', 0.1], ['fr', 0.08], ['de', 0.07]];
+// regions people with each first language set on their profile
+const REGIONS = {
+  en: [['US', 0.6], ['GB', 0.25], ['IN', 0.15]],
+  es: [['ES', 0.4], ['MX', 0.6]],
+  pt: [['BR', 0.8], ['PT', 0.2]],
+  fr: [['FR', 0.8], ['CA', 0.2]],
+  de: [['DE', 1]],
+};
+
+const TICK_MS = 1000;
+const SCAN_INTERVAL_MS = 5000; // MATCHMAKING_INTERVAL in socket.js
+const REMATCH_BATCH = 50; // MATCH_REMATCH_BATCH in socket.js
+const RECENT_MS = { matched: 10 * 60 * 1000, skipped: 30 * 60 * 1000 }; // RECENT_TTLS defaults
+const SKIPPED_CHAT_MS = 20 * 1000; // how long a chat lasts before someone skips
+const MAX_CHATS = 3; // users leave after this many chats
+const DRAIN_MS = 5 * 60 * 1000; // keep running after the last arrival so the queue empties
+
+// seeded 32-bit prng (mulberry32)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pickWeighted(random, entries) {
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = random() * total;
+  for (const [value, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return value;
+  }
+  return entries[entries.length - 1][0];
+}
+
+const INTEREST_WEIGHTS = INTERESTS.map((interest, rank) => [interest, 1 / (rank + 1)]);
+
+function pickInterests(random, count) {
+  const picked = new Set();
+  while (picked.size < count) {
+    picked.add(pickWeighted(random, INTEREST_WEIGHTS));
+  }
+  return [...picked];
+}
+
+// everyone who will arrive, generated up front so both policies see the same users
+function generateUsers(random, { minutes, rate }) {
+  const users = [];
+  let time = 0;
+  for (;;) {
+    // poisson arrivals: exponential gaps between users
+    time += -Math.log(1 - random()) / (rate / 60000);
+    if (time >= minutes * 60000) return users;
+
+    const profileInterests = pickInterests(random, 2 + Math.floor(random() * 5));
+    // a quarter of users pick nothing and only wait in the fallback queue
+    const picks = random() < 0.25 ? 0 : 1 + Math.floor(random() * 3);
+    const primary = pickWeighted(random, LANGUAGES);
+    users.push({
+      userId: String(users.length + 1),
+      arrivesAt: Math.round(time / TICK_MS) * TICK_MS,
+      interests: [...profileInterests.slice(0, picks), matchScoring.FALLBACK_INTEREST],
+      profileInterests,
+      languages: primary !== 'en' && random() < 0.3 ? [primary, 'en'] : [primary],
+      // half set a region, one in ten only wants partners who share a language
+      region: random() < 0.5 ? pickWeighted(random, REGIONS[primary]) : null,
+      languageRequired: random() < 0.1,
+      patienceMs: Math.round((60 + random() * 120) * 1000),
+      // most users rarely skip, a few skip almost everyone
+      skipPropensity: random() < 0.1 ? 0.7 : random() * 0.2,
+    });
+  }
+}
+
+function shuffle(random, array) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+function pairKey(a, b) {
+  return a.userId < b.userId ? `${a.userId}:${b.userId}` : `${b.userId}:${a.userId}`;
+}
+
+// the scorer's view of a waiting user
+function scoringProfile(user) {
+  return { ...user, skippedIds: [...user.skippedAt.keys()], recentSkips: user.skippedAt.size };
+}
+
+function simulate(population, policy, config, seed) {
+  const random = createRandom(seed);
+  const waiting = [];
+  const requeues = [];
+  const recent = new Map(); // pair -> expiry time
+  const stats = { users: population.length, chats: 0, waits: [], sharedPick: 0, sharedPicks: 0, sharedAny: 0, sameLanguage: 0, skips: 0, abandoned: 0 };
+
+  const isRecent = (a, b, now) => (recent.get(pairKey(a, b)) || 0) > now;
+
+  const leaveQueue = (user) => {
+    waiting.splice(waiting.indexOf(user), 1);
+  };
+
+  const startChat = (a, b, now) => {
+    leaveQueue(b);
+    if (waiting.includes(a)) leaveQueue(a);
+    stats.chats++;
+    stats.waits.push(now - a.enqueuedAt, now - b.enqueuedAt);
+
+    const picksA = a.interests.filter(interest => interest !== matchScoring.FALLBACK_INTEREST);
+    const sharedPicks = picksA.filter(interest => b.interests.includes(interest)).length;
+    const allB = new Set([...b.interests, ...b.profileInterests]);
+    const sharesAny = [...picksA, ...a.profileInterests].some(interest => allB.has(interest));
+    const sharesLanguage = a.languages.some(language => b.languages.includes(language));
+    stats.sharedPicks += sharedPicks;
+    stats.sharedPick += sharedPicks > 0 ? 1 : 0;
+    stats.sharedAny += sharesAny ? 1 : 0;
+    stats.sameLanguage += sharesLanguage ? 1 : 0;
+    recent.set(pairKey(a, b), now + RECENT_MS.matched);
+    a.chats++;
+    b.chats++;
+
+    // worse matches are skipped more often
+    const skipChance = user => Math.min(Math.max(
+      user.skipPropensity + (sharesAny ? 0 : 0.35) + (sharesLanguage ? 0 : 0.25) - 0.1 * sharedPicks, 0), 0.95);
+    const skipper = random() < skipChance(a) ? a : random() < skipChance(b) ? b : null;
+    if (!skipper) return;
+
+    const skipped = skipper === a ? b : a;
+    stats.skips++;
+    skipper.skippedAt.set(skipped.userId, now);
+    recent.set(pairKey(a, b), now + RECENT_MS.skipped);
+    for (const user of [a, b]) {
+      if (user.chats < MAX_CHATS) requeues.push({ at: now + SKIPPED_CHAT_MS, user });
+    }
+  };
+
+  // the old matcher: shuffle the picks and take the first waiting user in any of their queues
+  const pickLegacy = (user, now) => {
+    for (const interest of shuffle(random, [...user.interests])) {
+      const match = waiting.find(other => other !== user && other.interests.includes(interest) && !isRecent(user, other, now));
+      if (match) return match;
+    }
+    return null;
+  };
+
+  // matchmaking.lua: the best acceptable candidate, earliest queued on ties
+  const pickBestScored = (user, now) => {
+    let best = null;
+    for (const other of waiting) {
+      if (other === user || isRecent(user, other, now)) continue;
+      const { score, acceptable } = matchScoring.scorePair(scoringProfile(user), scoringProfile(other), now, config);
+      if (acceptable && (!best || score > best.score)) best = { other, score };
+    }
+    return best && best.other;
+  };
+
+  // rematchWaitingUsers in socket.js: the longest waiters matched again, each with their best candidate
+  const scan = (now) => {
+    for (const user of waiting.slice(0, REMATCH_BATCH)) {
+      if (!waiting.includes(user)) continue;
+      const match = pickBestScored(user, now);
+      if (match) startChat(user, match, now);
+    }
+  };
+
+  const enqueue = (user, now) => {
+    user.enqueuedAt = now;
+    const match = policy === 'legacy' ? pickLegacy(user, now) : pickBestScored(user, now);
+    if (match) {
+      startChat(user, match, now);
+    } else {
+      waiting.push(user);
+    }
+  };
+
+  const lastArrival = population.length > 0 ? population[population.length - 1].arrivesAt : 0;
+  let next = 0;
+  for (let now = 0; now <= lastArrival + DRAIN_MS; now += TICK_MS) {
+    for (const user of waiting.filter(user => now - user.enqueuedAt >= user.patienceMs)) {
+      leaveQueue(user);
+      stats.abandoned++;
+    }
+    for (const due of requeues.filter(entry => entry.at <= now)) {
+      requeues.splice(requeues.indexOf(due), 1);
+      enqueue(due.user, now);
+    }
+    while (next < population.length && population[next].arrivesAt <= now) {
+      enqueue({ ...population[next++], chats: 0, skippedAt: new Map() }, now);
+    }
+    if (policy === 'weighted' && now % SCAN_INTERVAL_MS === 0) {
+      scan(now);
+    }
+  }
+
+  return stats;
+}
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+function summarize(stats) {
+  const waits = [...stats.waits].sort((a, b) => a - b);
+  const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+  const share = count => (stats.chats ? `${(100 * count / stats.chats).toFixed(1)}%` : '-');
+  return {
+    chats: String(stats.chats),
+    'gave up waiting': String(stats.abandoned),
+    'wait mean': seconds(waits.reduce((sum, wait) => sum + wait, 0) / (waits.length || 1)),
+    'wait median': seconds(percentile(waits, 0.5)),
+    'wait p90': seconds(percentile(waits, 0.9)),
+    'wait max': seconds(waits[waits.length - 1] || 0),
+    'shared a pick': share(stats.sharedPick),
+    'shared picks per chat': stats.chats ? (stats.sharedPicks / stats.chats).toFixed(2) : '-',
+    'shared any interest': share(stats.sharedAny),
+    'same language': share(stats.sameLanguage),
+    'skipped': share(stats.skips),
+  };
+}
+
+function parseOptions(argv) {
+  const options = { seed: 1, minutes: 60, rate: 20, minScore: DEFAULT_CONFIG.minScore, decay: DEFAULT_CONFIG.decayMs / 1000 };
+  const names = { '--seed': 'seed', '--minutes': 'minutes', '--rate': 'rate', '--min-score': 'minScore', '--decay': 'decay' };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = names[argv[i]];
+    const value = Number(argv[i + 1]);
+    if (!name || argv[i + 1] === undefined || !Number.isFinite(value) || value < 0) {
+      throw new Error(USAGE);
+    }
+    options[name] = value;
+  }
+  if (options.minutes <= 0 || options.rate <= 0 || options.decay <= 0) {
+    throw new Error(USAGE);
+  }
+  return options;
+}
+
+function main(argv) {
+  const options = parseOptions(argv);
+  const config = matchScoring.scoringConfig({ minScore: options.minScore, decayMs: options.decay * 1000 });
+  const population = generateUsers(createRandom(options.seed), options);
+
+  const results = {
+    legacy: summarize(simulate(population, 'legacy', config, options.seed + 1)),
+    weighted: summarize(simulate(population, 'weighted', config, options.seed + 1)),
+  };
+
+  console.log(`seed ${options.seed}, ${options.minutes} minutes, ${options.rate} users/minute (${population.length} users), ` +
+    `min score ${options.minScore} decaying over ${options.decay}s\n`);
+  console.log(`${''.padEnd(24)}${'legacy'.padStart(10)}${'weighted'.padStart(10)}`);
+  for (const row of Object.keys(results.legacy)) {
+    console.log(`${row.padEnd(24)}${results.legacy[row].padStart(10)}${results.weighted[row].padStart(10)}`);
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,66 @@
+const userModel = require('../models/user');
+const adminAuditLogModel = require('../models/adminAuditLog');
+const { ROLES, ROLE_PERMISSIONS } = require('../middleware/adminAuth');
+
+// validate uuid format for security
+function isValidUUID(uuid) {
+  return /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(uuid);
+}
+
+// get role and permissions of the calling admin or moderator
+async function getMyPermissions(req, res) {
+  res.json({
+    role: req.user.role,
+    permissions: ROLE_PERMISSIONS[req.user.role] || []
+  });
+}
+
+// change the role of a user
+async function updateUserRole(req, res) {
+  const { id } = req.params;
+  const { role } = req.body;
+  
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid user ID format' });
+  }
+  
+  if (!Object.values(ROLES).includes(role)) {
+    return res.status(400).json({ error: 'Invalid role' });
+  }
+  
+  // prevent admins from locking themselves out
+  if (req.user.userId === id) {
+    return res.status(400).json({ error: 'You cannot change your own role' });
+  }
+  
+  try {
+    const user = await userModel.updateUserRole(id, role);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({ success: true, user });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// get audit trail of admin endpoint usage
+async function getAuditLogs(req, res) {
+  const { actor_id } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+  
+  if (actor_id && !isValidUUID(actor_id)) {
+    return res.status(400).json({ error: 'Invalid actor_id format' });
+  }
+  
+  try {
+    const logs = await adminAuditLogModel.getAuditLogs({ actorId: actor_id || null, limit });
+    res.json({ success: true, logs, count: logs.length });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+module.exports = {
+  getMyPermissions,
+  updateUserRole,
+  getAuditLogs,
+};
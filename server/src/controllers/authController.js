@@ -1,13 +1,67 @@
 const userModel = require('../models/user');
 const userKeyModel = require('../models/userKey');
+const userSanctionModel = require('../models/userSanction');
 const bcrypt = require('bcryptjs');
 const passport = require('../config/passport');
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 const { verifyRecaptchaToken } = require('../services/recaptcha');
+const { sessionManager, socketManager } = require('../utils/redis');
+const { disconnectSession } = require('../socket/socket');
 const { escapeHtml, isValidEmail } = require('../utils/sanitizer');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret';
 
+// sign a login token bound to a new device session (listed under /api/auth/sessions)
+async function issueSessionToken(user, req) {
+  const sessionId = uuidv4();
+  const now = new Date().toISOString();
+  
+  await sessionManager.createSession(user.id, {
+    id: sessionId,
+    userAgent: req.headers['user-agent'] || 'unknown',
+    ipAddress: req.ip,
+    createdAt: now,
+    lastSeenAt: now
+  });
+  
+  return jwt.sign({ 
+    userId: user.id, 
+    username: user.username,
+    role: user.role || 'user',
+    sid: sessionId
+  }, JWT_SECRET, { expiresIn: '12h', algorithm: 'HS256' });
+}
+
+// build the error returned when a suspended or banned user tries to log in
+function buildSanctionError(user, sanction) {
+  let error = 'This account has been permanently banned';
+  if (sanction.expires_at) {
+    error = `This account is suspended until ${new Date(sanction.expires_at).toISOString()}`;
+  } else if (sanction.type === 'suspension') {
+    error = 'This account has been suspended';
+  }
+  
+  // short-lived token that only grants access to the appeal endpoints
+  const appealToken = jwt.sign({ 
+    userId: user.id, 
+    username: user.username,
+    scope: 'appeal'
+  }, JWT_SECRET, { expiresIn: '1h', algorithm: 'HS256' });
+  
+  return {
+    error,
+    sanction: {
+      id: sanction.id,
+      type: sanction.type,
+      reason: sanction.reason,
+      expires_at: sanction.expires_at,
+      appeal_status: sanction.appeal_status
+    },
+    appealToken
+  };
+}
+
 // local user registration with validation and recaptcha
 async function register(req, res) {
   let { username, email, password, recaptchaToken } = req.body;
@@ -45,10 +99,7 @@ async function register(req, res) {
     const user = await userModel.createUser({ username, email, password_hash: hash });
     
     // generate jwt token for authentication
-    const token = jwt.sign({ 
-      userId: user.id, 
-      username: user.username 
-    }, JWT_SECRET, { expiresIn: '12h', algorithm: 'HS256' });
+    const token = await issueSessionToken(user, req);
     
     res.status(201).json({ 
       message: 'User registered successfully', 
@@ -95,10 +146,13 @@ async function login(req, res) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
-    const token = jwt.sign({ 
-      userId: user.id, 
-      username: user.username 
-    }, JWT_SECRET, { expiresIn: '12h', algorithm: 'HS256' });
+    // suspended or banned accounts cannot log in
+    const sanction = await userSanctionModel.getAccountBlockingSanction(user.id);
+    if (sanction) {
+      return res.status(403).json(buildSanctionError(user, sanction));
+    }
+    
+    const token = await issueSessionToken(user, req);
     
     res.json({ 
       token, 
@@ -106,6 +160,7 @@ async function login(req, res) {
         id: user.id,
         username: user.username,
         email: user.email,
+        role: user.role,
         status: user.status,
         lastActiveAt: user.last_active_at
       }
@@ -115,16 +170,29 @@ async function login(req, res) {
   }
 }
 
+// redirect suspended or banned oauth users back to the client with the sanction details
+async function rejectSanctionedOAuthUser(req, res, next) {
+  try {
+    const sanction = await userSanctionModel.getAccountBlockingSanction(req.user.id);
+    if (!sanction) {
+      return next();
+    }
+    
+    const sanctionError = encodeURIComponent(JSON.stringify(buildSanctionError(req.user, sanction)));
+    res.redirect(`${process.env.CLIENT_URL || 'http://localhost:3000'}?sanction=${sanctionError}`);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
 // google oauth authentication handlers
 const googleAuthStart = passport.authenticate('google', { scope: ['profile', 'email'] });
 const googleAuthCallback = [
   passport.authenticate('google', { session: false, failureRedirect: '/login' }),
-  (req, res) => {
+  rejectSanctionedOAuthUser,
+  async (req, res) => {
     // generate jwt token for authenticated user
-    const token = jwt.sign({ 
-      userId: req.user.id, 
-      username: req.user.username 
-    }, JWT_SECRET, { expiresIn: '12h', algorithm: 'HS256' });
+    const token = await issueSessionToken(req.user, req);
     
     // redirect to frontend with token and user data
     const userData = encodeURIComponent(JSON.stringify({
@@ -144,11 +212,9 @@ const googleAuthCallback = [
 const githubAuthStart = passport.authenticate('github', { scope: ['user:email'] });
 const githubAuthCallback = [
   passport.authenticate('github', { session: false, failureRedirect: '/login' }),
-  (req, res) => {
-    const token = jwt.sign({ 
-      userId: req.user.id, 
-      username: req.user.username 
-    }, JWT_SECRET, { expiresIn: '12h', algorithm: 'HS256' });
+  rejectSanctionedOAuthUser,
+  async (req, res) => {
+    const token = await issueSessionToken(req.user, req);
     
     // redirect to frontend with token and user data
     const userData = encodeURIComponent(JSON.stringify({
@@ -167,7 +233,10 @@ const githubAuthCallback = [
 // user logout with server-side cleanup
 async function logout(req, res) {
   try {
-    const userId = req.userId; // from jwt auth middleware
+    // end this device's session so the token cannot be reused
+    if (req.user.sid) {
+      await sessionManager.revokeSession(req.user.userId, req.user.sid);
+    }
     
     // status update handled via socket.io disconnect event
     // no need to update status here as client will disconnect websocket
@@ -184,6 +253,42 @@ async function logout(req, res) {
   }
 }
 
+// list the devices currently logged in to the account
+async function getSessions(req, res) {
+  try {
+    const sessions = await sessionManager.getSessions(req.user.userId);
+    const connected = await socketManager.getUserSocketSessions(req.user.userId);
+    
+    res.json(sessions.map(session => ({
+      ...session,
+      current: session.id === req.user.sid,
+      connected: connected.includes(session.id)
+    })));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load sessions' });
+  }
+}
+
+// log out a single device (including the current one)
+async function logoutSession(req, res) {
+  try {
+    const { sessionId } = req.params;
+    const session = await sessionManager.getSession(req.user.userId, sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    await sessionManager.revokeSession(req.user.userId, sessionId);
+    
+    // drop that device's live sockets wherever they are connected
+    disconnectSession(sessionId);
+    
+    res.json({ message: 'Device logged out', success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to log out device' });
+  }
+}
+
 module.exports = {
   register,
   login,
@@ -192,4 +297,6 @@ module.exports = {
   githubAuthStart,
   githubAuthCallback,
   logout,
+  getSessions,
+  logoutSession,
 }; 
\ No newline at end of file
@@ -0,0 +1,86 @@
+const userBlockModel = require('../models/userBlock');
+const userModel = require('../models/user');
+const friendModel = require('../models/friend');
+const { query } = require('../utils/db');
+const { getSocketIO } = require('../socket/socket');
+
+// validate uuid format for security
+function isValidUUID(uuid) {
+  return /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(uuid);
+}
+
+// get users blocked by the current user
+async function getBlockedUsers(req, res) {
+  try {
+    const blocked = await userBlockModel.getBlockedUsers(req.user.userId);
+    res.json(blocked);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// block a user and drop any friendship or pending requests with them
+async function blockUser(req, res) {
+  const { blocked_id } = req.body;
+  const blockerId = req.user.userId;
+  
+  if (!isValidUUID(blocked_id)) {
+    return res.status(400).json({ error: 'Invalid blocked_id format' });
+  }
+  
+  if (blocked_id === blockerId) {
+    return res.status(400).json({ error: 'You cannot block yourself' });
+  }
+  
+  try {
+    const blockedUser = await userModel.getUserById(blocked_id);
+    if (!blockedUser) return res.status(404).json({ error: 'User not found' });
+    
+    const block = await userBlockModel.blockUser(blockerId, blocked_id);
+    
+    // blocking ends the friendship but keeps message history
+    const friendship = await friendModel.removeFriend(blockerId, blocked_id);
+    await query(
+      `DELETE FROM friend_requests 
+       WHERE status = 'pending'
+         AND ((sender_id = $1 AND receiver_id = $2) OR (sender_id = $2 AND receiver_id = $1))`,
+      [blockerId, blocked_id]
+    );
+    
+    // let the blocked user's client drop the friend without revealing the block
+    const io = getSocketIO();
+    if (io && friendship) {
+      io.to(`user:${blocked_id}`).emit('friendRemoved', {
+        userId: blockerId,
+        username: req.user.username
+      });
+    }
+    
+    res.status(201).json({ message: 'User blocked', block });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}
+
+// unblock a user
+async function unblockUser(req, res) {
+  const { blocked_id } = req.params;
+  
+  if (!isValidUUID(blocked_id)) {
+    return res.status(400).json({ error: 'Invalid blocked_id format' });
+  }
+  
+  try {
+    const block = await userBlockModel.unblockUser(req.user.userId, blocked_id);
+    if (!block) return res.status(404).json({ error: 'Block not found' });
+    res.json({ message: 'User unblocked', block });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}
+
+module.exports = {
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+};
@@ -1,4 +1,5 @@
 const friendModel = require('../models/friend');
+const userBlockModel = require('../models/userBlock');
 
 // add friend relationship between two users
 async function addFriend(req, res) {
@@ -10,6 +11,10 @@ async function addFriend(req, res) {
       return res.status(403).json({ error: 'You can only add friends for your own account' });
     }
     
+    if (await userBlockModel.isBlockedEitherWay(user_id, friend_id)) {
+      return res.status(403).json({ error: 'You cannot add this user as a friend' });
+    }
+    
     const friendship = await friendModel.addFriend(user_id, friend_id);
     res.status(201).json(friendship);
   } catch (err) {
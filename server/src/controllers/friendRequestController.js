@@ -1,4 +1,5 @@
 const friendRequestModel = require('../models/friendRequest');
+const userBlockModel = require('../models/userBlock');
 const { sendFriendRequestEvent, MESSAGE_TYPES } = require('../services/kafka');
 const { getSocketIO } = require('../socket/socket');
 
@@ -23,6 +24,17 @@ async function sendFriendRequest(req, res) {
     return res.status(400).json({ error: 'Cannot send friend request to yourself' });
   }
   try {
+    // blocked users cannot exchange friend requests (same error either direction)
+    if (await userBlockModel.isBlockedEitherWay(sender_id, receiver_id)) {
+      return res.status(403).json({ error: 'You cannot send a friend request to this user' });
+    }
+    
+    // prevent resending while a request is still pending
+    const pendingRequest = await friendRequestModel.getPendingRequestBetween(sender_id, receiver_id);
+    if (pendingRequest) {
+      return res.status(409).json({ error: 'A friend request between you is already pending' });
+    }
+    
     const request = await friendRequestModel.sendFriendRequest(sender_id, receiver_id);
     
     // get usernames for real-time notifications
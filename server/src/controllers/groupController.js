@@ -0,0 +1,412 @@
+const groupConversationModel = require('../models/groupConversation');
+const groupMessageModel = require('../models/groupMessage');
+const friendModel = require('../models/friend');
+const userBlockModel = require('../models/userBlock');
+const userModel = require('../models/user');
+const { escapeHtml } = require('../utils/sanitizer');
+const {
+  postGroupMessage,
+  postGroupNotice,
+  joinGroupRoom,
+  leaveGroupRoom,
+  emitToGroup,
+  emitToUsers,
+} = require('../socket/socket');
+
+// largest group, creator included
+const GROUP_MAX_MEMBERS = parseInt(process.env.GROUP_MAX_MEMBERS || '50', 10);
+const MAX_GROUP_NAME_LENGTH = 100;
+
+const UUID_PATTERN = /^[0-9a-fA-F-]{36}$/;
+
+function parseGroupId(value) {
+  return /^\d{1,10}$/.test(value || '') ? parseInt(value, 10) : null;
+}
+
+function validateGroupName(name) {
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_GROUP_NAME_LENGTH) {
+    return `Group name must be 1-${MAX_GROUP_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+// "a", "a and b", "a, b and c"
+function joinNames(names) {
+  return names.length <= 1 ? names.join('') : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+// users can only bring their own friends into a group; returns an error message or null
+async function checkInvitees(userId, userIds) {
+  const friendIds = new Set((await friendModel.getFriendsForUser(userId)).map(friend => String(friend.id)));
+  for (const id of userIds) {
+    if (!friendIds.has(String(id))) {
+      return 'You can only add your friends to a group';
+    }
+    if (await userBlockModel.isBlockedEitherWay(userId, id)) {
+      return 'You cannot add this user to a group';
+    }
+  }
+  return null;
+}
+
+// load the group and the requester's membership, sending the error response when either is missing
+async function loadMembership(req, res, { adminOnly = false } = {}) {
+  const groupId = parseGroupId(req.params.group_id);
+  if (!groupId) {
+    res.status(400).json({ error: 'Invalid group ID' });
+    return null;
+  }
+
+  const member = await groupConversationModel.getMember(groupId, req.user.userId);
+  if (!member) {
+    res.status(404).json({ error: 'Group not found' });
+    return null;
+  }
+  if (adminOnly && member.role !== 'admin') {
+    res.status(403).json({ error: 'Only group admins can do this' });
+    return null;
+  }
+  return { groupId, member };
+}
+
+// group with its members, as returned to clients
+async function groupDetails(groupId) {
+  const group = await groupConversationModel.getGroupById(groupId);
+  return group ? { ...group, members: await groupConversationModel.getMembers(groupId) } : null;
+}
+
+// tell members the group changed (name, members or roles)
+async function broadcastGroupUpdate(groupId) {
+  const group = await groupDetails(groupId);
+  if (group) {
+    emitToGroup(groupId, 'groupUpdated', group);
+  }
+}
+
+// create a group with some of the current user's friends
+async function createGroup(req, res) {
+  try {
+    const { name, member_ids } = req.body;
+
+    const nameError = validateGroupName(name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+    if (!Array.isArray(member_ids) || member_ids.length === 0 || !member_ids.every(id => UUID_PATTERN.test(id))) {
+      return res.status(400).json({ error: 'member_ids must list at least one friend' });
+    }
+
+    const memberIds = [...new Set(member_ids.map(id => id.toLowerCase()))]
+      .filter(id => id !== String(req.user.userId).toLowerCase());
+    if (memberIds.length === 0) {
+      return res.status(400).json({ error: 'member_ids must list at least one friend' });
+    }
+    if (memberIds.length + 1 > GROUP_MAX_MEMBERS) {
+      return res.status(400).json({ error: `Groups can have at most ${GROUP_MAX_MEMBERS} members` });
+    }
+
+    const inviteError = await checkInvitees(req.user.userId, memberIds);
+    if (inviteError) {
+      return res.status(403).json({ error: inviteError });
+    }
+
+    const group = await groupConversationModel.createGroup({
+      name: name.trim(),
+      created_by: req.user.userId,
+      member_ids: memberIds
+    });
+
+    joinGroupRoom(group.id, [req.user.userId, ...memberIds]);
+    await postGroupNotice(group.id, `${req.user.username} created the group`);
+
+    const details = await groupDetails(group.id);
+    emitToUsers(memberIds, 'groupAdded', { group: details, by: req.user.username });
+    res.status(201).json(details);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}
+
+// list the current user's groups with unread counts
+async function getGroups(req, res) {
+  try {
+    const groups = await groupConversationModel.getGroupsForUser(req.user.userId);
+    res.json(groups);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// get a group with its members and their read state
+async function getGroup(req, res) {
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+
+    res.json(await groupDetails(membership.groupId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// rename a group (admins only)
+async function renameGroup(req, res) {
+  try {
+    const membership = await loadMembership(req, res, { adminOnly: true });
+    if (!membership) return;
+
+    const nameError = validateGroupName(req.body.name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+
+    const group = await groupConversationModel.renameGroup(membership.groupId, req.body.name.trim());
+    await postGroupNotice(membership.groupId, `${req.user.username} renamed the group to "${group.name}"`);
+    await broadcastGroupUpdate(membership.groupId);
+    res.json(group);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}
+
+// add friends of the requesting admin to a group
+async function addMembers(req, res) {
+  try {
+    const membership = await loadMembership(req, res, { adminOnly: true });
+    if (!membership) return;
+    const { groupId } = membership;
+
+    const { user_ids } = req.body;
+    if (!Array.isArray(user_ids) || user_ids.length === 0 || !user_ids.every(id => UUID_PATTERN.test(id))) {
+      return res.status(400).json({ error: 'user_ids must list at least one friend' });
+    }
+    const userIds = [...new Set(user_ids.map(id => id.toLowerCase()))];
+
+    if (await groupConversationModel.countMembers(groupId) + userIds.length > GROUP_MAX_MEMBERS) {
+      return res.status(400).json({ error: `Groups can have at most ${GROUP_MAX_MEMBERS} members` });
+    }
+
+    const inviteError = await checkInvitees(req.user.userId, userIds);
+    if (inviteError) {
+      return res.status(403).json({ error: inviteError });
+    }
+
+    const added = await groupConversationModel.addMembers(groupId, userIds, req.user.userId);
+    if (added.length === 0) {
+      return res.status(409).json({ error: 'These users are already in the group' });
+    }
+
+    const addedIds = added.map(row => row.user_id);
+    joinGroupRoom(groupId, addedIds);
+
+    const details = await groupDetails(groupId);
+    const addedNames = details.members
+      .filter(member => addedIds.some(id => String(id) === String(member.user_id)))
+      .map(member => member.username);
+    await postGroupNotice(groupId, `${req.user.username} added ${joinNames(addedNames)}`);
+
+    emitToGroup(groupId, 'groupUpdated', details);
+    emitToUsers(addedIds, 'groupAdded', { group: details, by: req.user.username });
+    res.status(201).json(details);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}
+
+// take a user out of a group and tell everyone involved
+async function removeFromGroup(groupId, userId, notice) {
+  const result = await groupConversationModel.removeMember(groupId, userId);
+  if (!result.removed) {
+    return result;
+  }
+
+  leaveGroupRoom(groupId, [userId]);
+  emitToUsers([userId], 'groupRemoved', { groupId });
+
+  if (!result.deleted) {
+    await postGroupNotice(groupId, notice);
+    if (result.promotedUserId) {
+      const promoted = await userModel.getUserById(result.promotedUserId);
+      await postGroupNotice(groupId, `${promoted ? promoted.username : 'A member'} is now an admin`);
+    }
+    await broadcastGroupUpdate(groupId);
+  }
+  return result;
+}
+
+// leave a group (the last admin leaving promotes the longest-standing member)
+async function leaveGroup(req, res) {
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+
+    const result = await removeFromGroup(membership.groupId, req.user.userId, `${req.user.username} left the group`);
+    res.json({ message: 'Left group', deleted: result.deleted });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}
+
+// remove another member from a group (admins only)
+async function removeMember(req, res) {
+  try {
+    const membership = await loadMembership(req, res, { adminOnly: true });
+    if (!membership) return;
+
+    const { user_id } = req.params;
+    if (!UUID_PATTERN.test(user_id)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    if (String(user_id).toLowerCase() === String(req.user.userId).toLowerCase()) {
+      return res.status(400).json({ error: 'Use leave to remove yourself from a group' });
+    }
+
+    const target = await userModel.getUserById(user_id);
+    const result = await removeFromGroup(
+      membership.groupId,
+      user_id,
+      `${req.user.username} removed ${target ? target.username : 'a member'}`
+    );
+    if (!result.removed) {
+      return res.status(404).json({ error: 'User is not a member of this group' });
+    }
+    res.json({ message: 'Member removed' });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}
+
+// make a member an admin or a regular member (admins only, the last admin cannot step down)
+async function setMemberRole(req, res) {
+  try {
+    const membership = await loadMembership(req, res, { adminOnly: true });
+    if (!membership) return;
+
+    const { user_id } = req.params;
+    const { role } = req.body;
+    if (!UUID_PATTERN.test(user_id)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    if (role !== 'admin' && role !== 'member') {
+      return res.status(400).json({ error: 'Role must be admin or member' });
+    }
+
+    const target = await groupConversationModel.getMember(membership.groupId, user_id);
+    if (!target) {
+      return res.status(404).json({ error: 'User is not a member of this group' });
+    }
+    if (target.role === role) {
+      return res.json(target);
+    }
+
+    const updated = await groupConversationModel.setMemberRole(membership.groupId, user_id, role);
+    if (!updated) {
+      return res.status(409).json({ error: 'A group needs at least one admin' });
+    }
+
+    const user = await userModel.getUserById(user_id);
+    await postGroupNotice(
+      membership.groupId,
+      role === 'admin' ? `${user.username} is now an admin` : `${user.username} is no longer an admin`
+    );
+    await broadcastGroupUpdate(membership.groupId);
+    res.json(updated);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}
+
+// get one page of group history (before/after message id cursors), from when the user joined
+async function getGroupMessages(req, res) {
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+
+    const { before, after, limit } = req.query;
+    if (before && after) {
+      return res.status(400).json({ error: 'Use either before or after, not both' });
+    }
+    if ((before && !/^\d{1,10}$/.test(before)) || (after && !/^\d{1,10}$/.test(after))) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const page = await groupMessageModel.getGroupMessagesPage(membership.groupId, req.user.userId, {
+      before,
+      after,
+      limit
+    });
+    res.json(page);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// send a message to a group (same delivery as the sendGroupMessage socket event)
+async function sendGroupMessage(req, res) {
+  try {
+    const groupId = parseGroupId(req.params.group_id);
+    const { content, client_message_id } = req.body;
+    if (!groupId) {
+      return res.status(400).json({ error: 'Invalid group ID' });
+    }
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'Message content is required' });
+    }
+    if (client_message_id !== undefined && (typeof client_message_id !== 'string' || !client_message_id || client_message_id.length > 64)) {
+      return res.status(400).json({ error: 'Invalid client_message_id' });
+    }
+
+    const { status, ...result } = await postGroupMessage(req.user.userId, req.user.username, {
+      groupId,
+      message: escapeHtml(content),
+      clientMessageId: client_message_id || null
+    });
+    if (!result.ok) {
+      return res.status(status || 400).json({ error: result.error });
+    }
+    res.status(result.duplicate ? 200 : 201).json(result);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}
+
+// move the current user's read marker forward to a message
+async function markGroupRead(req, res) {
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+
+    const { message_id } = req.body;
+    if (!Number.isInteger(message_id)) {
+      return res.status(400).json({ error: 'message_id must be a message ID' });
+    }
+
+    const updated = await groupConversationModel.markRead(membership.groupId, req.user.userId, message_id);
+    if (updated) {
+      emitToGroup(membership.groupId, 'groupRead', {
+        groupId: membership.groupId,
+        userId: req.user.userId,
+        username: req.user.username,
+        lastReadMessageId: updated.last_read_message_id,
+        readAt: updated.last_read_at
+      });
+    }
+    res.json({ last_read_message_id: (updated || membership.member).last_read_message_id });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}
+
+module.exports = {
+  createGroup,
+  getGroups,
+  getGroup,
+  renameGroup,
+  addMembers,
+  leaveGroup,
+  removeMember,
+  setMemberRole,
+  getGroupMessages,
+  sendGroupMessage,
+  markGroupRead,
+};
@@ -0,0 +1,216 @@
+const interestRoomModel = require('../models/interestRoom');
+const interestModel = require('../models/interest');
+const userModel = require('../models/user');
+const { roomStore } = require('../utils/redis');
+const { hasPermission, PERMISSIONS } = require('../middleware/adminAuth');
+const { closeInterestRoom, emitToInterestRoom } = require('../socket/socket');
+
+// occupancy bounds for any room, and how many ephemeral rooms one user may have open
+const ROOM_MAX_OCCUPANCY = parseInt(process.env.ROOM_MAX_OCCUPANCY || '100', 10);
+const DEFAULT_ROOM_OCCUPANCY = Math.min(50, ROOM_MAX_OCCUPANCY);
+const MAX_EPHEMERAL_ROOMS_PER_USER = parseInt(process.env.ROOM_MAX_EPHEMERAL_PER_USER || '3', 10);
+const MAX_SLOW_MODE_SECONDS = 3600;
+const MAX_ROOM_NAME_LENGTH = 100;
+const MAX_ROOM_DESCRIPTION_LENGTH = 255;
+
+function parseId(value) {
+  return /^\d{1,10}$/.test(String(value ?? '')) ? parseInt(value, 10) : null;
+}
+
+// validate the editable room settings present in body, returns { changes } or { error }
+function validateRoomSettings(body) {
+  const changes = {};
+  const { name, description, max_occupancy, slow_mode_seconds } = body;
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_ROOM_NAME_LENGTH) {
+      return { error: `Room name must be 1-${MAX_ROOM_NAME_LENGTH} characters` };
+    }
+    changes.name = name.trim();
+  }
+  if (description !== undefined) {
+    if (description !== null && (typeof description !== 'string' || description.length > MAX_ROOM_DESCRIPTION_LENGTH)) {
+      return { error: `Description can be at most ${MAX_ROOM_DESCRIPTION_LENGTH} characters` };
+    }
+    changes.description = description ? description.trim() : null;
+  }
+  if (max_occupancy !== undefined) {
+    if (!Number.isInteger(max_occupancy) || max_occupancy < 2 || max_occupancy > ROOM_MAX_OCCUPANCY) {
+      return { error: `max_occupancy must be between 2 and ${ROOM_MAX_OCCUPANCY}` };
+    }
+    changes.max_occupancy = max_occupancy;
+  }
+  if (slow_mode_seconds !== undefined) {
+    if (!Number.isInteger(slow_mode_seconds) || slow_mode_seconds < 0 || slow_mode_seconds > MAX_SLOW_MODE_SECONDS) {
+      return { error: `slow_mode_seconds must be between 0 and ${MAX_SLOW_MODE_SECONDS}` };
+    }
+    changes.slow_mode_seconds = slow_mode_seconds;
+  }
+  return { changes };
+}
+
+// interest managers run every room, users run the ephemeral rooms they opened
+async function canManageRooms(userId) {
+  return hasPermission(await userModel.getUserRole(userId), PERMISSIONS.INTERESTS_MANAGE);
+}
+
+function isRoomCreator(userId, room) {
+  return !room.is_persistent && String(room.created_by) === String(userId);
+}
+
+async function canManageRoom(userId, room) {
+  return isRoomCreator(userId, room) || canManageRooms(userId);
+}
+
+// load a room the requester may manage, sending the error response otherwise
+async function loadManagedRoom(req, res) {
+  const roomId = parseId(req.params.room_id);
+  if (!roomId) {
+    res.status(400).json({ error: 'Invalid room ID' });
+    return null;
+  }
+
+  const room = await interestRoomModel.getRoomById(roomId);
+  if (!room) {
+    res.status(404).json({ error: 'Room not found' });
+    return null;
+  }
+  if (!(await canManageRoom(req.user.userId, room))) {
+    res.status(403).json({ error: 'You cannot manage this room' });
+    return null;
+  }
+  return room;
+}
+
+// list rooms (optionally for one interest) with how many people are in each and whether the
+// requester can manage them
+async function getRooms(req, res) {
+  let interestId = null;
+  if (req.query.interest_id !== undefined) {
+    interestId = parseId(req.query.interest_id);
+    if (!interestId) {
+      return res.status(400).json({ error: 'Invalid interest ID' });
+    }
+  }
+
+  try {
+    const rooms = await interestRoomModel.getRooms({ interest_id: interestId });
+    const occupancy = await roomStore.getOccupancy(rooms.map(room => room.id));
+    const isManager = await canManageRooms(req.user.userId);
+    res.json(rooms.map(room => ({
+      ...room,
+      occupancy: occupancy[room.id] || 0,
+      can_manage: isManager || isRoomCreator(req.user.userId, room)
+    })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// get a room with its live member list
+async function getRoom(req, res) {
+  const roomId = parseId(req.params.room_id);
+  if (!roomId) {
+    return res.status(400).json({ error: 'Invalid room ID' });
+  }
+
+  try {
+    const room = await interestRoomModel.getRoomById(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    const members = await roomStore.getMembers(roomId);
+    res.json({
+      ...room,
+      occupancy: members.length,
+      members,
+      can_manage: await canManageRoom(req.user.userId, room)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// open a room for an interest; persistent rooms need the interests:manage permission
+async function createRoom(req, res) {
+  try {
+    const { interest_id, persistent = false } = req.body;
+
+    if (!Number.isInteger(interest_id)) {
+      return res.status(400).json({ error: 'interest_id is required' });
+    }
+    if (req.body.name === undefined) {
+      return res.status(400).json({ error: 'Room name is required' });
+    }
+    const { changes, error } = validateRoomSettings(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const interest = await interestModel.getInterestById(interest_id);
+    if (!interest || interest.name.toLowerCase() === 'fallback') {
+      return res.status(404).json({ error: 'Interest not found' });
+    }
+
+    if (persistent) {
+      if (!(await canManageRooms(req.user.userId))) {
+        return res.status(403).json({ error: 'Only interest managers can create persistent rooms' });
+      }
+    } else if (await interestRoomModel.countEphemeralRoomsByCreator(req.user.userId) >= MAX_EPHEMERAL_ROOMS_PER_USER) {
+      return res.status(409).json({ error: `You can have at most ${MAX_EPHEMERAL_ROOMS_PER_USER} rooms open` });
+    }
+
+    const room = await interestRoomModel.createRoom({
+      interest_id,
+      max_occupancy: DEFAULT_ROOM_OCCUPANCY,
+      ...changes,
+      is_persistent: Boolean(persistent),
+      created_by: req.user.userId
+    });
+    res.status(201).json({ ...room, interest_name: interest.name, occupancy: 0, can_manage: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}
+
+// change a room's name, description, occupancy limit or slow mode
+async function updateRoom(req, res) {
+  try {
+    const room = await loadManagedRoom(req, res);
+    if (!room) return;
+
+    const { changes, error } = validateRoomSettings(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await interestRoomModel.updateRoom(room.id, changes);
+    const updated = await interestRoomModel.getRoomById(room.id);
+    emitToInterestRoom(room.id, 'interestRoomUpdated', updated);
+    res.json({ ...updated, can_manage: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}
+
+// delete a room and send its members out
+async function deleteRoom(req, res) {
+  try {
+    const room = await loadManagedRoom(req, res);
+    if (!room) return;
+
+    await interestRoomModel.deleteRoom(room.id);
+    await closeInterestRoom(room.id);
+    res.json({ message: 'Room deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+module.exports = {
+  getRooms,
+  getRoom,
+  createRoom,
+  updateRoom,
+  deleteRoom,
+};
@@ -1,46 +1,46 @@
-const matchmaking = require('../services/matchmaking');
-const { getSocketIO } = require('../socket/socket');
+const {
+  getRandomSession,
+  requestRandomMatch,
+  cancelRandomMatch,
+  skipRandomMatch,
+  endRandomMatch
+} = require('../socket/socket');
+
+// these go through the same matchmaker as the socket events (keyed by user id), so rest clients get the
+// same matchFound / queueJoined / randomUserSkipped / randomChatEnded events on their user room
 
 // request random match based on interests
 async function requestMatch(req, res) {
-  const { interests } = req.body;
+  const { interests, languages } = req.body;
   const userId = req.user.userId; // from jwt token
   const username = req.user.username; // from jwt token
   
-  if (!Array.isArray(interests)) {
-    return res.status(400).json({ error: 'interests[] required' });
-  }
-  
   try {
-    // use username as identifier for matchmaking
-    const result = await matchmaking.matchUser(username, interests);
-    
-    // if match found, emit socket events to both users
-    if (result.matched && result.with) {
-      const io = getSocketIO();
-      const sessionId = `random_${Date.now()}`;
-      
-      // get matched user's id from database
-      const { query } = require('../utils/db');
-      const matchedUserResult = await query('SELECT id FROM users WHERE username = $1', [result.with]);
-      const matchedUserId = matchedUserResult.rows[0]?.id;
-      
-      if (matchedUserId) {
-        // notify requesting user of match
-        io.to(`user:${userId}`).emit('randomMatchFound', {
-          matchedUser: result.with,
-          sessionId: sessionId
-        });
-        
-        // notify matched user of match
-        io.to(`user:${matchedUserId}`).emit('randomMatchFound', {
-          matchedUser: username,
-          sessionId: sessionId
-        });
+    const result = await requestRandomMatch(userId, username, interests, { languages });
+    if (!result.ok) {
+      if (result.reason === 'invalid_interests') {
+        return res.status(400).json({ error: 'interests[] required' });
       }
+      if (result.reason === 'matchmaking_banned') {
+        return res.status(403).json({ error: 'Matchmaking is disabled for this account', expires_at: result.expiresAt });
+      }
+      return res.status(409).json({ error: 'Already waiting for or in a random chat' });
     }
     
-    res.json(result);
+    res.json({ status: result.status, session: result.session });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// current random chat of the user, if any
+async function getSession(req, res) {
+  try {
+    const session = await getRandomSession(req.user.userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Not in a random chat' });
+    }
+    res.json(session);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -48,69 +48,43 @@ async function requestMatch(req, res) {
 
 // cancel matchmaking request
 async function cancelMatch(req, res) {
-  const { interests } = req.body;
-  const username = req.user.username; // from jwt token
-  
-  if (!Array.isArray(interests)) {
-    return res.status(400).json({ error: 'interests[] required' });
-  }
-  
   try {
-    await matchmaking.removeUserFromQueues(username, interests);
-    res.json({ cancelled: true });
+    const wasWaiting = await cancelRandomMatch(req.user.userId);
+    res.json({ cancelled: wasWaiting });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 }
 
+// reply for a session that could not be left
+function sessionError(res, reason) {
+  if (reason === 'already_ended') {
+    return res.status(409).json({ error: 'Random chat already ended' });
+  }
+  return res.status(404).json({ error: 'Not in this random chat' });
+}
+
 // skip current match and find new one
 async function skipMatch(req, res) {
-  const { interests, skippedUser } = req.body;
-  const userId = req.user.userId; // from jwt token
-  const username = req.user.username; // from jwt token
+  const { sessionId } = req.body;
   
-  if (!Array.isArray(interests)) {
-    return res.status(400).json({ error: 'interests[] required' });
+  if (typeof sessionId !== 'string' || !sessionId) {
+    return res.status(400).json({ error: 'sessionId required' });
   }
   
   try {
-    // remove skipping user from current queues and mark as skipped
-    await matchmaking.removeUserFromQueues(username, interests, 'skipped');
-    
-    // re-queue the other user who was skipped
-    if (skippedUser) {
-      await matchmaking.matchUser(skippedUser, interests);
+    const result = await skipRandomMatch(req.user.userId, req.user.username, sessionId);
+    if (!result.ok) {
+      return sessionError(res, result.reason);
     }
     
-    // try to find new match for skipping user
-    const result = await matchmaking.matchUser(username, interests);
-    
-    // if match found, emit socket events to both users
-    if (result.matched && result.with) {
-      const io = getSocketIO();
-      const sessionId = `random_${Date.now()}`;
-      
-      // get matched user's id from database
-      const { query } = require('../utils/db');
-      const matchedUserResult = await query('SELECT id FROM users WHERE username = $1', [result.with]);
-      const matchedUserId = matchedUserResult.rows[0]?.id;
-      
-      if (matchedUserId) {
-        // notify requesting user of new match
-        io.to(`user:${userId}`).emit('randomMatchFound', {
-          matchedUser: result.with,
-          sessionId: sessionId
-        });
-        
-        // notify matched user of new match
-        io.to(`user:${matchedUserId}`).emit('randomMatchFound', {
-          matchedUser: username,
-          sessionId: sessionId
-        });
-      }
-    }
-    
-    res.json(result);
+    // the skipper may already be in a new chat
+    const session = await getRandomSession(req.user.userId);
+    res.json({
+      skipped: true,
+      status: session ? 'matched' : (result.requeued ? 'waiting' : 'idle'),
+      session
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -118,54 +92,17 @@ async function skipMatch(req, res) {
 
 // end current match and handle re-queuing
 async function endMatch(req, res) {
-  const { interests, otherUser } = req.body;
-  const userId = req.user.userId; // from jwt token
-  const username = req.user.username; // from jwt token
+  const { sessionId } = req.body;
   
-  if (!Array.isArray(interests)) {
-    return res.status(400).json({ error: 'interests[] required' });
+  if (typeof sessionId !== 'string' || !sessionId) {
+    return res.status(400).json({ error: 'sessionId required' });
   }
   
   try {
-    // remove ending user from queues without re-queuing
-    await matchmaking.removeUserFromQueues(username, interests, 'ended');
-    
-    // re-queue the other user for new match
-    if (otherUser) {
-      const result = await matchmaking.matchUser(otherUser, interests);
-      
-      // if other user gets new match, emit socket event
-      if (result.matched && result.with) {
-        const io = getSocketIO();
-        const sessionId = `random_${Date.now()}`;
-        
-        // get matched user's id from database
-        const { query } = require('../utils/db');
-        const matchedUserResult = await query('SELECT id FROM users WHERE username = $1', [result.with]);
-        const matchedUserId = matchedUserResult.rows[0]?.id;
-        
-        if (matchedUserId) {
-          // get other user's id from database
-          const otherUserResult = await query('SELECT id FROM users WHERE username = $1', [otherUser]);
-          const otherUserId = otherUserResult.rows[0]?.id;
-          
-          if (otherUserId) {
-            // notify other user of new match
-            io.to(`user:${otherUserId}`).emit('randomMatchFound', {
-              matchedUser: result.with,
-              sessionId: sessionId
-            });
-            
-            // notify new matched user
-            io.to(`user:${matchedUserId}`).emit('randomMatchFound', {
-              matchedUser: otherUser,
-              sessionId: sessionId
-            });
-          }
-        }
-      }
+    const result = await endRandomMatch(req.user.userId, req.user.username, sessionId);
+    if (!result.ok) {
+      return sessionError(res, result.reason);
     }
-    
     res.json({ ended: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -174,7 +111,8 @@ async function endMatch(req, res) {
 
 module.exports = {
   requestMatch,
+  getSession,
   cancelMatch,
   skipMatch,
   endMatch,
-}; 
\ No newline at end of file
+};
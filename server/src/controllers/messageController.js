@@ -1,24 +1,51 @@
 const messageModel = require('../models/message');
 const friendModel = require('../models/friend');
-const { escapeHtml } = require('../utils/sanitizer');
+const userBlockModel = require('../models/userBlock');
+const { escapeHtml, isValidE2EEEnvelope } = require('../utils/sanitizer');
+const { socketManager } = require('../utils/redis');
+const { deliverDirectMessage, editDirectMessage, deleteDirectMessage } = require('../socket/socket');
 
 // send message between two users
 async function sendMessage(req, res) {
   try {
-    let { sender_id, receiver_id, content } = req.body;
+    let { sender_id, receiver_id, content, client_message_id, is_e2ee = false } = req.body;
     if (!sender_id || !receiver_id || !content) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
+    if (is_e2ee && !isValidE2EEEnvelope(content)) {
+      return res.status(400).json({ error: 'Invalid encrypted message' });
+    }
+    
+    if (client_message_id !== undefined && (typeof client_message_id !== 'string' || !client_message_id || client_message_id.length > 64)) {
+      return res.status(400).json({ error: 'Invalid client_message_id' });
+    }
+    
     // ensure users can only send messages from their own account
     if (req.user.userId !== sender_id) {
       return res.status(403).json({ error: 'You can only send messages from your own account' });
     }
     
-    // sanitize message content to prevent xss
-    content = escapeHtml(content);
+    // blocked users cannot message each other
+    if (await userBlockModel.isBlockedEitherWay(sender_id, receiver_id)) {
+      return res.status(403).json({ error: 'You cannot message this user' });
+    }
+    
+    // sanitize message content to prevent xss (envelopes are opaque and rendered only after decryption)
+    if (!is_e2ee) {
+      content = escapeHtml(content);
+    }
+    
+    const message = await messageModel.sendMessage({ sender_id, receiver_id, content, client_message_id, is_e2ee: Boolean(is_e2ee) });
+    
+    // retried request with the same client id, return the original message
+    if (!message) {
+      const existing = await messageModel.getMessageByClientId(sender_id, client_message_id);
+      return res.status(200).json(existing);
+    }
     
-    const message = await messageModel.sendMessage({ sender_id, receiver_id, content });
+    // same delivery path as socket sends (offline receivers get it from their inbox)
+    deliverDirectMessage(message, req.user.username, content);
     res.status(201).json(message);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -42,6 +69,60 @@ async function getMessagesBetweenUsers(req, res) {
   }
 }
 
+// ids used as pagination/search cursors
+function isValidCursor(value) {
+  return typeof value === 'string' && /^[0-9a-zA-Z-]{1,64}$/.test(value);
+}
+
+// get one page of history with a friend (before/after message id cursors)
+async function getMessageHistory(req, res) {
+  const { friend_id } = req.params;
+  const { before, after, limit } = req.query;
+  
+  if (!/^[0-9a-fA-F-]{36}$/.test(friend_id)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+  if (before && after) {
+    return res.status(400).json({ error: 'Use either before or after, not both' });
+  }
+  if ((before && !isValidCursor(before)) || (after && !isValidCursor(after))) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+  
+  try {
+    const page = await messageModel.getMessagesPage(req.user.userId, friend_id, { before, after, limit });
+    res.json(page);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// search the current user's own conversations
+async function searchMessages(req, res) {
+  const { q, with: withUserId, before, limit } = req.query;
+  
+  if (typeof q !== 'string' || !q.trim() || q.length > 200) {
+    return res.status(400).json({ error: 'Search query must be 1-200 characters' });
+  }
+  if (withUserId && !/^[0-9a-fA-F-]{36}$/.test(withUserId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+  if (before && !isValidCursor(before)) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+  
+  try {
+    const result = await messageModel.searchMessages(req.user.userId, q.trim(), {
+      with_user_id: withUserId || null,
+      before,
+      limit
+    });
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
 // mark single message as read
 async function markMessageAsRead(req, res) {
   try {
@@ -89,28 +170,34 @@ async function markMessagesAsRead(req, res) {
   }
 }
 
-// delete message by id
+// unread count, read marker and "seen at" of every friend chat, plus whether the friend is typing right now
+async function getUnreadCounts(req, res) {
+  try {
+    const [states, typingIds] = await Promise.all([
+      messageModel.getReadStatesForUser(req.user.userId),
+      socketManager.getTypingUsers(req.user.userId)
+    ]);
+    const friends = states.map(state => ({ ...state, is_typing: typingIds.includes(String(state.friend_id)) }));
+    res.json({
+      total: friends.reduce((total, friend) => total + friend.unread_count, 0),
+      friends
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// delete message by id (sender only, leaves a tombstone)
 async function deleteMessage(req, res) {
+  const { message_id } = req.body;
+  if (!Number.isInteger(message_id)) {
+    return res.status(400).json({ error: 'Invalid message_id' });
+  }
+  
   try {
-    const { message_id } = req.body;
-    
-    // fetch message to check ownership before deletion
-    const { query } = require('../utils/db');
-    const result = await query('SELECT sender_id, receiver_id FROM messages WHERE id = $1', [message_id]);
-    
-    if (!result.rows[0]) {
-      return res.status(404).json({ error: 'Message not found' });
-    }
-    
-    // ensure only sender or receiver can delete message
-    const { sender_id, receiver_id } = result.rows[0];
-    if (req.user.userId !== sender_id && req.user.userId !== receiver_id) {
-      return res.status(403).json({ error: 'You can only delete your own messages' });
-    }
-    
-    const message = await messageModel.deleteMessage(message_id);
-    if (!message) return res.status(404).json({ error: 'Message not found' });
-    res.json({ message: 'Message deleted', message });
+    const { ok, status, error, ...result } = await deleteDirectMessage(req.user.userId, message_id);
+    if (!ok) return res.status(status).json({ error });
+    res.json({ message: 'Message deleted', ...result });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
@@ -134,18 +221,44 @@ async function updateMessageById(req, res) {
     return res.status(403).json({ error: 'You can only update your own messages' });
   }
   
-  // sanitize updated message content
-  updated_message = escapeHtml(updated_message);
+  // sanitize updated message content (edits of encrypted messages are envelopes)
+  if (!isValidE2EEEnvelope(updated_message)) {
+    updated_message = escapeHtml(updated_message);
+  }
   
   try {
-    const message = await messageModel.updateMessageById(sender_id, receiver_id, message_id, updated_message);
-    if (!message) return res.status(404).json({ error: 'Message not found' });
-    res.json(message);
+    // same path as socket edits: window check, edit history and live update for both users
+    const { ok, status, error, ...result } = await editDirectMessage(sender_id, message_id, updated_message);
+    if (!ok) return res.status(status).json({ error });
+    res.json(result);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 }
 
+// get previous versions of an edited message (either participant)
+async function getMessageEdits(req, res) {
+  const message_id = parseInt(req.params.message_id, 10);
+  if (!Number.isInteger(message_id)) {
+    return res.status(400).json({ error: 'Invalid message_id' });
+  }
+  
+  try {
+    const message = await messageModel.getMessageById(message_id);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (req.user.userId !== message.sender_id && req.user.userId !== message.receiver_id) {
+      return res.status(403).json({ error: 'You can only view your own messages' });
+    }
+    
+    const edits = await messageModel.getMessageEdits(message_id);
+    res.json(edits);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
 // get messages between friended users only
 async function getMessagesBetweenFriendedUsers(req, res) {
   const { user1_id, user2_id } = req.params;
@@ -176,9 +289,13 @@ async function getMessagesBetweenFriendedUsers(req, res) {
 module.exports = {
   sendMessage,
   getMessagesBetweenUsers,
+  getMessageHistory,
+  searchMessages,
   markMessageAsRead,
   markMessagesAsRead,
+  getUnreadCounts,
   deleteMessage,
   updateMessageById,
+  getMessageEdits,
   getMessagesBetweenFriendedUsers,
 }; 
\ No newline at end of file
@@ -1,4 +1,21 @@
 const moderationLogModel = require('../models/moderationLog');
+const userModel = require('../models/user');
+const userSanctionModel = require('../models/userSanction');
+const matchmaking = require('../services/matchmaking');
+const { enforceSanction } = require('../socket/socket');
+const { sessionManager } = require('../utils/redis');
+
+// sanctions a moderator can apply when resolving a log
+const SANCTION_ACTIONS = ['warning', 'suspension', 'ban', 'matchmaking_ban'];
+const MAX_SANCTION_HOURS = 24 * 365;
+
+// human readable summary stored in moderation_logs.action_taken
+function describeSanction(sanction) {
+  const label = sanction.type.replace('_', ' ');
+  return sanction.expires_at
+    ? `${label} until ${new Date(sanction.expires_at).toISOString()}`
+    : label;
+}
 
 // add moderation log for chat history reporting
 async function addModerationLog(req, res) {
@@ -50,6 +67,13 @@ async function addModerationLog(req, res) {
     };
     
     const log = await moderationLogModel.addModerationLog(logData);
+    
+    // keep reporter and reported user apart in random matching
+    if (req.user?.userId) {
+      userModel.getUserByUsername(req.body.reported_user)
+        .then(reportedUser => reportedUser && matchmaking.recordEncounter(req.user.userId, reportedUser.id, 'reported'))
+        .catch(() => {});
+    }
     res.status(201).json({ 
       success: true, 
       log,
@@ -95,10 +119,10 @@ async function getLogsByReporter(req, res) {
   }
 }
 
-// update moderation log status
+// update moderation log status and optionally apply a sanction to the reported user
 async function updateLogStatus(req, res) {
   try {
-    const { id, status, action_taken } = req.body;
+    const { id, status, action_taken, action, duration_hours } = req.body;
     const reviewedBy = req.user?.username || 'system';
     
     if (!['pending', 'reviewed', 'actioned', 'dismissed'].includes(status)) {
@@ -108,11 +132,81 @@ async function updateLogStatus(req, res) {
       });
     }
     
+    if (action !== undefined && !SANCTION_ACTIONS.includes(action)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Invalid action. Must be one of: ${SANCTION_ACTIONS.join(', ')}` 
+      });
+    }
+    
+    if (action && status !== 'actioned') {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Sanctions can only be applied with status actioned' 
+      });
+    }
+    
+    if (duration_hours !== undefined && 
+        (typeof duration_hours !== 'number' || duration_hours <= 0 || duration_hours > MAX_SANCTION_HOURS)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `duration_hours must be a number between 1 and ${MAX_SANCTION_HOURS}` 
+      });
+    }
+    
+    if (action === 'suspension' && duration_hours === undefined) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Temporary suspensions require duration_hours' 
+      });
+    }
+    
+    let sanction = null;
+    if (action) {
+      const existingLog = await moderationLogModel.getLogById(id);
+      if (!existingLog) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Moderation log not found' 
+        });
+      }
+      
+      if (existingLog.sanction_id) {
+        return res.status(409).json({ 
+          success: false, 
+          error: 'A sanction has already been applied for this report' 
+        });
+      }
+      
+      const reportedUser = await userModel.getUserByUsername(existingLog.reported_user);
+      if (!reportedUser) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Reported user not found' 
+        });
+      }
+      
+      // warnings and permanent bans never expire
+      const expiresAt = duration_hours && ['suspension', 'matchmaking_ban'].includes(action)
+        ? new Date(Date.now() + duration_hours * 60 * 60 * 1000)
+        : null;
+      
+      sanction = await userSanctionModel.createSanction({
+        user_id: reportedUser.id,
+        moderation_log_id: existingLog.id,
+        type: action,
+        reason: action_taken || existingLog.reason,
+        issued_by: reviewedBy,
+        expires_at: expiresAt
+      });
+    }
+    
     const log = await moderationLogModel.updateLogStatus(
       id, 
       status, 
       reviewedBy, 
-      action_taken
+      action_taken || (sanction ? describeSanction(sanction) : null),
+      sanction ? sanction.id : null
     );
     
     if (!log) {
@@ -122,7 +216,18 @@ async function updateLogStatus(req, res) {
       });
     }
     
-    res.json({ success: true, log, message: 'Log status updated' });
+    // apply the sanction to any live sessions of the reported user
+    if (sanction) {
+      try {
+        // api requests check the cached sanction lookup
+        await sessionManager.clearCachedSanction(sanction.user_id);
+        await enforceSanction(sanction);
+      } catch (error) {
+        // sanction is persisted and will be enforced on next login/connect
+      }
+    }
+    
+    res.json({ success: true, log, sanction, message: 'Log status updated' });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
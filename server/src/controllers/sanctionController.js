@@ -0,0 +1,135 @@
+const userSanctionModel = require('../models/userSanction');
+const { sessionManager } = require('../utils/redis');
+
+// validate uuid format for security
+function isValidUUID(uuid) {
+  return /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(uuid);
+}
+
+// get sanctions applied to the current user
+async function getMySanctions(req, res) {
+  try {
+    const sanctions = await userSanctionModel.getSanctionsForUser(req.user.userId);
+    res.json({ success: true, sanctions });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+// get sanctions applied to a user (moderators)
+async function getSanctionsForUser(req, res) {
+  const { user_id } = req.params;
+  if (!isValidUUID(user_id)) {
+    return res.status(400).json({ success: false, error: 'Invalid user_id format' });
+  }
+  try {
+    const sanctions = await userSanctionModel.getSanctionsForUser(user_id);
+    res.json({ success: true, sanctions });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+// appeal one of your own sanctions
+async function submitAppeal(req, res) {
+  const id = parseInt(req.params.id, 10);
+  let { message } = req.body;
+  
+  if (isNaN(id)) {
+    return res.status(400).json({ success: false, error: 'Invalid sanction id' });
+  }
+  
+  if (!message || typeof message !== 'string' || message.trim().length === 0 || message.length > 1000) {
+    return res.status(400).json({ success: false, error: 'Appeal message must be between 1 and 1000 characters' });
+  }
+  
+  try {
+    const sanction = await userSanctionModel.submitAppeal(id, req.user.userId, message.trim());
+    if (!sanction) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Sanction not found, not appealable, or already appealed' 
+      });
+    }
+    res.json({ success: true, sanction, message: 'Appeal submitted' });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+// get appeals awaiting moderator review
+async function getPendingAppeals(req, res) {
+  try {
+    const appeals = await userSanctionModel.getPendingAppeals();
+    res.json({ success: true, appeals, count: appeals.length });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+// approve or reject a pending appeal
+async function reviewAppeal(req, res) {
+  const id = parseInt(req.params.id, 10);
+  const { decision } = req.body;
+  
+  if (isNaN(id)) {
+    return res.status(400).json({ success: false, error: 'Invalid sanction id' });
+  }
+  
+  if (!['approved', 'rejected'].includes(decision)) {
+    return res.status(400).json({ success: false, error: 'Decision must be approved or rejected' });
+  }
+  
+  try {
+    const sanction = await userSanctionModel.reviewAppeal(id, decision, req.user.username);
+    if (!sanction) {
+      return res.status(404).json({ success: false, error: 'No pending appeal for this sanction' });
+    }
+    
+    // an approved appeal lifts the sanction
+    if (decision === 'approved') {
+      try {
+        await sessionManager.clearCachedSanction(sanction.user_id);
+      } catch (err) {
+        // the cached sanction expires within a minute
+      }
+    }
+    res.json({ success: true, sanction, message: `Appeal ${decision}` });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+// lift a sanction before it expires
+async function revokeSanction(req, res) {
+  const id = parseInt(req.params.id, 10);
+  
+  if (isNaN(id)) {
+    return res.status(400).json({ success: false, error: 'Invalid sanction id' });
+  }
+  
+  try {
+    const sanction = await userSanctionModel.revokeSanction(id, req.user.username);
+    if (!sanction) {
+      return res.status(404).json({ success: false, error: 'Active sanction not found' });
+    }
+    
+    try {
+      await sessionManager.clearCachedSanction(sanction.user_id);
+    } catch (err) {
+      // the cached sanction expires within a minute
+    }
+    res.json({ success: true, sanction, message: 'Sanction revoked' });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+module.exports = {
+  getMySanctions,
+  getSanctionsForUser,
+  submitAppeal,
+  getPendingAppeals,
+  reviewAppeal,
+  revokeSanction,
+};
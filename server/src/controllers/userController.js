@@ -1,6 +1,7 @@
 const userModel = require('../models/user');
 const userKeyModel = require('../models/userKey');
 const friendModel = require('../models/friend');
+const userBlockModel = require('../models/userBlock');
 const crypto = require('crypto');
 const { query } = require('../utils/db');
 const { socketManager } = require('../utils/redis');
@@ -15,6 +16,32 @@ function isValidUUID(uuid) {
   return /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(uuid);
 }
 
+// fields users may change through PUT /api/users/:id (username and email are fixed, the picture has its own upload)
+const PROFILE_FIELDS = ['description', 'languages', 'region', 'language_match'];
+
+// check and normalize the random matching preferences in a profile update, returns an error message or null
+function normalizeMatchPreferences(fields) {
+  if ('languages' in fields) {
+    const { languages } = fields;
+    if (!Array.isArray(languages) || languages.length > 5 ||
+        !languages.every(code => typeof code === 'string' && /^[a-z]{2,3}$/i.test(code))) {
+      return 'languages must be up to 5 language codes like "en"';
+    }
+    fields.languages = [...new Set(languages.map(code => code.toLowerCase()))];
+  }
+  if ('region' in fields) {
+    const { region } = fields;
+    if (region !== null && (typeof region !== 'string' || !/^[a-z]{2}$/i.test(region))) {
+      return 'region must be a two-letter country code like "US" or null';
+    }
+    fields.region = region && region.toUpperCase();
+  }
+  if ('language_match' in fields && !['preferred', 'required'].includes(fields.language_match)) {
+    return 'language_match must be "preferred" or "required"';
+  }
+  return null;
+}
+
 // get profile picture url from s3 or oauth provider
 async function getProfilePictureUrl(userId, existingUrl) {
   try {
@@ -88,7 +115,7 @@ async function searchUsers(req, res) {
   username = cleanSearchQuery(username.trim());
 
   try {
-    const users = await userModel.searchUsersByUsername(username);
+    const users = await userModel.searchUsersByUsername(username, req.user.userId);
     
     // filter out current user and format response
     const filteredUsers = users
@@ -122,6 +149,7 @@ async function getCurrentUser(req, res) {
       id: user.id,
       username: user.username,
       email: user.email,
+      role: user.role,
       status: user.status,
       description: user.description,
       profile_picture_url: profilePictureUrl,
@@ -149,6 +177,11 @@ async function getUserById(req, res) {
     if (req.user.userId === req.params.id) {
       res.json(user);
     } else {
+      // blocked users look like they don't exist
+      if (await userBlockModel.isBlockedEitherWay(req.user.userId, user.id)) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      
       // for other users, return only public information
       res.json({
         id: user.id,
@@ -175,6 +208,11 @@ async function getUserProfileByUsername(req, res) {
     const user = await userModel.getUserByUsername(username.trim());
     if (!user) return res.status(404).json({ error: 'User not found' });
     
+    // blocked users look like they don't exist
+    if (user.id !== req.user.userId && await userBlockModel.isBlockedEitherWay(req.user.userId, user.id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
     // get profile picture url
     const profilePictureUrl = await getProfilePictureUrl(user.id, user.profile_picture_url);
     
@@ -185,6 +223,10 @@ async function getUserProfileByUsername(req, res) {
       description: user.description,
       profile_picture_url: profilePictureUrl,
       status: user.status,
+      languages: user.languages || [],
+      region: user.region,
+      // how strictly languages are matched is only shown to the user themselves
+      ...(user.id === req.user.userId ? { language_match: user.language_match } : {}),
       last_active_at: user.last_active_at,
       created_at: user.created_at
     });
@@ -193,12 +235,25 @@ async function getUserProfileByUsername(req, res) {
   }
 }
 
-// get all users - restricted for security
+// get all users for admin and moderator review
 async function getAllUsers(req, res) {
-  // endpoint blocked for security reasons
-  return res.status(403).json({ 
-    error: 'Access denied. This endpoint is not available for security reasons.' 
-  });
+  try {
+    const users = await userModel.getAllUsers();
+    
+    // never expose credentials or oauth identifiers
+    res.json(users.map(user => ({
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      status: user.status,
+      is_online: user.is_online,
+      last_active_at: user.last_active_at,
+      created_at: user.created_at
+    })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 }
 
 // update user profile
@@ -215,6 +270,30 @@ async function updateUser(req, res) {
   if (Object.keys(req.body).length === 0) {
     return res.status(400).json({ error: 'No fields to update' });
   }
+  
+  // roles can only be changed through the admin api
+  if ('role' in req.body) {
+    return res.status(403).json({ error: 'You cannot change your own role' });
+  }
+  
+  const unknownFields = Object.keys(req.body).filter(key => !PROFILE_FIELDS.includes(key));
+  if (unknownFields.length > 0) {
+    return res.status(400).json({ error: `Fields cannot be updated: ${unknownFields.join(', ')}` });
+  }
+  
+  if ('description' in req.body) {
+    const { description } = req.body;
+    if (typeof description !== 'string' || description.length > 255) {
+      return res.status(400).json({ error: 'Invalid description' });
+    }
+    // sanitize description to prevent xss
+    req.body.description = escapeHtml(description);
+  }
+  
+  const preferenceError = normalizeMatchPreferences(req.body);
+  if (preferenceError) {
+    return res.status(400).json({ error: preferenceError });
+  }
   try {
     const user = await userModel.updateUser(req.params.id, req.body);
     if (!user) return res.status(404).json({ error: 'User not found or no fields to update' });
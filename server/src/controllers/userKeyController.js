@@ -1,7 +1,15 @@
 const userKeyModel = require('../models/userKey');
 const serverKeyModel = require('../models/serverKey');
+const friendModel = require('../models/friend');
+const userBlockModel = require('../models/userBlock');
+const { getSocketIO } = require('../socket/socket');
 const crypto = require('crypto');
 
+// one-time prekey limits (clients are asked to top up below the threshold)
+const MAX_PREKEYS_PER_UPLOAD = 100;
+const MAX_STORED_PREKEYS = 200;
+const PREKEY_LOW_THRESHOLD = 10;
+
 // validate uuid format for security
 function isValidUUID(uuid) {
   return /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(uuid);
@@ -56,7 +64,193 @@ async function getUserPublicKey(req, res) {
   }
 }
 
+// check a public ec p-256 jwk sent as a json string (private "d" is rejected)
+function isValidPublicJwk(value) {
+  if (typeof value !== 'string' || value.length > 1024) return false;
+  try {
+    const jwk = JSON.parse(value);
+    return jwk.kty === 'EC' && jwk.crv === 'P-256' &&
+      typeof jwk.x === 'string' && typeof jwk.y === 'string' && jwk.d === undefined;
+  } catch (err) {
+    return false;
+  }
+}
+
+// check a batch of one-time prekeys
+function isValidPrekeyList(prekeys) {
+  return Array.isArray(prekeys) &&
+    prekeys.length <= MAX_PREKEYS_PER_UPLOAD &&
+    prekeys.every(k => Number.isInteger(k?.key_id) && k.key_id >= 0 && isValidPublicJwk(k.public_key));
+}
+
+// publish own identity key and signed prekey, optionally with one-time prekeys
+async function publishBundle(req, res) {
+  const { identity_key, signing_key, signed_prekey_id, signed_prekey, signed_prekey_signature, one_time_prekeys = [] } = req.body;
+
+  if (!isValidPublicJwk(identity_key) || !isValidPublicJwk(signing_key) || !isValidPublicJwk(signed_prekey)) {
+    return res.status(400).json({ error: 'Invalid public key' });
+  }
+  if (!Number.isInteger(signed_prekey_id) || signed_prekey_id < 0) {
+    return res.status(400).json({ error: 'Invalid signed_prekey_id' });
+  }
+  if (typeof signed_prekey_signature !== 'string' || !/^[A-Za-z0-9+/=]{1,256}$/.test(signed_prekey_signature)) {
+    return res.status(400).json({ error: 'Invalid signed_prekey_signature' });
+  }
+  if (!isValidPrekeyList(one_time_prekeys)) {
+    return res.status(400).json({ error: 'Invalid one_time_prekeys' });
+  }
+
+  try {
+    const existing = await userKeyModel.getUserKey(req.user.userId);
+
+    // prekeys of a replaced identity can no longer be used by anyone
+    if (existing && existing.public_key !== identity_key) {
+      await userKeyModel.deleteOneTimePrekeys(req.user.userId);
+    }
+
+    await userKeyModel.publishBundle(req.user.userId, {
+      identity_key,
+      signing_key,
+      signed_prekey_id,
+      signed_prekey,
+      signed_prekey_signature,
+    });
+    await userKeyModel.addOneTimePrekeys(req.user.userId, one_time_prekeys);
+
+    const count = await userKeyModel.countOneTimePrekeys(req.user.userId);
+    res.json({ success: true, one_time_prekeys: count });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// upload more one-time prekeys
+async function uploadPrekeys(req, res) {
+  const { prekeys } = req.body;
+  if (!isValidPrekeyList(prekeys) || prekeys.length === 0) {
+    return res.status(400).json({ error: `Provide 1-${MAX_PREKEYS_PER_UPLOAD} prekeys` });
+  }
+
+  try {
+    if (!(await userKeyModel.getUserKey(req.user.userId))) {
+      return res.status(409).json({ error: 'Publish a key bundle first' });
+    }
+
+    const count = await userKeyModel.countOneTimePrekeys(req.user.userId);
+    if (count + prekeys.length > MAX_STORED_PREKEYS) {
+      return res.status(400).json({ error: `At most ${MAX_STORED_PREKEYS} prekeys can be stored` });
+    }
+
+    await userKeyModel.addOneTimePrekeys(req.user.userId, prekeys);
+    res.json({ success: true, one_time_prekeys: await userKeyModel.countOneTimePrekeys(req.user.userId) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// count own unclaimed one-time prekeys (with the published identity so devices can tell if it is theirs)
+async function getPrekeyCount(req, res) {
+  try {
+    const key = await userKeyModel.getUserKey(req.user.userId);
+    const count = await userKeyModel.countOneTimePrekeys(req.user.userId);
+    res.json({
+      published: Boolean(key && key.signed_prekey),
+      identity_key: key && key.signed_prekey ? key.public_key : null,
+      one_time_prekeys: count,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// friends who have not blocked each other can read each other's keys, returns an error message or null
+async function checkKeyAccess(user_id, friend_id) {
+  const friends = await friendModel.getFriendsForUser(user_id);
+  if (!friends.some(f => f.id === friend_id)) {
+    return 'Users are not friends';
+  }
+  if (await userBlockModel.isBlockedEitherWay(user_id, friend_id)) {
+    return 'You cannot message this user';
+  }
+  return null;
+}
+
+// get a friend's current identity key for safety number verification (claims nothing)
+async function getIdentityKey(req, res) {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid user ID format' });
+  }
+
+  try {
+    const denied = await checkKeyAccess(req.user.userId, id);
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+
+    const key = await userKeyModel.getUserKey(id);
+    if (!key || !key.signed_prekey) {
+      return res.status(404).json({ error: 'User has not published encryption keys' });
+    }
+
+    res.json({ user_id: id, identity_key: key.public_key, updated_at: key.updated_at });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// get a friend's prekey bundle, claiming one of their one-time prekeys
+async function getPrekeyBundle(req, res) {
+  const { id } = req.params;
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid user ID format' });
+  }
+
+  try {
+    // only friends can start encrypted conversations
+    const denied = await checkKeyAccess(req.user.userId, id);
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+
+    const key = await userKeyModel.getUserKey(id);
+    if (!key || !key.signed_prekey) {
+      return res.status(404).json({ error: 'User has not published encryption keys' });
+    }
+
+    const oneTimePrekey = await userKeyModel.claimOneTimePrekey(id);
+
+    // ask the owner's devices to top up before the pool runs dry
+    const remaining = await userKeyModel.countOneTimePrekeys(id);
+    if (remaining < PREKEY_LOW_THRESHOLD) {
+      const io = getSocketIO();
+      if (io) {
+        io.to(`user:${id}`).emit('prekeysLow', { remaining });
+      }
+    }
+
+    res.json({
+      user_id: id,
+      identity_key: key.public_key,
+      signing_key: key.signing_key,
+      signed_prekey: {
+        key_id: key.signed_prekey_id,
+        public_key: key.signed_prekey,
+        signature: key.signed_prekey_signature,
+      },
+      one_time_prekey: oneTimePrekey,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
 module.exports = {
   validateUserPublicKey,
   getUserPublicKey,
+  publishBundle,
+  uploadPrekeys,
+  getPrekeyCount,
+  getPrekeyBundle,
+  getIdentityKey,
 }; 
\ No newline at end of file
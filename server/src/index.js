@@ -18,12 +18,18 @@ const userKeyRoutes = require('./routes/userKeyRoutes');
 const serverKeyRoutes = require('./routes/serverKeyRoutes');
 const authRoutes = require('./routes/authRoutes');
 const matchmakingRoutes = require('./routes/matchmakingRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const sanctionRoutes = require('./routes/sanctionRoutes');
+const blockRoutes = require('./routes/blockRoutes');
+const groupRoutes = require('./routes/groupRoutes');
+const interestRoomRoutes = require('./routes/interestRoomRoutes');
 const session = require('express-session');
 const passport = require('passport');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJSDoc = require('swagger-jsdoc');
 const path = require('path');
 const kafkaService = require('./services/kafka');
+const messageReencryption = require('./services/messageReencryption');
 const { initializeSocket } = require('./socket/socket');
 const { securityHeaders, enforceHTTPS, logTLSConnection } = require('./middleware/security');
 
@@ -84,6 +90,16 @@ app.use('/api/user-keys', userKeyRoutes);
 app.use('/api/server-keys', serverKeyRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/matchmaking', matchmakingRoutes);
+// Roles, permissions and audit trail API
+app.use('/api/admin', adminRoutes);
+// Moderation sanctions and appeals API
+app.use('/api/sanctions', sanctionRoutes);
+// User block list API
+app.use('/api/blocks', blockRoutes);
+// Group chats among friends API
+app.use('/api/groups', groupRoutes);
+// Interest-based public rooms API
+app.use('/api/rooms', interestRoomRoutes);
 
 const swaggerDefinition = {
   openapi: '3.0.0',
@@ -128,3 +144,6 @@ server.listen(PORT, () => {
 initializeSocket(server);
 
 kafkaService.startProducer().then(() => console.log('Kafka producer started')).catch(console.error);
+
+// move stored messages onto current message keys
+messageReencryption.start();
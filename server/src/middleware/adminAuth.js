@@ -1,38 +1,122 @@
 const jwt = require('jsonwebtoken');
+const userModel = require('../models/user');
+const adminAuditLogModel = require('../models/adminAuditLog');
+const { sessionManager } = require('../utils/redis');
+const { getAccountSanction } = require('./auth');
 const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret';
 
-// middleware that blocks access to admin endpoints
-// currently blocks all access since admin functionality is not implemented
-function requireAdmin(req, res, next) {
-  // block all access to admin endpoints for now
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Missing or invalid Authorization header' });
-  }
-  
-  const token = authHeader.split(' ')[1];
-  
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    
-    // In a real implementation, you would check:
-    // 1. If user exists in an admin table
-    // 2. Or if user has admin role in database
-    // For now, we block all access since admin functionality is not implemented
-    
-    // Placeholder check - would query admin table in real implementation
-    // const isAdmin = await checkAdminTable(decoded.userId);
-    
-    // Since we don't have admin users configured, always deny access
-    return res.status(403).json({ 
-      error: 'Access denied. Admin privileges required.',
-      message: 'Admin endpoints are not available at this time.'
+// roles stored on users.role
+const ROLES = {
+  USER: 'user',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin',
+};
+
+// permissions per admin route group
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  ROLES_MANAGE: 'roles:manage',
+  MODERATION_READ: 'moderation:read',
+  MODERATION_REVIEW: 'moderation:review',
+  MODERATION_DELETE: 'moderation:delete',
+  QUEUES_READ: 'queues:read',
+  QUEUES_MANAGE: 'queues:manage',
+  INTERESTS_MANAGE: 'interests:manage',
+  AUDIT_READ: 'audit:read',
+};
+
+// permissions granted to each role (admin gets everything)
+const ROLE_PERMISSIONS = {
+  [ROLES.USER]: [],
+  [ROLES.MODERATOR]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.MODERATION_READ,
+    PERMISSIONS.MODERATION_REVIEW,
+    PERMISSIONS.QUEUES_READ,
+  ],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+// check if role grants a permission
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// record admin endpoint usage once the response is sent
+function auditRequest(req, res, permission) {
+  res.on('finish', () => {
+    adminAuditLogModel.addAuditLog({
+      actor_id: req.user.userId,
+      actor_username: req.user.username,
+      actor_role: req.user.role,
+      permission,
+      method: req.method,
+      path: req.originalUrl,
+      status_code: res.statusCode,
+      ip_address: req.ip,
+    }).catch(() => {
+      // audit write failed, request already completed
     });
-    
-  } catch (err) {
-    return res.status(401).json({ error: 'Invalid or expired token' });
-  }
+  });
 }
 
-module.exports = requireAdmin;
\ No newline at end of file
+// middleware factory that requires a specific admin permission
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid Authorization header' });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+    } catch (err) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    // reject early when the token carries no privileged role claim
+    if (!hasPermission(decoded.role, permission)) {
+      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
+    }
+
+    try {
+      // logged out devices lose admin access along with everything else
+      if (await sessionManager.isSessionRevoked(decoded.sid)) {
+        return res.status(401).json({ error: 'Session has been logged out' });
+      }
+      
+      // a suspended or banned moderator keeps no admin access either
+      if (await getAccountSanction(decoded.userId)) {
+        return res.status(403).json({ error: 'Account suspended' });
+      }
+      
+      // confirm against the database so revoked roles take effect immediately
+      const role = await userModel.getUserRole(decoded.userId);
+      if (!hasPermission(role, permission)) {
+        return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
+      }
+
+      req.user = { ...decoded, role };
+      auditRequest(req, res, permission);
+      next();
+    } catch (err) {
+      return res.status(500).json({ error: 'Failed to verify admin privileges' });
+    }
+  };
+}
+
+// middleware that allows full admins only
+const requireAdmin = requirePermission(PERMISSIONS.USERS_MANAGE);
+
+module.exports = {
+  requireAdmin,
+  requirePermission,
+  hasPermission,
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+};
@@ -1,21 +1,59 @@
 const jwt = require('jsonwebtoken');
+const userSanctionModel = require('../models/userSanction');
+const { sessionManager } = require('../utils/redis');
 const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret';
 
+// the user's active suspension or ban, looked up in postgres at most once a minute
+async function getAccountSanction(userId) {
+  let sanction = await sessionManager.getCachedSanction(userId);
+  if (sanction === undefined) {
+    sanction = await userSanctionModel.getAccountBlockingSanction(userId);
+    await sessionManager.cacheSanction(userId, sanction);
+  }
+  return sanction;
+}
+
 // authenticate jwt token for protected routes
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({ error: 'Missing or invalid Authorization header' });
   }
   const token = authHeader.split(' ')[1];
   
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
   } catch (err) {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
+  
+  // appeal tokens issued to suspended users only work on appeal routes
+  if (decoded.scope === 'appeal') {
+    return res.status(403).json({ error: 'Account suspended' });
+  }
+  
+  // tokens of devices that were logged out stop working immediately
+  try {
+    if (await sessionManager.isSessionRevoked(decoded.sid)) {
+      return res.status(401).json({ error: 'Session has been logged out' });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to verify session' });
+  }
+  
+  // suspended or banned users lose access right away, not when their token expires
+  try {
+    if (await getAccountSanction(decoded.userId)) {
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to verify account status' });
+  }
+  
+  req.user = decoded;
+  next();
 }
 
-module.exports = authenticateJWT; 
\ No newline at end of file
+module.exports = authenticateJWT;
+module.exports.getAccountSanction = getAccountSanction;
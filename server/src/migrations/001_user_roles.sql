@@ -0,0 +1,27 @@
+-- role-based access for admin endpoints
+-- roles: user (default), moderator, admin
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user'
+  CHECK (role IN ('user', 'moderator', 'admin'));
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users (role) WHERE role <> 'user';
+
+-- audit trail of every request made against an admin endpoint
+CREATE TABLE IF NOT EXISTS admin_audit_logs (
+  id SERIAL PRIMARY KEY,
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  actor_username VARCHAR(50) NOT NULL,
+  actor_role VARCHAR(20) NOT NULL,
+  permission VARCHAR(50) NOT NULL,
+  method VARCHAR(10) NOT NULL,
+  path TEXT NOT NULL,
+  status_code INTEGER,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_logs_actor ON admin_audit_logs (actor_id, created_at DESC);
+
+-- promote the first admin manually:
+-- UPDATE users SET role = 'admin' WHERE username = '<your username>';
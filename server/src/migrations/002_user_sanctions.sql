@@ -0,0 +1,27 @@
+-- sanctions applied when a moderator resolves a moderation log
+-- types: warning, suspension (temporary), ban (permanent), matchmaking_ban
+
+CREATE TABLE IF NOT EXISTS user_sanctions (
+  id SERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  moderation_log_id INTEGER REFERENCES moderation_logs(id) ON DELETE SET NULL,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('warning', 'suspension', 'ban', 'matchmaking_ban')),
+  reason TEXT,
+  issued_by VARCHAR(50) NOT NULL,
+  issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  revoked_by VARCHAR(50),
+  appeal_status VARCHAR(20) NOT NULL DEFAULT 'none'
+    CHECK (appeal_status IN ('none', 'pending', 'approved', 'rejected')),
+  appeal_message TEXT,
+  appeal_submitted_at TIMESTAMP,
+  appeal_reviewed_by VARCHAR(50),
+  appeal_reviewed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sanctions_user ON user_sanctions (user_id, issued_at DESC);
+CREATE INDEX IF NOT EXISTS idx_user_sanctions_appeals ON user_sanctions (appeal_status) WHERE appeal_status = 'pending';
+
+ALTER TABLE moderation_logs
+  ADD COLUMN IF NOT EXISTS sanction_id INTEGER REFERENCES user_sanctions(id) ON DELETE SET NULL;
@@ -0,0 +1,19 @@
+-- acknowledged delivery: client message ids for idempotent sends plus delivered/read timestamps
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS client_message_id VARCHAR(64);
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS read_at TIMESTAMP;
+
+-- existing messages were delivered live (or are in history), never replay them from the inbox
+UPDATE messages SET delivered_at = sent_at WHERE delivered_at IS NULL;
+UPDATE messages SET read_at = sent_at WHERE is_read = TRUE AND read_at IS NULL;
+
+-- a retried send with the same client id maps to the same row
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_sender_client_id
+  ON messages (sender_id, client_message_id)
+  WHERE client_message_id IS NOT NULL;
+
+-- offline inbox lookups
+CREATE INDEX IF NOT EXISTS idx_messages_undelivered
+  ON messages (receiver_id, sent_at)
+  WHERE delivered_at IS NULL;
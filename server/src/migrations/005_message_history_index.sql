@@ -0,0 +1,7 @@
+-- cursor pagination walks a conversation by (sent_at, id) from either side of the pair
+
+CREATE INDEX IF NOT EXISTS idx_messages_conversation
+  ON messages (sender_id, receiver_id, sent_at, id);
+
+CREATE INDEX IF NOT EXISTS idx_messages_receiver_sent
+  ON messages (receiver_id, sent_at, id);
@@ -0,0 +1,16 @@
+-- editing and deletion: deleted messages stay as tombstones so both sides keep a consistent history
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+-- previous versions of edited messages, encrypted like the messages themselves
+CREATE TABLE IF NOT EXISTS message_edits (
+  id SERIAL PRIMARY KEY,
+  message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  encrypted_message TEXT NOT NULL,
+  iv TEXT,
+  signature TEXT,
+  replaced_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_edits_message ON message_edits (message_id, replaced_at);
@@ -0,0 +1,22 @@
+-- end-to-end encrypted friend chats: prekey bundle directory and opaque message rows
+
+-- user_keys holds the public half of each user's bundle (public_key is the identity key),
+-- private keys never leave the client
+ALTER TABLE user_keys ALTER COLUMN private_key DROP NOT NULL;
+ALTER TABLE user_keys ADD COLUMN IF NOT EXISTS signing_key TEXT;
+ALTER TABLE user_keys ADD COLUMN IF NOT EXISTS signed_prekey_id INTEGER;
+ALTER TABLE user_keys ADD COLUMN IF NOT EXISTS signed_prekey TEXT;
+ALTER TABLE user_keys ADD COLUMN IF NOT EXISTS signed_prekey_signature TEXT;
+ALTER TABLE user_keys ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- one-time prekeys are handed out once and deleted when claimed
+CREATE TABLE IF NOT EXISTS user_one_time_prekeys (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  key_id INTEGER NOT NULL,
+  public_key TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, key_id)
+);
+
+-- e2ee message content is a client envelope the server cannot read
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS is_e2ee BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,26 @@
+-- envelope encryption for stored messages: every conversation gets its own data key, wrapped by a
+-- versioned master key, and each row records the data key it was encrypted with
+
+CREATE TABLE IF NOT EXISTS conversation_keys (
+  id SERIAL PRIMARY KEY,
+  -- the two users of the conversation, ordered so both directions share the key
+  user_low UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_high UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  master_key_id INTEGER NOT NULL,
+  wrapped_key TEXT NOT NULL,
+  nonce TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  -- retired keys are no longer used for new messages, the re-encryption job moves rows off them
+  retired_at TIMESTAMP,
+  UNIQUE (user_low, user_high, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_keys_master ON conversation_keys (master_key_id);
+
+-- rows without a key id were encrypted directly with SERVER_KEY (or stored in the clear)
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS key_id INTEGER REFERENCES conversation_keys(id);
+ALTER TABLE message_edits ADD COLUMN IF NOT EXISTS key_id INTEGER REFERENCES conversation_keys(id);
+
+CREATE INDEX IF NOT EXISTS idx_messages_key ON messages (key_id);
+CREATE INDEX IF NOT EXISTS idx_message_edits_key ON message_edits (key_id);
@@ -0,0 +1,4 @@
+-- the server's private key is stored wrapped by a master key from the key provider
+-- rows with a NULL master_key_id still hold the plaintext pem, the re-encryption job wraps them
+ALTER TABLE server_keys ADD COLUMN IF NOT EXISTS master_key_id INTEGER;
+ALTER TABLE server_keys ADD COLUMN IF NOT EXISTS private_key_nonce TEXT;
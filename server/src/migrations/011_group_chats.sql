@@ -0,0 +1,59 @@
+-- group chats among friends: a conversation with members (admins manage membership), per-member read
+-- state and messages encrypted at rest with a per-group data key
+
+CREATE TABLE IF NOT EXISTS group_conversations (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS group_members (
+  conversation_id INTEGER NOT NULL REFERENCES group_conversations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(10) NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member')),
+  added_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  joined_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  -- newest message this member has read, everything after it is unread
+  last_read_message_id INTEGER,
+  last_read_at TIMESTAMP,
+  PRIMARY KEY (conversation_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_members_user ON group_members (user_id);
+
+-- group data keys share conversation_keys with direct conversations: a row belongs either to a pair
+-- of users or to a group
+ALTER TABLE conversation_keys ADD COLUMN IF NOT EXISTS group_id INTEGER REFERENCES group_conversations(id) ON DELETE CASCADE;
+ALTER TABLE conversation_keys ALTER COLUMN user_low DROP NOT NULL;
+ALTER TABLE conversation_keys ALTER COLUMN user_high DROP NOT NULL;
+ALTER TABLE conversation_keys DROP CONSTRAINT IF EXISTS conversation_keys_owner_check;
+ALTER TABLE conversation_keys ADD CONSTRAINT conversation_keys_owner_check
+  CHECK ((group_id IS NULL) = (user_low IS NOT NULL AND user_high IS NOT NULL));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversation_keys_group_version
+  ON conversation_keys (group_id, version)
+  WHERE group_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS group_messages (
+  id SERIAL PRIMARY KEY,
+  conversation_id INTEGER NOT NULL REFERENCES group_conversations(id) ON DELETE CASCADE,
+  -- null for membership notices (created, joined, left, removed)
+  sender_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  encrypted_message TEXT NOT NULL,
+  iv TEXT,
+  signature TEXT,
+  key_id INTEGER REFERENCES conversation_keys(id),
+  client_message_id VARCHAR(64),
+  is_system BOOLEAN NOT NULL DEFAULT FALSE,
+  sent_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_messages_conversation ON group_messages (conversation_id, id);
+CREATE INDEX IF NOT EXISTS idx_group_messages_key ON group_messages (key_id);
+
+-- a retried send with the same client id maps to the same row
+CREATE UNIQUE INDEX IF NOT EXISTS idx_group_messages_sender_client_id
+  ON group_messages (sender_id, client_message_id)
+  WHERE client_message_id IS NOT NULL;
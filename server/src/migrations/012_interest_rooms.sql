@@ -0,0 +1,20 @@
+-- public topic rooms per interest. persistent rooms are created by interest managers and stay listed
+-- when empty; ephemeral rooms are opened by any user and removed once the last member leaves.
+-- who is in a room, slow mode timers and the messages themselves only live in redis/socket.io
+
+CREATE TABLE IF NOT EXISTS interest_rooms (
+  id SERIAL PRIMARY KEY,
+  interest_id INTEGER NOT NULL REFERENCES interests(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  description VARCHAR(255),
+  is_persistent BOOLEAN NOT NULL DEFAULT FALSE,
+  max_occupancy INTEGER NOT NULL DEFAULT 50 CHECK (max_occupancy > 1),
+  -- seconds a member waits between messages (0 turns slow mode off)
+  slow_mode_seconds INTEGER NOT NULL DEFAULT 0 CHECK (slow_mode_seconds >= 0),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_interest_rooms_interest ON interest_rooms (interest_id);
+CREATE INDEX IF NOT EXISTS idx_interest_rooms_ephemeral ON interest_rooms (created_at) WHERE NOT is_persistent;
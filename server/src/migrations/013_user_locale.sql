@@ -0,0 +1,10 @@
+-- language and region preferences for random matching
+-- languages: iso 639 codes the user speaks (empty = use the browser's languages when queueing)
+-- region: iso 3166-1 alpha-2 code, partners from the same region score a little higher
+-- language_match: 'preferred' scores a shared language higher, 'required' only matches people who share one
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS languages VARCHAR(3)[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS region CHAR(2),
+  ADD COLUMN IF NOT EXISTS language_match VARCHAR(10) NOT NULL DEFAULT 'preferred'
+    CHECK (language_match IN ('preferred', 'required'));
@@ -0,0 +1,18 @@
+-- per-conversation read state for friend chats: the newest message from friend_id that user_id has read
+-- (everything after it is unread) and when they read it, so unread counts and "seen at" survive reloads
+
+CREATE TABLE IF NOT EXISTS conversation_reads (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  friend_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  last_read_message_id INTEGER NOT NULL,
+  last_read_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, friend_id)
+);
+
+-- start from the per-message read flags
+INSERT INTO conversation_reads (user_id, friend_id, last_read_message_id, last_read_at)
+SELECT receiver_id, sender_id, MAX(id), COALESCE(MAX(read_at), CURRENT_TIMESTAMP)
+FROM messages
+WHERE is_read = TRUE AND sender_id IS NOT NULL AND receiver_id IS NOT NULL
+GROUP BY receiver_id, sender_id
+ON CONFLICT (user_id, friend_id) DO NOTHING;
@@ -0,0 +1,29 @@
+const db = require('../utils/db');
+
+// record usage of an admin endpoint
+async function addAuditLog({ actor_id, actor_username, actor_role, permission, method, path, status_code, ip_address }) {
+  const result = await db.query(
+    `INSERT INTO admin_audit_logs (actor_id, actor_username, actor_role, permission, method, path, status_code, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [actor_id, actor_username, actor_role, permission, method, path, status_code, ip_address]
+  );
+  return result.rows[0];
+}
+
+// get recent audit logs, optionally filtered by actor
+async function getAuditLogs({ actorId = null, limit = 100 } = {}) {
+  const result = await db.query(
+    `SELECT * FROM admin_audit_logs
+     WHERE ($1::uuid IS NULL OR actor_id = $1)
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [actorId, limit]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  addAuditLog,
+  getAuditLogs,
+};
@@ -0,0 +1,211 @@
+const db = require('../utils/db');
+const messageEncryption = require('../utils/encryption');
+
+// unwrapped data keys by key id. a key's material and conversation never change (rewrapping only
+// changes how it is stored), so entries stay valid until the key row is deleted
+const dataKeyCache = new Map();
+const MAX_CACHED_KEYS = 5000;
+
+// conversations are unordered, both directions share one key row
+function conversationPair(user1_id, user2_id) {
+  return String(user1_id) < String(user2_id) ? [user1_id, user2_id] : [user2_id, user1_id];
+}
+
+// wrapping context, so a wrapped key only unwraps for the row it was written to
+function keyContext(row) {
+  if (row.group_id) {
+    return `group:${row.group_id}:${row.version}`;
+  }
+  return `${row.user_low}:${row.user_high}:${row.version}`;
+}
+
+async function unwrapRow(row) {
+  const cached = dataKeyCache.get(row.id);
+  if (cached) return cached;
+
+  const key = {
+    id: row.id,
+    user_low: row.user_low,
+    user_high: row.user_high,
+    group_id: row.group_id || null,
+    dataKey: await messageEncryption.unwrapDataKey(row, keyContext(row))
+  };
+
+  if (dataKeyCache.size >= MAX_CACHED_KEYS) {
+    dataKeyCache.delete(dataKeyCache.keys().next().value);
+  }
+  dataKeyCache.set(row.id, key);
+  return key;
+}
+
+// get the data key new messages between two users are encrypted with, creating it on first use
+async function getActiveKey(user1_id, user2_id) {
+  const [user_low, user_high] = conversationPair(user1_id, user2_id);
+
+  const result = await db.query(
+    `SELECT * FROM conversation_keys
+     WHERE user_low = $1 AND user_high = $2 AND retired_at IS NULL
+     ORDER BY version DESC LIMIT 1`,
+    [user_low, user_high]
+  );
+  if (result.rows[0]) {
+    return unwrapRow(result.rows[0]);
+  }
+
+  return unwrapRow(await createKey(user_low, user_high));
+}
+
+// get the data key new messages in a group are encrypted with, creating it on first use
+async function getActiveGroupKey(group_id) {
+  const result = await db.query(
+    `SELECT * FROM conversation_keys
+     WHERE group_id = $1 AND retired_at IS NULL
+     ORDER BY version DESC LIMIT 1`,
+    [group_id]
+  );
+  if (result.rows[0]) {
+    return unwrapRow(result.rows[0]);
+  }
+
+  return unwrapRow(await createGroupKey(group_id));
+}
+
+// add the next key version for a conversation (used on first message and after retirement)
+async function createKey(user_low, user_high) {
+  return insertNextVersion(
+    'user_low = $1 AND user_high = $2',
+    [user_low, user_high],
+    { user_low, user_high, group_id: null }
+  );
+}
+
+// same for a group
+async function createGroupKey(group_id) {
+  return insertNextVersion('group_id = $1', [group_id], { user_low: null, user_high: null, group_id });
+}
+
+// insert the next key version for the owner matched by ownerClause/ownerParams
+async function insertNextVersion(ownerClause, ownerParams, owner) {
+  const versionResult = await db.query(
+    `SELECT COALESCE(MAX(version), 0) + 1 AS version FROM conversation_keys WHERE ${ownerClause}`,
+    ownerParams
+  );
+  const version = versionResult.rows[0].version;
+
+  const dataKey = await messageEncryption.generateDataKey();
+  const wrapped = await messageEncryption.wrapDataKey(dataKey, keyContext({ ...owner, version }));
+
+  const result = await db.query(
+    `INSERT INTO conversation_keys (user_low, user_high, group_id, version, master_key_id, wrapped_key, nonce)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT DO NOTHING
+     RETURNING *`,
+    [owner.user_low, owner.user_high, owner.group_id, version, wrapped.master_key_id, wrapped.wrapped_key, wrapped.nonce]
+  );
+  if (result.rows[0]) {
+    return result.rows[0];
+  }
+
+  // another server instance created this version at the same time, use theirs
+  const existing = await db.query(
+    `SELECT * FROM conversation_keys WHERE ${ownerClause} AND version = $${ownerParams.length + 1}`,
+    [...ownerParams, version]
+  );
+  return existing.rows[0];
+}
+
+// get a data key by id (null if it no longer exists)
+async function getKeyById(key_id) {
+  if (dataKeyCache.has(key_id)) {
+    return dataKeyCache.get(key_id);
+  }
+
+  const result = await db.query('SELECT * FROM conversation_keys WHERE id = $1', [key_id]);
+  return result.rows[0] ? unwrapRow(result.rows[0]) : null;
+}
+
+// true if the key belongs to the conversation between the two users
+function keyMatchesConversation(key, user1_id, user2_id) {
+  const [user_low, user_high] = conversationPair(user1_id, user2_id);
+  return String(key.user_low) === String(user_low) && String(key.user_high) === String(user_high);
+}
+
+// true if the key belongs to the group
+function keyMatchesGroup(key, group_id) {
+  return key.group_id !== null && String(key.group_id) === String(group_id);
+}
+
+// re-wrap data keys still stored under an old master key, returns the number rewrapped
+async function rewrapKeys(limit) {
+  const currentMasterKeyId = await messageEncryption.getCurrentMasterKeyId();
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT * FROM conversation_keys
+       WHERE master_key_id <> $1
+       ORDER BY id
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED`,
+      [currentMasterKeyId, limit]
+    );
+
+    for (const row of result.rows) {
+      const dataKey = await messageEncryption.unwrapDataKey(row, keyContext(row));
+      const wrapped = await messageEncryption.wrapDataKey(dataKey, keyContext(row));
+      await client.query(
+        `UPDATE conversation_keys SET master_key_id = $1, wrapped_key = $2, nonce = $3 WHERE id = $4`,
+        [wrapped.master_key_id, wrapped.wrapped_key, wrapped.nonce, row.id]
+      );
+    }
+
+    await client.query('COMMIT');
+    return result.rows.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// retire active data keys older than maxAgeDays, the next message in each conversation gets a new one
+async function retireKeysOlderThan(maxAgeDays) {
+  const result = await db.query(
+    `UPDATE conversation_keys SET retired_at = CURRENT_TIMESTAMP
+     WHERE retired_at IS NULL AND created_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+     RETURNING id`,
+    [maxAgeDays]
+  );
+  return result.rows.length;
+}
+
+// delete retired data keys no row is encrypted with any more
+async function deleteUnusedRetiredKeys() {
+  const result = await db.query(
+    `DELETE FROM conversation_keys k
+     WHERE k.retired_at IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM messages m WHERE m.key_id = k.id)
+       AND NOT EXISTS (SELECT 1 FROM message_edits e WHERE e.key_id = k.id)
+       AND NOT EXISTS (SELECT 1 FROM group_messages g WHERE g.key_id = k.id)
+     RETURNING id`
+  );
+  for (const row of result.rows) {
+    dataKeyCache.delete(row.id);
+  }
+  return result.rows.length;
+}
+
+module.exports = {
+  conversationPair,
+  getActiveKey,
+  getActiveGroupKey,
+  getKeyById,
+  keyMatchesConversation,
+  keyMatchesGroup,
+  rewrapKeys,
+  retireKeysOlderThan,
+  deleteUnusedRetiredKeys,
+};
@@ -29,6 +29,15 @@ async function getFriendsForUser(user_id) {
   return result.rows;
 }
 
+// true if the two users are friends (in either direction)
+async function areFriends(user1_id, user2_id) {
+  const result = await db.query(
+    'SELECT 1 FROM friends WHERE (user_id = $1 AND friend_id = $2) OR (user_id = $2 AND friend_id = $1) LIMIT 1',
+    [user1_id, user2_id]
+  );
+  return result.rows.length > 0;
+}
+
 // remove friend relationship between two users
 async function removeFriend(user_id, friend_id) {
   const result = await db.query(
@@ -69,6 +78,14 @@ async function deleteFriendCompletely(user_id, friend_id) {
     );
     deletedItems.friendRequests = friendRequestsResult.rowCount;
 
+    // and the read markers of the conversation
+    await client.query(
+      `DELETE FROM conversation_reads 
+       WHERE (user_id = $1 AND friend_id = $2) 
+          OR (user_id = $2 AND friend_id = $1)`,
+      [user_id, friend_id]
+    );
+
     // delete the friendship in both directions
     const friendshipResult = await client.query(
       `DELETE FROM friends 
@@ -93,6 +110,7 @@ async function deleteFriendCompletely(user_id, friend_id) {
 module.exports = {
   addFriend,
   getFriendsForUser,
+  areFriends,
   removeFriend,
   deleteFriendCompletely,
 }; 
\ No newline at end of file
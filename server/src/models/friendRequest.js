@@ -18,6 +18,18 @@ async function getFriendRequestsForUser(user_id) {
   return result.rows;
 }
 
+// get pending friend request between two users in either direction
+async function getPendingRequestBetween(user1_id, user2_id) {
+  const result = await db.query(
+    `SELECT * FROM friend_requests 
+     WHERE status = 'pending'
+       AND ((sender_id = $1 AND receiver_id = $2) OR (sender_id = $2 AND receiver_id = $1))
+     LIMIT 1`,
+    [user1_id, user2_id]
+  );
+  return result.rows[0];
+}
+
 // respond to friend request (accept or reject)
 async function respondToFriendRequest(request_id, status, receiver_id) {
   // start transaction for atomic operations
@@ -72,6 +84,7 @@ async function deleteFriendRequest(request_id) {
 module.exports = {
   sendFriendRequest,
   getFriendRequestsForUser,
+  getPendingRequestBetween,
   respondToFriendRequest,
   deleteFriendRequest,
 }; 
\ No newline at end of file
@@ -0,0 +1,249 @@
+const db = require('../utils/db');
+
+// create a group with the creator as its first admin and the given friends as members
+async function createGroup({ name, created_by, member_ids }) {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const groupResult = await client.query(
+      `INSERT INTO group_conversations (name, created_by) VALUES ($1, $2) RETURNING *`,
+      [name, created_by]
+    );
+    const group = groupResult.rows[0];
+
+    await client.query(
+      `INSERT INTO group_members (conversation_id, user_id, role, added_by) VALUES ($1, $2, 'admin', $2)`,
+      [group.id, created_by]
+    );
+    await client.query(
+      `INSERT INTO group_members (conversation_id, user_id, role, added_by)
+       SELECT $1, id, 'member', $2 FROM UNNEST($3::uuid[]) AS id
+       ON CONFLICT DO NOTHING`,
+      [group.id, created_by, member_ids]
+    );
+
+    await client.query('COMMIT');
+    return group;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// get a group by id (null if it does not exist)
+async function getGroupById(conversation_id) {
+  const result = await db.query(
+    `SELECT * FROM group_conversations WHERE id = $1`,
+    [conversation_id]
+  );
+  return result.rows[0] || null;
+}
+
+// get the groups a user belongs to with their role, member count, unread count and last activity
+async function getGroupsForUser(user_id) {
+  const result = await db.query(
+    `SELECT g.*, gm.role, gm.last_read_message_id,
+            (SELECT COUNT(*) FROM group_members c WHERE c.conversation_id = g.id) AS member_count,
+            (SELECT COUNT(*) FROM group_messages m
+              WHERE m.conversation_id = g.id
+                AND m.id > COALESCE(gm.last_read_message_id, 0)
+                AND m.sent_at >= gm.joined_at
+                AND m.sender_id IS DISTINCT FROM gm.user_id
+                AND m.is_system = FALSE) AS unread_count,
+            activity.last_message_at
+     FROM group_conversations g
+     JOIN group_members gm ON gm.conversation_id = g.id
+     LEFT JOIN LATERAL (
+       SELECT MAX(m.sent_at) AS last_message_at FROM group_messages m WHERE m.conversation_id = g.id
+     ) activity ON TRUE
+     WHERE gm.user_id = $1
+     ORDER BY COALESCE(activity.last_message_at, g.created_at) DESC`,
+    [user_id]
+  );
+  return result.rows.map(row => ({
+    ...row,
+    member_count: parseInt(row.member_count),
+    unread_count: parseInt(row.unread_count)
+  }));
+}
+
+// get ids of the groups a user belongs to (socket rooms to join on connect)
+async function getGroupIdsForUser(user_id) {
+  const result = await db.query(
+    `SELECT conversation_id FROM group_members WHERE user_id = $1`,
+    [user_id]
+  );
+  return result.rows.map(row => row.conversation_id);
+}
+
+// get the members of a group with their usernames, admins first
+async function getMembers(conversation_id) {
+  const result = await db.query(
+    `SELECT gm.user_id, u.username, gm.role, gm.joined_at, gm.last_read_message_id, gm.last_read_at
+     FROM group_members gm
+     JOIN users u ON u.id = gm.user_id
+     WHERE gm.conversation_id = $1
+     ORDER BY gm.role = 'admin' DESC, gm.joined_at ASC`,
+    [conversation_id]
+  );
+  return result.rows;
+}
+
+// get one membership (null if the user is not in the group)
+async function getMember(conversation_id, user_id) {
+  const result = await db.query(
+    `SELECT * FROM group_members WHERE conversation_id = $1 AND user_id = $2`,
+    [conversation_id, user_id]
+  );
+  return result.rows[0] || null;
+}
+
+// count members of a group
+async function countMembers(conversation_id) {
+  const result = await db.query(
+    `SELECT COUNT(*) AS count FROM group_members WHERE conversation_id = $1`,
+    [conversation_id]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+// add users to a group as members, returns the memberships that were created (existing members are skipped)
+async function addMembers(conversation_id, user_ids, added_by) {
+  const result = await db.query(
+    `INSERT INTO group_members (conversation_id, user_id, role, added_by)
+     SELECT $1, id, 'member', $2 FROM UNNEST($3::uuid[]) AS id
+     ON CONFLICT DO NOTHING
+     RETURNING *`,
+    [conversation_id, added_by, user_ids]
+  );
+  return result.rows;
+}
+
+// remove a user from a group. a group is never left without an admin: when the last admin goes, the
+// longest-standing member is promoted, and a group without members is deleted.
+// returns { removed, promotedUserId, deleted } (removed is null if the user was not a member)
+async function removeMember(conversation_id, user_id) {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    // serialize membership changes of this group
+    await client.query(`SELECT id FROM group_conversations WHERE id = $1 FOR UPDATE`, [conversation_id]);
+
+    const removed = await client.query(
+      `DELETE FROM group_members WHERE conversation_id = $1 AND user_id = $2 RETURNING *`,
+      [conversation_id, user_id]
+    );
+    if (!removed.rows[0]) {
+      await client.query('ROLLBACK');
+      return { removed: null, promotedUserId: null, deleted: false };
+    }
+
+    const remaining = await client.query(
+      `SELECT user_id, role FROM group_members WHERE conversation_id = $1 ORDER BY joined_at ASC`,
+      [conversation_id]
+    );
+
+    let promotedUserId = null;
+    let deleted = false;
+    if (remaining.rows.length === 0) {
+      await client.query(`DELETE FROM group_conversations WHERE id = $1`, [conversation_id]);
+      deleted = true;
+    } else if (!remaining.rows.some(member => member.role === 'admin')) {
+      promotedUserId = remaining.rows[0].user_id;
+      await client.query(
+        `UPDATE group_members SET role = 'admin' WHERE conversation_id = $1 AND user_id = $2`,
+        [conversation_id, promotedUserId]
+      );
+    }
+
+    await client.query('COMMIT');
+    return { removed: removed.rows[0], promotedUserId, deleted };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// change a member's role, refusing to demote the group's last admin (returns null in that case)
+async function setMemberRole(conversation_id, user_id, role) {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+    await client.query(`SELECT id FROM group_conversations WHERE id = $1 FOR UPDATE`, [conversation_id]);
+
+    if (role !== 'admin') {
+      const admins = await client.query(
+        `SELECT user_id FROM group_members WHERE conversation_id = $1 AND role = 'admin'`,
+        [conversation_id]
+      );
+      if (admins.rows.length === 1 && String(admins.rows[0].user_id) === String(user_id)) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+    }
+
+    const result = await client.query(
+      `UPDATE group_members SET role = $3 WHERE conversation_id = $1 AND user_id = $2 RETURNING *`,
+      [conversation_id, user_id, role]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0] || null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// rename a group
+async function renameGroup(conversation_id, name) {
+  const result = await db.query(
+    `UPDATE group_conversations SET name = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+    [conversation_id, name]
+  );
+  return result.rows[0] || null;
+}
+
+// move a member's read marker forward to message_id (never backwards, never past the newest message)
+// returns the membership if the marker moved, null otherwise
+async function markRead(conversation_id, user_id, message_id) {
+  const result = await db.query(
+    `UPDATE group_members
+     SET last_read_message_id = target.id, last_read_at = CURRENT_TIMESTAMP
+     FROM (
+       SELECT MAX(id) AS id FROM group_messages WHERE conversation_id = $1 AND id <= $3
+     ) target
+     WHERE conversation_id = $1 AND user_id = $2
+       AND target.id IS NOT NULL
+       AND target.id > COALESCE(last_read_message_id, 0)
+     RETURNING group_members.*`,
+    [conversation_id, user_id, message_id]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  createGroup,
+  getGroupById,
+  getGroupsForUser,
+  getGroupIdsForUser,
+  getMembers,
+  getMember,
+  countMembers,
+  addMembers,
+  removeMember,
+  setMemberRole,
+  renameGroup,
+  markRead,
+};
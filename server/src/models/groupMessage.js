@@ -0,0 +1,128 @@
+const db = require('../utils/db');
+const messageEncryption = require('../utils/encryption');
+const conversationKeyModel = require('./conversationKey');
+const { reencryptRows, staleKeyClause } = require('./message');
+
+const MAX_PAGE_SIZE = 100;
+
+// associated data binds a ciphertext to its group and data key
+function groupMessageAad(conversation_id, key_id) {
+  return `group_message:${conversation_id}:${key_id}`;
+}
+
+// encrypt content with the group's active data key, returns the columns to store
+async function encryptForGroup(content, conversation_id) {
+  const key = await conversationKeyModel.getActiveGroupKey(conversation_id);
+  const encryptedData = await messageEncryption.encrypt(content, key.dataKey, groupMessageAad(conversation_id, key.id));
+  return { ...encryptedData, key_id: key.id };
+}
+
+// decrypt stored group content, throws if it cannot be decrypted
+async function decryptGroupContent(row) {
+  const key = await conversationKeyModel.getKeyById(row.key_id);
+  if (!key || !conversationKeyModel.keyMatchesGroup(key, row.conversation_id)) {
+    throw new Error('Data key does not belong to this group');
+  }
+  return messageEncryption.decrypt(
+    row.encrypted_message,
+    row.iv,
+    row.signature,
+    key.dataKey,
+    groupMessageAad(row.conversation_id, row.key_id)
+  );
+}
+
+// decrypt a stored group message row, marking content that cannot be decrypted
+async function decryptGroupMessageRow(message) {
+  try {
+    return { ...message, encrypted_message: await decryptGroupContent(message) };
+  } catch (error) {
+    return { ...message, encrypted_message: '[Message could not be decrypted]' };
+  }
+}
+
+// store a group message (a repeated client_message_id returns null). system messages have no sender
+async function sendGroupMessage({ conversation_id, sender_id = null, content, client_message_id = null, is_system = false }) {
+  const encryptedData = await encryptForGroup(content, conversation_id);
+
+  const result = await db.query(
+    `INSERT INTO group_messages (conversation_id, sender_id, encrypted_message, iv, signature, key_id, client_message_id, is_system)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (sender_id, client_message_id) WHERE client_message_id IS NOT NULL DO NOTHING
+     RETURNING *`,
+    [conversation_id, sender_id, encryptedData.encrypted_message, encryptedData.iv, encryptedData.signature, encryptedData.key_id, client_message_id, is_system]
+  );
+  return result.rows[0] || null;
+}
+
+// get the group message previously stored for a sender's client message id
+async function getGroupMessageByClientId(sender_id, client_message_id) {
+  const result = await db.query(
+    `SELECT * FROM group_messages WHERE sender_id = $1 AND client_message_id = $2`,
+    [sender_id, client_message_id]
+  );
+  return result.rows[0] || null;
+}
+
+// get one page of a group's history for a member, oldest first. members only see messages sent since
+// they joined; before/after are message ids (ids grow with sending order)
+async function getGroupMessagesPage(conversation_id, user_id, { before = null, after = null, limit = 50 } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+  const params = [conversation_id, user_id];
+  let cursorClause = '';
+  let order = 'DESC';
+
+  if (before) {
+    params.push(before);
+    cursorClause = `AND m.id < $${params.length}`;
+  } else if (after) {
+    params.push(after);
+    cursorClause = `AND m.id > $${params.length}`;
+    order = 'ASC';
+  }
+
+  // fetch one extra row to know whether another page exists
+  params.push(pageSize + 1);
+  const result = await db.query(
+    `SELECT m.*, u.username as sender_username
+     FROM group_messages m
+     LEFT JOIN users u ON m.sender_id = u.id
+     JOIN group_members gm ON gm.conversation_id = m.conversation_id AND gm.user_id = $2
+     WHERE m.conversation_id = $1 AND m.sent_at >= gm.joined_at
+       ${cursorClause}
+     ORDER BY m.id ${order}
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const hasMore = result.rows.length > pageSize;
+  const rows = result.rows.slice(0, pageSize);
+  if (order === 'DESC') {
+    rows.reverse();
+  }
+
+  return {
+    messages: await Promise.all(rows.map(decryptGroupMessageRow)),
+    hasMore
+  };
+}
+
+// move group messages off retired data keys (see reencryptMessages)
+async function reencryptGroupMessages(options) {
+  return reencryptRows('group_messages', `
+    SELECT g.* FROM group_messages g
+    WHERE g.id > $1 AND ${staleKeyClause('g')}
+    ORDER BY g.id
+    LIMIT $2
+    FOR UPDATE SKIP LOCKED`, options, {
+    decrypt: decryptGroupContent,
+    encrypt: (content, row) => encryptForGroup(content, row.conversation_id),
+  });
+}
+
+module.exports = {
+  sendGroupMessage,
+  getGroupMessageByClientId,
+  getGroupMessagesPage,
+  reencryptGroupMessages,
+};
@@ -0,0 +1,102 @@
+const db = require('../utils/db');
+
+// columns clients may change on an existing room
+const UPDATABLE_FIELDS = ['name', 'description', 'max_occupancy', 'slow_mode_seconds'];
+
+// create a persistent or ephemeral room for an interest
+async function createRoom({ interest_id, name, description = null, is_persistent = false, max_occupancy, slow_mode_seconds = 0, created_by }) {
+  const result = await db.query(
+    `INSERT INTO interest_rooms (interest_id, name, description, is_persistent, max_occupancy, slow_mode_seconds, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [interest_id, name, description, is_persistent, max_occupancy, slow_mode_seconds, created_by]
+  );
+  return result.rows[0];
+}
+
+// get a room with its interest name (null if it does not exist)
+async function getRoomById(id) {
+  const result = await db.query(
+    `SELECT r.*, i.name AS interest_name
+     FROM interest_rooms r
+     JOIN interests i ON i.id = r.interest_id
+     WHERE r.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+// list rooms, optionally for one interest; persistent rooms first
+async function getRooms({ interest_id = null } = {}) {
+  const result = await db.query(
+    `SELECT r.*, i.name AS interest_name
+     FROM interest_rooms r
+     JOIN interests i ON i.id = r.interest_id
+     WHERE $1::int IS NULL OR r.interest_id = $1
+     ORDER BY r.is_persistent DESC, i.name, r.created_at`,
+    [interest_id]
+  );
+  return result.rows;
+}
+
+// get ephemeral rooms older than the given number of seconds (cleaned up when nobody is in them)
+async function getEphemeralRoomsOlderThan(seconds) {
+  const result = await db.query(
+    `SELECT * FROM interest_rooms
+     WHERE NOT is_persistent AND created_at < CURRENT_TIMESTAMP - make_interval(secs => $1)`,
+    [seconds]
+  );
+  return result.rows;
+}
+
+// count the ephemeral rooms a user currently has open
+async function countEphemeralRoomsByCreator(created_by) {
+  const result = await db.query(
+    'SELECT COUNT(*) FROM interest_rooms WHERE created_by = $1 AND NOT is_persistent',
+    [created_by]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+// update the given room settings, ignoring unknown fields
+async function updateRoom(id, changes) {
+  const fields = UPDATABLE_FIELDS.filter(field => changes[field] !== undefined);
+  if (fields.length === 0) {
+    return getRoomById(id);
+  }
+
+  const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+  const result = await db.query(
+    `UPDATE interest_rooms SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [id, ...fields.map(field => changes[field])]
+  );
+  return result.rows[0] || null;
+}
+
+// delete a room
+async function deleteRoom(id) {
+  const result = await db.query('DELETE FROM interest_rooms WHERE id = $1 RETURNING *', [id]);
+  return result.rows[0] || null;
+}
+
+// delete a room only if it is ephemeral (persistent rooms outlive their members)
+async function deleteEphemeralRoom(id) {
+  const result = await db.query(
+    'DELETE FROM interest_rooms WHERE id = $1 AND NOT is_persistent RETURNING *',
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  createRoom,
+  getRoomById,
+  getRooms,
+  getEphemeralRoomsOlderThan,
+  countEphemeralRoomsByCreator,
+  updateRoom,
+  deleteRoom,
+  deleteEphemeralRoom,
+};
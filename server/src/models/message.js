@@ -1,17 +1,112 @@
 const db = require('../utils/db');
 const messageEncryption = require('../utils/encryption');
+const conversationKeyModel = require('./conversationKey');
+const messageReactionModel = require('./messageReaction');
 
-// send encrypted message between users
-async function sendMessage({ sender_id, receiver_id, content }) {
-  // encrypt message content before storing
-  const encryptedData = await messageEncryption.encrypt(content);
+// associated data binds a ciphertext to its conversation and data key, so it cannot be moved to another row
+function messageAad(sender_id, receiver_id, key_id) {
+  const [user_low, user_high] = conversationKeyModel.conversationPair(sender_id, receiver_id);
+  return `message:${user_low}:${user_high}:${key_id}`;
+}
+
+// encrypt content with the conversation's active data key, returns the columns to store
+async function encryptForConversation(content, sender_id, receiver_id) {
+  const key = await conversationKeyModel.getActiveKey(sender_id, receiver_id);
+  const encryptedData = await messageEncryption.encrypt(content, key.dataKey, messageAad(sender_id, receiver_id, key.id));
+  return { ...encryptedData, key_id: key.id };
+}
+
+// decrypt stored content (rows need sender_id and receiver_id), throws if it cannot be decrypted
+// rows without a key id predate data keys, rows that do not look encrypted are legacy plaintext
+async function decryptContent(row) {
+  if (!messageEncryption.isEncrypted(row.encrypted_message, row.iv)) {
+    return row.encrypted_message;
+  }
+  if (!row.key_id) {
+    return messageEncryption.decrypt(row.encrypted_message, row.iv, row.signature);
+  }
+  
+  const key = await conversationKeyModel.getKeyById(row.key_id);
+  if (!key || !conversationKeyModel.keyMatchesConversation(key, row.sender_id, row.receiver_id)) {
+    throw new Error('Data key does not belong to this conversation');
+  }
+  return messageEncryption.decrypt(
+    row.encrypted_message,
+    row.iv,
+    row.signature,
+    key.dataKey,
+    messageAad(row.sender_id, row.receiver_id, row.key_id)
+  );
+}
+
+// decrypt a stored message row, keeping legacy plaintext rows readable
+async function decryptMessageRow(message) {
+  // tombstones keep their place in history but no content
+  if (message.deleted_at) {
+    return { ...message, encrypted_message: null };
+  }
+  
+  try {
+    return { ...message, encrypted_message: await decryptContent(message) };
+  } catch (error) {
+    // return message with error indicator instead of failing
+    return { ...message, encrypted_message: '[Message could not be decrypted]' };
+  }
+}
+
+// attach aggregated reactions ([{ emoji, count, users }]) to message rows
+async function withReactions(messages) {
+  const reactions = await messageReactionModel.getReactionsForMessages(messages.map(m => m.id));
+  return messages.map(message => ({ ...message, reactions: reactions[message.id] || [] }));
+}
+
+// send encrypted message between users (a repeated client_message_id returns null)
+async function sendMessage({ sender_id, receiver_id, content, client_message_id = null, is_e2ee = false }) {
+  // encrypt message content before storing (e2ee envelopes are wrapped too)
+  const encryptedData = await encryptForConversation(content, sender_id, receiver_id);
   
   const result = await db.query(
-    `INSERT INTO messages (sender_id, receiver_id, encrypted_message, iv, signature, sent_at)
-     VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP) RETURNING *`,
-    [sender_id, receiver_id, encryptedData.encrypted_message, encryptedData.iv, encryptedData.signature]
+    `INSERT INTO messages (sender_id, receiver_id, encrypted_message, iv, signature, key_id, client_message_id, is_e2ee, sent_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
+     ON CONFLICT (sender_id, client_message_id) WHERE client_message_id IS NOT NULL DO NOTHING
+     RETURNING *`,
+    [sender_id, receiver_id, encryptedData.encrypted_message, encryptedData.iv, encryptedData.signature, encryptedData.key_id, client_message_id, is_e2ee]
   );
-  return result.rows[0];
+  return result.rows[0] || null;
+}
+
+// get message previously stored for a sender's client message id
+async function getMessageByClientId(sender_id, client_message_id) {
+  const result = await db.query(
+    `SELECT * FROM messages WHERE sender_id = $1 AND client_message_id = $2`,
+    [sender_id, client_message_id]
+  );
+  return result.rows[0] || null;
+}
+
+// get messages not yet acknowledged by any of the receiver's devices (offline inbox)
+async function getUndeliveredMessages(receiver_id, limit = 500) {
+  const result = await db.query(
+    `SELECT m.*, u.username as sender_username
+     FROM messages m
+     JOIN users u ON m.sender_id = u.id
+     WHERE m.receiver_id = $1 AND m.delivered_at IS NULL AND m.deleted_at IS NULL
+     ORDER BY m.sent_at ASC
+     LIMIT $2`,
+    [receiver_id, limit]
+  );
+  return Promise.all(result.rows.map(decryptMessageRow));
+}
+
+// mark messages as delivered to the receiver, returns newly delivered ids with their senders
+async function markMessagesDelivered(receiver_id, message_ids) {
+  const result = await db.query(
+    `UPDATE messages SET delivered_at = CURRENT_TIMESTAMP
+     WHERE receiver_id = $1 AND id = ANY($2) AND delivered_at IS NULL
+     RETURNING id, sender_id, delivered_at`,
+    [receiver_id, message_ids]
+  );
+  return result.rows;
 }
 
 // get all messages between two users with decryption
@@ -27,45 +122,151 @@ async function getMessagesBetweenUsers(user1_id, user2_id) {
   );
   
   // decrypt messages before returning
-  const decryptedMessages = await Promise.all(
-    result.rows.map(async (message) => {
-      try {
-        // check if message is encrypted
-        if (messageEncryption.isEncrypted(message.encrypted_message, message.iv)) {
-          const decryptedContent = await messageEncryption.decrypt(
-            message.encrypted_message,
-            message.iv,
-            message.signature
-          );
-          return { ...message, encrypted_message: decryptedContent };
-        } else {
-          // legacy plaintext message for backwards compatibility
-          return message;
-        }
-      } catch (error) {
-        // return message with error indicator instead of failing
-        return { ...message, encrypted_message: '[Message could not be decrypted]' };
-      }
-    })
+  return withReactions(await Promise.all(result.rows.map(decryptMessageRow)));
+}
+
+// history page size bounds and search scan budget (search decrypts rows, so it runs in batches)
+const MAX_PAGE_SIZE = 100;
+const SEARCH_BATCH_SIZE = 200;
+const SEARCH_MAX_SCAN = 5000;
+
+// get one page of the conversation between two users, oldest first
+// before/after are message ids; the cursor orders by (sent_at, id) so equal timestamps stay stable
+async function getMessagesPage(user1_id, user2_id, { before = null, after = null, limit = 50 } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+  const params = [user1_id, user2_id];
+  let cursorClause = '';
+  let order = 'DESC';
+  
+  if (before) {
+    params.push(before);
+    cursorClause = `AND (m.sent_at, m.id) < (SELECT c.sent_at, c.id FROM messages c WHERE c.id = $${params.length})`;
+  } else if (after) {
+    params.push(after);
+    cursorClause = `AND (m.sent_at, m.id) > (SELECT c.sent_at, c.id FROM messages c WHERE c.id = $${params.length})`;
+    order = 'ASC';
+  }
+  
+  // fetch one extra row to know whether another page exists
+  params.push(pageSize + 1);
+  const result = await db.query(
+    `SELECT m.*, u.username as sender_username
+     FROM messages m
+     JOIN users u ON m.sender_id = u.id
+     WHERE ((m.sender_id = $1 AND m.receiver_id = $2)
+        OR (m.sender_id = $2 AND m.receiver_id = $1))
+       ${cursorClause}
+     ORDER BY m.sent_at ${order}, m.id ${order}
+     LIMIT $${params.length}`,
+    params
   );
   
-  return decryptedMessages;
+  const hasMore = result.rows.length > pageSize;
+  const rows = result.rows.slice(0, pageSize);
+  if (order === 'DESC') {
+    rows.reverse();
+  }
+  
+  return {
+    messages: await withReactions(await Promise.all(rows.map(decryptMessageRow))),
+    hasMore
+  };
+}
+
+// search a user's own conversations, newest first
+// content is encrypted at rest, so rows are decrypted in bounded batches until enough matches
+// are found or the scan budget runs out; nextCursor resumes the scan where it stopped
+async function searchMessages(user_id, text, { with_user_id = null, before = null, limit = 20 } = {}) {
+  const resultLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+  const needle = text.toLowerCase();
+  const results = [];
+  let cursor = before;
+  let scanned = 0;
+  let exhausted = false;
+  
+  while (results.length < resultLimit && scanned < SEARCH_MAX_SCAN) {
+    const params = [user_id];
+    let filter = '(m.sender_id = $1 OR m.receiver_id = $1)';
+    
+    if (with_user_id) {
+      params.push(with_user_id);
+      filter = `((m.sender_id = $1 AND m.receiver_id = $2) OR (m.sender_id = $2 AND m.receiver_id = $1))`;
+    }
+    if (cursor) {
+      params.push(cursor);
+      filter += ` AND (m.sent_at, m.id) < (SELECT c.sent_at, c.id FROM messages c WHERE c.id = $${params.length})`;
+    }
+    params.push(Math.min(SEARCH_BATCH_SIZE, SEARCH_MAX_SCAN - scanned));
+    
+    const batch = await db.query(
+      `SELECT m.*, s.username as sender_username, r.username as receiver_username
+       FROM messages m
+       JOIN users s ON m.sender_id = s.id
+       JOIN users r ON m.receiver_id = r.id
+       WHERE ${filter} AND m.deleted_at IS NULL AND m.is_e2ee = FALSE
+       ORDER BY m.sent_at DESC, m.id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    
+    if (batch.rows.length === 0) {
+      exhausted = true;
+      break;
+    }
+    
+    for (const row of batch.rows) {
+      scanned++;
+      cursor = row.id;
+      
+      const message = await decryptMessageRow(row);
+      if (message.encrypted_message && message.encrypted_message.toLowerCase().includes(needle)) {
+        results.push(message);
+        if (results.length >= resultLimit) break;
+      }
+    }
+    
+    if (batch.rows.length < params[params.length - 1] && results.length < resultLimit) {
+      exhausted = true;
+      break;
+    }
+  }
+  
+  return {
+    results,
+    nextCursor: exhausted ? null : cursor,
+    scanned
+  };
 }
 
 // mark single message as read
 async function markMessageAsRead(message_id) {
   const result = await db.query(
-    `UPDATE messages SET is_read = TRUE WHERE id = $1 RETURNING *`,
+    `UPDATE messages
+     SET is_read = TRUE,
+         read_at = COALESCE(read_at, CURRENT_TIMESTAMP),
+         delivered_at = COALESCE(delivered_at, CURRENT_TIMESTAMP)
+     WHERE id = $1 RETURNING *`,
     [message_id]
   );
   return result.rows[0];
 }
 
-// mark all messages as read between two users
+// mark all messages as read between two users, moving the receiver's read marker in conversation_reads
+// to the sender's newest message (never backwards)
 async function markMessagesAsRead(receiver_id, sender_id) {
   const result = await db.query(
-    `UPDATE messages 
-     SET is_read = TRUE 
+    `WITH marker AS (
+       INSERT INTO conversation_reads (user_id, friend_id, last_read_message_id, last_read_at)
+       SELECT $1, $2, MAX(id), CURRENT_TIMESTAMP FROM messages WHERE receiver_id = $1 AND sender_id = $2
+       HAVING MAX(id) IS NOT NULL
+       ON CONFLICT (user_id, friend_id) DO UPDATE
+       SET last_read_message_id = EXCLUDED.last_read_message_id, last_read_at = EXCLUDED.last_read_at
+       WHERE conversation_reads.last_read_message_id < EXCLUDED.last_read_message_id
+     )
+     UPDATE messages 
+     SET is_read = TRUE,
+         read_at = CURRENT_TIMESTAMP,
+         delivered_at = COALESCE(delivered_at, CURRENT_TIMESTAMP)
      WHERE receiver_id = $1 AND sender_id = $2 AND is_read = FALSE 
      RETURNING id`,
     [receiver_id, sender_id]
@@ -73,43 +274,252 @@ async function markMessagesAsRead(receiver_id, sender_id) {
   return result.rows;
 }
 
+// read state of every friend chat of a user: how many messages from the friend are unread (after the
+// user's read marker) up to newest_message_id, and how far and when the friend last read the user's
+// messages (seen_*)
+async function getReadStatesForUser(user_id) {
+  const result = await db.query(
+    `SELECT u.id AS friend_id, u.username,
+            mine.last_read_message_id, mine.last_read_at,
+            theirs.last_read_message_id AS seen_message_id, theirs.last_read_at AS seen_at,
+            received.unread_count, received.newest_message_id
+     FROM friends f
+     JOIN users u ON (u.id = f.friend_id AND f.user_id = $1) OR (u.id = f.user_id AND f.friend_id = $1)
+     LEFT JOIN conversation_reads mine ON mine.user_id = $1 AND mine.friend_id = u.id
+     LEFT JOIN conversation_reads theirs ON theirs.user_id = u.id AND theirs.friend_id = $1
+     LEFT JOIN LATERAL (
+       SELECT COUNT(*) FILTER (
+                WHERE m.deleted_at IS NULL AND m.id > COALESCE(mine.last_read_message_id, 0)
+              ) AS unread_count,
+              MAX(m.id) AS newest_message_id
+       FROM messages m
+       WHERE m.sender_id = u.id AND m.receiver_id = $1
+     ) received ON TRUE
+     ORDER BY u.username`,
+    [user_id]
+  );
+  return result.rows.map(row => ({
+    ...row,
+    unread_count: parseInt(row.unread_count)
+  }));
+}
+
 // get unread message count for user
 async function getUnreadMessageCount(user_id) {
   const result = await db.query(
-    `SELECT COUNT(*) as count FROM messages WHERE receiver_id = $1 AND is_read = FALSE`,
+    `SELECT COUNT(*) as count FROM messages WHERE receiver_id = $1 AND is_read = FALSE AND deleted_at IS NULL`,
     [user_id]
   );
   return parseInt(result.rows[0].count);
 }
 
-// delete message by id
-async function deleteMessage(message_id) {
+// get message by id (content stays encrypted)
+async function getMessageById(message_id) {
   const result = await db.query(
-    `DELETE FROM messages WHERE id = $1 RETURNING *`,
+    `SELECT * FROM messages WHERE id = $1`,
     [message_id]
   );
-  return result.rows[0];
+  return result.rows[0] || null;
+}
+
+// replace message content, keeping the previous version in message_edits
+// only the sender can edit, and only within windowSeconds of sending (returns null otherwise)
+async function editMessage(message_id, sender_id, updated_content, windowSeconds) {
+  const client = await db.getClient();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const current = await client.query(
+      `SELECT * FROM messages
+       WHERE id = $1 AND sender_id = $2 AND deleted_at IS NULL
+         AND sent_at > CURRENT_TIMESTAMP - make_interval(secs => $3)
+       FOR UPDATE`,
+      [message_id, sender_id, windowSeconds]
+    );
+    if (!current.rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    
+    const previous = current.rows[0];
+    await client.query(
+      `INSERT INTO message_edits (message_id, encrypted_message, iv, signature, key_id)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [message_id, previous.encrypted_message, previous.iv, previous.signature, previous.key_id]
+    );
+    
+    // encrypt updated content before storing
+    const encryptedData = await encryptForConversation(updated_content, previous.sender_id, previous.receiver_id);
+    const result = await client.query(
+      `UPDATE messages
+       SET encrypted_message = $1, iv = $2, signature = $3, key_id = $4, edited_at = CURRENT_TIMESTAMP
+       WHERE id = $5 RETURNING *`,
+      [encryptedData.encrypted_message, encryptedData.iv, encryptedData.signature, encryptedData.key_id, message_id]
+    );
+    
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
 }
 
-// update message with encryption
-async function updateMessageById(sender_id, receiver_id, message_id, updated_content) {
-  // encrypt updated content before storing
-  const encryptedData = await messageEncryption.encrypt(updated_content);
+// turn a message into a tombstone: content, edit history and reactions are wiped, the row stays
+// only the sender can delete, and only within windowSeconds of sending (returns null otherwise)
+async function deleteMessage(message_id, sender_id, windowSeconds) {
+  const client = await db.getClient();
   
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(
+      `UPDATE messages
+       SET encrypted_message = '', signature = NULL, key_id = NULL, deleted_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND sender_id = $2 AND deleted_at IS NULL
+         AND sent_at > CURRENT_TIMESTAMP - make_interval(secs => $3)
+       RETURNING *`,
+      [message_id, sender_id, windowSeconds]
+    );
+    
+    if (result.rows[0]) {
+      await client.query('DELETE FROM message_edits WHERE message_id = $1', [message_id]);
+      await client.query('DELETE FROM message_reactions WHERE message_id = $1', [message_id]);
+    }
+    
+    await client.query('COMMIT');
+    return result.rows[0] || null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// get previous versions of an edited message, oldest first
+async function getMessageEdits(message_id) {
   const result = await db.query(
-    `UPDATE messages SET encrypted_message = $1, iv = $2, signature = $3 
-     WHERE id = $4 AND sender_id = $5 AND receiver_id = $6 RETURNING *`,
-    [encryptedData.encrypted_message, encryptedData.iv, encryptedData.signature, message_id, sender_id, receiver_id]
+    `SELECT e.*, m.sender_id, m.receiver_id
+     FROM message_edits e
+     JOIN messages m ON e.message_id = m.id
+     WHERE e.message_id = $1
+     ORDER BY e.replaced_at ASC, e.id ASC`,
+    [message_id]
   );
-  return result.rows[0];
+  
+  return Promise.all(result.rows.map(async edit => {
+    const decrypted = await decryptMessageRow(edit);
+    return {
+      id: edit.id,
+      content: decrypted.encrypted_message,
+      replaced_at: edit.replaced_at
+    };
+  }));
+}
+
+// rows the re-encryption job still has to move: written before data keys existed or under a retired key
+function staleKeyClause(alias) {
+  return `(${alias}.key_id IS NULL OR ${alias}.key_id IN (SELECT id FROM conversation_keys WHERE retired_at IS NOT NULL))`;
+}
+
+// how direct messages are opened and sealed again by reencryptRows
+const directMessageCodec = {
+  decrypt: decryptContent,
+  encrypt: (content, row) => encryptForConversation(content, row.sender_id, row.receiver_id),
+};
+
+// re-encrypt up to limit stale rows of a table with id > afterId under the active data key
+// rows that cannot be decrypted are left alone and counted as failed, lastId lets the caller move past them
+async function reencryptRows(table, selectSql, { afterId = 0, limit }, codec = directMessageCodec) {
+  const client = await db.getClient();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(selectSql, [afterId, limit]);
+    let reencrypted = 0;
+    let failed = 0;
+    
+    for (const row of result.rows) {
+      let content;
+      try {
+        content = await codec.decrypt(row);
+      } catch (error) {
+        failed++;
+        continue;
+      }
+      if (!content) {
+        failed++;
+        continue;
+      }
+      
+      const encryptedData = await codec.encrypt(content, row);
+      await client.query(
+        `UPDATE ${table} SET encrypted_message = $1, iv = $2, signature = $3, key_id = $4 WHERE id = $5`,
+        [encryptedData.encrypted_message, encryptedData.iv, encryptedData.signature, encryptedData.key_id, row.id]
+      );
+      reencrypted++;
+    }
+    
+    await client.query('COMMIT');
+    return {
+      scanned: result.rows.length,
+      reencrypted,
+      failed,
+      lastId: result.rows.length ? result.rows[result.rows.length - 1].id : null
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// move messages off legacy SERVER_KEY encryption and retired data keys (tombstones have no content)
+async function reencryptMessages(options) {
+  return reencryptRows('messages', `
+    SELECT m.* FROM messages m
+    WHERE m.id > $1 AND m.deleted_at IS NULL AND ${staleKeyClause('m')}
+    ORDER BY m.id
+    LIMIT $2
+    FOR UPDATE SKIP LOCKED`, options);
+}
+
+// same for previous versions of edited messages
+async function reencryptMessageEdits(options) {
+  return reencryptRows('message_edits', `
+    SELECT e.*, m.sender_id, m.receiver_id
+    FROM message_edits e
+    JOIN messages m ON e.message_id = m.id
+    WHERE e.id > $1 AND ${staleKeyClause('e')}
+    ORDER BY e.id
+    LIMIT $2
+    FOR UPDATE OF e SKIP LOCKED`, options);
 }
 
 module.exports = {
   sendMessage,
+  getMessageByClientId,
+  getUndeliveredMessages,
+  markMessagesDelivered,
   getMessagesBetweenUsers,
+  getMessagesPage,
+  searchMessages,
   markMessageAsRead,
   markMessagesAsRead,
+  getReadStatesForUser,
   getUnreadMessageCount,
+  getMessageById,
+  editMessage,
   deleteMessage,
-  updateMessageById,
+  getMessageEdits,
+  reencryptMessages,
+  reencryptMessageEdits,
+  reencryptRows,
+  staleKeyClause,
 }; 
\ No newline at end of file
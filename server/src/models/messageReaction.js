@@ -0,0 +1,78 @@
+const db = require('../utils/db');
+
+// a reaction is a single emoji (zwj sequences and flags included)
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Emoji_Modifier}|\p{Regional_Indicator}|\u200d|\ufe0f)+$/u;
+const MAX_EMOJI_LENGTH = 32;
+
+// check emoji before it is stored or broadcast
+function isValidEmoji(emoji) {
+  return typeof emoji === 'string' && emoji.length <= MAX_EMOJI_LENGTH && EMOJI_PATTERN.test(emoji);
+}
+
+// collapse { emoji, username } rows into [{ emoji, count, users }] in first-use order
+function summarizeReactions(rows) {
+  const byEmoji = new Map();
+  for (const row of rows) {
+    if (!byEmoji.has(row.emoji)) {
+      byEmoji.set(row.emoji, []);
+    }
+    byEmoji.get(row.emoji).push(row.username);
+  }
+  return [...byEmoji].map(([emoji, users]) => ({ emoji, count: users.length, users }));
+}
+
+// add reaction, returns false if the user already reacted with this emoji
+async function addReaction(message_id, user_id, emoji) {
+  const result = await db.query(
+    `INSERT INTO message_reactions (message_id, user_id, emoji)
+     VALUES ($1, $2, $3)
+     ON CONFLICT DO NOTHING
+     RETURNING message_id`,
+    [message_id, user_id, emoji]
+  );
+  return result.rowCount > 0;
+}
+
+// remove reaction, returns false if there was nothing to remove
+async function removeReaction(message_id, user_id, emoji) {
+  const result = await db.query(
+    'DELETE FROM message_reactions WHERE message_id = $1 AND user_id = $2 AND emoji = $3',
+    [message_id, user_id, emoji]
+  );
+  return result.rowCount > 0;
+}
+
+// get aggregated reactions keyed by message id
+async function getReactionsForMessages(message_ids) {
+  if (message_ids.length === 0) {
+    return {};
+  }
+
+  const result = await db.query(
+    `SELECT r.message_id, r.emoji, u.username
+     FROM message_reactions r
+     JOIN users u ON u.id = r.user_id
+     WHERE r.message_id = ANY($1)
+     ORDER BY r.created_at ASC`,
+    [message_ids]
+  );
+
+  const rowsByMessage = {};
+  for (const row of result.rows) {
+    (rowsByMessage[row.message_id] = rowsByMessage[row.message_id] || []).push(row);
+  }
+
+  const reactions = {};
+  for (const [message_id, rows] of Object.entries(rowsByMessage)) {
+    reactions[message_id] = summarizeReactions(rows);
+  }
+  return reactions;
+}
+
+module.exports = {
+  isValidEmoji,
+  summarizeReactions,
+  addReaction,
+  removeReaction,
+  getReactionsForMessages,
+};
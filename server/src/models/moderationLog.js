@@ -82,17 +82,24 @@ async function getLogsByReporter(username) {
   return result.rows;
 }
 
+// get moderation log by id
+async function getLogById(id) {
+  const result = await db.query('SELECT * FROM moderation_logs WHERE id = $1', [id]);
+  return result.rows[0];
+}
+
 // update log status for moderation review
-async function updateLogStatus(id, status, reviewedBy, actionTaken) {
+async function updateLogStatus(id, status, reviewedBy, actionTaken, sanctionId = null) {
   const result = await db.query(
     `UPDATE moderation_logs 
      SET status = $2, 
          reviewed_at = CURRENT_TIMESTAMP,
          reviewed_by = $3,
-         action_taken = $4
+         action_taken = $4,
+         sanction_id = COALESCE($5, sanction_id)
      WHERE id = $1 
      RETURNING *`,
-    [id, status, reviewedBy, actionTaken]
+    [id, status, reviewedBy, actionTaken, sanctionId]
   );
   return result.rows[0];
 }
@@ -124,6 +131,7 @@ module.exports = {
   getLogsForUser,
   getAllLogs,
   getLogsByReporter,
+  getLogById,
   updateLogStatus,
   deleteModerationLog,
   checkDuplicateReport,
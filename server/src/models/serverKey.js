@@ -1,34 +1,79 @@
 const db = require('../utils/db');
+const { getKeyProvider } = require('../utils/keyProviders');
+
+// associated data for the wrapped private key
+const PRIVATE_KEY_CONTEXT = 'server_key:1';
+
+async function wrapPrivateKey(private_key) {
+  return getKeyProvider().wrap(Buffer.from(private_key, 'utf8'), PRIVATE_KEY_CONTEXT);
+}
+
+// return the row with the plaintext pem in private_key (legacy rows are stored unwrapped)
+async function unwrapRow(row) {
+  if (!row || !row.master_key_id) return row;
+
+  const private_key = await getKeyProvider().unwrap(
+    { master_key_id: row.master_key_id, wrapped_key: row.private_key, nonce: row.private_key_nonce },
+    PRIVATE_KEY_CONTEXT
+  );
+  return { ...row, private_key: private_key.toString('utf8') };
+}
 
 // set server key (insert if not exists)
 async function setServerKey({ public_key, private_key }) {
+  const wrapped = await wrapPrivateKey(private_key);
   const result = await db.query(
-    `INSERT INTO server_keys (id, public_key, private_key)
-     VALUES (1, $1, $2)
-     ON CONFLICT (id) DO UPDATE SET public_key = EXCLUDED.public_key, private_key = EXCLUDED.private_key
+    `INSERT INTO server_keys (id, public_key, private_key, master_key_id, private_key_nonce)
+     VALUES (1, $1, $2, $3, $4)
+     ON CONFLICT (id) DO UPDATE SET public_key = EXCLUDED.public_key, private_key = EXCLUDED.private_key,
+       master_key_id = EXCLUDED.master_key_id, private_key_nonce = EXCLUDED.private_key_nonce
      RETURNING *`,
-    [public_key, private_key]
+    [public_key, wrapped.wrapped_key, wrapped.master_key_id, wrapped.nonce]
   );
-  return result.rows[0];
+  return unwrapRow(result.rows[0]);
 }
 
 // get server key
 async function getServerKey() {
   const result = await db.query('SELECT * FROM server_keys WHERE id = 1');
-  return result.rows[0];
+  return unwrapRow(result.rows[0]);
+}
+
+// get only the public half, without touching the private key
+async function getServerPublicKey() {
+  const result = await db.query('SELECT public_key FROM server_keys WHERE id = 1');
+  return result.rows[0] ? result.rows[0].public_key : null;
 }
 
 // update server key
 async function updateServerKey({ public_key, private_key }) {
+  const wrapped = await wrapPrivateKey(private_key);
   const result = await db.query(
-    `UPDATE server_keys SET public_key = $1, private_key = $2 WHERE id = 1 RETURNING *`,
-    [public_key, private_key]
+    `UPDATE server_keys SET public_key = $1, private_key = $2, master_key_id = $3, private_key_nonce = $4
+     WHERE id = 1 RETURNING *`,
+    [public_key, wrapped.wrapped_key, wrapped.master_key_id, wrapped.nonce]
   );
-  return result.rows[0];
+  return unwrapRow(result.rows[0]);
+}
+
+// wrap a plaintext private key, or re-wrap one held by an old master key; returns true if it changed
+async function rewrapServerKey() {
+  const result = await db.query('SELECT * FROM server_keys WHERE id = 1');
+  const row = result.rows[0];
+  if (!row) return false;
+
+  const currentKeyId = await getKeyProvider().getCurrentKeyId();
+  if (row.master_key_id === currentKeyId) return false;
+
+  const { public_key, private_key } = await unwrapRow(row);
+  await updateServerKey({ public_key, private_key });
+  return true;
 }
 
 module.exports = {
   setServerKey,
   getServerKey,
+  getServerPublicKey,
   updateServerKey,
-}; 
\ No newline at end of file
+  rewrapServerKey,
+};
@@ -29,11 +29,18 @@ async function getUserByEmail(email) {
   return result.rows[0];
 }
 
-// search users by username with partial match
-async function searchUsersByUsername(username) {
+// search users by username with partial match, hiding users blocked in either direction
+async function searchUsersByUsername(username, viewerId = null) {
   const result = await db.query(
-    'SELECT * FROM users WHERE username ILIKE $1 ORDER BY username LIMIT 10',
-    [`%${username}%`]
+    `SELECT * FROM users u
+     WHERE u.username ILIKE $1
+       AND ($2::uuid IS NULL OR NOT EXISTS (
+         SELECT 1 FROM user_blocks b
+         WHERE (b.blocker_id = $2 AND b.blocked_id = u.id)
+            OR (b.blocker_id = u.id AND b.blocked_id = $2)
+       ))
+     ORDER BY u.username LIMIT 10`,
+    [`%${username}%`, viewerId]
   );
   return result.rows;
 }
@@ -44,24 +51,55 @@ async function getAllUsers() {
   return result.rows;
 }
 
-// update user fields dynamically
+// get role for user
+async function getUserRole(id) {
+  const result = await db.query('SELECT role FROM users WHERE id = $1', [id]);
+  return result.rows[0]?.role || null;
+}
+
+// change user role
+async function updateUserRole(id, role) {
+  const result = await db.query(
+    'UPDATE users SET role = $1 WHERE id = $2 RETURNING id, username, role',
+    [role, id]
+  );
+  return result.rows[0];
+}
+
+// columns updateUser may write; anything else is rejected so field names never reach the sql unchecked
+const UPDATABLE_COLUMNS = [
+  'description',
+  'status',
+  'is_online',
+  'last_active_at',
+  'profile_picture_url',
+  'languages',
+  'region',
+  'language_match',
+];
+
+// update user fields dynamically (only UPDATABLE_COLUMNS), never returns the password hash
 async function updateUser(id, fields) {
   const keys = Object.keys(fields);
   const values = Object.values(fields);
   if (keys.length === 0) {
     return null;
   }
+  const unknown = keys.filter(key => !UPDATABLE_COLUMNS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Cannot update user fields: ${unknown.join(', ')}`);
+  }
   const setString = keys.map((key, idx) => `${key} = $${idx + 1}`).join(', ');
   
-  try {
-    const result = await db.query(
-      `UPDATE users SET ${setString} WHERE id = $${keys.length + 1} RETURNING *`,
-      [...values, id]
-    );
+  const result = await db.query(
+    `UPDATE users SET ${setString} WHERE id = $${keys.length + 1} RETURNING *`,
+    [...values, id]
+  );
+  if (!result.rows[0]) {
     return result.rows[0];
-  } catch (error) {
-    throw error;
   }
+  const { password_hash, ...user } = result.rows[0];
+  return user;
 }
 
 // delete user and all associated data
@@ -152,6 +190,8 @@ module.exports = {
   getUserByEmail,
   searchUsersByUsername,
   getAllUsers,
+  getUserRole,
+  updateUserRole,
   updateUser,
   deleteUser,
 }; 
\ No newline at end of file
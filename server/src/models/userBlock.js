@@ -0,0 +1,77 @@
+const db = require('../utils/db');
+
+// block a user (idempotent)
+async function blockUser(blocker_id, blocked_id) {
+  const result = await db.query(
+    `INSERT INTO user_blocks (blocker_id, blocked_id)
+     VALUES ($1, $2)
+     ON CONFLICT (blocker_id, blocked_id) DO UPDATE SET blocker_id = EXCLUDED.blocker_id
+     RETURNING *`,
+    [blocker_id, blocked_id]
+  );
+  return result.rows[0];
+}
+
+// unblock a user
+async function unblockUser(blocker_id, blocked_id) {
+  const result = await db.query(
+    'DELETE FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2 RETURNING *',
+    [blocker_id, blocked_id]
+  );
+  return result.rows[0];
+}
+
+// get users blocked by a user
+async function getBlockedUsers(blocker_id) {
+  const result = await db.query(
+    `SELECT b.blocked_id, b.created_at, u.username
+     FROM user_blocks b
+     JOIN users u ON u.id = b.blocked_id
+     WHERE b.blocker_id = $1
+     ORDER BY b.created_at DESC`,
+    [blocker_id]
+  );
+  return result.rows;
+}
+
+// check if either user has blocked the other
+async function isBlockedEitherWay(user1_id, user2_id) {
+  const result = await db.query(
+    `SELECT 1 FROM user_blocks
+     WHERE (blocker_id = $1 AND blocked_id = $2)
+        OR (blocker_id = $2 AND blocked_id = $1)
+     LIMIT 1`,
+    [user1_id, user2_id]
+  );
+  return result.rows.length > 0;
+}
+
+// get ids of users a user must never be paired with in random chat
+// (blocked in either direction, or reported in either direction)
+async function getMatchAvoidIds(user_id) {
+  const result = await db.query(
+    `SELECT blocked_id AS id FROM user_blocks WHERE blocker_id = $1
+     UNION
+     SELECT blocker_id FROM user_blocks WHERE blocked_id = $1
+     UNION
+     SELECT u.id FROM moderation_logs m
+       JOIN users me ON me.id = $1
+       JOIN users u ON u.username = m.reported_user
+       WHERE m.reporting_user = me.username
+     UNION
+     SELECT u.id FROM moderation_logs m
+       JOIN users me ON me.id = $1
+       JOIN users u ON u.username = m.reporting_user
+       WHERE m.reported_user = me.username`,
+    [user_id]
+  );
+  return result.rows.map(row => row.id);
+}
+
+module.exports = {
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  isBlockedEitherWay,
+  getMatchAvoidIds,
+};
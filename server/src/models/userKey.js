@@ -46,10 +46,81 @@ async function getUserByPublicKey(public_key) {
   return result.rows[0];
 }
 
+// publish identity key and signed prekey (public halves only)
+async function publishBundle(user_id, { identity_key, signing_key, signed_prekey_id, signed_prekey, signed_prekey_signature }) {
+  const updated = await db.query(
+    `UPDATE user_keys
+     SET public_key = $2, private_key = NULL, signing_key = $3, signed_prekey_id = $4,
+         signed_prekey = $5, signed_prekey_signature = $6, updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 RETURNING *`,
+    [user_id, identity_key, signing_key, signed_prekey_id, signed_prekey, signed_prekey_signature]
+  );
+  if (updated.rows[0]) {
+    return updated.rows[0];
+  }
+
+  const inserted = await db.query(
+    `INSERT INTO user_keys (user_id, public_key, signing_key, signed_prekey_id, signed_prekey, signed_prekey_signature)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [user_id, identity_key, signing_key, signed_prekey_id, signed_prekey, signed_prekey_signature]
+  );
+  return inserted.rows[0];
+}
+
+// drop one-time prekeys (a new identity makes the old ones useless)
+async function deleteOneTimePrekeys(user_id) {
+  await db.query('DELETE FROM user_one_time_prekeys WHERE user_id = $1', [user_id]);
+}
+
+// add one-time prekeys, existing key ids are kept
+async function addOneTimePrekeys(user_id, prekeys) {
+  if (prekeys.length === 0) return 0;
+
+  const result = await db.query(
+    `INSERT INTO user_one_time_prekeys (user_id, key_id, public_key)
+     SELECT $1, key_id, public_key
+     FROM UNNEST($2::int[], $3::text[]) AS k(key_id, public_key)
+     ON CONFLICT DO NOTHING`,
+    [user_id, prekeys.map(k => k.key_id), prekeys.map(k => k.public_key)]
+  );
+  return result.rowCount;
+}
+
+// count unclaimed one-time prekeys
+async function countOneTimePrekeys(user_id) {
+  const result = await db.query(
+    'SELECT COUNT(*) AS count FROM user_one_time_prekeys WHERE user_id = $1',
+    [user_id]
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+// take one one-time prekey so no two senders get the same one
+async function claimOneTimePrekey(user_id) {
+  const result = await db.query(
+    `DELETE FROM user_one_time_prekeys
+     WHERE (user_id, key_id) = (
+       SELECT user_id, key_id FROM user_one_time_prekeys
+       WHERE user_id = $1
+       ORDER BY key_id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING key_id, public_key`,
+    [user_id]
+  );
+  return result.rows[0] || null;
+}
+
 module.exports = {
   addUserKey,
   getUserKey,
   updateUserKey,
   deleteUserKey,
   getUserByPublicKey,
+  publishBundle,
+  deleteOneTimePrekeys,
+  addOneTimePrekeys,
+  countOneTimePrekeys,
+  claimOneTimePrekey,
 }; 
\ No newline at end of file
@@ -0,0 +1,127 @@
+const db = require('../utils/db');
+
+// sanction types that block login and socket connections
+const ACCOUNT_BLOCKING_TYPES = ['suspension', 'ban'];
+
+// sanction types that block random matchmaking
+const MATCHMAKING_BLOCKING_TYPES = ['suspension', 'ban', 'matchmaking_ban'];
+
+// create sanction for user, optionally linked to a moderation log
+async function createSanction({ user_id, moderation_log_id, type, reason, issued_by, expires_at }) {
+  const result = await db.query(
+    `INSERT INTO user_sanctions (user_id, moderation_log_id, type, reason, issued_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [user_id, moderation_log_id || null, type, reason, issued_by, expires_at || null]
+  );
+  return result.rows[0];
+}
+
+// get sanction by id
+async function getSanctionById(id) {
+  const result = await db.query('SELECT * FROM user_sanctions WHERE id = $1', [id]);
+  return result.rows[0];
+}
+
+// get all sanctions for user, newest first
+async function getSanctionsForUser(user_id) {
+  const result = await db.query(
+    `SELECT * FROM user_sanctions
+     WHERE user_id = $1
+     ORDER BY issued_at DESC`,
+    [user_id]
+  );
+  return result.rows;
+}
+
+// get the longest-running active sanction of the given types
+async function getActiveSanction(user_id, types) {
+  const result = await db.query(
+    `SELECT * FROM user_sanctions
+     WHERE user_id = $1
+       AND type = ANY($2)
+       AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+     ORDER BY expires_at DESC NULLS FIRST
+     LIMIT 1`,
+    [user_id, types]
+  );
+  return result.rows[0] || null;
+}
+
+// get active sanction that blocks login/socket access
+async function getAccountBlockingSanction(user_id) {
+  return getActiveSanction(user_id, ACCOUNT_BLOCKING_TYPES);
+}
+
+// get active sanction that blocks random matchmaking
+async function getMatchmakingBlockingSanction(user_id) {
+  return getActiveSanction(user_id, MATCHMAKING_BLOCKING_TYPES);
+}
+
+// lift sanction before it expires
+async function revokeSanction(id, revoked_by) {
+  const result = await db.query(
+    `UPDATE user_sanctions
+     SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $2
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING *`,
+    [id, revoked_by]
+  );
+  return result.rows[0];
+}
+
+// submit appeal for own sanction (one appeal per sanction)
+async function submitAppeal(id, user_id, message) {
+  const result = await db.query(
+    `UPDATE user_sanctions
+     SET appeal_status = 'pending', appeal_message = $3, appeal_submitted_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND user_id = $2 AND appeal_status = 'none' AND type <> 'warning'
+     RETURNING *`,
+    [id, user_id, message]
+  );
+  return result.rows[0];
+}
+
+// get all appeals awaiting review
+async function getPendingAppeals() {
+  const result = await db.query(
+    `SELECT s.*, u.username
+     FROM user_sanctions s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.appeal_status = 'pending'
+     ORDER BY s.appeal_submitted_at ASC`
+  );
+  return result.rows;
+}
+
+// resolve appeal; an approved appeal also lifts the sanction
+async function reviewAppeal(id, decision, reviewed_by) {
+  const result = await db.query(
+    `UPDATE user_sanctions
+     SET appeal_status = $2,
+         appeal_reviewed_by = $3,
+         appeal_reviewed_at = CURRENT_TIMESTAMP,
+         revoked_at = CASE WHEN $2 = 'approved' THEN COALESCE(revoked_at, CURRENT_TIMESTAMP) ELSE revoked_at END,
+         revoked_by = CASE WHEN $2 = 'approved' THEN COALESCE(revoked_by, $3) ELSE revoked_by END
+     WHERE id = $1 AND appeal_status = 'pending'
+     RETURNING *`,
+    [id, decision, reviewed_by]
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  ACCOUNT_BLOCKING_TYPES,
+  MATCHMAKING_BLOCKING_TYPES,
+  createSanction,
+  getSanctionById,
+  getSanctionsForUser,
+  getActiveSanction,
+  getAccountBlockingSanction,
+  getMatchmakingBlockingSanction,
+  revokeSanction,
+  submitAppeal,
+  getPendingAppeals,
+  reviewAppeal,
+};
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { requirePermission, PERMISSIONS } = require('../middleware/adminAuth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Roles, permissions and admin audit trail
+ */
+
+/**
+ * @swagger
+ * /api/admin/me:
+ *   get:
+ *     summary: Get role and permissions of the current moderator or admin
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role and permission list
+ *       403:
+ *         description: Not a moderator or admin
+ */
+router.get('/me', requirePermission(PERMISSIONS.MODERATION_READ), adminController.getMyPermissions);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   put:
+ *     summary: Change the role of a user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, moderator, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Invalid role or user ID
+ *       404:
+ *         description: User not found
+ */
+router.put('/users/:id/role', requirePermission(PERMISSIONS.ROLES_MANAGE), adminController.updateUserRole);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs:
+ *   get:
+ *     summary: Get audit trail of admin endpoint usage
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: string
+ *         description: Only return entries for this admin or moderator
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: List of audit log entries
+ */
+router.get('/audit-logs', requirePermission(PERMISSIONS.AUDIT_READ), adminController.getAuditLogs);
+
+module.exports = router;
@@ -287,4 +287,65 @@ router.get('/github/callback', oauthLimiter, authController.githubAuthCallback);
  */
 router.post('/logout', require('../middleware/auth'), authController.logout);
 
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the devices logged in to the current account
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active device sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   userAgent:
+ *                     type: string
+ *                   ip:
+ *                     type: string
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *                   lastSeenAt:
+ *                     type: string
+ *                     format: date-time
+ *                   current:
+ *                     type: boolean
+ *                     description: Whether this is the session making the request
+ *                   connected:
+ *                     type: boolean
+ *                     description: Whether the device currently has a live socket
+ */
+router.get('/sessions', require('../middleware/auth'), authController.getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Log out a single device
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Device logged out and its sockets disconnected
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:sessionId', require('../middleware/auth'), authController.logoutSession);
+
 module.exports = router; 
\ No newline at end of file
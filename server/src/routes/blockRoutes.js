@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const blockController = require('../controllers/blockController');
+const authenticateJWT = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Blocks
+ *   description: User-to-user block list
+ */
+
+/**
+ * @swagger
+ * /api/blocks:
+ *   get:
+ *     summary: Get users blocked by the current user
+ *     tags: [Blocks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of blocked users
+ */
+router.get('/', authenticateJWT, blockController.getBlockedUsers);
+
+/**
+ * @swagger
+ * /api/blocks:
+ *   post:
+ *     summary: Block a user
+ *     description: Removes any friendship and pending friend requests with the user
+ *     tags: [Blocks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - blocked_id
+ *             properties:
+ *               blocked_id:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: User blocked
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: User not found
+ */
+router.post('/', authenticateJWT, blockController.blockUser);
+
+/**
+ * @swagger
+ * /api/blocks/{blocked_id}:
+ *   delete:
+ *     summary: Unblock a user
+ *     tags: [Blocks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: blocked_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unblocked
+ *       404:
+ *         description: Block not found
+ */
+router.delete('/:blocked_id', authenticateJWT, blockController.unblockUser);
+
+module.exports = router;
@@ -0,0 +1,358 @@
+const express = require('express');
+const router = express.Router();
+const groupController = require('../controllers/groupController');
+const authenticateJWT = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Groups
+ *   description: Group chats among friends
+ */
+
+/**
+ * @swagger
+ * /api/groups:
+ *   get:
+ *     summary: Get the current user's groups
+ *     description: Each group includes the user's role, the member count and the number of unread messages
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of groups, most recently active first
+ */
+router.get('/', authenticateJWT, groupController.getGroups);
+
+/**
+ * @swagger
+ * /api/groups:
+ *   post:
+ *     summary: Create a group
+ *     description: The creator becomes the group's admin. Every member must be a friend of the creator.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - member_ids
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               member_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Group created, returned with its members
+ *       400:
+ *         description: Invalid input or too many members
+ *       403:
+ *         description: A member is not a friend of the creator
+ */
+router.post('/', authenticateJWT, groupController.createGroup);
+
+/**
+ * @swagger
+ * /api/groups/{group_id}:
+ *   get:
+ *     summary: Get a group with its members and their read state
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: group_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Group with members
+ *       404:
+ *         description: Group not found or the user is not a member
+ */
+router.get('/:group_id', authenticateJWT, groupController.getGroup);
+
+/**
+ * @swagger
+ * /api/groups/{group_id}:
+ *   patch:
+ *     summary: Rename a group (admins only)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: group_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *     responses:
+ *       200:
+ *         description: Group renamed
+ *       403:
+ *         description: Not an admin of the group
+ */
+router.patch('/:group_id', authenticateJWT, groupController.renameGroup);
+
+/**
+ * @swagger
+ * /api/groups/{group_id}/members:
+ *   post:
+ *     summary: Add friends to a group (admins only)
+ *     description: Every added user must be a friend of the admin adding them
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: group_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_ids
+ *             properties:
+ *               user_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Members added, group returned with its members
+ *       403:
+ *         description: Not an admin, or a user is not a friend of the admin
+ *       409:
+ *         description: All users are already members
+ */
+router.post('/:group_id/members', authenticateJWT, groupController.addMembers);
+
+/**
+ * @swagger
+ * /api/groups/{group_id}/members/{user_id}:
+ *   delete:
+ *     summary: Remove a member from a group (admins only)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: group_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       403:
+ *         description: Not an admin of the group
+ *       404:
+ *         description: User is not a member
+ */
+router.delete('/:group_id/members/:user_id', authenticateJWT, groupController.removeMember);
+
+/**
+ * @swagger
+ * /api/groups/{group_id}/members/{user_id}/role:
+ *   put:
+ *     summary: Make a member an admin or a regular member (admins only)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: group_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       409:
+ *         description: The group's last admin cannot step down
+ */
+router.put('/:group_id/members/:user_id/role', authenticateJWT, groupController.setMemberRole);
+
+/**
+ * @swagger
+ * /api/groups/{group_id}/leave:
+ *   post:
+ *     summary: Leave a group
+ *     description: When the last admin leaves, the longest-standing member becomes admin. A group without members is deleted.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: group_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Left the group
+ *       404:
+ *         description: Group not found or the user is not a member
+ */
+router.post('/:group_id/leave', authenticateJWT, groupController.leaveGroup);
+
+/**
+ * @swagger
+ * /api/groups/{group_id}/messages:
+ *   get:
+ *     summary: Get one page of group history
+ *     description: Members see the messages sent since they joined, oldest first
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: group_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: integer
+ *         description: Return messages older than this message ID
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: integer
+ *         description: Return messages newer than this message ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of messages with a hasMore flag
+ */
+router.get('/:group_id/messages', authenticateJWT, groupController.getGroupMessages);
+
+/**
+ * @swagger
+ * /api/groups/{group_id}/messages:
+ *   post:
+ *     summary: Send a message to a group
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: group_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: Message content (will be encrypted server-side)
+ *               client_message_id:
+ *                 type: string
+ *                 maxLength: 64
+ *                 description: Client generated id, retries with the same id return the original message
+ *     responses:
+ *       200:
+ *         description: Duplicate send, original message returned
+ *       201:
+ *         description: Message sent
+ *       403:
+ *         description: Not a member of the group
+ */
+router.post('/:group_id/messages', authenticateJWT, groupController.sendGroupMessage);
+
+/**
+ * @swagger
+ * /api/groups/{group_id}/read:
+ *   put:
+ *     summary: Mark group messages as read up to a message
+ *     description: The read marker only moves forward. Members are notified with a groupRead socket event.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: group_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message_id
+ *             properties:
+ *               message_id:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Current read marker
+ */
+router.put('/:group_id/read', authenticateJWT, groupController.markGroupRead);
+
+module.exports = router;
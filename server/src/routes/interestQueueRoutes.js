@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const interestQueueController = require('../controllers/interestQueueController');
 const authenticateJWT = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
+const { requirePermission, PERMISSIONS } = require('../middleware/adminAuth');
 
 /**
  * @swagger
@@ -23,7 +23,7 @@ const adminAuth = require('../middleware/adminAuth');
  *       201:
  *         description: Added to queue
  */
-router.post('/', authenticateJWT, adminAuth, interestQueueController.addToQueue);
+router.post('/', authenticateJWT, requirePermission(PERMISSIONS.QUEUES_MANAGE), interestQueueController.addToQueue);
 
 /**
  * @swagger
@@ -37,7 +37,7 @@ router.post('/', authenticateJWT, adminAuth, interestQueueController.addToQueue)
  *       200:
  *         description: List of users in queue
  */
-router.get('/interest/:interest_id', authenticateJWT, adminAuth, interestQueueController.getQueueForInterest);
+router.get('/interest/:interest_id', authenticateJWT, requirePermission(PERMISSIONS.QUEUES_READ), interestQueueController.getQueueForInterest);
 
 /**
  * @swagger
@@ -51,7 +51,7 @@ router.get('/interest/:interest_id', authenticateJWT, adminAuth, interestQueueCo
  *       200:
  *         description: Removed from queue
  */
-router.delete('/', authenticateJWT, adminAuth, interestQueueController.removeFromQueue);
+router.delete('/', authenticateJWT, requirePermission(PERMISSIONS.QUEUES_MANAGE), interestQueueController.removeFromQueue);
 
 /**
  * @swagger
@@ -65,6 +65,6 @@ router.delete('/', authenticateJWT, adminAuth, interestQueueController.removeFro
  *       200:
  *         description: List of queues
  */
-router.get('/user/:user_id', authenticateJWT, adminAuth, interestQueueController.getUserQueues);
+router.get('/user/:user_id', authenticateJWT, requirePermission(PERMISSIONS.QUEUES_READ), interestQueueController.getUserQueues);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const interestRoomController = require('../controllers/interestRoomController');
+const authenticateJWT = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Rooms
+ *   description: Public topic rooms per interest. Joining, leaving and messaging happen over the socket
+ *     (joinInterestRoom, leaveInterestRoom, sendInterestRoomMessage)
+ */
+
+/**
+ * @swagger
+ * /api/rooms:
+ *   get:
+ *     summary: List interest rooms with their current occupancy
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: interest_id
+ *         schema:
+ *           type: integer
+ *         description: Only list the rooms of this interest
+ *     responses:
+ *       200:
+ *         description: List of rooms, persistent rooms first
+ */
+router.get('/', authenticateJWT, interestRoomController.getRooms);
+
+/**
+ * @swagger
+ * /api/rooms:
+ *   post:
+ *     summary: Open a room for an interest
+ *     description: Any user can open an ephemeral room, which is removed once the last member leaves. Persistent rooms require the interests:manage permission.
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - interest_id
+ *               - name
+ *             properties:
+ *               interest_id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 255
+ *               persistent:
+ *                 type: boolean
+ *                 default: false
+ *               max_occupancy:
+ *                 type: integer
+ *                 minimum: 2
+ *                 default: 50
+ *               slow_mode_seconds:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 3600
+ *                 default: 0
+ *     responses:
+ *       201:
+ *         description: Room created
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Not allowed to create persistent rooms
+ *       404:
+ *         description: Interest not found
+ *       409:
+ *         description: Too many ephemeral rooms open
+ */
+router.post('/', authenticateJWT, interestRoomController.createRoom);
+
+/**
+ * @swagger
+ * /api/rooms/{room_id}:
+ *   get:
+ *     summary: Get a room with its live member list
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: room_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Room with members
+ *       404:
+ *         description: Room not found
+ */
+router.get('/:room_id', authenticateJWT, interestRoomController.getRoom);
+
+/**
+ * @swagger
+ * /api/rooms/{room_id}:
+ *   patch:
+ *     summary: Change a room's name, description, occupancy limit or slow mode
+ *     description: Allowed for the creator of an ephemeral room and for interest managers. Members get an interestRoomUpdated socket event.
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: room_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               max_occupancy:
+ *                 type: integer
+ *               slow_mode_seconds:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Room updated
+ *       403:
+ *         description: Not allowed to manage this room
+ */
+router.patch('/:room_id', authenticateJWT, interestRoomController.updateRoom);
+
+/**
+ * @swagger
+ * /api/rooms/{room_id}:
+ *   delete:
+ *     summary: Delete a room
+ *     description: Members are sent out with an interestRoomClosed socket event
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: room_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Room deleted
+ *       403:
+ *         description: Not allowed to manage this room
+ */
+router.delete('/:room_id', authenticateJWT, interestRoomController.deleteRoom);
+
+module.exports = router;
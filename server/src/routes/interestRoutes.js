@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const interestController = require('../controllers/interestController');
 const authenticateJWT = require('../middleware/auth');
-const requireAdmin = require('../middleware/adminAuth');
+const { requirePermission, PERMISSIONS } = require('../middleware/adminAuth');
 
 /**
  * @swagger
@@ -37,7 +37,7 @@ const requireAdmin = require('../middleware/adminAuth');
  *         description: Invalid input
  */
 // Admin-only: Create new interests
-router.post('/', requireAdmin, interestController.createInterest);
+router.post('/', requirePermission(PERMISSIONS.INTERESTS_MANAGE), interestController.createInterest);
 
 /**
  * @swagger
@@ -117,7 +117,7 @@ router.get('/:id', authenticateJWT, interestController.getInterestById);
  *         description: Interest not found
  */
 // Admin-only: Update interests
-router.put('/:id', requireAdmin, interestController.updateInterest);
+router.put('/:id', requirePermission(PERMISSIONS.INTERESTS_MANAGE), interestController.updateInterest);
 
 /**
  * @swagger
@@ -143,6 +143,6 @@ router.put('/:id', requireAdmin, interestController.updateInterest);
  *         description: Interest not found
  */
 // Admin-only: Delete interests
-router.delete('/:id', requireAdmin, interestController.deleteInterest);
+router.delete('/:id', requirePermission(PERMISSIONS.INTERESTS_MANAGE), interestController.deleteInterest);
 
 module.exports = router; 
\ No newline at end of file
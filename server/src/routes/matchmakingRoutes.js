@@ -14,7 +14,8 @@ const authenticateJWT = require('../middleware/auth');
  * @swagger
  * /api/matchmaking/request:
  *   post:
- *     summary: Request a match based on interests
+ *     summary: Queue for a random chat, or join one right away if a match is waiting
+ *     description: Uses the same matchmaker as the enqueueForRandom socket event. The user's sockets get queueJoined or matchFound either way.
  *     tags: [Matchmaking]
  *     security:
  *       - bearerAuth: []
@@ -25,26 +26,98 @@ const authenticateJWT = require('../middleware/auth');
  *           schema:
  *             type: object
  *             required:
- *               - user_id
  *               - interests
  *             properties:
- *               user_id:
- *                 type: string
  *               interests:
  *                 type: array
  *                 items:
  *                   type: string
+ *               languages:
+ *                 type: array
+ *                 description: Language tags of the client (like navigator.languages), used when the profile has none
+ *                 items:
+ *                   type: string
  *     responses:
  *       200:
- *         description: Match result
+ *         description: Queued (status waiting) or matched (status matched, with the session)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [waiting, matched]
+ *                 session:
+ *                   $ref: '#/components/schemas/RandomChatSession'
+ *       400:
+ *         description: interests[] missing
+ *       403:
+ *         description: Matchmaking is disabled for this account
+ *       409:
+ *         description: Already waiting for or in a random chat
  */
 router.post('/request', authenticateJWT, matchmakingController.requestMatch);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RandomChatSession:
+ *       type: object
+ *       nullable: true
+ *       properties:
+ *         sessionId:
+ *           type: string
+ *         partner:
+ *           type: string
+ *           description: Username of the other user
+ *         interests:
+ *           type: array
+ *           items:
+ *             type: string
+ */
+
+/**
+ * @swagger
+ * /api/matchmaking/session:
+ *   get:
+ *     summary: Get the random chat the user is in
+ *     tags: [Matchmaking]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The current random chat
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RandomChatSession'
+ *       404:
+ *         description: Not in a random chat
+ */
+router.get('/session', authenticateJWT, matchmakingController.getSession);
+
 /**
  * @swagger
  * /api/matchmaking/cancel:
  *   post:
- *     summary: Cancel matchmaking and remove user from queues
+ *     summary: Stop waiting for a random chat
+ *     tags: [Matchmaking]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cancelled (cancelled is false when the user was not waiting)
+ */
+router.post('/cancel', authenticateJWT, matchmakingController.cancelMatch);
+
+/**
+ * @swagger
+ * /api/matchmaking/skip:
+ *   post:
+ *     summary: Skip the partner of a random chat and queue again
+ *     description: Both users are queued again with their interests and kept apart for a while. The partner gets randomUserSkipped.
  *     tags: [Matchmaking]
  *     security:
  *       - bearerAuth: []
@@ -55,26 +128,38 @@ router.post('/request', authenticateJWT, matchmakingController.requestMatch);
  *           schema:
  *             type: object
  *             required:
- *               - user_id
- *               - interests
+ *               - sessionId
  *             properties:
- *               user_id:
+ *               sessionId:
  *                 type: string
- *               interests:
- *                 type: array
- *                 items:
- *                   type: string
  *     responses:
  *       200:
- *         description: Cancelled
+ *         description: Skipped, with the new random chat if one was found right away
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 skipped:
+ *                   type: boolean
+ *                 status:
+ *                   type: string
+ *                   enum: [waiting, matched, idle]
+ *                 session:
+ *                   $ref: '#/components/schemas/RandomChatSession'
+ *       404:
+ *         description: Not in this random chat
+ *       409:
+ *         description: Random chat already ended
  */
-router.post('/cancel', authenticateJWT, matchmakingController.cancelMatch);
+router.post('/skip', authenticateJWT, matchmakingController.skipMatch);
 
 /**
  * @swagger
- * /api/matchmaking/skip:
+ * /api/matchmaking/end:
  *   post:
- *     summary: Skip current match and find new match
+ *     summary: End a random chat
+ *     description: Only the partner is queued again. The partner gets randomChatEnded.
  *     tags: [Matchmaking]
  *     security:
  *       - bearerAuth: []
@@ -85,17 +170,18 @@ router.post('/cancel', authenticateJWT, matchmakingController.cancelMatch);
  *           schema:
  *             type: object
  *             required:
- *               - interests
+ *               - sessionId
  *             properties:
- *               interests:
- *                 type: array
- *                 items:
- *                   type: string
+ *               sessionId:
+ *                 type: string
  *     responses:
  *       200:
- *         description: New match result
+ *         description: Ended
+ *       404:
+ *         description: Not in this random chat
+ *       409:
+ *         description: Random chat already ended
  */
-router.post('/skip', authenticateJWT, matchmakingController.skipMatch);
 router.post('/end', authenticateJWT, matchmakingController.endMatch);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -36,7 +36,13 @@ const authenticateJWT = require('../middleware/auth');
  *               content:
  *                 type: string
  *                 description: Message content (will be encrypted server-side)
+ *               client_message_id:
+ *                 type: string
+ *                 maxLength: 64
+ *                 description: Client generated id, retries with the same id return the original message
  *     responses:
+ *       200:
+ *         description: Duplicate send, original message returned
  *       201:
  *         description: Message sent
  *       400:
@@ -44,6 +50,190 @@ const authenticateJWT = require('../middleware/auth');
  */
 router.post('/', authenticateJWT, messageController.sendMessage);
 
+// registered before /:user1_id/:user2_id so the literal segments are not taken as ids
+
+/**
+ * @swagger
+ * /api/messages/search:
+ *   get:
+ *     summary: Search the current user's conversations
+ *     description: Messages are encrypted at rest, so the server decrypts them in bounded batches. When the scan budget runs out before the end of history, nextCursor resumes the search.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Text to search for (case-insensitive)
+ *       - in: query
+ *         name: with
+ *         schema:
+ *           type: string
+ *         description: Only search the conversation with this user ID
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Continue from this message ID (nextCursor of a previous search)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Matching messages, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 scanned:
+ *                   type: integer
+ *       400:
+ *         description: Invalid input
+ */
+router.get('/search', authenticateJWT, messageController.searchMessages);
+
+/**
+ * @swagger
+ * /api/messages/unread:
+ *   get:
+ *     summary: Get the unread count and read state of every friend chat
+ *     description: Unread counts come from the read marker stored when the user reads a chat, so they survive reloads. seen_message_id and seen_at tell how far and when the friend last read the user's messages.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Read state per friend
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 friends:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       friend_id:
+ *                         type: string
+ *                       username:
+ *                         type: string
+ *                       unread_count:
+ *                         type: integer
+ *                       newest_message_id:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Newest message from the friend when the counts were taken
+ *                       last_read_message_id:
+ *                         type: integer
+ *                         nullable: true
+ *                       last_read_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       seen_message_id:
+ *                         type: integer
+ *                         nullable: true
+ *                       seen_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       is_typing:
+ *                         type: boolean
+ */
+router.get('/unread', authenticateJWT, messageController.getUnreadCounts);
+
+/**
+ * @swagger
+ * /api/messages/history/{friend_id}:
+ *   get:
+ *     summary: Get a page of the conversation with another user
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: friend_id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Other user's ID
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Return messages older than this message ID
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Return messages newer than this message ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of messages, oldest first (the latest page when no cursor is given)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 hasMore:
+ *                   type: boolean
+ *                   description: Whether more messages exist in the requested direction
+ *       400:
+ *         description: Invalid input
+ */
+router.get('/history/:friend_id', authenticateJWT, messageController.getMessageHistory);
+
+/**
+ * @swagger
+ * /api/messages/edits/{message_id}:
+ *   get:
+ *     summary: Get previous versions of an edited message
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: message_id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Replaced versions, oldest first (empty once the message is deleted)
+ *       403:
+ *         description: Not a participant of the conversation
+ *       404:
+ *         description: Message not found
+ */
+router.get('/edits/:message_id', authenticateJWT, messageController.getMessageEdits);
+
 /**
  * @swagger
  * /api/messages/{user1_id}/{user2_id}:
@@ -170,6 +360,7 @@ router.put('/read-all', authenticateJWT, messageController.markMessagesAsRead);
  * /api/messages:
  *   delete:
  *     summary: Delete a message
+ *     description: Only the sender can delete, within MESSAGE_DELETE_WINDOW seconds of sending. The message stays as a tombstone without content.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -189,8 +380,12 @@ router.put('/read-all', authenticateJWT, messageController.markMessagesAsRead);
  *         description: Message deleted
  *       400:
  *         description: Invalid input
+ *       403:
+ *         description: Not the sender, or the delete window has passed
  *       404:
  *         description: Message not found
+ *       410:
+ *         description: Message was already deleted
  */
 router.delete('/', authenticateJWT, messageController.deleteMessage);
 
@@ -199,6 +394,7 @@ router.delete('/', authenticateJWT, messageController.deleteMessage);
  * /api/messages/update:
  *   put:
  *     summary: Update a message by id
+ *     description: Only the sender can edit, within MESSAGE_EDIT_WINDOW seconds of sending. The previous version is kept in the edit history.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -228,8 +424,12 @@ router.delete('/', authenticateJWT, messageController.deleteMessage);
  *         description: Message updated
  *       400:
  *         description: Invalid input
+ *       403:
+ *         description: Not the sender, or the edit window has passed
  *       404:
  *         description: Message not found
+ *       410:
+ *         description: Message was deleted
  */
 router.put('/update', authenticateJWT, messageController.updateMessageById);
 
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const moderationLogController = require('../controllers/moderationLogController');
 const authenticateJWT = require('../middleware/auth');
-const requireAdmin = require('../middleware/adminAuth');
+const { requirePermission, PERMISSIONS } = require('../middleware/adminAuth');
 
 /**
  * @swagger
@@ -66,8 +66,8 @@ router.post('/', authenticateJWT, moderationLogController.addModerationLog);
  *       200:
  *         description: List of logs for user
  */
-// Admin-only endpoint - blocked for now
-router.get('/user/:username', requireAdmin, moderationLogController.getLogsForUser);
+// Moderator endpoint
+router.get('/user/:username', requirePermission(PERMISSIONS.MODERATION_READ), moderationLogController.getLogsForUser);
 
 /**
  * @swagger
@@ -87,8 +87,8 @@ router.get('/user/:username', requireAdmin, moderationLogController.getLogsForUs
  *       200:
  *         description: List of logs by reporter
  */
-// Admin-only endpoint - blocked for now
-router.get('/reporter/:username', requireAdmin, moderationLogController.getLogsByReporter);
+// Moderator endpoint
+router.get('/reporter/:username', requirePermission(PERMISSIONS.MODERATION_READ), moderationLogController.getLogsByReporter);
 
 /**
  * @swagger
@@ -102,8 +102,8 @@ router.get('/reporter/:username', requireAdmin, moderationLogController.getLogsB
  *       200:
  *         description: List of all logs
  */
-// Admin-only endpoint - blocked for now
-router.get('/', requireAdmin, moderationLogController.getAllLogs);
+// Moderator endpoint
+router.get('/', requirePermission(PERMISSIONS.MODERATION_READ), moderationLogController.getAllLogs);
 
 /**
  * @swagger
@@ -134,8 +134,8 @@ router.get('/', requireAdmin, moderationLogController.getAllLogs);
  *       200:
  *         description: Log status updated
  */
-// Admin-only endpoint - blocked for now
-router.put('/status', requireAdmin, moderationLogController.updateLogStatus);
+// Moderator endpoint
+router.put('/status', requirePermission(PERMISSIONS.MODERATION_REVIEW), moderationLogController.updateLogStatus);
 
 /**
  * @swagger
@@ -160,7 +160,7 @@ router.put('/status', requireAdmin, moderationLogController.updateLogStatus);
  *       200:
  *         description: Moderation log deleted
  */
-// Admin-only endpoint - blocked for now
-router.delete('/', requireAdmin, moderationLogController.deleteModerationLog);
+// Admin-only endpoint
+router.delete('/', requirePermission(PERMISSIONS.MODERATION_DELETE), moderationLogController.deleteModerationLog);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const sanctionController = require('../controllers/sanctionController');
+const authenticateAppeal = require('../middleware/appealAuth');
+const { requirePermission, PERMISSIONS } = require('../middleware/adminAuth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Sanctions
+ *   description: Moderation sanctions and appeals
+ */
+
+/**
+ * @swagger
+ * /api/sanctions/me:
+ *   get:
+ *     summary: Get sanctions applied to the current user
+ *     description: Accepts a regular token or the appeal token returned by a blocked login
+ *     tags: [Sanctions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of sanctions
+ */
+router.get('/me', authenticateAppeal, sanctionController.getMySanctions);
+
+/**
+ * @swagger
+ * /api/sanctions/appeals:
+ *   get:
+ *     summary: Get appeals awaiting review
+ *     tags: [Sanctions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of pending appeals
+ */
+// Moderator endpoint
+router.get('/appeals', requirePermission(PERMISSIONS.MODERATION_REVIEW), sanctionController.getPendingAppeals);
+
+/**
+ * @swagger
+ * /api/sanctions/user/{user_id}:
+ *   get:
+ *     summary: Get sanctions applied to a user
+ *     tags: [Sanctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of sanctions
+ */
+// Moderator endpoint
+router.get('/user/:user_id', requirePermission(PERMISSIONS.MODERATION_READ), sanctionController.getSanctionsForUser);
+
+/**
+ * @swagger
+ * /api/sanctions/{id}/appeal:
+ *   post:
+ *     summary: Appeal one of your own sanctions
+ *     tags: [Sanctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Appeal submitted
+ *       409:
+ *         description: Sanction not appealable or already appealed
+ */
+router.post('/:id/appeal', authenticateAppeal, sanctionController.submitAppeal);
+
+/**
+ * @swagger
+ * /api/sanctions/{id}/appeal:
+ *   put:
+ *     summary: Approve or reject a pending appeal
+ *     description: Approving an appeal lifts the sanction
+ *     tags: [Sanctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *     responses:
+ *       200:
+ *         description: Appeal reviewed
+ *       404:
+ *         description: No pending appeal
+ */
+// Moderator endpoint
+router.put('/:id/appeal', requirePermission(PERMISSIONS.MODERATION_REVIEW), sanctionController.reviewAppeal);
+
+/**
+ * @swagger
+ * /api/sanctions/{id}/revoke:
+ *   put:
+ *     summary: Lift a sanction before it expires
+ *     tags: [Sanctions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Sanction revoked
+ *       404:
+ *         description: Active sanction not found
+ */
+// Moderator endpoint
+router.put('/:id/revoke', requirePermission(PERMISSIONS.MODERATION_REVIEW), sanctionController.revokeSanction);
+
+module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const serverKeyController = require('../controllers/serverKeyController');
 const authenticateJWT = require('../middleware/auth');
-const requireAdmin = require('../middleware/adminAuth');
+const { requireAdmin } = require('../middleware/adminAuth');
 
 /**
  * @swagger
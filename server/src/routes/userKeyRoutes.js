@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const userKeyController = require('../controllers/userKeyController');
 const authenticateJWT = require('../middleware/auth');
-const requireAdmin = require('../middleware/adminAuth');
+const { requireAdmin } = require('../middleware/adminAuth');
 
 /**
  * @swagger
@@ -26,6 +26,161 @@ const requireAdmin = require('../middleware/adminAuth');
 // Admin-only endpoint - blocked for now
 router.post('/validate', requireAdmin, userKeyController.validateUserPublicKey);
 
+/**
+ * @swagger
+ * /api/user-keys/bundle:
+ *   put:
+ *     summary: Publish own prekey bundle for end-to-end encrypted friend chats
+ *     description: Keys are public EC P-256 JWKs sent as JSON strings. Publishing a new identity key discards the one-time prekeys of the old one.
+ *     tags: [UserKeys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - identity_key
+ *               - signing_key
+ *               - signed_prekey_id
+ *               - signed_prekey
+ *               - signed_prekey_signature
+ *             properties:
+ *               identity_key:
+ *                 type: string
+ *                 description: ECDH identity public key
+ *               signing_key:
+ *                 type: string
+ *                 description: ECDSA identity public key that signs the signed prekey
+ *               signed_prekey_id:
+ *                 type: integer
+ *               signed_prekey:
+ *                 type: string
+ *               signed_prekey_signature:
+ *                 type: string
+ *                 description: Base64 ECDSA signature over the signed prekey
+ *               one_time_prekeys:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key_id:
+ *                       type: integer
+ *                     public_key:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Bundle published, returns the number of stored one-time prekeys
+ *       400:
+ *         description: Invalid key material
+ */
+router.put('/bundle', authenticateJWT, userKeyController.publishBundle);
+
+/**
+ * @swagger
+ * /api/user-keys/prekeys:
+ *   post:
+ *     summary: Upload more one-time prekeys
+ *     tags: [UserKeys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - prekeys
+ *             properties:
+ *               prekeys:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key_id:
+ *                       type: integer
+ *                     public_key:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Prekeys stored
+ *       400:
+ *         description: Invalid prekeys or storage limit reached
+ *       409:
+ *         description: No bundle published yet
+ */
+router.post('/prekeys', authenticateJWT, userKeyController.uploadPrekeys);
+
+/**
+ * @swagger
+ * /api/user-keys/prekeys/count:
+ *   get:
+ *     summary: Count own unclaimed one-time prekeys
+ *     tags: [UserKeys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether a bundle is published, its identity key and how many one-time prekeys remain
+ */
+router.get('/prekeys/count', authenticateJWT, userKeyController.getPrekeyCount);
+
+/**
+ * @swagger
+ * /api/user-keys/bundle/{id}:
+ *   get:
+ *     summary: Get a friend's prekey bundle
+ *     description: Claims (removes) one of the friend's one-time prekeys, which is null once they run out.
+ *     tags: [UserKeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Friend's user ID
+ *     responses:
+ *       200:
+ *         description: Identity key, signed prekey and at most one one-time prekey
+ *       403:
+ *         description: Not friends or blocked
+ *       404:
+ *         description: No bundle published
+ */
+router.get('/bundle/:id', authenticateJWT, userKeyController.getPrekeyBundle);
+
+/**
+ * @swagger
+ * /api/user-keys/identity/{id}:
+ *   get:
+ *     summary: Get a friend's current identity key
+ *     description: Used to compute the safety number shown on the verification screen. Unlike the bundle endpoint it claims no prekey.
+ *     tags: [UserKeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Friend's user ID
+ *     responses:
+ *       200:
+ *         description: Identity key and when it was last published
+ *       403:
+ *         description: Not friends or blocked
+ *       404:
+ *         description: No bundle published
+ */
+router.get('/identity/:id', authenticateJWT, userKeyController.getIdentityKey);
+
 /**
  * @swagger
  * /api/user-keys/{id}:
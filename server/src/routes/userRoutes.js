@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
 const authenticateJWT = require('../middleware/auth');
-const requireAdmin = require('../middleware/adminAuth');
+const { requireAdmin, requirePermission, PERMISSIONS } = require('../middleware/adminAuth');
 
 /**
  * @swagger
@@ -56,8 +56,8 @@ router.post('/', requireAdmin, userController.createUser); // Admin only - regul
  *       401:
  *         description: Unauthorized
  */
-// Admin-only endpoint - disabled for security
-router.get('/', requireAdmin, userController.getAllUsers);
+// Admin/moderator endpoint
+router.get('/', requirePermission(PERMISSIONS.USERS_READ), userController.getAllUsers);
 
 /**
  * @swagger
@@ -152,7 +152,58 @@ router.get('/profile/:username', authenticateJWT, userController.getUserProfileB
  */
 router.get('/:id', authenticateJWT, userController.getUserById);
 
-// Update user
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   put:
+ *     summary: Update your own profile
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: User ID (must be your own)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: false
+ *             properties:
+ *               description:
+ *                 type: string
+ *                 maxLength: 255
+ *               languages:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                 description: Language codes you speak (e.g. en, es), used in random matching
+ *               region:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Two-letter country code, partners from the same region are preferred
+ *               language_match:
+ *                 type: string
+ *                 enum: [preferred, required]
+ *                 description: Prefer partners who share a language, or only match with them
+ *     responses:
+ *       200:
+ *         description: Updated user
+ *       400:
+ *         description: Invalid field values, or fields that cannot be updated
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not your profile, or trying to change your role
+ *       404:
+ *         description: User not found
+ */
 router.put('/:id', authenticateJWT, userController.updateUser);
 
 // Delete user - removed duplicate route, using the one below
@@ -0,0 +1,112 @@
+// weighted interest-similarity scoring for random chat. the same rules run in two places: matchmaking.lua
+// (the atomic redis matcher, which gets these weights as an argument) and the matchmaking simulation, so
+// changes here have to be mirrored in the lua script
+
+const FALLBACK_INTEREST = 'fallback';
+
+// points each part of a pair is worth
+const WEIGHTS = {
+  selectedInterest: 3, // per interest both users picked for this chat
+  profileInterest: 1, // per other interest their profiles (or picks) have in common
+  language: 2, // they speak a common language
+  region: 1, // they set the same region on their profiles
+  wait: 2, // reached once the longer waiter has waited WAIT_CAP_MS
+  pairSkip: 4, // taken off when one of them skipped the other within SKIP_HISTORY_MS
+  skipRate: 0.5, // taken off per chat the candidate skipped within SKIP_RATE_WINDOW_MS (up to MAX_COUNTED_SKIPS)
+};
+
+const WAIT_CAP_MS = 60 * 1000;
+const SKIP_HISTORY_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const SKIP_RATE_WINDOW_MS = 24 * 60 * 60 * 1000; // 1 day
+const MAX_COUNTED_SKIPS = 5;
+
+// the score a pair needs right away (one shared pick by default), lowered linearly to 0 as the longer waiter
+// approaches MATCH_SCORE_DECAY_SECONDS so nobody waits forever for a good match
+const MIN_SCORE = parseFloat(process.env.MATCH_MIN_SCORE || String(WEIGHTS.selectedInterest));
+const SCORE_DECAY_MS = Math.max(parseInt(process.env.MATCH_SCORE_DECAY_SECONDS || '20', 10), 1) * 1000;
+
+// scoring settings in the shape matchmaking.lua expects
+function scoringConfig({ minScore = MIN_SCORE, decayMs = SCORE_DECAY_MS } = {}) {
+  return {
+    weights: WEIGHTS,
+    minScore,
+    decayMs,
+    waitCapMs: WAIT_CAP_MS,
+    skipHistoryMs: SKIP_HISTORY_MS,
+    skipRateWindowMs: SKIP_RATE_WINDOW_MS,
+    maxCountedSkips: MAX_COUNTED_SKIPS,
+    fallback: FALLBACK_INTEREST,
+  };
+}
+
+// primary language subtags from a list like navigator.languages ('en-US' -> 'en'), at most 5
+function normalizeLanguages(languages) {
+  if (!Array.isArray(languages)) return [];
+  const codes = languages
+    .filter(language => typeof language === 'string')
+    .map(language => language.trim().toLowerCase().split(/[-_]/)[0])
+    .filter(code => /^[a-z]{2,3}$/.test(code));
+  return [...new Set(codes)].slice(0, 5);
+}
+
+function specificInterests(interests = []) {
+  return interests.filter(interest => interest !== FALLBACK_INTEREST);
+}
+
+// score two waiting users. each side is { userId, interests, profileInterests, languages, region,
+// languageRequired, enqueuedAt, skippedIds (users they skipped within SKIP_HISTORY_MS), recentSkips (skips
+// within SKIP_RATE_WINDOW_MS) }; recentSkips of b counts against the pair, a is the user looking for a match.
+// a pair where either side requires a shared language and they have none is never acceptable
+function scorePair(a, b, now, config = scoringConfig()) {
+  const { weights } = config;
+  const selectedA = new Set(specificInterests(a.interests));
+  const allA = new Set([...selectedA, ...specificInterests(a.profileInterests)]);
+  const counted = new Set();
+  const sharedInterests = [];
+  let score = 0;
+
+  for (const interest of specificInterests(b.interests)) {
+    if (selectedA.has(interest) && !counted.has(interest)) {
+      counted.add(interest);
+      sharedInterests.push(interest);
+      score += weights.selectedInterest;
+    }
+  }
+  for (const interest of [...specificInterests(b.interests), ...specificInterests(b.profileInterests)]) {
+    if (allA.has(interest) && !counted.has(interest)) {
+      counted.add(interest);
+      score += weights.profileInterest;
+    }
+  }
+
+  const languagesA = new Set(a.languages || []);
+  const sharedLanguage = (b.languages || []).find(language => languagesA.has(language)) || null;
+  if (sharedLanguage) {
+    score += weights.language;
+  }
+  if (a.region && a.region === b.region) {
+    score += weights.region;
+  }
+
+  const waited = Math.max(now - a.enqueuedAt, now - b.enqueuedAt, 0);
+  score += weights.wait * Math.min(waited, config.waitCapMs) / config.waitCapMs;
+
+  if ((a.skippedIds || []).includes(String(b.userId)) || (b.skippedIds || []).includes(String(a.userId))) {
+    score -= weights.pairSkip;
+  }
+  score -= weights.skipRate * Math.min(b.recentSkips || 0, config.maxCountedSkips);
+
+  const required = config.minScore * Math.max(0, 1 - waited / config.decayMs);
+  const languageOk = Boolean(sharedLanguage) || !(a.languageRequired || b.languageRequired);
+  return { score, sharedInterests, sharedLanguage, acceptable: languageOk && score >= required };
+}
+
+module.exports = {
+  FALLBACK_INTEREST,
+  WEIGHTS,
+  SKIP_HISTORY_MS,
+  SKIP_RATE_WINDOW_MS,
+  scoringConfig,
+  normalizeLanguages,
+  scorePair,
+};
@@ -2,7 +2,11 @@ const Redis = require('ioredis');
 const fs = require('fs');
 const path = require('path');
 const interestModel = require('../models/interest');
-const redis = new Redis(); // defaults to localhost:6379
+const matchScoring = require('./matchScoring');
+const redis = new Redis({
+  host: process.env.REDIS_HOST || 'localhost',
+  port: process.env.REDIS_PORT || 6379,
+});
 
 // cache for allowed interests
 let allowedInterestsCache = null;
@@ -39,18 +43,54 @@ async function getAllowedInterests() {
 const FALLBACK_INTEREST = 'fallback';
 const ACTIVE_EXPIRY = 300; // 5 minutes
 
+// how long (seconds) two users are kept apart after each kind of encounter
+const RECENT_TTLS = {
+  matched: parseInt(process.env.MATCH_RECENT_MATCHED_TTL, 10) || 10 * 60, // 10 minutes
+  skipped: parseInt(process.env.MATCH_RECENT_SKIPPED_TTL, 10) || 30 * 60, // 30 minutes
+  reported: parseInt(process.env.MATCH_RECENT_REPORTED_TTL, 10) || 7 * 24 * 60 * 60, // 7 days
+};
+
+// waiting users per interest live in the sorted set mm_queue:<interest> (score = enqueuedAt in ms), and the
+// queues each user waits in in the set mm_queues:<id>, so leaving never has to look at other queues
+const queueKey = interest => `mm_queue:${interest}`;
+const membershipKey = userId => `mm_queues:${userId}`;
+
+// waiting users the matcher scores per queue (the oldest and the newest ones), so a match costs the same
+// however long the queues get
+const SCAN_LIMIT = Math.max(parseInt(process.env.MATCH_SCAN_LIMIT || '200', 10), 1);
+
+// what the matcher knows about a waiting user (mm_profile:<id>) outlives the queue so re-enqueues
+// without a fresh profile (e.g. a skipped partner) keep their languages
+const PROFILE_TTL = 6 * 60 * 60; // 6 hours
+
+// undo a claim of the matcher whose pairing did not happen: put the user back in their queues as waiting
+// (ARGV[1] = '1') or clear their status, unless something else changed it since the claim
+const RELEASE_CLAIM_SCRIPT = `
+if redis.call('GET', KEYS[1]) ~= 'matched' then return 0 end
+if ARGV[1] ~= '1' then
+  redis.call('DEL', KEYS[1])
+  return 1
+end
+redis.call('SET', KEYS[1], 'waiting', 'EX', ARGV[2])
+for i = 3, #KEYS do
+  redis.call('ZADD', KEYS[i], ARGV[3], ARGV[4])
+  redis.call('SADD', KEYS[2], KEYS[i])
+end
+redis.call('EXPIRE', KEYS[2], ARGV[2])
+return 1`;
+
+// keep a waiting user marked waiting (the mark and their queue membership expire after ACTIVE_EXPIRY so
+// abandoned users drop out of the queues); users who are matched or gone are left alone
+const REFRESH_WAITING_SCRIPT = `
+if redis.call('GET', KEYS[1]) ~= 'waiting' then return 0 end
+redis.call('EXPIRE', KEYS[1], ARGV[1])
+redis.call('EXPIRE', KEYS[2], ARGV[1])
+return 1`;
+
 // load lua script
 const luaScriptPath = path.join(__dirname, 'matchmaking.lua');
 const luaScript = fs.readFileSync(luaScriptPath, 'utf8');
-
-// shuffle array for random matching
-function shuffle(array) {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
-  }
-  return array;
-}
+redis.defineCommand('weightedMatch', { lua: luaScript });
 
 // validate and filter user interests
 async function validateInterests(interests) {
@@ -74,78 +114,242 @@ async function validateInterests(interests) {
   return result;
 }
 
-// remove user from all interest queues and mark as matched/left
-async function removeUserFromQueues(userId, interests, status = 'left') {
-  await redis.set(`active:${userId}`, status, 'EX', ACTIVE_EXPIRY);
-  
-  // remove from all possible interest queues (not just user's interests)
-  const allQueueKeys = await redis.keys('queue:*');
-  for (const queueKey of allQueueKeys) {
-    await redis.lrem(queueKey, 0, userId);
+// remove user from the interest queues they wait in and mark as matched/left
+async function removeUserFromQueues(userId, status = 'left') {
+  const queues = await redis.smembers(membershipKey(userId));
+  const transaction = redis.multi().set(`active:${userId}`, status, 'EX', ACTIVE_EXPIRY);
+  for (const queue of queues) {
+    transaction.zrem(queue, String(userId));
+  }
+  await transaction.del(membershipKey(userId)).exec();
+}
+
+// a user the matcher claimed was not paired after all (the partner went offline, was not in the shared
+// queue or already chats): with requeue they wait in their queues again, keeping their place, otherwise
+// they are no longer marked matched. resolves whether the claim was released
+async function releaseClaim(userId, { requeue = false } = {}) {
+  const [interests, enqueuedAt] = await redis.hmget(`mm_profile:${userId}`, 'interests', 'enqueuedAt');
+  const queues = requeue && interests ? JSON.parse(interests).map(queueKey) : [];
+  const released = await redis.eval(
+    RELEASE_CLAIM_SCRIPT,
+    2 + queues.length,
+    `active:${userId}`,
+    membershipKey(userId),
+    ...queues,
+    queues.length > 0 ? '1' : '0',
+    ACTIVE_EXPIRY,
+    enqueuedAt || Date.now(),
+    String(userId)
+  );
+  return released === 1;
+}
+
+// extend the waiting mark of a user still in the shared queue, resolves whether they were waiting
+async function refreshWaiting(userId) {
+  const refreshed = await redis.eval(REFRESH_WAITING_SCRIPT, 2, `active:${userId}`, membershipKey(userId), ACTIVE_EXPIRY);
+  return refreshed === 1;
+}
+
+// the users waiting longest (everyone waits in the fallback queue), oldest first
+async function getLongestWaiting(count) {
+  return redis.zrange(queueKey(FALLBACK_INTEREST), 0, count - 1);
+}
+
+// for each of the user's interests how many wait in its queue and the user's place in it (longest waiter
+// first, null when they are not in it)
+async function getQueuePositions(userId, interests) {
+  const pipeline = redis.pipeline();
+  for (const interest of interests) {
+    pipeline.zcard(queueKey(interest));
+    pipeline.zrank(queueKey(interest), String(userId));
+  }
+  const results = await pipeline.exec();
+  return interests.map((interest, index) => {
+    const rank = results[index * 2 + 1][1];
+    return { interest, waiting: results[index * 2][1] || 0, position: rank === null ? null : rank + 1 };
+  });
+}
+
+// store the ids a user must never be paired with (read by matchmaking.lua)
+async function setAvoidList(userId, avoidIds) {
+  const key = `avoid:${userId}`;
+  await redis.del(key);
+  if (avoidIds.length > 0) {
+    await redis.sadd(key, ...avoidIds);
+    await redis.expire(key, ACTIVE_EXPIRY);
+  }
+  return key;
+}
+
+// remember that two users met so they are not re-paired within the ttl window
+// stored as a sorted set per user: member = other user, score = expiry time (ms)
+async function recordEncounter(userId, otherUserId, reason = 'matched') {
+  if (!userId || !otherUserId || String(userId) === String(otherUserId)) return;
+  const ttl = RECENT_TTLS[reason] || RECENT_TTLS.matched;
+  const expiresAt = Date.now() + ttl * 1000;
+
+  const pipeline = redis.pipeline();
+  for (const [owner, other] of [[userId, otherUserId], [otherUserId, userId]]) {
+    const key = `recent:${owner}`;
+    // keep the longest window if the pair already has an entry (e.g. reported after matching)
+    pipeline.zadd(key, 'GT', expiresAt, String(other));
+    pipeline.zremrangebyscore(key, '-inf', Date.now());
+    pipeline.expire(key, Math.max(...Object.values(RECENT_TTLS)));
+  }
+  // skips are also kept longer, one-sided, for scoring (skipper -> skipped user, score = time in ms)
+  if (reason === 'skipped') {
+    const key = `skips:${userId}`;
+    pipeline.zadd(key, Date.now(), String(otherUserId));
+    pipeline.zremrangebyscore(key, '-inf', Date.now() - matchScoring.SKIP_HISTORY_MS);
+    pipeline.expire(key, Math.ceil(matchScoring.SKIP_HISTORY_MS / 1000));
+  }
+  await pipeline.exec();
+}
+
+// ids the user recently matched, skipped or reported that have not expired yet
+async function getRecentEncounters(userId) {
+  return redis.zrangebyscore(`recent:${userId}`, Date.now(), '+inf');
+}
+
+// take a waiting user out of their picked interest queues so they only wait in the fallback queue,
+// keeping their place there and their wait time
+async function broadenToFallback(userId, interests) {
+  if (!(await redis.exists(`mm_profile:${userId}`))) return;
+  const pipeline = redis.pipeline();
+  for (const interest of interests) {
+    if (interest !== FALLBACK_INTEREST) {
+      pipeline.zrem(queueKey(interest), String(userId));
+      pipeline.srem(membershipKey(userId), queueKey(interest));
+    }
   }
+  pipeline.hset(`mm_profile:${userId}`, 'interests', JSON.stringify([FALLBACK_INTEREST]));
+  await pipeline.exec();
+}
+
+// languages saved with the user's last queue entry
+async function getStoredLanguages(userId) {
+  const languages = await redis.hget(`mm_profile:${userId}`, 'languages');
+  return languages ? JSON.parse(languages) : [];
 }
 
-// match user with others based on interests
-async function matchUser(userId, interests) {
+// match user with the best-scoring waiting user (see matchScoring.js) in one atomic step, never pairing
+// with ids in avoidIds or anyone in the user's recent encounter history, or queue them when nobody fits.
+// profileInterests are the user's profile interests (names), languages their primary language codes and
+// region their country code; with languageRequired only users sharing one of the languages are considered
+async function matchUser(userId, interests, options = {}) {
   // enforce whitelist and max 3 interests + always add fallback
-  const validatedInterests = await validateInterests(interests);
-  console.log(`[MATCHMAKING] Validating interests for ${userId}:`, { original: interests, validated: validatedInterests });
+  return matchOrEnqueue(userId, await validateInterests(interests), options);
+}
 
+// matchUser for interests that are already validated (the load test drives this directly)
+async function matchOrEnqueue(userId, validatedInterests, {
+  avoidIds = [],
+  profileInterests = [],
+  languages = [],
+  region = null,
+  languageRequired = false,
+} = {}) {
   // deduplication: if already active, don't enqueue again
   const activeStatus = await redis.get(`active:${userId}`);
   if (activeStatus === 'waiting' || activeStatus === 'matched') {
     return { error: 'User is already in queue or matched' };
   }
 
-  // fallback to node.js implementation
-  for (const interest of shuffle([...validatedInterests])) {
-    let matchId;
-    while ((matchId = await redis.lpop(`queue:${interest}`))) {
-      if (matchId === userId) continue; // don't match with self
-      const lock = await redis.set(`lock:${matchId}`, userId, 'NX', 'PX', 5000);
-      if (!lock) continue;
-      if (await redis.get(`active:${matchId}`) === 'waiting') {
-        await Promise.all([
-          removeUserFromQueues(userId, validatedInterests, 'matched'),
-          removeUserFromQueues(matchId, validatedInterests, 'matched'),
-        ]);
-        // only delete lock if you still own it
-        const owner = await redis.get(`lock:${matchId}`);
-        if (owner === userId) {
-          await redis.del(`lock:${matchId}`);
-        }
-        return { matched: true, with: matchId, matchInterest: interest };
-      } else {
-        // only delete lock if you still own it
-        const owner = await redis.get(`lock:${matchId}`);
-        if (owner === userId) {
-          await redis.del(`lock:${matchId}`);
-        }
-      }
-    }
-  }
+  const avoidKey = await setAvoidList(userId, avoidIds);
+  const now = Date.now();
+  const profile = {
+    interests: validatedInterests,
+    profileInterests,
+    languages: matchScoring.normalizeLanguages(languages),
+    region: region || '',
+    languageRequired: Boolean(languageRequired),
+    enqueuedAt: now,
+  };
+  await redis
+    .pipeline()
+    .hset(`mm_profile:${userId}`, {
+      interests: JSON.stringify(profile.interests),
+      profileInterests: JSON.stringify(profile.profileInterests),
+      languages: JSON.stringify(profile.languages),
+      region: profile.region,
+      languageRequired: profile.languageRequired ? '1' : '0',
+      enqueuedAt: String(now),
+    })
+    .expire(`mm_profile:${userId}`, PROFILE_TTL)
+    .exec();
+
+  // the script queues the user itself when no acceptable match is waiting
+  return runMatcher(userId, profile, avoidKey, now);
+}
 
-  // no match found; enqueue user
-  await redis.set(`active:${userId}`, 'waiting', 'EX', ACTIVE_EXPIRY);
-  for (const interest of validatedInterests) {
-    await redis.rpush(`queue:${interest}`, userId);
+// match a user who is already waiting again with the profile they queued with, keeping their place and wait
+// time, so pairs whose score only clears the bar after waiting match without anyone new joining. avoidIds
+// are the ones they queued with (the stored list expires with ACTIVE_EXPIRY)
+async function rematchWaiting(userId, avoidIds = []) {
+  const fields = await redis.hgetall(`mm_profile:${userId}`);
+  if (!fields.interests) {
+    return { matched: false };
   }
-  
-  // debug: check what's in redis after enqueuing
-  console.log(`[LUA] No match found via Lua script, user ${userId} enqueued in Redis`);
-  for (const interest of validatedInterests) {
-    const queueMembers = await redis.lrange(`queue:${interest}`, 0, -1);
-    console.log(`[LUA] queue:${interest} now contains: [${queueMembers.join(', ')}]`);
+  const profile = {
+    interests: JSON.parse(fields.interests),
+    profileInterests: JSON.parse(fields.profileInterests || '[]'),
+    languages: JSON.parse(fields.languages || '[]'),
+    region: fields.region || '',
+    languageRequired: fields.languageRequired === '1',
+    enqueuedAt: parseInt(fields.enqueuedAt, 10) || Date.now(),
+  };
+  const avoidKey = await setAvoidList(userId, avoidIds);
+  return runMatcher(userId, profile, avoidKey, Date.now(), { rematch: true });
+}
+
+// run matchmaking.lua for a user with their profile in every queue of their interests
+async function runMatcher(userId, profile, avoidKey, now, { rematch = false } = {}) {
+  const queues = profile.interests.map(queueKey);
+  const result = await redis.weightedMatch(
+    queues.length,
+    ...queues,
+    String(userId),
+    ACTIVE_EXPIRY,
+    JSON.stringify(profile),
+    JSON.stringify(matchScoring.scoringConfig()),
+    avoidKey,
+    `recent:${userId}`,
+    now,
+    SCAN_LIMIT,
+    rematch ? '1' : '0'
+  );
+  if (!result) {
+    return { matched: false };
   }
-  const userActiveStatus = await redis.get(`active:${userId}`);
-  console.log(`[LUA] active:${userId} status: ${userActiveStatus}`);
-  
-  return { matched: false };
+
+  const [matchId, score, sharedLanguage, ...sharedInterests] = result;
+  return {
+    matched: true,
+    with: matchId,
+    score: parseFloat(score),
+    sharedLanguage: sharedLanguage || null,
+    sharedInterests,
+    matchInterest: sharedInterests[0] || FALLBACK_INTEREST,
+  };
 }
 
 module.exports = {
   matchUser,
+  matchOrEnqueue,
+  rematchWaiting,
+  releaseClaim,
+  refreshWaiting,
   removeUserFromQueues,
+  getLongestWaiting,
+  getQueuePositions,
+  broadenToFallback,
+  setAvoidList,
+  recordEncounter,
+  getRecentEncounters,
+  getStoredLanguages,
+  RECENT_TTLS,
+  queueKey,
+  membershipKey,
   redis,
   luaScript,
   getAllowedInterests,
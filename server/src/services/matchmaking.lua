@@ -1,60 +1,227 @@
--- atomic matchmaking script for redis
--- keys: interest queues
+-- atomic weighted matchmaking script for redis
+-- scores every user waiting in the caller's interest queues (see services/matchScoring.js, whose rules
+-- this mirrors) and claims the best one whose score clears the wait-decayed minimum, or queues the caller
+-- keys: interest queues of the caller (the fallback queue holds everyone waiting). queues are sorted sets
+-- (member = user id, score = enqueuedAt in ms) and mm_queues:<id> holds the queues a user waits in, so
+-- joining, leaving and matching only touch the queues involved
+-- only the interest queues are declared in KEYS. the script also reads and writes keys it finds while
+-- scanning (active:<id>, mm_profile:<id>, mm_queues:<id> and skips:<id> of every candidate) and the avoid
+-- and recent keys named in argv[5]/argv[6], which cannot be declared up front. it therefore needs a single
+-- redis node: it breaks under redis cluster and with script key checks enabled
 -- argv[1]: userid
 -- argv[2]: active expiry (seconds)
--- argv[3]: fallback interest name
-
-local function matchUser(queues, userId, activeExpiry, fallbackInterest)
-  for i, queue in ipairs(queues) do
-    local matchId = redis.call('lpop', queue)
-    while matchId do
-      if matchId ~= userId then
-        local lockKey = 'lock:' .. matchId
-        local lock = redis.call('set', lockKey, userId, 'NX', 'PX', 5000)
-        if lock then
-          if redis.call('get', 'active:' .. matchId) == 'waiting' then
-            -- mark both users as matched
-            redis.call('set', 'active:' .. userId, 'matched', 'EX', activeExpiry)
-            redis.call('set', 'active:' .. matchId, 'matched', 'EX', activeExpiry)
-            
-            -- remove both users from all possible interest queues
-            local allQueues = redis.call('keys', 'queue:*')
-            for _, q in ipairs(allQueues) do
-              redis.call('lrem', q, 0, userId)
-              redis.call('lrem', q, 0, matchId)
-            end
-            
-            -- only delete lock if you still own it
-            if redis.call('get', lockKey) == userId then
-              redis.call('del', lockKey)
+-- argv[3]: caller profile json { interests, profileInterests, languages, region ('' when unset), languageRequired, enqueuedAt }
+-- argv[4]: scoring json (matchScoring.scoringConfig())
+-- argv[5]: avoid set key (users blocked/reported in either direction, may not exist)
+-- argv[6]: recent encounters sorted set key (score = expiry time in ms, may not exist)
+-- argv[7]: current time in ms
+-- argv[8]: candidates read per queue (bounds the work per call): the whole queue when it is shorter, else
+-- the oldest and the newest half each, so long waiters go first but cannot hide recent arrivals
+-- argv[9]: '1' when the caller is already waiting and is matched again (their wait may now clear the bar):
+-- nothing happens unless they are still waiting
+-- waiting users keep their profile in the hash mm_profile:<id> (interests, profileInterests and languages
+-- as json, region, languageRequired '1'/'0', enqueuedAt in ms) and the users they skipped in the sorted set
+-- skips:<id> (score = time in ms)
+-- returns { matchId, score, shared language ('' when none), shared interest... }, or nil after queueing the
+-- caller as waiting
+
+-- true when the pair met recently and the window has not expired yet
+local function isRecent(recentKey, matchId, now)
+  local expiresAt = redis.call('zscore', recentKey, matchId)
+  return expiresAt and tonumber(expiresAt) > now
+end
+
+-- true when skipper skipped other within the skip history window
+local function hasSkipped(skipperId, otherId, since)
+  local skippedAt = redis.call('zscore', 'skips:' .. skipperId, otherId)
+  return skippedAt and tonumber(skippedAt) >= since
+end
+
+-- take a user out of every queue they wait in
+local function leaveQueues(userId)
+  local membershipKey = 'mm_queues:' .. userId
+  for _, queue in ipairs(redis.call('smembers', membershipKey)) do
+    redis.call('zrem', queue, userId)
+  end
+  redis.call('del', membershipKey)
+end
+
+-- user ids to score from a queue, oldest first
+local function candidatesOf(queue, scanLimit)
+  if redis.call('zcard', queue) <= scanLimit then
+    return redis.call('zrange', queue, 0, -1)
+  end
+  local oldest = math.ceil(scanLimit / 2)
+  local candidates = redis.call('zrange', queue, 0, oldest - 1)
+  if scanLimit > oldest then
+    for _, userId in ipairs(redis.call('zrange', queue, oldest - scanLimit, -1)) do
+      table.insert(candidates, userId)
+    end
+  end
+  return candidates
+end
+
+-- cjson turns json null into a sentinel, so only accept real lists
+local function list(value)
+  if type(value) == 'table' then
+    return value
+  end
+  return {}
+end
+
+local function readProfile(userId)
+  local fields = redis.call('hmget', 'mm_profile:' .. userId,
+    'interests', 'profileInterests', 'languages', 'region', 'languageRequired', 'enqueuedAt')
+  if not fields[1] then
+    return nil
+  end
+  return {
+    interests = list(cjson.decode(fields[1])),
+    profileInterests = list(fields[2] and cjson.decode(fields[2])),
+    languages = list(fields[3] and cjson.decode(fields[3])),
+    region = fields[4] or '',
+    languageRequired = fields[5] == '1',
+    enqueuedAt = tonumber(fields[6]) or 0
+  }
+end
+
+-- same rules as matchScoring.scorePair(me, other)
+local function scorePair(meId, me, otherId, other, config, now)
+  local weights = config.weights
+  local fallback = config.fallback
+  local selectedMe = {}
+  local allMe = {}
+  for _, interest in ipairs(list(me.interests)) do
+    if interest ~= fallback then
+      selectedMe[interest] = true
+      allMe[interest] = true
+    end
+  end
+  for _, interest in ipairs(list(me.profileInterests)) do
+    if interest ~= fallback then
+      allMe[interest] = true
+    end
+  end
+
+  local counted = {}
+  local shared = {}
+  local score = 0
+  for _, interest in ipairs(other.interests) do
+    if interest ~= fallback and selectedMe[interest] and not counted[interest] then
+      counted[interest] = true
+      table.insert(shared, interest)
+      score = score + weights.selectedInterest
+    end
+  end
+  for _, source in ipairs({ other.interests, other.profileInterests }) do
+    for _, interest in ipairs(source) do
+      if interest ~= fallback and allMe[interest] and not counted[interest] then
+        counted[interest] = true
+        score = score + weights.profileInterest
+      end
+    end
+  end
+
+  local languagesMe = {}
+  for _, language in ipairs(list(me.languages)) do
+    languagesMe[language] = true
+  end
+  local sharedLanguage = nil
+  for _, language in ipairs(other.languages) do
+    if languagesMe[language] then
+      sharedLanguage = language
+      score = score + weights.language
+      break
+    end
+  end
+  if type(me.region) == 'string' and me.region ~= '' and me.region == other.region then
+    score = score + weights.region
+  end
+
+  local waited = math.max(now - (tonumber(me.enqueuedAt) or now), now - other.enqueuedAt, 0)
+  score = score + weights.wait * math.min(waited, config.waitCapMs) / config.waitCapMs
+
+  local skipSince = now - config.skipHistoryMs
+  if hasSkipped(meId, otherId, skipSince) or hasSkipped(otherId, meId, skipSince) then
+    score = score - weights.pairSkip
+  end
+  local recentSkips = redis.call('zcount', 'skips:' .. otherId, now - config.skipRateWindowMs, '+inf')
+  score = score - weights.skipRate * math.min(recentSkips, config.maxCountedSkips)
+
+  local required = config.minScore * math.max(0, 1 - waited / config.decayMs)
+  -- either side requiring a shared language rules the pair out without one
+  local languageOk = sharedLanguage ~= nil or not (me.languageRequired == true or other.languageRequired)
+  return score, shared, sharedLanguage, languageOk and score >= required
+end
+
+local function matchUser(queues, userId, activeExpiry, me, config, avoidKey, recentKey, now, scanLimit, rematch)
+  -- matched or gone since the rematch was scheduled
+  if rematch and redis.call('get', 'active:' .. userId) ~= 'waiting' then
+    return nil
+  end
+
+  local seen = {}
+  local best = nil
+
+  for _, queue in ipairs(queues) do
+    -- scan instead of pop so passed-over users keep their place in the queue
+    local candidates = candidatesOf(queue, scanLimit)
+    for _, matchId in ipairs(candidates) do
+      if not seen[matchId] then
+        seen[matchId] = true
+        if matchId ~= userId and redis.call('sismember', avoidKey, matchId) == 0 and not isRecent(recentKey, matchId, now) then
+          local other = redis.call('get', 'active:' .. matchId) == 'waiting' and readProfile(matchId)
+          if other then
+            local score, shared, sharedLanguage, acceptable = scorePair(userId, me, matchId, other, config, now)
+            -- the earliest queued candidate wins ties
+            if acceptable and (not best or score > best.score) then
+              best = { id = matchId, score = score, shared = shared, language = sharedLanguage or '' }
             end
-            
-            return {matchId, queue}
           else
-            -- only delete lock if you still own it
-            if redis.call('get', lockKey) == userId then
-              redis.call('del', lockKey)
-            end
-            -- put the user back in the queue since they didn't match
-            redis.call('rpush', queue, matchId)
+            -- stale entry, drop it
+            redis.call('zrem', queue, matchId)
+            redis.call('srem', 'mm_queues:' .. matchId, queue)
           end
-        else
-          -- put the user back in the queue since we couldn't get a lock
-          redis.call('rpush', queue, matchId)
         end
-      else
-        -- put the user back in the queue since it's the same user
-        redis.call('rpush', queue, matchId)
       end
-      matchId = redis.call('lpop', queue)
     end
   end
-  return nil
+
+  if not best then
+    -- wait in every interest queue
+    redis.call('set', 'active:' .. userId, 'waiting', 'EX', activeExpiry)
+    local membershipKey = 'mm_queues:' .. userId
+    for _, queue in ipairs(queues) do
+      redis.call('zadd', queue, tonumber(me.enqueuedAt) or now, userId)
+      redis.call('sadd', membershipKey, queue)
+    end
+    redis.call('expire', membershipKey, activeExpiry)
+    return nil
+  end
+
+  -- mark both users as matched and take them out of their queues
+  redis.call('set', 'active:' .. userId, 'matched', 'EX', activeExpiry)
+  redis.call('set', 'active:' .. best.id, 'matched', 'EX', activeExpiry)
+  leaveQueues(userId)
+  leaveQueues(best.id)
+
+  -- redis truncates lua numbers to integers, so send the score as a string
+  local reply = { best.id, tostring(best.score), best.language }
+  for _, interest in ipairs(best.shared) do
+    table.insert(reply, interest)
+  end
+  return reply
 end
 
 -- main execution
 local userId = ARGV[1]
 local activeExpiry = tonumber(ARGV[2])
-local fallbackInterest = ARGV[3]
+local me = cjson.decode(ARGV[3])
+local config = cjson.decode(ARGV[4])
+local avoidKey = ARGV[5] or ('avoid:' .. userId)
+local recentKey = ARGV[6] or ('recent:' .. userId)
+local now = tonumber(ARGV[7]) or 0
+local scanLimit = tonumber(ARGV[8]) or 200
+local rematch = ARGV[9] == '1'
 
-return matchUser(KEYS, userId, activeExpiry, fallbackInterest) 
\ No newline at end of file
+return matchUser(KEYS, userId, activeExpiry, me, config, avoidKey, recentKey, now, scanLimit, rematch)
@@ -0,0 +1,108 @@
+const conversationKeyModel = require('../models/conversationKey');
+const serverKeyModel = require('../models/serverKey');
+const messageModel = require('../models/message');
+const groupMessageModel = require('../models/groupMessage');
+
+// background job moving stored messages onto current keys:
+// 1. data keys (and the server's private key) wrapped by an old master key are rewrapped with the
+//    key provider's current key
+// 2. data keys older than CONVERSATION_KEY_MAX_AGE_DAYS are retired (0 keeps them forever)
+// 3. messages, edit history and group messages still on SERVER_KEY or a retired data key are re-encrypted
+// 4. retired data keys nothing uses any more are deleted
+// rows are locked with SKIP LOCKED, so every server instance can run the job
+const INTERVAL_MS = parseInt(process.env.REENCRYPTION_INTERVAL_MS || '60000', 10);
+const BATCH_SIZE = parseInt(process.env.REENCRYPTION_BATCH_SIZE || '200', 10);
+const MAX_BATCHES_PER_RUN = 10;
+const KEY_MAX_AGE_DAYS = parseInt(process.env.CONVERSATION_KEY_MAX_AGE_DAYS || '0', 10);
+
+let timer = null;
+let running = false;
+
+// scan positions, rows that failed to decrypt are skipped until the scan wraps around
+const cursors = { messages: 0, message_edits: 0, group_messages: 0 };
+
+// re-encrypt batches of one table until it is caught up or the per-run budget is spent
+async function reencryptTable(name, reencrypt) {
+  let reencrypted = 0;
+  let failed = 0;
+
+  for (let i = 0; i < MAX_BATCHES_PER_RUN; i++) {
+    const batch = await reencrypt({ afterId: cursors[name], limit: BATCH_SIZE });
+    reencrypted += batch.reencrypted;
+    failed += batch.failed;
+
+    if (batch.scanned < BATCH_SIZE) {
+      cursors[name] = 0;
+      break;
+    }
+    cursors[name] = batch.lastId;
+  }
+
+  return { reencrypted, failed };
+}
+
+// one pass of the job, returns what it did
+async function runOnce() {
+  let rewrapped = 0;
+  for (let i = 0; i < MAX_BATCHES_PER_RUN; i++) {
+    const count = await conversationKeyModel.rewrapKeys(BATCH_SIZE);
+    rewrapped += count;
+    if (count < BATCH_SIZE) break;
+  }
+  if (await serverKeyModel.rewrapServerKey()) {
+    rewrapped++;
+  }
+
+  const retired = KEY_MAX_AGE_DAYS > 0
+    ? await conversationKeyModel.retireKeysOlderThan(KEY_MAX_AGE_DAYS)
+    : 0;
+
+  const messages = await reencryptTable('messages', messageModel.reencryptMessages);
+  const edits = await reencryptTable('message_edits', messageModel.reencryptMessageEdits);
+  const groupMessages = await reencryptTable('group_messages', groupMessageModel.reencryptGroupMessages);
+  const deletedKeys = await conversationKeyModel.deleteUnusedRetiredKeys();
+
+  return { rewrapped, retired, messages, edits, groupMessages, deletedKeys };
+}
+
+async function tick() {
+  if (running) return;
+  running = true;
+
+  try {
+    const result = await runOnce();
+    const changed = result.rewrapped + result.retired + result.messages.reencrypted
+      + result.edits.reencrypted + result.groupMessages.reencrypted + result.deletedKeys;
+    const failed = result.messages.failed + result.edits.failed + result.groupMessages.failed;
+
+    if (changed > 0 || failed > 0) {
+      console.log(' Message re-encryption:', JSON.stringify(result));
+    }
+  } catch (error) {
+    console.error('Message re-encryption failed:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+// start the periodic job (REENCRYPTION_INTERVAL_MS=0 disables it)
+function start() {
+  if (timer || INTERVAL_MS <= 0) return;
+
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  tick();
+}
+
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+};
@@ -2,37 +2,87 @@
 // imports and configuration
 // ========================================
 
+const os = require('os');
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const jwt = require('jsonwebtoken');
 const { query } = require('../utils/db');
-const { socketManager } = require('../utils/redis');
+const { redis, socketManager, sessionManager, matchStore, roomStore } = require('../utils/redis');
 const { v4: uuidv4 } = require('uuid');
 const matchmakingService = require('../services/matchmaking');
+const matchScoring = require('../services/matchScoring');
+const userSanctionModel = require('../models/userSanction');
+const userModel = require('../models/user');
+const userBlockModel = require('../models/userBlock');
+const userInterestModel = require('../models/userInterest');
+const messageModel = require('../models/message');
+const messageReactionModel = require('../models/messageReaction');
+const groupConversationModel = require('../models/groupConversation');
+const groupMessageModel = require('../models/groupMessage');
+const interestRoomModel = require('../models/interestRoom');
+const OpenAIModerationService = require('../services/openaiModeration');
 const { sendAnalyticsEvent, MESSAGE_TYPES } = require('../services/kafka');
+const { isValidE2EEEnvelope } = require('../utils/sanitizer');
 
-// store active users and their socket mappings (in-memory for fast access)
-const activeUsers = new Map();
-const userSockets = new Map();
-const typingUsers = new Map();
-const pendingFriendRequests = new Set();
+// user -> socket mappings, the matchmaking queue and active random chats live in redis
+// (utils/redis socketManager/matchStore) so any number of instances can share them
 
-// status broadcast debounce map to prevent flicker
+// status broadcast debounce map to prevent flicker (per instance is enough)
 const statusBroadcastTimers = new Map();
 
-// server-authoritative matchmaking queue
-const matchQueue = new Map(); // key = userId, value = { socketId, interests, username }
-const activeMatches = new Map(); // key = sessionId, value = { user1, user2, interests }
-const skipCooldowns = new Map(); // key = userId, value = Set of users to skip
-
 let io = null;
+let instanceId = null;
+let adapterClients = [];
+let backgroundTimers = [];
+
+// how long a receiver's devices have to acknowledge a message before it stays in the inbox
+const DELIVERY_ACK_TIMEOUT = 10000;
+const MAX_CLIENT_MESSAGE_ID_LENGTH = 64;
+
+// how long after sending a message can still be edited or deleted (seconds)
+const MESSAGE_EDIT_WINDOW = parseInt(process.env.MESSAGE_EDIT_WINDOW || '900', 10);
+const MESSAGE_DELETE_WINDOW = parseInt(process.env.MESSAGE_DELETE_WINDOW || '3600', 10);
+
+// interest rooms (and group random chat): longest message, and how long an ephemeral room may stay empty after creation
+const ROOM_MESSAGE_MAX_LENGTH = 2000;
+const EPHEMERAL_ROOM_GRACE_SECONDS = 5 * 60;
+
+// group random chat: people per group (3-6), how long the longest waiter waits before a smaller group or
+// the general pool is used, and how often the waiting users are grouped again
+const GROUP_MATCH_MIN_SIZE = 3;
+const GROUP_MATCH_SIZE = Math.min(Math.max(parseInt(process.env.GROUP_MATCH_SIZE || '4', 10) || 4, GROUP_MATCH_MIN_SIZE), 6);
+const GROUP_MATCH_WAIT_SECONDS = parseInt(process.env.GROUP_MATCH_WAIT_SECONDS || '30', 10);
+
+// how often waiting users are paired and grouped again (pair thresholds relax the longer someone waits);
+// waiting random chat users get their queue status on the same beat
+const MATCHMAKING_INTERVAL = 5000;
+
+// longest waiting random chat users matched again on each beat (newer ones were scored when they joined)
+const MATCH_REMATCH_BATCH = 50;
+
+// seconds a random chat user waits before queueStatus suggests dropping their interests for the general pool
+const MATCH_BROADEN_AFTER_SECONDS = parseInt(process.env.MATCH_BROADEN_AFTER_SECONDS || '45', 10);
+
+// room messages go through the same openai moderation as chat reports
+const moderationService = new OpenAIModerationService();
 
 // ========================================
 // helper functions
 // ========================================
 
-// create initial system messages for matched users
-function createMatchSystemMessages(commonInterests) {
+// english name of a language code for system messages ('es' -> 'Spanish'), the code itself when unknown
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+// create initial system messages for matched users (groupSize words them for a group random chat)
+function createMatchSystemMessages(commonInterests, { groupSize = null, sharedLanguage = null } = {}) {
   const messages = [];
+  const matchedText = groupSize ? `You've been grouped with ${groupSize - 1} others` : 'You\'ve been matched';
   
   // filter out fallback for display purposes
   const specificInterests = commonInterests.filter(interest => interest.toLowerCase() !== 'fallback');
@@ -46,7 +96,7 @@ function createMatchSystemMessages(commonInterests) {
     
     messages.push({
       sender: 'system',
-      message: `🎯 You've been matched based on your shared interest in ${interestText}!`,
+      message: `🎯 ${matchedText} based on your shared interest in ${interestText}!`,
       timestamp: new Date().toISOString(),
       isSystem: true,
       isRead: true
@@ -55,7 +105,18 @@ function createMatchSystemMessages(commonInterests) {
     // matched only on fallback (different specific interests)
     messages.push({
       sender: 'system',
-      message: '🎲 You\'ve been matched from the general pool! Start chatting to find common ground.',
+      message: `🎲 ${matchedText} from the general pool! Start chatting to find common ground.`,
+      timestamp: new Date().toISOString(),
+      isSystem: true,
+      isRead: true
+    });
+  }
+  
+  // a language both speak, from their profiles or browsers
+  if (sharedLanguage) {
+    messages.push({
+      sender: 'system',
+      message: `🗣️ You both speak ${languageName(sharedLanguage)}`,
       timestamp: new Date().toISOString(),
       isSystem: true,
       isRead: true
@@ -78,153 +139,238 @@ function createMatchSystemMessages(commonInterests) {
 // matchmaking system
 // ========================================
 
+// compare user ids regardless of number/string representation
+function isSameUser(userId1, userId2) {
+  return String(userId1) === String(userId2);
+}
+
+// create a random chat between two users and notify them on whichever instance they are connected to
+// (sharedLanguage is a language code both speak, if any)
+async function startRandomMatch(user1, user2, commonInterests, { sharedLanguage = null } = {}) {
+  const sessionId = uuidv4();
+  
+  // Store active match with both individual and common interests
+  await matchStore.setMatch(sessionId, {
+    user1: user1.userId,
+    user2: user2.userId,
+    user1Username: user1.username,
+    user2Username: user2.username,
+    user1Interests: user1.interests,
+    user2Interests: user2.interests,
+    commonInterests,
+    sharedLanguage
+  });
+  
+  // remove both users from the shared queue since they're now matched
+  await Promise.all([
+    matchStore.removeQueueEntry(user1.userId),
+    matchStore.removeQueueEntry(user2.userId)
+  ]);
+  
+  // keep the pair apart for a while once this chat ends
+  matchmakingService.recordEncounter(user1.userId, user2.userId, 'matched').catch(() => {});
+  
+  // feeds the wait estimates of everyone still queued
+  matchStore.recordPairing(commonInterests).catch(() => {});
+  
+  // Log random chat started to Kafka
+  await sendAnalyticsEvent({
+    type: MESSAGE_TYPES.RANDOM_CHAT_STARTED,
+    userId: user1.userId,
+    username: user1.username,
+    metadata: {
+      sessionId,
+      partnerId: user2.userId,
+      partnerUsername: user2.username,
+      commonInterests,
+      startTime: new Date().toISOString()
+    }
+  });
+  
+  // Create initial system messages with common interests
+  const systemMessages = createMatchSystemMessages(commonInterests, { sharedLanguage });
+  
+  // server-side join to room (works across instances through the adapter)
+  io.in(`user:${user1.userId}`).socketsJoin(`random:${sessionId}`);
+  io.in(`user:${user2.userId}`).socketsJoin(`random:${sessionId}`);
+  
+  // Emit match found to both users with common interests
+  io.to(`user:${user1.userId}`).emit('matchFound', {
+    sessionId,
+    partner: user2.username,
+    interests: commonInterests,
+    systemMessages
+  });
+  
+  io.to(`user:${user2.userId}`).emit('matchFound', {
+    sessionId,
+    partner: user1.username,
+    interests: commonInterests,
+    systemMessages
+  });
+  
+  return sessionId;
+}
+
 // server-authoritative matchmaking functions with lua script integration
-async function enqueueUserForRandom(userId, socketId, interests, username) {
-  // prevent duplicate entries in memory
-  if (matchQueue.has(userId)) {
+// languages are the browser's language codes, used when the profile has none; without either the ones from
+// the user's last queue entry are used
+async function enqueueUserForRandom(userId, interests, username, { languages } = {}) {
+  // prevent duplicate entries across instances
+  if (await matchStore.getQueueEntry(userId)) {
     return false;
   }
   
   // check if user is in an active match
-  for (const [sessionId, match] of activeMatches) {
-    if (match.user1 === userId || match.user2 === userId) {
+  if (await matchStore.getMatchForUser(userId)) {
+    return false;
+  }
+  
+  // one random chat at a time, group random chat included
+  if (await matchStore.getGroupQueueEntry(userId) || await matchStore.getGroupMatchForUser(userId)) {
+    return false;
+  }
+  
+  // sanctioned users are never re-enqueued (e.g. as a skipped partner)
+  try {
+    if (await userSanctionModel.getMatchmakingBlockingSanction(userId)) {
       return false;
     }
+  } catch (error) {
+    return false;
   }
   
   // validate and normalize interests
   const validatedInterests = validateInterests(interests);
   
-  // try lua script matchmaking first
+  // users blocked or reported in either direction are never paired
+  let avoidIds = new Set();
   try {
-    const result = await matchmakingService.matchUser(userId, validatedInterests);
-    
-    if (result.matched) {
-      // get the matched user's socket data
-      const matchedUserSocketId = userSockets.get(result.with);
-      const matchedUserSocket = io.sockets.sockets.get(matchedUserSocketId);
-      
-      if (matchedUserSocket) {
-        // check if matched user is already in an active match to prevent race conditions
-        const matchedUserInActiveMatch = Array.from(activeMatches.values()).some(match => 
-          match.user1 === result.with || match.user2 === result.with
-        );
-        
-        if (matchedUserInActiveMatch) {
-          // continue to fallback (in-memory) queue since lua match is invalid
-        } else {
-          // try to get the matched user's interests from in-memory queue first
-          let matchedUserInterests = ['fallback'];
-          const matchedUserData = matchQueue.get(result.with);
-        
-        if (matchedUserData) {
-          matchedUserInterests = validateInterests(matchedUserData.interests);
-        } else {
-          // if not in memory, try to get from redis or fallback to match interest only
-          if (result.matchInterest) {
-            // at minimum, we know they share the match interest
-            matchedUserInterests = [result.matchInterest];
-            if (result.matchInterest !== 'fallback') {
-              matchedUserInterests.push('fallback');
-            }
-          }
-        }
-        
-        // calculate actual common interests
-        const commonInterests = validatedInterests.filter(interest => 
-          matchedUserInterests.includes(interest)
-        );
-        
-        // ensure we have at least the match interest if available
-        if (result.matchInterest && !commonInterests.includes(result.matchInterest)) {
-          commonInterests.unshift(result.matchInterest);
-        }
-        
-        // ensure we have at least fallback if no common interests
-        if (commonInterests.length === 0) {
-          commonInterests.push('fallback');
-        }
-        
-          // create session id
-          const sessionId = uuidv4();
-          
-          // Store active match with both individual and common interests
-          activeMatches.set(sessionId, {
-            user1: userId,
-            user2: result.with,
-            user1Interests: validatedInterests,
-            user2Interests: matchedUserInterests,
-            commonInterests: commonInterests
-          });
-        
-        // LUA: Remove both users from in-memory queue since they're now matched
-        matchQueue.delete(userId);
-        matchQueue.delete(result.with);
-         
-        // Log random chat started to Kafka
-        await sendAnalyticsEvent({
-          type: MESSAGE_TYPES.RANDOM_CHAT_STARTED,
-          userId: userId,
-          username: username,
-          metadata: {
-            sessionId,
-            partnerId: result.with,
-            partnerUsername: matchedUserSocket.username,
-            commonInterests: commonInterests,
-            startTime: new Date().toISOString()
-          }
-        });
-        
-        // Create initial system messages with common interests
-        const systemMessages = createMatchSystemMessages(commonInterests);
-        
-        // Emit match found to both users with common interests
-        io.to(socketId).emit('matchFound', {
-          sessionId,
-          partner: matchedUserSocket.username,
-          interests: commonInterests,
-          systemMessages
-        });
-        
-        io.to(matchedUserSocketId).emit('matchFound', {
-          sessionId,
-          partner: username,
-          interests: commonInterests,
-          systemMessages
-        });
-        
-                  // server-side join to room
-        const socket1 = io.sockets.sockets.get(socketId);
-        const socket2 = io.sockets.sockets.get(matchedUserSocketId);
-        
-          if (socket1) socket1.join(`random:${sessionId}`);
-          if (socket2) socket2.join(`random:${sessionId}`);
-          
-          return true; // match found via lua
-        }
-      }
+    avoidIds = new Set(await userBlockModel.getMatchAvoidIds(userId));
+  } catch (error) {
+    // block list unavailable, continue without it
+  }
+  
+  // the shared fallback queue also honours recent encounter history
+  let recentIds = [];
+  try {
+    recentIds = await matchmakingService.getRecentEncounters(userId);
+  } catch (error) {
+    // history unavailable, continue without it
+  }
+  
+  // what the scorer knows about the user besides the interests picked for this chat
+  let profileInterests = [];
+  try {
+    profileInterests = (await userInterestModel.getUserInterests(userId)).map(interest => interest.name);
+  } catch (error) {
+    // profile unavailable, score on the picked interests only
+  }
+  let matchLanguages = [];
+  let region = null;
+  let languageRequired = false;
+  try {
+    const user = await userModel.getUserById(userId);
+    matchLanguages = user?.languages || [];
+    region = user?.region || null;
+    // requiring a shared language needs languages to share
+    languageRequired = matchLanguages.length > 0 && user.language_match === 'required';
+  } catch (error) {
+    // profile unavailable, use the browser's languages
+  }
+  if (matchLanguages.length === 0) {
+    matchLanguages = matchScoring.normalizeLanguages(languages);
+  }
+  if (matchLanguages.length === 0 && !languages) {
+    try {
+      matchLanguages = await matchmakingService.getStoredLanguages(userId);
+    } catch (error) {
+      // no stored languages
     }
+  }
+  
+  // the shared queue entry says who is waiting, for queue status and the periodic rematch. it goes in before
+  // the lua matcher can queue the user, so anyone the matcher picks already has one
+  const added = await matchStore.addQueueEntry(userId, {
+    userId,
+    username,
+    interests: validatedInterests,
+    avoidIds: [...new Set([...avoidIds, ...recentIds].map(String))],
+    profileInterests,
+    languages: matchLanguages,
+    region,
+    languageRequired,
+    instanceId,
+    enqueuedAt: Date.now()
+  });
+  if (!added) {
+    return false;
+  }
+  
+  // the lua matcher pairs the user with the best waiting user or queues them in their interest queues
+  let result;
+  try {
+    result = await matchmakingService.matchUser(userId, validatedInterests, {
+      avoidIds: [...avoidIds],
+      profileInterests,
+      languages: matchLanguages,
+      region,
+      languageRequired
+    });
   } catch (error) {
-    // fallback to in-memory queue if lua script fails
+    // without the interest queues nobody could be matched with the user
+    await matchStore.removeQueueEntry(userId);
+    return false;
   }
   
-  // fallback to in-memory queue if lua script fails or no match found
-  matchQueue.set(userId, { socketId, interests: validatedInterests, username });
+  // still marked waiting or matched by the matcher: it did not queue the user, so nothing would match them
+  if (result.error) {
+    await matchStore.removeQueueEntry(userId);
+    return false;
+  }
   
-  // try in-memory matching
-  tryMatchUsers();
+  if (result.matched) {
+    await startLuaMatch({ userId, username, interests: validatedInterests }, result);
+  }
+  return true;
+}
+
+// start the random chat the lua matcher picked for user, unless the picked user is no longer in the shared
+// queue, went offline or already started a chat elsewhere. resolves whether the chat started
+async function startLuaMatch(user, result) {
+  const matchedUserData = await matchStore.getQueueEntry(result.with);
+  const matchedUserOnline = await socketManager.isUserOnline(normalizeUserId(result.with));
+  const matchedUserInActiveMatch = await matchStore.getMatchForUser(result.with);
+  if (!matchedUserData || !matchedUserOnline || matchedUserInActiveMatch) {
+    // the matcher already marked both matched and took them out of their queues: the user waits again in
+    // theirs. the picked user is no longer marked matched (their chat elsewhere keeps them marked) and an
+    // offline one leaves the shared queue too
+    await matchmakingService.releaseClaim(user.userId, { requeue: true });
+    if (!matchedUserInActiveMatch) {
+      await matchmakingService.releaseClaim(result.with);
+    }
+    if (matchedUserData && !matchedUserOnline) {
+      await matchStore.removeQueueEntry(result.with);
+    }
+    return false;
+  }
   
+  // the picked interests they share, then the shared fallback
+  await startRandomMatch(
+    user,
+    { userId: matchedUserData.userId, username: matchedUserData.username, interests: validateInterests(matchedUserData.interests) },
+    [...result.sharedInterests, 'fallback'],
+    { sharedLanguage: result.sharedLanguage }
+  );
   return true;
 }
 
 async function dequeueUser(userId) {
-  const userData = matchQueue.get(userId);
+  const userData = await matchStore.removeQueueEntry(userId);
   if (userData) {
-    matchQueue.delete(userId);
-    
     // lua: also remove from redis queues
     try {
-      await matchmakingService.removeUserFromQueues(userId, userData.interests, 'left');
+      await matchmakingService.removeUserFromQueues(userId, 'left');
     } catch (error) {
       // failed to remove from redis
     }
@@ -255,183 +401,1024 @@ function validateInterests(interests) {
   return result;
 }
 
-function haveCommonInterest(interests1, interests2) {
-  // validate and normalize interests
-  const validInterests1 = validateInterests(interests1);
-  const validInterests2 = validateInterests(interests2);
-  
-  // since validateInterests always includes fallback, users can always match
-  // this ensures maximum matching potential with minimal wait times
-  return validInterests1.some(interest => validInterests2.includes(interest));
+// match the longest waiting users again through the lua matcher, so pairs whose score only clears the bar
+// after waiting match without anyone new joining (reads at most MATCH_REMATCH_BATCH users)
+async function rematchWaitingUsers() {
+  // one instance at a time, broadening waits for it too
+  const matched = await matchStore.withLock('match_queue', async () => {
+    const userIds = await matchmakingService.getLongestWaiting(MATCH_REMATCH_BATCH);
+    let started = 0;
+    for (const entry of await matchStore.getQueueEntries(userIds)) {
+      if (!entry) {
+        continue;
+      }
+      const result = await matchmakingService.rematchWaiting(entry.userId, entry.avoidIds || []);
+      const user = { userId: entry.userId, username: entry.username, interests: validateInterests(entry.interests) };
+      if (result.matched && await startLuaMatch(user, result)) {
+        started++;
+      }
+    }
+    return started > 0;
+  });
+  
+  return matched || false;
+}
+
+async function endMatch(sessionId) {
+  // only the caller that removes the shared match gets it back
+  const match = await matchStore.deleteMatch(sessionId);
+  if (match) {
+    // log random chat ended to kafka (only log once per match)
+    await sendAnalyticsEvent({
+      type: MESSAGE_TYPES.RANDOM_CHAT_ENDED,
+      userId: match.user1,
+      username: match.user1Username,
+      metadata: {
+        sessionId,
+        partnerId: match.user2,
+        endTime: new Date().toISOString(),
+        commonInterests: match.commonInterests || []
+      }
+    });
+    
+    return match;
+  }
+  return null;
+}
+
+// remove a user from random matchmaking and end their active random chat
+async function removeFromRandomChat(userId, reason) {
+  await dequeueUser(userId);
+  
+  const current = await matchStore.getMatchForUser(userId);
+  if (!current) {
+    return;
+  }
+  
+  const { sessionId } = current;
+  const match = await endMatch(sessionId);
+  if (!match) {
+    return;
+  }
+  
+  const isUser1 = isSameUser(match.user1, userId);
+  const partnerId = isUser1 ? match.user2 : match.user1;
+  const partnerInterests = isUser1 ? match.user2Interests : match.user1Interests;
+  const partnerUsername = isUser1 ? match.user2Username : match.user1Username;
+  
+  // the matcher would refuse to queue the user again while they are still marked matched
+  await matchmakingService.redis.del(`active:${userId}`);
+  
+  io.to(`user:${userId}`).emit('randomChatEnded', { endedBy: 'system', reason });
+  io.in(`user:${userId}`).socketsLeave(`random:${sessionId}`);
+  
+  // re-enqueue the partner so they are not penalised
+  io.to(`user:${partnerId}`).emit('randomChatEnded', { endedBy: 'system', reason });
+  io.in(`user:${partnerId}`).socketsLeave(`random:${sessionId}`);
+  if (await socketManager.isUserOnline(normalizeUserId(partnerId))) {
+    await matchmakingService.redis.del(`active:${partnerId}`);
+    await enqueueUserForRandom(partnerId, partnerInterests, partnerUsername);
+  }
+}
+
+// ========================================
+// random chat actions (shared by the socket events and /api/matchmaking)
+// ========================================
+
+// the random chat with this session id if the user is one of its two users, otherwise null
+async function getRandomMatchOf(sessionId, userId) {
+  const match = await matchStore.getMatch(sessionId);
+  if (!match || (!isSameUser(match.user1, userId) && !isSameUser(match.user2, userId))) {
+    return null;
+  }
+  return match;
+}
+
+// the random chat a user is in, shaped like the matchFound event, or null
+async function getRandomSession(userId) {
+  const current = await matchStore.getMatchForUser(userId);
+  if (!current) {
+    return null;
+  }
+  const { sessionId, match } = current;
+  const isUser1 = isSameUser(match.user1, userId);
+  return {
+    sessionId,
+    partner: isUser1 ? match.user2Username : match.user1Username,
+    interests: match.commonInterests || []
+  };
+}
+
+// queue a user for a random chat (languages are the browser's language codes, if known). every device of
+// the user gets queueJoined, or matchFound when someone was waiting. resolves { ok: true, status, session }
+// with status 'waiting' or 'matched', or { ok: false, reason, expiresAt }
+async function requestRandomMatch(userId, username, interests, { languages = [] } = {}) {
+  if (!Array.isArray(interests)) {
+    return { ok: false, reason: 'invalid_interests' };
+  }
+  
+  // sanctioned users cannot join random matchmaking
+  const sanction = await userSanctionModel.getMatchmakingBlockingSanction(userId);
+  if (sanction) {
+    return { ok: false, reason: 'matchmaking_banned', expiresAt: sanction.expires_at };
+  }
+  
+  if (!(await enqueueUserForRandom(userId, interests, username, { languages: Array.isArray(languages) ? languages : [] }))) {
+    return { ok: false, reason: 'already_in_queue_or_match' };
+  }
+  
+  // matched straight away: matchFound has already been sent
+  const session = await getRandomSession(userId);
+  if (session) {
+    return { ok: true, status: 'matched', session };
+  }
+  
+  io.to(`user:${userId}`).emit('queueJoined');
+  pushQueueStatus([userId]).catch(() => {});
+  return { ok: true, status: 'waiting', session: null };
+}
+
+// stop waiting for a random chat on every device, resolves whether the user was waiting
+async function cancelRandomMatch(userId) {
+  const entry = await dequeueUser(userId);
+  io.to(`user:${userId}`).emit('matchCancelled');
+  return Boolean(entry);
+}
+
+// leave a random chat, telling the partner with partnerEvent. resolves { ok, match, isUser1 } or
+// { ok: false, reason } (not_found when the user is not in the session, already_ended when the partner
+// or another device ended it first)
+async function leaveRandomSession(userId, username, sessionId, partnerEvent, partnerPayload) {
+  const match = await matchStore.getMatch(sessionId);
+  if (!match) {
+    return { ok: false, reason: 'not_found' };
+  }
+  
+  // verify this user is actually in this match
+  const isUser1 = isSameUser(match.user1, userId);
+  if (!isUser1 && !isSameUser(match.user2, userId)) {
+    return { ok: false, reason: 'not_found' };
+  }
+  
+  // only one instance wins if both users act at once
+  if (!(await endMatch(sessionId))) {
+    return { ok: false, reason: 'already_ended' };
+  }
+  
+  const partnerId = isUser1 ? match.user2 : match.user1;
+  io.to(`user:${partnerId}`).emit(partnerEvent, partnerPayload);
+  io.in(`user:${userId}`).socketsLeave(`random:${sessionId}`);
+  io.in(`user:${partnerId}`).socketsLeave(`random:${sessionId}`);
+  
+  // clear active status for both users so they can queue again
+  await matchmakingService.redis.del(`active:${userId}`);
+  await matchmakingService.redis.del(`active:${partnerId}`);
+  
+  return { ok: true, match, isUser1 };
+}
+
+// re-enqueue the partner of a random chat that was left, unless they went offline
+async function requeuePartner(match, isUser1) {
+  const partnerId = isUser1 ? match.user2 : match.user1;
+  if (await socketManager.isUserOnline(normalizeUserId(partnerId))) {
+    await enqueueUserForRandom(
+      partnerId,
+      isUser1 ? match.user2Interests : match.user1Interests,
+      isUser1 ? match.user2Username : match.user1Username
+    );
+  }
+}
+
+// skip the partner: both users are queued again with their interests, kept apart for the skip window.
+// resolves like leaveRandomSession, plus requeued for the skipping user
+async function skipRandomMatch(userId, username, sessionId) {
+  const left = await leaveRandomSession(userId, username, sessionId, 'randomUserSkipped', { skippedBy: username });
+  if (!left.ok) {
+    return left;
+  }
+  const { match, isUser1 } = left;
+  
+  try {
+    await matchmakingService.recordEncounter(userId, isUser1 ? match.user2 : match.user1, 'skipped');
+  } catch (error) {
+    // history unavailable, re-enqueue anyway
+  }
+  
+  const requeued = await enqueueUserForRandom(userId, isUser1 ? match.user1Interests : match.user2Interests, username);
+  await requeuePartner(match, isUser1);
+  pushQueueStatus([userId, isUser1 ? match.user2 : match.user1]).catch(() => {});
+  return { ok: true, requeued: Boolean(requeued) };
+}
+
+// end the chat: only the partner is queued again
+async function endRandomMatch(userId, username, sessionId) {
+  const left = await leaveRandomSession(userId, username, sessionId, 'randomChatEnded', { endedBy: username });
+  if (!left.ok) {
+    return left;
+  }
+  
+  await requeuePartner(left.match, left.isUser1);
+  pushQueueStatus([left.isUser1 ? left.match.user2 : left.match.user1]).catch(() => {});
+  return { ok: true };
+}
+
+// ========================================
+// group random chat
+// ========================================
+
+function groupRandomRoomId(sessionId) {
+  return `group_random:${sessionId}`;
+}
+
+// true when nobody in the group avoids the candidate or is avoided by them (blocks, reports, recent encounters)
+function fitsGroup(candidate, members) {
+  return members.every(member =>
+    !member.avoidIds?.includes(String(candidate.userId)) && !candidate.avoidIds?.includes(String(member.userId))
+  );
+}
+
+// pick the next group among the waiting entries. a full group sharing a specific interest starts right away;
+// once its longest waiter has waited GROUP_MATCH_WAIT_SECONDS a smaller group starts too, and users past the
+// wait (or without interests) are grouped from the general pool
+function findGroup(entries, now) {
+  const hasWaited = entry => now - entry.enqueuedAt >= GROUP_MATCH_WAIT_SECONDS * 1000;
+  const byWait = [...entries].sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+  const specificInterests = [...new Set(byWait.flatMap(entry => entry.interests))]
+    .filter(interest => interest !== 'fallback');
+  
+  for (const interest of [...specificInterests, 'fallback']) {
+    const pool = byWait.filter(entry => entry.interests.includes(interest) &&
+      (interest !== 'fallback' || entry.interests.length === 1 || hasWaited(entry)));
+    
+    // grow a group around each waiter, longest waiting first
+    for (let i = 0; i <= pool.length - GROUP_MATCH_MIN_SIZE; i++) {
+      const members = [pool[i]];
+      for (const candidate of pool.slice(i + 1)) {
+        if (members.length === GROUP_MATCH_SIZE) break;
+        if (fitsGroup(candidate, members)) {
+          members.push(candidate);
+        }
+      }
+      if (members.length === GROUP_MATCH_SIZE || (members.length >= GROUP_MATCH_MIN_SIZE && hasWaited(pool[i]))) {
+        return members;
+      }
+    }
+  }
+  return null;
+}
+
+// create a group random chat and announce it to every member on whichever instance they are connected to
+async function startGroupRandomMatch(members) {
+  const sessionId = uuidv4();
+  const commonInterests = members[0].interests.filter(interest =>
+    members.every(member => member.interests.includes(interest))
+  );
+  
+  await matchStore.setGroupMatch(sessionId, {
+    members: members.map(({ userId, username, interests }) => ({ userId, username, interests })),
+    commonInterests,
+    startedAt: new Date().toISOString()
+  });
+  await Promise.all(members.map(member => matchStore.removeGroupQueueEntry(member.userId)));
+  
+  await sendAnalyticsEvent({
+    type: MESSAGE_TYPES.RANDOM_CHAT_STARTED,
+    userId: members[0].userId,
+    username: members[0].username,
+    metadata: {
+      sessionId,
+      mode: 'group',
+      memberIds: members.map(member => member.userId),
+      commonInterests,
+      startTime: new Date().toISOString()
+    }
+  });
+  
+  // like one-to-one random chat, members only learn each other's usernames
+  const userRooms = members.map(member => `user:${member.userId}`);
+  io.in(userRooms).socketsJoin(groupRandomRoomId(sessionId));
+  io.to(userRooms).emit('groupMatchFound', {
+    sessionId,
+    members: members.map(member => member.username),
+    interests: commonInterests,
+    systemMessages: createMatchSystemMessages(commonInterests, { groupSize: members.length })
+  });
+  
+  return sessionId;
+}
+
+// form as many groups as the waiting users allow (runs after every enqueue and on a timer for the wait policy)
+async function tryGroupMatch() {
+  const formed = await matchStore.withLock('group_match_queue', async () => {
+    let entries = [];
+    for (const entry of await matchStore.getGroupQueueEntries()) {
+      // users who dropped while waiting are not grouped
+      if (await socketManager.isUserOnline(entry.userId)) {
+        entries.push(entry);
+      } else {
+        await matchStore.removeGroupQueueEntry(entry.userId);
+      }
+    }
+    
+    let count = 0;
+    let members;
+    while ((members = findGroup(entries, Date.now()))) {
+      await startGroupRandomMatch(members);
+      entries = entries.filter(entry => !members.includes(entry));
+      count++;
+    }
+    return count;
+  });
+  
+  return formed || 0;
+}
+
+// add a user to the group queue, returns false if they are already waiting, in a random chat or restricted.
+// callers run tryGroupMatch once the user knows they are queued
+async function enqueueUserForGroupRandom(userId, interests, username) {
+  const normalizedUserId = normalizeUserId(userId);
+  if (await matchStore.getGroupQueueEntry(normalizedUserId) || await matchStore.getGroupMatchForUser(normalizedUserId)) {
+    return false;
+  }
+  if (await matchStore.getQueueEntry(normalizedUserId) || await matchStore.getMatchForUser(normalizedUserId)) {
+    return false;
+  }
+  
+  try {
+    if (await userSanctionModel.getMatchmakingBlockingSanction(normalizedUserId)) {
+      return false;
+    }
+  } catch (error) {
+    return false;
+  }
+  
+  // the same people are kept apart as in one-to-one random chat
+  let avoidIds = [];
+  try {
+    avoidIds = await userBlockModel.getMatchAvoidIds(normalizedUserId);
+  } catch (error) {
+    // block list unavailable, continue without it
+  }
+  let recentIds = [];
+  try {
+    recentIds = await matchmakingService.getRecentEncounters(normalizedUserId);
+  } catch (error) {
+    // history unavailable, continue without it
+  }
+  
+  return matchStore.addGroupQueueEntry(normalizedUserId, {
+    userId: normalizedUserId,
+    username,
+    interests: validateInterests(interests),
+    avoidIds: [...new Set([...avoidIds, ...recentIds].map(String))],
+    instanceId,
+    enqueuedAt: Date.now()
+  });
+}
+
+// end a group random chat for everyone still in it and put them back in the group queue
+async function endGroupRandomMatch(sessionId, reason) {
+  const match = await matchStore.deleteGroupMatch(sessionId);
+  if (!match) {
+    return null;
+  }
+  
+  await sendAnalyticsEvent({
+    type: MESSAGE_TYPES.RANDOM_CHAT_ENDED,
+    userId: match.members[0]?.userId || null,
+    username: match.members[0]?.username || null,
+    metadata: {
+      sessionId,
+      mode: 'group',
+      reason,
+      endTime: new Date().toISOString(),
+      commonInterests: match.commonInterests || []
+    }
+  });
+  
+  for (const member of match.members) {
+    io.in(`user:${member.userId}`).socketsLeave(groupRandomRoomId(sessionId));
+    const requeued = await socketManager.isUserOnline(member.userId) &&
+      await enqueueUserForGroupRandom(member.userId, member.interests, member.username);
+    io.to(`user:${member.userId}`).emit('groupMatchEnded', { sessionId, reason, requeued });
+  }
+  await tryGroupMatch();
+  
+  return match;
+}
+
+// take one member out of a group random chat. the group carries on while two or more remain, otherwise it
+// ends and the last member is queued again. returns the member's entry, or null if they were not in the group
+async function leaveGroupRandomMatch(userId, sessionId, reason = 'left') {
+  const normalizedUserId = normalizeUserId(userId);
+  const left = await matchStore.leaveGroupMatch(sessionId, normalizedUserId);
+  
+  io.in(`user:${normalizedUserId}`).socketsLeave(groupRandomRoomId(sessionId));
+  if (!left) {
+    return null;
+  }
+  
+  // the user's other devices close the chat too
+  io.to(`user:${normalizedUserId}`).emit('groupMatchLeft', { sessionId, reason });
+  
+  if (left.remaining >= 2) {
+    io.to(groupRandomRoomId(sessionId)).emit('groupMatchMemberLeft', {
+      sessionId,
+      username: left.username,
+      reason,
+      remaining: left.remaining
+    });
+  } else {
+    await endGroupRandomMatch(sessionId, 'not_enough_members');
+  }
+  return left;
+}
+
+// remove a user from the group queue and from their group random chat
+async function removeFromGroupRandomChat(userId, reason) {
+  const normalizedUserId = normalizeUserId(userId);
+  await matchStore.removeGroupQueueEntry(normalizedUserId);
+  
+  const match = await matchStore.getGroupMatchForUser(normalizedUserId);
+  if (match) {
+    await leaveGroupRandomMatch(normalizedUserId, match.sessionId, reason);
+  }
+}
+
+// apply a moderation sanction to the live sessions of a user
+async function enforceSanction(sanction) {
+  if (!io) {
+    return;
+  }
+  
+  const userId = normalizeUserId(sanction.user_id);
+  const payload = {
+    id: sanction.id,
+    type: sanction.type,
+    reason: sanction.reason,
+    expiresAt: sanction.expires_at
+  };
+  
+  if (sanction.type === 'warning') {
+    io.to(`user:${userId}`).emit('moderationWarning', payload);
+    return;
+  }
+  
+  if (sanction.type === 'matchmaking_ban') {
+    await removeFromRandomChat(userId, 'matchmaking_banned');
+    await removeFromGroupRandomChat(userId, 'restricted');
+    await leaveAllInterestRooms(userId, 'restricted');
+    io.to(`user:${userId}`).emit('matchmakingBanned', payload);
+    return;
+  }
+  
+  // suspension or ban: notify then drop every socket (disconnect handler cleans up matches)
+  await dequeueUser(userId);
+  await matchStore.removeGroupQueueEntry(userId);
+  io.to(`user:${userId}`).emit('accountSuspended', payload);
+  io.in(`user:${userId}`).disconnectSockets(true);
+}
+
+// a waiting user's place in each of their queues, estimated wait (from recent pairings) and broaden suggestion
+function queueStatusFor(entry, positions, pairingRates, now) {
+  const queues = positions
+    .filter(queue => queue.position !== null)
+    .map(({ interest, waiting, position }) => {
+      const perMinute = pairingRates[interest] || 0;
+      return {
+        interest,
+        waiting,
+        position,
+        estimatedWaitSeconds: perMinute > 0 ? Math.round(position / perMinute * 60) : null
+      };
+    });
+  
+  const estimates = queues.map(queue => queue.estimatedWaitSeconds).filter(estimate => estimate !== null);
+  const waitedSeconds = Math.floor((now - (entry.enqueuedAt ?? now)) / 1000);
+  return {
+    queues,
+    waitedSeconds,
+    estimatedWaitSeconds: estimates.length > 0 ? Math.min(...estimates) : null,
+    suggestBroaden: queues.some(queue => queue.interest !== 'fallback') && waitedSeconds >= MATCH_BROADEN_AFTER_SECONDS
+  };
+}
+
+// send queueStatus to the given waiting random chat users, or to everyone queued through this instance
+async function pushQueueStatus(userIds = null) {
+  const entries = userIds
+    ? (await matchStore.getQueueEntries(userIds)).filter(Boolean)
+    : await matchStore.getInstanceQueueEntries(instanceId);
+  if (entries.length === 0) {
+    return;
+  }
+  
+  const interests = [...new Set(entries.flatMap(entry => validateInterests(entry.interests)))];
+  const pairingRates = await matchStore.getPairingRates(interests);
+  const now = Date.now();
+  for (const entry of entries) {
+    const positions = await matchmakingService.getQueuePositions(entry.userId, validateInterests(entry.interests));
+    io.to(`user:${entry.userId}`).emit('queueStatus', queueStatusFor(entry, positions, pairingRates, now));
+  }
+}
+
+// let a waiting user match from the general pool only, keeping their place in the queue.
+// resolves 'broadened', 'not_waiting' or 'busy' (another instance is pairing the queue right now)
+async function broadenQueuedUser(userId) {
+  const result = await matchStore.withLock('match_queue', async () => {
+    const current = await matchStore.getQueueEntry(userId);
+    if (!current) {
+      return 'not_waiting';
+    }
+    await matchmakingService.broadenToFallback(userId, validateInterests(current.interests));
+    await matchStore.updateQueueEntry(userId, { interests: ['fallback'] });
+    return 'broadened';
+  });
+  return result || 'busy';
+}
+
+// helper function to normalize user id format
+function normalizeUserId(userId) {
+  if (typeof userId === 'string') {
+    return userId.toLowerCase();
+  }
+  return userId;
+}
+
+// helper function to generate friend room id
+function generateFriendRoomId(userId1, userId2) {
+  const sortedIds = [userId1, userId2].sort();
+  return `room:${sortedIds.join(':')}`;
+}
+
+// ========================================
+// direct message delivery
+// ========================================
+
+// shape a stored message row for the newMessage event
+function toMessageEvent(storedMessage, senderUsername, content) {
+  return {
+    id: storedMessage.id,
+    clientMessageId: storedMessage.client_message_id || null,
+    senderId: storedMessage.sender_id,
+    sender: senderUsername,
+    message: content,
+    isE2EE: Boolean(storedMessage.is_e2ee),
+    timestamp: storedMessage.sent_at || new Date(),
+    isRead: false,
+    isReceived: true
+  };
+}
+
+// persist delivery for acknowledged messages and tell each sender
+async function confirmDelivery(receiverId, messageIds) {
+  if (messageIds.length === 0) {
+    return;
+  }
+  
+  const delivered = await messageModel.markMessagesDelivered(receiverId, messageIds);
+  
+  // group by sender so each sender gets a single event
+  const bySender = new Map();
+  for (const row of delivered) {
+    const key = normalizeUserId(row.sender_id);
+    if (!bySender.has(key)) {
+      bySender.set(key, { messageIds: [], deliveredAt: row.delivered_at });
+    }
+    bySender.get(key).messageIds.push(row.id);
+  }
+  
+  for (const [senderId, { messageIds: ids, deliveredAt }] of bySender) {
+    io.to(`user:${senderId}`).emit('messagesDelivered', {
+      messageIds: ids,
+      deliveredTo: normalizeUserId(receiverId),
+      deliveredAt
+    });
+  }
+}
+
+// deliver a stored message to every device of the receiver; unacknowledged messages stay in the inbox.
+// the sender's other devices get a copy (isReceived: false) so their conversation stays in sync
+async function deliverDirectMessage(storedMessage, senderUsername, content, { excludeSocketId = null } = {}) {
+  const receiverId = normalizeUserId(storedMessage.receiver_id);
+  const senderId = normalizeUserId(storedMessage.sender_id);
+  
+  io.to(`user:${receiverId}`)
+    .timeout(DELIVERY_ACK_TIMEOUT)
+    .emit('newMessage', toMessageEvent(storedMessage, senderUsername, content), (err, responses) => {
+      // err only means some device did not answer in time; any ack counts as delivered
+      if (responses && responses.length > 0) {
+        confirmDelivery(receiverId, [storedMessage.id]).catch(() => {
+          // delivery state update failed, message will be replayed from the inbox
+        });
+      }
+    });
+  
+  try {
+    const receiverResult = await query('SELECT username FROM users WHERE id = $1', [storedMessage.receiver_id]);
+    const senderDevices = excludeSocketId
+      ? io.to(`user:${senderId}`).except(excludeSocketId)
+      : io.to(`user:${senderId}`);
+    
+    senderDevices.emit('newMessage', {
+      ...toMessageEvent(storedMessage, senderUsername, content),
+      receiver: receiverResult.rows[0]?.username,
+      isReceived: false
+    });
+  } catch (error) {
+    // other devices will see the message when they reload history
+  }
+}
+
+// replay messages that arrived while the user was offline to a freshly connected socket
+async function replayOfflineInbox(socket, userId) {
+  const pending = await messageModel.getUndeliveredMessages(userId);
+  if (pending.length === 0) {
+    return;
+  }
+  
+  const results = await Promise.allSettled(pending.map(row =>
+    socket.timeout(DELIVERY_ACK_TIMEOUT).emitWithAck(
+      'newMessage',
+      toMessageEvent(row, row.sender_username, row.encrypted_message)
+    )
+  ));
+  
+  const acknowledged = pending
+    .filter((row, index) => results[index].status === 'fulfilled')
+    .map(row => row.id);
+  
+  await confirmDelivery(userId, acknowledged);
+}
+
+// ========================================
+// message editing and deletion
+// ========================================
+
+// check that a message can still be changed by this user, returns an error result or null
+function checkMessageChange(message, userId, windowSeconds, action) {
+  if (!message) {
+    return { ok: false, status: 404, error: 'Message not found' };
+  }
+  if (!isSameUser(message.sender_id, userId)) {
+    return { ok: false, status: 403, error: `You can only ${action} your own messages` };
+  }
+  if (message.deleted_at) {
+    return { ok: false, status: 410, error: 'Message was deleted' };
+  }
+  if (Date.now() - new Date(message.sent_at).getTime() > windowSeconds * 1000) {
+    return { ok: false, status: 403, error: `Messages can only be ${action}ed within ${Math.round(windowSeconds / 60)} minutes of sending` };
+  }
+  return null;
+}
+
+// edit a friend message and update it on every device of both users
+async function editDirectMessage(userId, messageId, content) {
+  const existing = await messageModel.getMessageById(messageId);
+  const rejected = checkMessageChange(existing, userId, MESSAGE_EDIT_WINDOW, 'edit');
+  if (rejected) {
+    return rejected;
+  }
+  
+  // encrypted messages stay encrypted and plaintext ones stay plaintext
+  if (Boolean(existing.is_e2ee) !== isValidE2EEEnvelope(content)) {
+    return { ok: false, status: 400, error: existing.is_e2ee ? 'Invalid encrypted message' : 'Invalid message content' };
+  }
+  
+  const updated = await messageModel.editMessage(messageId, existing.sender_id, content, MESSAGE_EDIT_WINDOW);
+  if (!updated) {
+    // deleted or expired between the check and the update
+    return { ok: false, status: 409, error: 'Message can no longer be edited' };
+  }
+  
+  const event = {
+    id: updated.id,
+    senderId: updated.sender_id,
+    message: content,
+    isE2EE: Boolean(updated.is_e2ee),
+    editedAt: updated.edited_at
+  };
+  if (io) {
+    io.to(`user:${normalizeUserId(updated.sender_id)}`)
+      .to(`user:${normalizeUserId(updated.receiver_id)}`)
+      .emit('messageEdited', event);
+  }
+  
+  return { ok: true, ...event };
+}
+
+// delete a friend message (tombstone) and remove it on every device of both users
+async function deleteDirectMessage(userId, messageId) {
+  const existing = await messageModel.getMessageById(messageId);
+  const rejected = checkMessageChange(existing, userId, MESSAGE_DELETE_WINDOW, 'delete');
+  if (rejected) {
+    return rejected;
+  }
+  
+  const deleted = await messageModel.deleteMessage(messageId, existing.sender_id, MESSAGE_DELETE_WINDOW);
+  if (!deleted) {
+    return { ok: false, status: 409, error: 'Message can no longer be deleted' };
+  }
+  
+  const event = { id: deleted.id, deletedAt: deleted.deleted_at };
+  if (io) {
+    io.to(`user:${normalizeUserId(deleted.sender_id)}`)
+      .to(`user:${normalizeUserId(deleted.receiver_id)}`)
+      .emit('messageDeleted', event);
+  }
+  
+  return { ok: true, ...event };
+}
+
+// ========================================
+// message reactions
+// ========================================
+
+// add or remove a reaction on a friend message (numeric id) or a random chat message (sessionId + uuid)
+// every participant device gets the message's full reaction list as messageReactions
+async function applyReaction(userId, username, { messageId, emoji, sessionId }, action) {
+  if (!messageReactionModel.isValidEmoji(emoji)) {
+    return { ok: false, error: 'Invalid reaction' };
+  }
+  
+  if (sessionId) {
+    // random chats are not persisted, reactions live with the match in redis
+    const match = await matchStore.getMatch(sessionId);
+    if (!match || (!isSameUser(match.user1, userId) && !isSameUser(match.user2, userId))) {
+      return { ok: false, error: 'Random chat not found' };
+    }
+    if (typeof messageId !== 'string' || !/^[0-9a-zA-Z-]{1,64}$/.test(messageId)) {
+      return { ok: false, error: 'Invalid message ID' };
+    }
+    
+    const changed = action === 'add'
+      ? await matchStore.addReaction(sessionId, messageId, emoji, username)
+      : await matchStore.removeReaction(sessionId, messageId, emoji, username);
+    
+    const reactions = messageReactionModel.summarizeReactions(await matchStore.getReactions(sessionId, messageId));
+    if (changed) {
+      io.to(`random:${sessionId}`).emit('messageReactions', { sessionId, messageId, reactions });
+    }
+    return { ok: true, messageId, reactions };
+  }
+  
+  if (!Number.isInteger(messageId)) {
+    return { ok: false, error: 'Invalid message ID' };
+  }
+  
+  const message = await messageModel.getMessageById(messageId);
+  if (!message || message.deleted_at || (!isSameUser(message.sender_id, userId) && !isSameUser(message.receiver_id, userId))) {
+    return { ok: false, error: 'Message not found' };
+  }
+  if (await userBlockModel.isBlockedEitherWay(message.sender_id, message.receiver_id)) {
+    return { ok: false, error: 'You cannot react to this message' };
+  }
+  
+  const changed = action === 'add'
+    ? await messageReactionModel.addReaction(messageId, userId, emoji)
+    : await messageReactionModel.removeReaction(messageId, userId, emoji);
+  
+  const reactions = (await messageReactionModel.getReactionsForMessages([messageId]))[messageId] || [];
+  if (changed) {
+    io.to(`user:${normalizeUserId(message.sender_id)}`)
+      .to(`user:${normalizeUserId(message.receiver_id)}`)
+      .emit('messageReactions', { messageId, reactions });
+  }
+  return { ok: true, messageId, reactions };
+}
+
+// ========================================
+// group conversations
+// ========================================
+
+function groupRoomId(groupId) {
+  return `group:${groupId}`;
+}
+
+// shape a stored group message row for the groupMessage event
+function toGroupMessageEvent(storedMessage, senderUsername, content) {
+  return {
+    id: storedMessage.id,
+    groupId: storedMessage.conversation_id,
+    clientMessageId: storedMessage.client_message_id || null,
+    senderId: storedMessage.sender_id,
+    sender: senderUsername,
+    message: content,
+    isSystem: Boolean(storedMessage.is_system),
+    timestamp: storedMessage.sent_at || new Date()
+  };
+}
+
+// send a stored group message to every device of every member (offline members read it from history)
+function deliverGroupMessage(storedMessage, senderUsername, content, { excludeSocketId = null } = {}) {
+  if (!io) return;
+  const room = io.to(groupRoomId(storedMessage.conversation_id));
+  (excludeSocketId ? room.except(excludeSocketId) : room)
+    .emit('groupMessage', toGroupMessageEvent(storedMessage, senderUsername, content));
+}
+
+// store a member's message and deliver it to the group, returns an ack-shaped result
+async function postGroupMessage(userId, username, { groupId, message, clientMessageId = null }, { excludeSocketId = null } = {}) {
+  if (!(await groupConversationModel.getMember(groupId, userId))) {
+    return { ok: false, status: 403, error: 'You are not a member of this group' };
+  }
+  
+  const storedMessage = await groupMessageModel.sendGroupMessage({
+    conversation_id: groupId,
+    sender_id: userId,
+    content: message,
+    client_message_id: clientMessageId
+  });
+  
+  // retried send, the first copy was already delivered
+  if (!storedMessage) {
+    const existing = await groupMessageModel.getGroupMessageByClientId(userId, clientMessageId);
+    return { ok: true, duplicate: true, id: existing.id, groupId, clientMessageId, timestamp: existing.sent_at };
+  }
+  
+  deliverGroupMessage(storedMessage, username, message, { excludeSocketId });
+  return {
+    ok: true,
+    id: storedMessage.id,
+    groupId,
+    clientMessageId: storedMessage.client_message_id,
+    timestamp: storedMessage.sent_at
+  };
+}
+
+// store and deliver a membership notice ("alice added bob")
+async function postGroupNotice(groupId, text) {
+  const storedMessage = await groupMessageModel.sendGroupMessage({ conversation_id: groupId, content: text, is_system: true });
+  deliverGroupMessage(storedMessage, null, text);
+}
+
+// move every device of the users into (or out of) a group's room
+function joinGroupRoom(groupId, userIds) {
+  if (!io) return;
+  userIds.forEach(userId => io.in(`user:${normalizeUserId(userId)}`).socketsJoin(groupRoomId(groupId)));
+}
+
+function leaveGroupRoom(groupId, userIds) {
+  if (!io) return;
+  userIds.forEach(userId => io.in(`user:${normalizeUserId(userId)}`).socketsLeave(groupRoomId(groupId)));
 }
 
-function isInSkipCooldown(userId1, userId2) {
-  // only check if userId1 has userId2 in their cooldown (unidirectional)
-  // this prevents the skipper from matching with the skipped user again
-  const cooldown1 = skipCooldowns.get(userId1);
-  const cooldown2 = skipCooldowns.get(userId2);
-  
-  // if userId1 skipped userId2, prevent userId1 from matching with userId2
-  if (cooldown1 && cooldown1.has(userId2)) {
-    return true;
+// emit an event to every member device of a group
+function emitToGroup(groupId, event, payload) {
+  if (!io) return;
+  io.to(groupRoomId(groupId)).emit(event, payload);
+}
+
+// emit an event to every device of the users (e.g. groupAdded, groupRemoved)
+function emitToUsers(userIds, event, payload) {
+  if (!io) return;
+  userIds.forEach(userId => io.to(`user:${normalizeUserId(userId)}`).emit(event, payload));
+}
+
+// ========================================
+// interest rooms
+// ========================================
+
+function interestRoomId(roomId) {
+  return `interest_room:${roomId}`;
+}
+
+// add a user (every device) to an interest room, returns an ack-shaped result with the live members
+async function joinInterestRoom(userId, username, roomId) {
+  const room = await interestRoomModel.getRoomById(roomId);
+  if (!room) {
+    return { ok: false, status: 404, error: 'Room not found' };
   }
   
-  // if userId2 skipped userId1, prevent userId2 from matching with userId1
-  if (cooldown2 && cooldown2.has(userId1)) {
-    return true;
+  // public rooms put users in front of strangers, like random chat
+  if (await userSanctionModel.getMatchmakingBlockingSanction(userId)) {
+    return { ok: false, status: 403, error: 'You cannot join public rooms while your account is restricted' };
   }
   
-  return false;
-}
-
-function addSkipCooldown(userId, skippedUserId) {
-  if (!skipCooldowns.has(userId)) {
-    skipCooldowns.set(userId, new Set());
+  const normalizedUserId = normalizeUserId(userId);
+  const outcome = await roomStore.join(roomId, normalizedUserId, username, room.max_occupancy);
+  if (outcome === 'full') {
+    return { ok: false, status: 409, error: 'This room is full' };
   }
-  skipCooldowns.get(userId).add(skippedUserId);
   
-  // remove cooldown after 30 seconds
-  setTimeout(() => {
-    const cooldown = skipCooldowns.get(userId);
-    if (cooldown) {
-      cooldown.delete(skippedUserId);
-      if (cooldown.size === 0) {
-        skipCooldowns.delete(userId);
-      }
-    }
-  }, 30000);
+  io.in(`user:${normalizedUserId}`).socketsJoin(interestRoomId(roomId));
+  const members = await roomStore.getMembers(roomId);
+  
+  if (outcome === 'joined') {
+    io.to(interestRoomId(roomId)).emit('interestRoomMemberJoined', {
+      roomId,
+      userId: normalizedUserId,
+      username,
+      occupancy: members.length
+    });
+  }
+  return { ok: true, room, members };
 }
 
-function tryMatchUsers() {
-  const users = Array.from(matchQueue.entries());
+// remove a user (every device) from an interest room; the last member out removes an ephemeral room
+async function leaveInterestRoom(userId, roomId, reason = 'left') {
+  const normalizedUserId = normalizeUserId(userId);
+  const left = await roomStore.leave(roomId, normalizedUserId);
   
-  for (let i = 0; i < users.length; i++) {
-    for (let j = i + 1; j < users.length; j++) {
-      const [userId1, userData1] = users[i];
-      const [userId2, userData2] = users[j];
-      
-      // no cooldown check - allow immediate re-matching after skip
-      
-      // check for common interests
-      const validInterests1 = validateInterests(userData1.interests);
-      const validInterests2 = validateInterests(userData2.interests);
-      
-      if (haveCommonInterest(userData1.interests, userData2.interests)) {
-        // check if either user is already in an active match to prevent race conditions
-        const user1InActiveMatch = Array.from(activeMatches.values()).some(match => 
-          match.user1 === userId1 || match.user2 === userId1
-        );
-        const user2InActiveMatch = Array.from(activeMatches.values()).some(match => 
-          match.user1 === userId2 || match.user2 === userId2
-        );
-        
-        if (user1InActiveMatch || user2InActiveMatch) {
-          continue; // Skip this match, try next users
-        }
-        
-        // Find common interests (using validated interests)
-         const validInterests1 = validateInterests(userData1.interests);
-         const validInterests2 = validateInterests(userData2.interests);
-         const commonInterests = validInterests1.filter(interest => 
-           validInterests2.includes(interest)
-         );
-        
-                  // remove both users from queue
-        matchQueue.delete(userId1);
-        matchQueue.delete(userId2);
-        
-        // Create unique session ID
-        const sessionId = uuidv4();
-        
-        // Store active match with both individual and common interests
-        activeMatches.set(sessionId, {
-          user1: userId1,
-          user2: userId2,
-          user1Interests: validInterests1,
-          user2Interests: validInterests2,
-          commonInterests: commonInterests
-        });
-        
-        // Create initial system messages
-        const systemMessages = createMatchSystemMessages(commonInterests);
-        
-        // Emit match found to both users with system messages
-        io.to(userData1.socketId).emit('matchFound', {
-          sessionId,
-          partner: userData2.username,
-          interests: commonInterests,
-          systemMessages
-        });
-        
-        io.to(userData2.socketId).emit('matchFound', {
-          sessionId,
-          partner: userData1.username,
-          interests: commonInterests,
-          systemMessages
-        });
-        
-                  // server-side join to room
-        const socket1 = io.sockets.sockets.get(userData1.socketId);
-        const socket2 = io.sockets.sockets.get(userData2.socketId);
-        
-        if (socket1) socket1.join(`random:${sessionId}`);
-        if (socket2) socket2.join(`random:${sessionId}`);
-        
-        return true; // found a match
-      }
-    }
+  io.in(`user:${normalizedUserId}`).socketsLeave(interestRoomId(roomId));
+  if (!left) {
+    return false;
   }
   
-  return false; // no match found
+  io.to(`user:${normalizedUserId}`).emit('interestRoomLeft', { roomId, reason });
+  if (left.remaining === 0) {
+    await interestRoomModel.deleteEphemeralRoom(roomId);
+  } else {
+    io.to(interestRoomId(roomId)).emit('interestRoomMemberLeft', {
+      roomId,
+      userId: normalizedUserId,
+      username: left.username,
+      occupancy: left.remaining
+    });
+  }
+  return true;
 }
 
-async function endMatch(sessionId) {
-  const match = activeMatches.get(sessionId);
-  if (match) {
-    activeMatches.delete(sessionId);
-    
-    // log random chat ended to kafka (only log once per match)
-    await sendAnalyticsEvent({
-      type: MESSAGE_TYPES.RANDOM_CHAT_ENDED,
-      userId: match.user1,
-      username: null, // we don't have username here, but userId is enough
-      metadata: {
-        sessionId,
-        partnerId: match.user2,
-        endTime: new Date().toISOString(),
-        commonInterests: match.commonInterests || []
-      }
-    });
-    
-    return match;
+async function leaveAllInterestRooms(userId, reason) {
+  const roomIds = await roomStore.getUserRooms(normalizeUserId(userId));
+  for (const roomId of roomIds) {
+    await leaveInterestRoom(userId, roomId, reason);
   }
-  return null;
 }
 
-// function to print current queue status
-function printQueueStatus() {
-  // debug function - commented out for production
+// send everyone out of a room that no longer exists
+async function closeInterestRoom(roomId) {
+  await roomStore.clear(roomId);
+  if (!io) return;
+  io.to(interestRoomId(roomId)).emit('interestRoomClosed', { roomId });
+  io.in(interestRoomId(roomId)).socketsLeave(interestRoomId(roomId));
 }
 
-// helper function to normalize user id format
-function normalizeUserId(userId) {
-  if (typeof userId === 'string') {
-    return userId.toLowerCase();
+// emit an event to everyone in an interest room (e.g. interestRoomUpdated)
+function emitToInterestRoom(roomId, event, payload) {
+  if (!io) return;
+  io.to(interestRoomId(roomId)).emit(event, payload);
+}
+
+// moderation is skipped when the service is not configured and fails open when it is unreachable
+async function moderateRoomMessage(text) {
+  if (!moderationService.isConfigured()) {
+    return { flagged: false };
+  }
+  try {
+    return await moderationService.isContentFlagged(text);
+  } catch (error) {
+    return { flagged: false };
   }
-  return userId;
 }
 
-// helper function to generate friend room id
-function generateFriendRoomId(userId1, userId2) {
-  const sortedIds = [userId1, userId2].sort();
-  return `room:${sortedIds.join(':')}`;
+// check slow mode and moderation, then relay a room message (room messages are not stored)
+async function postInterestRoomMessage(userId, username, { roomId, message, clientMessageId = null }, { excludeSocketId = null } = {}) {
+  const normalizedUserId = normalizeUserId(userId);
+  if (!(await roomStore.isMember(roomId, normalizedUserId))) {
+    return { ok: false, status: 403, error: 'Join the room before sending messages' };
+  }
+  
+  const room = await interestRoomModel.getRoomById(roomId);
+  if (!room) {
+    await closeInterestRoom(roomId);
+    return { ok: false, status: 404, error: 'Room not found' };
+  }
+  
+  const waitMs = await roomStore.takeSlowModeSlot(roomId, normalizedUserId, room.slow_mode_seconds);
+  if (waitMs > 0) {
+    const retryAfter = Math.ceil(waitMs / 1000);
+    return { ok: false, status: 429, error: `Slow mode is on, wait ${retryAfter}s before sending again`, retryAfter };
+  }
+  
+  const verdict = await moderateRoomMessage(message);
+  if (verdict.flagged) {
+    const categories = Object.keys(verdict.categories || {}).filter(category => verdict.categories[category]);
+    return { ok: false, status: 422, error: 'Message blocked by moderation', moderated: true, categories };
+  }
+  
+  const event = {
+    id: uuidv4(),
+    roomId,
+    clientMessageId,
+    senderId: normalizedUserId,
+    sender: username,
+    message,
+    timestamp: new Date()
+  };
+  const target = io.to(interestRoomId(roomId));
+  (excludeSocketId ? target.except(excludeSocketId) : target).emit('interestRoomMessage', event);
+  
+  return { ok: true, id: event.id, roomId, clientMessageId, timestamp: event.timestamp };
 }
 
 // ========================================
 // socket initialization
 // ========================================
 
-function initializeSocket(server) {
+function initializeSocket(server, options = {}) {
+  // every process (or in-process server in tests) needs a distinct instance id
+  instanceId = options.instanceId || process.env.SERVER_INSTANCE || `${os.hostname()}-${uuidv4()}`;
+  
   io = new Server(server, {
     cors: {
       origin: ["http://localhost:3000", "https://localhost:3000"],
@@ -443,22 +1430,61 @@ function initializeSocket(server) {
     upgradeTimeout: 30000,
     pingTimeout: 60000
   });
+  
+  // relay room broadcasts between instances through redis pub/sub
+  const pubClient = redis.duplicate();
+  const subClient = redis.duplicate();
+  adapterClients = [pubClient, subClient];
+  io.adapter(createAdapter(pubClient, subClient));
+  
+  // advertise this instance so other instances know its sockets are still live
+  socketManager.registerInstance(instanceId);
+  backgroundTimers.push(setInterval(() => socketManager.registerInstance(instanceId), 20000));
 
   // jwt authentication middleware
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     const token = socket.handshake.auth.token;
     if (!token) {
       return next(new Error('Authentication error'));
     }
 
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return next(new Error('Authentication error'));
+    }
+    
+    // appeal tokens issued to suspended users cannot open sockets
+    if (decoded.scope === 'appeal') {
+      return next(new Error('Authentication error'));
+    }
+
+    // devices that were logged out cannot reconnect with their old token
+    try {
+      if (await sessionManager.isSessionRevoked(decoded.sid)) {
+        return next(new Error('Session logged out'));
+      }
+    } catch (error) {
+      return next(new Error('Authentication error'));
+    }
+
+    // reject suspended or banned users
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      socket.userId = decoded.userId;
-      socket.username = decoded.username;
-      next();
+      const sanction = await userSanctionModel.getAccountBlockingSanction(decoded.userId);
+      if (sanction) {
+        const error = new Error('Account suspended');
+        error.data = { type: sanction.type, expiresAt: sanction.expires_at };
+        return next(error);
+      }
     } catch (error) {
-      next(new Error('Authentication error'));
+      return next(new Error('Authentication error'));
     }
+
+    socket.userId = decoded.userId;
+    socket.username = decoded.username;
+    socket.sessionId = decoded.sid || null;
+    next();
   });
 
   // ========================================
@@ -483,53 +1509,17 @@ function initializeSocket(server) {
     // Store user connection with better validation and race condition handling
     const normalizedUserId = normalizeUserId(socket.userId);
     
-    // handle race conditions: disconnect previous socket if exists and clean up stale redis sockets
-    const previousSocket = userSockets.get(normalizedUserId);
-    if (previousSocket && previousSocket !== socket.id) {
-      try {
-        const previousSocketInstance = io.sockets.sockets.get(previousSocket);
-        if (previousSocketInstance) {
-          previousSocketInstance.disconnect(true);
-        }
-        // remove the old socket from redis
-        await socketManager.removeUserSocket(normalizedUserId, previousSocket);
-      } catch (e) {
-        // failed to disconnect previous socket
-      }
-    }
-    
-    // clean up all stale sockets in redis for this user
-    try {
-      const existingSockets = await socketManager.getUserSockets(normalizedUserId);
-      
-      // check which sockets are actually connected
-      const activeSockets = [];
-      const staleSockets = [];
-      
-      for (const socketId of existingSockets) {
-        const socketInstance = io.sockets.sockets.get(socketId);
-        if (socketInstance && socketInstance.connected) {
-          activeSockets.push(socketId);
-        } else {
-          staleSockets.push(socketId);
-        }
-      }
-      
-      // remove all stale sockets from redis
-      for (const staleSocketId of staleSockets) {
-        await socketManager.removeUserSocket(normalizedUserId, staleSocketId);
-      }
-    } catch (error) {
-      // error cleaning up stale sockets
+    // every device keeps its own socket; a device room lets a single device be logged out
+    if (socket.sessionId) {
+      socket.join(`session:${socket.sessionId}`);
+      sessionManager.touchSession(normalizedUserId, socket.sessionId).catch(() => {
+        // last seen is informational only
+      });
     }
     
-    // update in-memory mappings
-    activeUsers.set(socket.id, { userId: normalizedUserId, username: socket.username });
-    userSockets.set(normalizedUserId, socket.id);
-    
     // store in redis for persistence across server instances
     try {
-      await socketManager.addUserSocket(normalizedUserId, socket.id);
+      await socketManager.addUserSocket(normalizedUserId, socket.id, instanceId, socket.sessionId);
       
       // get the user's current status from database first, then redis as fallback
       let effectiveStatus;
@@ -567,6 +1557,11 @@ function initializeSocket(server) {
     // join user's personal room for direct messages
     socket.join(`user:${normalizedUserId}`);
     
+    // replay direct messages received while offline (acknowledged ones leave the inbox)
+    replayOfflineInbox(socket, socket.userId).catch(() => {
+      // inbox unavailable, messages stay pending until the next connection
+    });
+    
     // join friend rooms for all online friends (both directions)
     try {
       const friendsResult = await query(
@@ -584,143 +1579,332 @@ function initializeSocket(server) {
       // error joining friend rooms
     }
     
+    // join the rooms of the user's groups
+    try {
+      const groupIds = await groupConversationModel.getGroupIdsForUser(socket.userId);
+      groupIds.forEach(groupId => socket.join(groupRoomId(groupId)));
+    } catch (error) {
+      // group messages will show up when the user opens the group
+    }
+    
+    // another device of the user may already be in interest rooms
+    try {
+      const roomIds = await roomStore.getUserRooms(normalizedUserId);
+      roomIds.forEach(roomId => socket.join(interestRoomId(roomId)));
+    } catch (error) {
+      // the user can join the rooms again
+    }
+    
+    // a random chat started on another device or before reconnecting
+    try {
+      const current = await matchStore.getMatchForUser(normalizedUserId);
+      if (current) {
+        socket.join(`random:${current.sessionId}`);
+      }
+    } catch (error) {
+      // this device misses random chat messages until the next chat
+    }
+    
+    // or in a group random chat
+    try {
+      const groupMatch = await matchStore.getGroupMatchForUser(normalizedUserId);
+      if (groupMatch) {
+        socket.join(groupRandomRoomId(groupMatch.sessionId));
+      }
+    } catch (error) {
+      // this device misses group messages until the next group
+    }
+    
     // handle friend request accepted - join new friend room
+    // (rooms are only ever joined by the server, on membership; clients cannot join or leave rooms)
     socket.on('friendRequestAccepted', async (data) => {
-      const { friendId } = data;
+      const { friendId } = data || {};
       const normalizedFriendId = normalizeUserId(friendId);
-      const roomId = generateFriendRoomId(normalizedUserId, normalizedFriendId);
-      
-      socket.join(roomId);
-      await socketManager.addToFriendRoom(normalizedUserId, normalizedFriendId, socket.id);
       
-      // notify the other user to join the room too
-      const friendSocketId = userSockets.get(normalizedFriendId);
-      if (friendSocketId) {
-        io.to(friendSocketId).emit('joinFriendRoom', { roomId });
+      try {
+        const friendship = await query(
+          'SELECT 1 FROM friends WHERE (user_id = $1 AND friend_id = $2) OR (user_id = $2 AND friend_id = $1) LIMIT 1',
+          [socket.userId, friendId]
+        );
+        if (friendship.rows.length === 0) return;
+        
+        // join the room on every device of both users
+        const roomId = generateFriendRoomId(normalizedUserId, normalizedFriendId);
+        io.in(`user:${normalizedUserId}`).socketsJoin(roomId);
+        io.in(`user:${normalizedFriendId}`).socketsJoin(roomId);
+        await socketManager.addToFriendRoom(normalizedUserId, normalizedFriendId, socket.id);
+      } catch (error) {
+        // the room is joined on the next connect
       }
     });
-    
-    // handle room joining
-    socket.on('joinRoom', (roomId) => {
-      socket.join(roomId);
-    });
-
-    // handle room leaving
-    socket.on('leaveRoom', (roomId) => {
-      socket.leave(roomId);
-    });
 
     // ========================================
     // messaging system
     // ========================================
 
-    // handle messaging
-    socket.on('sendMessage', async (data) => {
-      const { roomId, message, receiverId } = data;
+    // handle messaging (acknowledged with { ok, id, clientMessageId } or { ok: false, error })
+    socket.on('sendMessage', async (data, ack) => {
+      const { message, receiverId, clientMessageId, isE2EE = false } = data || {};
+      const respond = typeof ack === 'function' ? ack : () => {};
+      
+      // report failures to both the ack callback and legacy error listeners
+      const fail = (error) => {
+        socket.emit('error', { message: error });
+        respond({ ok: false, error, clientMessageId });
+      };
       
       // validate receiver id
       if (!receiverId) {
-        socket.emit('error', { message: 'No receiver ID provided' });
-        return;
+        return fail('No receiver ID provided');
       }
       
-      const normalizedReceiverId = normalizeUserId(receiverId);
-      const normalizedSenderId = normalizeUserId(socket.userId);
+      if (typeof message !== 'string' || !message.trim()) {
+        return fail('Message content is required');
+      }
       
-      // store message in database with encryption
+      // end-to-end encrypted messages arrive as opaque envelopes
+      if (isE2EE && !isValidE2EEEnvelope(message)) {
+        return fail('Invalid encrypted message');
+      }
+      
+      if (clientMessageId !== undefined && (typeof clientMessageId !== 'string' || !clientMessageId || clientMessageId.length > MAX_CLIENT_MESSAGE_ID_LENGTH)) {
+        return fail('Invalid client message ID');
+      }
+      
+      // blocked users cannot message each other
+      try {
+        if (await userBlockModel.isBlockedEitherWay(socket.userId, receiverId)) {
+          return fail('You cannot message this user');
+        }
+      } catch (error) {
+        return fail('Failed to send message');
+      }
+      
+      // store message in database with encryption (a retried client id maps to the first row)
       let storedMessage = null;
       try {
-        const messageModel = require('../models/message');
         storedMessage = await messageModel.sendMessage({
           sender_id: socket.userId,
           receiver_id: receiverId,
-          content: message
+          content: message,
+          client_message_id: clientMessageId || null,
+          is_e2ee: Boolean(isE2EE)
         });
+        
+        if (!storedMessage) {
+          const existing = await messageModel.getMessageByClientId(socket.userId, clientMessageId);
+          return respond({
+            ok: true,
+            duplicate: true,
+            id: existing.id,
+            clientMessageId,
+            timestamp: existing.sent_at,
+            deliveredAt: existing.delivered_at,
+            readAt: existing.read_at
+          });
+        }
       } catch (error) {
-        socket.emit('error', { message: 'Failed to store message' });
-        return;
+        return fail('Failed to store message');
       }
       
-      // Create message object with database ID
-      const messageObj = {
-        id: storedMessage.id, // Include database ID for read status
-        sender: socket.username,
-        message: message,
-        timestamp: new Date(),
-        isRead: false
-      };
+      // confirm to the sender before fan-out so the ui can swap in the server id
+      respond({
+        ok: true,
+        id: storedMessage.id,
+        clientMessageId: storedMessage.client_message_id,
+        timestamp: storedMessage.sent_at
+      });
       
-      // Multi-strategy message delivery for friend chat
-      let messageDelivered = false;
+      // single delivery path: the receiver's personal room on every instance and device
+      deliverDirectMessage(storedMessage, socket.username, message, { excludeSocketId: socket.id });
+    });
+
+    // edit a sent friend message (ack gets the result)
+    socket.on('editMessage', async (data, ack) => {
+      const { messageId, message } = data || {};
+      const respond = typeof ack === 'function' ? ack : () => {};
       
-      // Strategy 1: Direct socket delivery
-      const receiverSocketId = userSockets.get(normalizedReceiverId);
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit('newMessage', {
-          ...messageObj,
-          isReceived: true
-        });
-        messageDelivered = true;
+      if (!Number.isInteger(messageId)) {
+        return respond({ ok: false, error: 'Invalid message ID' });
+      }
+      if (typeof message !== 'string' || !message.trim()) {
+        return respond({ ok: false, error: 'Message content is required' });
       }
       
-      // Strategy 2: Friend room delivery
-      if (!messageDelivered) {
-        const friendRoomId = generateFriendRoomId(normalizedSenderId, normalizedReceiverId);
-        const roomMembers = await socketManager.getRoomMembers(normalizedSenderId, normalizedReceiverId);
-        
-        if (roomMembers.length > 0) {
-          roomMembers.forEach(socketId => {
-            if (socketId !== socket.id) { // Don't send to sender
-              io.to(socketId).emit('newMessage', {
-                ...messageObj,
-                isReceived: true
-              });
-            }
+      try {
+        const { status, ...result } = await editDirectMessage(socket.userId, messageId, message);
+        respond(result);
+      } catch (error) {
+        respond({ ok: false, error: 'Failed to edit message' });
+      }
+    });
+
+    // delete a sent friend message for both sides (ack gets the result)
+    socket.on('deleteMessage', async (data, ack) => {
+      const { messageId } = data || {};
+      const respond = typeof ack === 'function' ? ack : () => {};
+      
+      if (!Number.isInteger(messageId)) {
+        return respond({ ok: false, error: 'Invalid message ID' });
+      }
+      
+      try {
+        const { status, ...result } = await deleteDirectMessage(socket.userId, messageId);
+        respond(result);
+      } catch (error) {
+        respond({ ok: false, error: 'Failed to delete message' });
+      }
+    });
+
+    // react to a friend or random chat message (ack gets the message's reactions)
+    socket.on('addReaction', async (data, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+      try {
+        respond(await applyReaction(socket.userId, socket.username, data || {}, 'add'));
+      } catch (error) {
+        respond({ ok: false, error: 'Failed to add reaction' });
+      }
+    });
+
+    socket.on('removeReaction', async (data, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+      try {
+        respond(await applyReaction(socket.userId, socket.username, data || {}, 'remove'));
+      } catch (error) {
+        respond({ ok: false, error: 'Failed to remove reaction' });
+      }
+    });
+
+    // send a message to a group (acknowledged like sendMessage, with the groupId)
+    socket.on('sendGroupMessage', async (data, ack) => {
+      const { groupId, message, clientMessageId } = data || {};
+      const respond = typeof ack === 'function' ? ack : () => {};
+      
+      if (!Number.isInteger(groupId)) {
+        return respond({ ok: false, error: 'Invalid group ID', clientMessageId });
+      }
+      if (typeof message !== 'string' || !message.trim()) {
+        return respond({ ok: false, error: 'Message content is required', clientMessageId });
+      }
+      if (clientMessageId !== undefined && (typeof clientMessageId !== 'string' || !clientMessageId || clientMessageId.length > MAX_CLIENT_MESSAGE_ID_LENGTH)) {
+        return respond({ ok: false, error: 'Invalid client message ID', clientMessageId });
+      }
+      
+      try {
+        const { status, ...result } = await postGroupMessage(
+          socket.userId,
+          socket.username,
+          { groupId, message, clientMessageId: clientMessageId || null },
+          { excludeSocketId: socket.id }
+        );
+        respond(result.ok ? result : { ...result, clientMessageId });
+      } catch (error) {
+        respond({ ok: false, error: 'Failed to send message', clientMessageId });
+      }
+    });
+
+    // group typing indicators go to the other members (only from sockets in the group's room)
+    const emitGroupTyping = (data, isTyping) => {
+      const { groupId } = data || {};
+      if (!Number.isInteger(groupId) || !socket.rooms.has(groupRoomId(groupId))) return;
+      
+      socket.to(groupRoomId(groupId)).emit('groupTyping', {
+        groupId,
+        fromUserId: normalizeUserId(socket.userId),
+        fromUsername: socket.username,
+        isTyping
+      });
+    };
+    socket.on('groupTypingStart', (data) => emitGroupTyping(data, true));
+    socket.on('groupTypingStop', (data) => emitGroupTyping(data, false));
+
+    // move this member's read marker forward; members and the user's other devices get groupRead
+    socket.on('markGroupRead', async (data) => {
+      const { groupId, messageId } = data || {};
+      if (!Number.isInteger(groupId) || !Number.isInteger(messageId)) return;
+      
+      try {
+        const member = await groupConversationModel.markRead(groupId, socket.userId, messageId);
+        if (member) {
+          emitToGroup(groupId, 'groupRead', {
+            groupId,
+            userId: normalizeUserId(socket.userId),
+            username: socket.username,
+            lastReadMessageId: member.last_read_message_id,
+            readAt: member.last_read_at
           });
-          messageDelivered = true;
         }
+      } catch (error) {
+        socket.emit('error', { message: 'Failed to mark group messages as read' });
       }
+    });
+
+    // ========================================
+    // interest rooms
+    // ========================================
+
+    // join a public interest room; the ack carries the room and its members
+    socket.on('joinInterestRoom', async (data, ack) => {
+      const { roomId } = data || {};
+      const respond = typeof ack === 'function' ? ack : () => {};
       
-      // Strategy 3: Redis fallback
-      if (!messageDelivered) {
-        try {
-          const receiverSockets = await socketManager.getUserSockets(normalizedReceiverId);
-          if (receiverSockets.length > 0) {
-            receiverSockets.forEach(socketId => {
-              io.to(socketId).emit('newMessage', {
-                ...messageObj,
-                isReceived: true
-              });
-            });
-            messageDelivered = true;
-          }
-        } catch (error) {
-          // error sending message via redis
-        }
+      if (!Number.isInteger(roomId)) {
+        return respond({ ok: false, error: 'Invalid room ID' });
       }
       
-      // Strategy 4: Personal room fallback
-      if (!messageDelivered) {
-        io.to(`user:${normalizedReceiverId}`).emit('newMessage', {
-          ...messageObj,
-          isReceived: true
-        });
-        messageDelivered = true;
+      try {
+        const { status, ...result } = await joinInterestRoom(socket.userId, socket.username, roomId);
+        respond(result);
+      } catch (error) {
+        respond({ ok: false, error: 'Failed to join room' });
+      }
+    });
+    
+    socket.on('leaveInterestRoom', async (data, ack) => {
+      const { roomId } = data || {};
+      const respond = typeof ack === 'function' ? ack : () => {};
+      
+      if (!Number.isInteger(roomId)) {
+        return respond({ ok: false, error: 'Invalid room ID' });
       }
       
-      // Strategy 5: Broadcast fallback (last resort)
-      if (!messageDelivered) {
-        io.emit('newMessage', {
-          ...messageObj,
-          isReceived: true
-        });
+      try {
+        await leaveInterestRoom(socket.userId, roomId);
+        respond({ ok: true, roomId });
+      } catch (error) {
+        respond({ ok: false, error: 'Failed to leave room' });
+      }
+    });
+    
+    // send a message to an interest room (slow mode and moderation failures come back in the ack)
+    socket.on('sendInterestRoomMessage', async (data, ack) => {
+      const { roomId, message, clientMessageId } = data || {};
+      const respond = typeof ack === 'function' ? ack : () => {};
+      
+      if (!Number.isInteger(roomId)) {
+        return respond({ ok: false, error: 'Invalid room ID', clientMessageId });
+      }
+      if (typeof message !== 'string' || !message.trim()) {
+        return respond({ ok: false, error: 'Message content is required', clientMessageId });
+      }
+      if (message.length > ROOM_MESSAGE_MAX_LENGTH) {
+        return respond({ ok: false, error: `Messages can be at most ${ROOM_MESSAGE_MAX_LENGTH} characters`, clientMessageId });
+      }
+      if (clientMessageId !== undefined && (typeof clientMessageId !== 'string' || !clientMessageId || clientMessageId.length > MAX_CLIENT_MESSAGE_ID_LENGTH)) {
+        return respond({ ok: false, error: 'Invalid client message ID', clientMessageId });
+      }
+      
+      try {
+        const { status, ...result } = await postInterestRoomMessage(
+          socket.userId,
+          socket.username,
+          { roomId, message, clientMessageId: clientMessageId || null },
+          { excludeSocketId: socket.id }
+        );
+        respond(result.ok ? result : { ...result, clientMessageId });
+      } catch (error) {
+        respond({ ok: false, error: 'Failed to send message', clientMessageId });
       }
-      
-      // Send confirmation to sender
-      socket.emit('newMessage', {
-        ...messageObj,
-        isReceived: false
-      });
     });
 
     // Handle typing indicators
@@ -729,24 +1913,12 @@ function initializeSocket(server) {
       const normalizedReceiverId = normalizeUserId(receiverId);
       const normalizedSenderId = normalizeUserId(socket.userId);
       
-      // send to specific recipient only
-      const receiverSocketId = userSockets.get(normalizedReceiverId);
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit('userTyping', {
-          fromUserId: normalizedSenderId,
-          fromUsername: socket.username
-        });
-      } else {
-        // fallback to redis
-        socketManager.getUserSockets(normalizedReceiverId).then(sockets => {
-          sockets.forEach(socketId => {
-            io.to(socketId).emit('userTyping', {
-              fromUserId: normalizedSenderId,
-              fromUsername: socket.username
-            });
-          });
-        });
-      }
+      // send to specific recipient only (on whichever instance they are connected)
+      io.to(`user:${normalizedReceiverId}`).emit('userTyping', {
+        fromUserId: normalizedSenderId,
+        fromUsername: socket.username
+      });
+      socketManager.setTyping(normalizedSenderId, normalizedReceiverId, true);
     });
 
     socket.on('typingStop', (data) => {
@@ -754,112 +1926,95 @@ function initializeSocket(server) {
       const normalizedReceiverId = normalizeUserId(receiverId);
       const normalizedSenderId = normalizeUserId(socket.userId);
       
-      // send to specific recipient only
-      const receiverSocketId = userSockets.get(normalizedReceiverId);
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit('userStopTyping', {
-          fromUserId: normalizedSenderId,
-          fromUsername: socket.username
+      // send to specific recipient only (on whichever instance they are connected)
+      io.to(`user:${normalizedReceiverId}`).emit('userStopTyping', {
+        fromUserId: normalizedSenderId,
+        fromUsername: socket.username
+      });
+      socketManager.setTyping(normalizedSenderId, normalizedReceiverId, false);
+    });
+
+    // mark everything withUserId sent this user as read (stored as the user's read marker for the chat);
+    // the sender learns the messages were seen and the user's other devices clear their unread state.
+    // the ack carries { ok, messageIds, lastReadMessageId }
+    const markFriendChatRead = async (friendId, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+      const normalizedReceiverId = normalizeUserId(socket.userId);
+      const normalizedSenderId = normalizeUserId(friendId);
+      
+      const messages = await messageModel.markMessagesAsRead(normalizedReceiverId, normalizedSenderId);
+      const messageIds = messages.map(m => m.id);
+      const lastReadMessageId = messageIds.length > 0 ? Math.max(...messageIds) : null;
+      
+      if (messageIds.length > 0) {
+        const readAt = new Date();
+        // notify sender that messages were read
+        io.to(`user:${normalizedSenderId}`).emit('messagesRead', {
+          messageIds,
+          readBy: normalizedReceiverId,
+          readByUsername: socket.username,
+          lastReadMessageId,
+          readAt
         });
-      } else {
-        // fallback to redis
-        socketManager.getUserSockets(normalizedReceiverId).then(sockets => {
-          sockets.forEach(socketId => {
-            io.to(socketId).emit('userStopTyping', {
-              fromUserId: normalizedSenderId,
-              fromUsername: socket.username
-            });
-          });
+        io.to(`user:${normalizedSenderId}`).emit('messages_seen_by_other', {
+          chatId: null,
+          friendId: normalizedReceiverId,
+          friendUsername: socket.username,
+          lastReadMessageId,
+          readAt
+        });
+        
+        // clear the unread state on this user's other devices
+        socket.to(`user:${normalizedReceiverId}`).emit('messagesReadOnOtherDevice', {
+          messageIds,
+          friendId: normalizedSenderId
         });
       }
-    });
-
+      respond({ ok: true, messageIds, lastReadMessageId });
+    };
+    
     // handle marking messages as read
-    socket.on('markMessagesAsRead', async (data) => {
-      const { withUserId } = data;
-      const normalizedReceiverId = normalizeUserId(socket.userId);
-      const normalizedSenderId = normalizeUserId(withUserId);
+    socket.on('markMessagesAsRead', async (data, ack) => {
+      const { withUserId } = data || {};
       
       try {
-        // mark messages as read in database
-        const messageModel = require('../models/message');
-        const messages = await messageModel.markMessagesAsRead(normalizedReceiverId, normalizedSenderId);
-        
-        if (messages.length > 0) {
-          // notify sender that messages were read
-          const senderSocketId = userSockets.get(normalizedSenderId);
-          if (senderSocketId) {
-            io.to(senderSocketId).emit('messagesRead', {
-              messageIds: messages.map(m => m.id),
-              readBy: normalizedReceiverId,
-              readByUsername: socket.username,
-              readAt: new Date()
-            });
-          } else {
-            // fallback to redis
-            const senderSockets = await socketManager.getUserSockets(normalizedSenderId);
-            senderSockets.forEach(socketId => {
-              io.to(socketId).emit('messagesRead', {
-                messageIds: messages.map(m => m.id),
-                readBy: normalizedReceiverId,
-                readByUsername: socket.username,
-                readAt: new Date()
-              });
-            });
-          }
-        }
+        await markFriendChatRead(withUserId, ack);
       } catch (error) {
         socket.emit('error', { message: 'Failed to mark messages as read' });
+        if (typeof ack === 'function') ack({ ok: false, error: 'Failed to mark messages as read' });
       }
     });
 
-    // add chat_seen event handler after markMessagesAsRead
-    socket.on('chat_seen', async ({ chatId, friendId }) => {
+    // the friend chat is open and visible, same as markMessagesAsRead
+    socket.on('chat_seen', async (data, ack) => {
+      const { friendId } = data || {};
+      
       try {
-        // Mark all messages from friendId to this user as read
-        const messageModel = require('../models/message');
-        const messages = await messageModel.markMessagesAsRead(socket.userId, friendId);
-        
-        if (messages.length > 0) {
-          // Notify the sender (friendId) that their messages were seen
-          const senderSocketId = userSockets.get(normalizeUserId(friendId));
-          
-          if (senderSocketId) {
-            io.to(senderSocketId).emit('messages_seen_by_other', {
-              chatId: null, // If you have a chatId, use it here
-              friendId: socket.userId,
-              friendUsername: socket.username, // Add the username
-            });
-          } else {
-            // fallback to redis
-            const senderSockets = await socketManager.getUserSockets(normalizeUserId(friendId));
-            senderSockets.forEach(socketId => {
-              io.to(socketId).emit('messages_seen_by_other', {
-                chatId: null,
-                friendId: socket.userId,
-                friendUsername: socket.username, // Add the username
-              });
-            });
-          }
-        }
+        await markFriendChatRead(friendId, ack);
       } catch (error) {
-        // error in chat_seen
+        if (typeof ack === 'function') ack({ ok: false, error: 'Failed to mark messages as read' });
       }
     });
 
     // Handle random chat seen event
-    socket.on('randomChatSeen', ({ sessionId, matchedUser }) => {
+    socket.on('randomChatSeen', async ({ sessionId, matchedUser }) => {
       const userId = socket.userId;
       const username = socket.username;
       
-      // Find the matched user's socket
-      const matchedUserSocket = Array.from(io.sockets.sockets.values()).find(s => 
-        s.userId && s.userId !== userId && s.username === matchedUser
-      );
+      // Find the matched user through the shared match state
+      const current = await matchStore.getMatchForUser(userId);
+      if (!current) {
+        return;
+      }
       
-      if (matchedUserSocket) {
+      const { match } = current;
+      const isUser1 = isSameUser(match.user1, userId);
+      const partnerId = isUser1 ? match.user2 : match.user1;
+      const partnerUsername = isUser1 ? match.user2Username : match.user1Username;
+      
+      if (partnerUsername === matchedUser) {
         // Notify the matched user that their messages were seen
-        matchedUserSocket.emit('randomMessagesSeenByOther', {
+        io.to(`user:${partnerId}`).emit('randomMessagesSeenByOther', {
           matchedUser: username
         });
       }
@@ -907,6 +2062,12 @@ function initializeSocket(server) {
       try {
         const normalizedUserId = normalizeUserId(socket.userId);
         
+        // stay online while another device still has a socket
+        const sockets = await socketManager.getUserSockets(normalizedUserId);
+        if (sockets.some(socketId => socketId !== socket.id)) {
+          return;
+        }
+        
         // get and preserve the current non-offline status as last known status
         const currentStatus = await socketManager.getUserStatus(normalizedUserId);
         if (currentStatus && currentStatus !== 'offline') {
@@ -970,21 +2131,12 @@ function initializeSocket(server) {
 
     // handle random chat events
     socket.on('enqueueForRandom', async (data) => {
-      const { interests } = data;
-      
-      if (!Array.isArray(interests)) {
-        socket.emit('queueJoinFailed', { reason: 'invalid_interests' });
-        return;
-      }
+      const { interests, languages } = data || {};
       
       try {
-        const success = await enqueueUserForRandom(socket.userId, socket.id, interests, socket.username);
-        
-        if (success) {
-          socket.emit('queueJoined');
-          printQueueStatus();
-        } else {
-          socket.emit('queueJoinFailed', { reason: 'already_in_queue_or_match' });
+        const result = await requestRandomMatch(socket.userId, socket.username, interests, { languages });
+        if (!result.ok) {
+          socket.emit('queueJoinFailed', { reason: result.reason, expiresAt: result.expiresAt });
         }
       } catch (error) {
         socket.emit('queueJoinFailed', { reason: 'server_error' });
@@ -992,114 +2144,60 @@ function initializeSocket(server) {
     });
 
     socket.on('cancelMatchmaking', async () => {
-      await dequeueUser(socket.userId);
-      socket.emit('matchCancelled');
+      try {
+        await cancelRandomMatch(socket.userId);
+      } catch (error) {
+        // the queue entry expires with the user's sockets
+      }
     });
 
-    socket.on('skipMatch', async (data) => {
-      const { sessionId } = data;
-      
-      const match = activeMatches.get(sessionId);
-      if (!match) {
-        return;
-      }
-      
-      // Verify this user is actually in this match
-      if (match.user1 !== socket.userId && match.user2 !== socket.userId) {
-        return;
-      }
-      
-      // Determine which user is being skipped
-      const otherUserId = match.user1 === socket.userId ? match.user2 : match.user1;
-      const otherSocketId = userSockets.get(otherUserId);
-      
-      if (otherSocketId) {
-        // End the current match (no cooldown - allow immediate re-matching)
-        await endMatch(sessionId);
-        
-        // Notify the other user
-        io.to(otherSocketId).emit('randomUserSkipped', {
-          skippedBy: socket.username
-        });
-        
-        // Re-enqueue both users with their original interests
-        const currentUserInterests = match.user1 === socket.userId ? match.user1Interests : match.user2Interests;
-        const otherUserInterests = match.user1 === socket.userId ? match.user2Interests : match.user1Interests;
-        
-        // Get the other user's socket to find their username
-        const otherSocket = io.sockets.sockets.get(otherSocketId);
-        const otherUsername = otherSocket ? otherSocket.username : 'unknown';
-        
-        // Clear active status for both users so they can re-queue
-        await matchmakingService.redis.del(`active:${socket.userId}`);
-        await matchmakingService.redis.del(`active:${otherUserId}`);
-        
-        // Re-enqueue both users so they can match with others
-        await enqueueUserForRandom(socket.userId, socket.id, currentUserInterests, socket.username);
-        await enqueueUserForRandom(otherUserId, otherSocketId, otherUserInterests, otherUsername);
-        
-        printQueueStatus();
+    // drop the picked interests while waiting (queueStatus suggests it after MATCH_BROADEN_AFTER_SECONDS)
+    socket.on('broadenInterests', async (data, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+      try {
+        const result = await broadenQueuedUser(socket.userId);
+        if (result !== 'broadened') {
+          return respond({
+            ok: false,
+            error: result === 'busy' ? 'Matchmaking is busy, try again' : 'You are not waiting for a random chat'
+          });
+        }
+        respond({ ok: true });
+        await rematchWaitingUsers();
+        await pushQueueStatus([socket.userId]);
+      } catch (error) {
+        respond({ ok: false, error: 'Failed to broaden interests' });
       }
     });
 
-    socket.on('endMatch', async (data) => {
-      const { sessionId } = data;
-      
-      const match = activeMatches.get(sessionId);
-      if (!match) {
-        return;
-      }
-      
-      // Verify this user is actually in this match
-      if (match.user1 !== socket.userId && match.user2 !== socket.userId) {
-        return;
-      }
-      
-      // End the match (remove from activeMatches)
-      await endMatch(sessionId);
-      
-      // Determine which user is ending the match
-      const otherUserId = match.user1 === socket.userId ? match.user2 : match.user1;
-      const otherSocketId = userSockets.get(otherUserId);
-      
-      if (otherSocketId) {
-        // Notify the other user
-        io.to(otherSocketId).emit('randomChatEnded', {
-          endedBy: socket.username
-        });
-        
-        // Re-enqueue only the other user with their original interests
-        const otherUserInterests = match.user1 === socket.userId ? match.user2Interests : match.user1Interests;
-        
-        // Get the other user's socket to find their username
-        const otherSocket = io.sockets.sockets.get(otherSocketId);
-        const otherUsername = otherSocket ? otherSocket.username : 'unknown';
-        
-        // Clear active status for the other user so they can re-queue
-        await matchmakingService.redis.del(`active:${otherUserId}`);
-        
-        await enqueueUserForRandom(otherUserId, otherSocketId, otherUserInterests, otherUsername);
-        
-        printQueueStatus();
+    socket.on('skipMatch', async (data) => {
+      const { sessionId } = data || {};
+      try {
+        await skipRandomMatch(socket.userId, socket.username, sessionId);
+      } catch (error) {
+        // error skipping random chat
       }
     });
 
-    socket.on('joinRandomChat', (data) => {
-      const { sessionId, matchedUser } = data;
-      const randomRoomId = `random:${sessionId}`;
-      
-      socket.join(randomRoomId);
-      
-      // Get room members after joining
-      const room = io.sockets.adapter.rooms.get(randomRoomId);
-      const roomMembers = room ? Array.from(room) : [];
+    socket.on('endMatch', async (data) => {
+      const { sessionId } = data || {};
+      try {
+        await endRandomMatch(socket.userId, socket.username, sessionId);
+      } catch (error) {
+        // error ending random chat
+      }
     });
 
-    socket.on('sendRandomMessage', (data) => {
-      const { message, receiverId, sessionId, isEncrypted, encryptedData } = data;
+    socket.on('sendRandomMessage', async (data) => {
+      const { message, sessionId, isEncrypted, encryptedData, messageId } = data || {};
+      if (!(await getRandomMatchOf(sessionId, socket.userId))) {
+        return;
+      }
       
       // Create message object for random chat (no persistence)
+      // the sender's id is kept so both sides can refer to the message (reactions)
       const messageObj = {
+        id: typeof messageId === 'string' && /^[0-9a-zA-Z-]{1,64}$/.test(messageId) ? messageId : uuidv4(),
         sender: socket.username,
         message: isEncrypted ? null : message, // Don't send plaintext if encrypted
         encryptedData: isEncrypted ? encryptedData : null, // Send encrypted data
@@ -1110,11 +2208,7 @@ function initializeSocket(server) {
       };
       
       // Send to random chat room
-      const randomRoomId = `random:${sessionId || socket.userId}`;
-      
-      // Get room members for debugging
-      const room = io.sockets.adapter.rooms.get(randomRoomId);
-      const roomMembers = room ? Array.from(room) : [];
+      const randomRoomId = `random:${sessionId}`;
       
       // Send to all users in the room (including sender)
       io.in(randomRoomId).emit('randomMessage', {
@@ -1129,16 +2223,22 @@ function initializeSocket(server) {
     });
 
     // Handle random chat typing indicators
-    socket.on('randomTypingStart', (data) => {
-      const { sessionId } = data;
+    socket.on('randomTypingStart', async (data) => {
+      const { sessionId } = data || {};
+      if (!(await getRandomMatchOf(sessionId, socket.userId))) {
+        return;
+      }
       const randomRoomId = `random:${sessionId}`;
       socket.to(randomRoomId).emit('randomTypingStart', {
         username: socket.username
       });
     });
 
-    socket.on('randomTypingStop', (data) => {
-      const { sessionId } = data;
+    socket.on('randomTypingStop', async (data) => {
+      const { sessionId } = data || {};
+      if (!(await getRandomMatchOf(sessionId, socket.userId))) {
+        return;
+      }
       const randomRoomId = `random:${sessionId}`;
       socket.to(randomRoomId).emit('randomTypingStop', {
         username: socket.username
@@ -1146,12 +2246,11 @@ function initializeSocket(server) {
     });
 
     // Handle E2EE key exchange for random chat (no persistence)
-    socket.on('e2ee_key_exchange', (data) => {
-      const { sessionId, targetUser, message, type } = data;
+    socket.on('e2ee_key_exchange', async (data) => {
+      const { sessionId, message, type } = data || {};
       
-      // Validate session exists
-      const match = activeMatches.get(sessionId);
-      if (!match) {
+      // only the two users of the chat exchange keys
+      if (!(await getRandomMatchOf(sessionId, socket.userId))) {
         return;
       }
       
@@ -1166,34 +2265,11 @@ function initializeSocket(server) {
       });
     });
 
-    // Handle E2EE key rotation for random chat
-    socket.on('e2ee_key_rotation', (data) => {
-      const { sessionId, newRatchetPublicKey, type } = data;
-      
-      // Validate session exists
-      const match = activeMatches.get(sessionId);
-      if (!match) {
-        return;
-      }
-      
-      // Forward key rotation to the partner in the random chat room
-      const randomRoomId = `random:${sessionId}`;
-      socket.to(randomRoomId).emit('e2ee_key_rotation', {
-        sessionId,
-        senderId: socket.userId,
-        senderUsername: socket.username,
-        newRatchetPublicKey,
-        type
-      });
-    });
-
     // Handle E2EE session ready notification
-    socket.on('e2ee_session_ready', (data) => {
-      const { sessionId } = data;
+    socket.on('e2ee_session_ready', async (data) => {
+      const { sessionId } = data || {};
       
-      // Validate session exists
-      const match = activeMatches.get(sessionId);
-      if (!match) {
+      if (!(await getRandomMatchOf(sessionId, socket.userId))) {
         return;
       }
       
@@ -1217,12 +2293,11 @@ function initializeSocket(server) {
     });
 
     // Handle partner tab switching notifications
-    socket.on('partnerTabSwitch', (data) => {
+    socket.on('partnerTabSwitch', async (data) => {
       const { sessionId, isVisible } = data;
       
       // Validate that this user is actually in this session
-      const match = activeMatches.get(sessionId);
-      if (!match || (match.user1 !== normalizeUserId(socket.userId) && match.user2 !== normalizeUserId(socket.userId))) {
+      if (!(await getRandomMatchOf(sessionId, socket.userId))) {
         return;
       }
       
@@ -1234,48 +2309,123 @@ function initializeSocket(server) {
       });
     });
 
-    socket.on('skipRandomUser', async (data) => {
-      const { currentMatchedUser, interests } = data;
+    // ========================================
+    // group random chat
+    // ========================================
+
+    // join the group queue; the group arrives later as groupMatchFound
+    socket.on('enqueueForGroupRandom', async (data, ack) => {
+      const { interests } = data || {};
+      const respond = typeof ack === 'function' ? ack : () => {};
       
-      // Get the skipped user's ID from the database
-      const { query } = require('../utils/db');
-      const skippedUserResult = await query('SELECT id FROM users WHERE username = $1', [currentMatchedUser]);
-      const skippedUserId = skippedUserResult.rows[0]?.id;
+      if (!Array.isArray(interests)) {
+        return respond({ ok: false, reason: 'invalid_interests' });
+      }
       
-      if (skippedUserId) {
-        // Notify the skipped user that they were skipped
-        const io = getSocketIO();
-        const roomName = `user:${skippedUserId}`;
+      try {
+        const sanction = await userSanctionModel.getMatchmakingBlockingSanction(socket.userId);
+        if (sanction) {
+          return respond({ ok: false, reason: 'matchmaking_banned', expiresAt: sanction.expires_at });
+        }
         
-        io.to(roomName).emit('randomUserSkipped', {
-          skippedBy: socket.username
-        });
+        if (!(await enqueueUserForGroupRandom(socket.userId, interests, socket.username))) {
+          return respond({ ok: false, reason: 'already_in_queue_or_match' });
+        }
+        respond({ ok: true });
+        await tryGroupMatch();
+      } catch (error) {
+        respond({ ok: false, reason: 'server_error' });
       }
     });
-
-    socket.on('endRandomChat', async (data) => {
-      const { otherUser, interests } = data;
+    
+    socket.on('cancelGroupMatchmaking', async (data, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+      try {
+        await matchStore.removeGroupQueueEntry(normalizeUserId(socket.userId));
+        respond({ ok: true });
+      } catch (error) {
+        respond({ ok: false, error: 'Failed to cancel matchmaking' });
+      }
+    });
+    
+    // leave a group random chat; skipping also queues for another group, kept apart from the skipped members
+    const exitGroupMatch = async (data, ack, reason) => {
+      const { sessionId } = data || {};
+      const respond = typeof ack === 'function' ? ack : () => {};
       
-      // Get the other user's ID from the database
-      const { query } = require('../utils/db');
-      const otherUserResult = await query('SELECT id FROM users WHERE username = $1', [otherUser]);
-      const otherUserId = otherUserResult.rows[0]?.id;
+      if (typeof sessionId !== 'string') {
+        return respond({ ok: false, error: 'Invalid session ID' });
+      }
       
-      if (otherUserId) {
-        // Notify the other user that the chat has ended
-        const io = getSocketIO();
-        const roomName = `user:${otherUserId}`;
+      try {
+        const match = await matchStore.getGroupMatch(sessionId);
+        if (!match || !match.members.some(member => isSameUser(member.userId, normalizeUserId(socket.userId)))) {
+          return respond({ ok: false, error: 'You are not in this group' });
+        }
         
-        io.to(roomName).emit('randomChatEnded', {
-          endedBy: socket.username
-        });
+        if (reason === 'skipped') {
+          await Promise.all(match.members.map(member =>
+            matchmakingService.recordEncounter(normalizeUserId(socket.userId), member.userId, 'skipped').catch(() => {})
+          ));
+        }
+        
+        const left = await leaveGroupRandomMatch(socket.userId, sessionId, reason);
+        if (!left) {
+          return respond({ ok: false, error: 'You are not in this group' });
+        }
+        if (reason !== 'skipped') {
+          return respond({ ok: true, requeued: false });
+        }
+        
+        const requeued = await enqueueUserForGroupRandom(socket.userId, left.interests, socket.username);
+        respond({ ok: true, requeued });
+        if (requeued) {
+          await tryGroupMatch();
+        }
+      } catch (error) {
+        respond({ ok: false, error: 'Failed to leave the group' });
+      }
+    };
+    
+    socket.on('leaveGroupMatch', (data, ack) => exitGroupMatch(data, ack, 'left'));
+    socket.on('skipGroupMatch', (data, ack) => exitGroupMatch(data, ack, 'skipped'));
+    
+    // relay a message to the rest of the group (not stored, like one-to-one random chat)
+    socket.on('sendGroupRandomMessage', async (data, ack) => {
+      const { sessionId, message, clientMessageId } = data || {};
+      const respond = typeof ack === 'function' ? ack : () => {};
+      
+      if (typeof sessionId !== 'string') {
+        return respond({ ok: false, error: 'Invalid session ID', clientMessageId });
+      }
+      if (typeof message !== 'string' || !message.trim()) {
+        return respond({ ok: false, error: 'Message content is required', clientMessageId });
+      }
+      if (message.length > ROOM_MESSAGE_MAX_LENGTH) {
+        return respond({ ok: false, error: `Messages can be at most ${ROOM_MESSAGE_MAX_LENGTH} characters`, clientMessageId });
+      }
+      if (clientMessageId !== undefined && (typeof clientMessageId !== 'string' || !clientMessageId || clientMessageId.length > MAX_CLIENT_MESSAGE_ID_LENGTH)) {
+        return respond({ ok: false, error: 'Invalid client message ID', clientMessageId });
+      }
+      
+      try {
+        if (!(await matchStore.isGroupMatchMember(sessionId, normalizeUserId(socket.userId)))) {
+          return respond({ ok: false, error: 'You are not in this group', clientMessageId });
+        }
+        
+        const event = {
+          id: uuidv4(),
+          sessionId,
+          clientMessageId: clientMessageId || null,
+          sender: socket.username,
+          message,
+          timestamp: new Date()
+        };
+        socket.to(groupRandomRoomId(sessionId)).emit('groupRandomMessage', event);
+        respond({ ok: true, id: event.id, clientMessageId: event.clientMessageId, timestamp: event.timestamp });
+      } catch (error) {
+        respond({ ok: false, error: 'Failed to send message', clientMessageId });
       }
-    });
-
-    socket.on('leaveRandomChat', (data) => {
-      const { sessionId } = data;
-      const randomRoomId = `random:${sessionId || socket.userId}`;
-      socket.leave(randomRoomId);
     });
 
     // ========================================
@@ -1298,103 +2448,101 @@ function initializeSocket(server) {
           }
         });
         
-        // Handle matchmaking cleanup first
-        const disconnectedUserId = normalizeUserId(socket.userId);
-        let partnerUserId = null;
-        let sessionId = null;
+        const normalizedUserId = normalizeUserId(socket.userId);
         
-        // Check if user is in an active match
-        for (const [activeSessionId, match] of activeMatches) {
-          if (match.user1 === disconnectedUserId || match.user2 === disconnectedUserId) {
-            sessionId = activeSessionId;
-            partnerUserId = match.user1 === disconnectedUserId ? match.user2 : match.user1;
-            break;
-          }
-        }
+        // Remove from Redis first so the remaining-socket check sees other devices only
+        await socketManager.removeUserSocket(normalizedUserId, socket.id);
         
-        // If user was in a match, handle partner
-        if (partnerUserId && sessionId) {
-          // Get the match before ending it to retrieve partner's interests
-          const match = activeMatches.get(sessionId);
-          const partnerInterests = match ? (match.user1 === disconnectedUserId ? match.user2Interests : match.user1Interests) : [];
-          
-          // End the match
-          await endMatch(sessionId);
-          
-          // Get partner's socket and username
-          const partnerSocketId = userSockets.get(partnerUserId);
-          const partnerSocket = io.sockets.sockets.get(partnerSocketId);
-          const partnerUsername = partnerSocket ? partnerSocket.username : 'Unknown';
+        // Remove from friend rooms (both directions)
+        try {
+          const friendsResult = await query(
+            'SELECT friend_id FROM friends WHERE user_id = $1 UNION SELECT user_id FROM friends WHERE friend_id = $1',
+            [socket.userId]
+          );
           
-          // Notify partner they were skipped due to disconnect
-          if (partnerSocket) {
-            io.to(partnerSocketId).emit('randomUserSkipped', { 
-              skippedBy: socket.username,
-              reason: 'disconnect'
-            });
-            
-            // Re-enqueue the partner for a new match with their original interests
-            try {
-              await enqueueUserForRandom(partnerUserId, partnerSocketId, partnerInterests, partnerUsername);
-            } catch (error) {
-              // failed to re-enqueue partner
-            }
+          for (const friend of friendsResult.rows) {
+            const friendId = friend.friend_id || friend.user_id;
+            await socketManager.removeFromFriendRoom(normalizedUserId, normalizeUserId(friendId), socket.id);
           }
+        } catch (error) {
+          // friend room cleanup failed
         }
         
-        // Remove disconnected user from matchmaking queue
-        dequeueUser(disconnectedUserId, socket.username);
-        
-        // Remove from active users
-        activeUsers.delete(socket.id);
-        const normalizedUserId = normalizeUserId(socket.userId);
-        
-        // Get last known status before disconnecting - but keep it for reconnection
-        const lastKnownStatus = await socketManager.getLastKnownStatus(normalizedUserId);
-        
-        // Update user's offline status in database but preserve last known status in Redis
-        await updateUserStatus(socket.userId, 'offline', false);
+        // another device is still connected, the user stays online and keeps their match
+        const remainingSockets = await socketManager.getUserSockets(normalizedUserId);
+        if (remainingSockets.length > 0) {
+          return;
+        }
         
-        // Keep the last known status in Redis for when they reconnect
-        if (lastKnownStatus && lastKnownStatus !== 'offline') {
-          await socketManager.setLastKnownStatus(normalizedUserId, lastKnownStatus);
+        // the last device is gone, free the user's places in interest rooms
+        try {
+          await leaveAllInterestRooms(normalizedUserId, 'disconnected');
+        } catch (error) {
+          // the periodic cleanup removes members who are no longer connected
         }
         
-        // Only remove from userSockets if this is the current socket for this user
-        const currentSocketId = userSockets.get(normalizedUserId);
-        if (currentSocketId === socket.id) {
-          userSockets.delete(normalizedUserId);
+        // and in the group queue or group random chat
+        try {
+          await removeFromGroupRandomChat(normalizedUserId, 'disconnected');
+        } catch (error) {
+          // offline users are dropped from the group queue when groups are formed
         }
         
-        // Remove from Redis
         try {
-          await socketManager.removeUserSocket(normalizedUserId, socket.id);
+          // Check if user is in an active match (on any instance)
+          const current = await matchStore.getMatchForUser(normalizedUserId);
           
-          // Check if user has any remaining sockets
-          const remainingSockets = await socketManager.getUserSockets(normalizedUserId);
-          if (remainingSockets.length === 0) {
-            await socketManager.setUserStatus(normalizedUserId, 'offline');
+          // If user was in a match, handle partner (only if this instance ended it)
+          const match = current ? await endMatch(current.sessionId) : null;
+          if (match) {
+            const isUser1 = isSameUser(match.user1, normalizedUserId);
+            const partnerUserId = isUser1 ? match.user2 : match.user1;
+            const partnerInterests = isUser1 ? match.user2Interests : match.user1Interests;
+            const partnerUsername = isUser1 ? match.user2Username : match.user1Username;
             
-            // Broadcast offline status to friends
-            await broadcastUserStatus(socket.userId, 'offline');
+            // queueing again right after reconnecting must not find them still marked matched
+            await matchmakingService.redis.del(`active:${normalizedUserId}`);
             
-            // Notify users in random chat if this user was in a random chat
-            const io = getSocketIO();
-            io.to(`random:${socket.userId}`).emit('randomUserDisconnected', {
-              disconnectedUser: socket.username
-            });
+            // Notify partner they were skipped due to disconnect
+            if (await socketManager.isUserOnline(normalizeUserId(partnerUserId))) {
+              io.to(`user:${partnerUserId}`).emit('randomUserSkipped', { 
+                skippedBy: socket.username,
+                reason: 'disconnect'
+              });
+              
+              // Re-enqueue the partner for a new match with their original interests
+              try {
+                await matchmakingService.redis.del(`active:${partnerUserId}`);
+                await enqueueUserForRandom(partnerUserId, partnerInterests, partnerUsername);
+              } catch (error) {
+                // failed to re-enqueue partner
+              }
+            }
           }
           
-          // Remove from friend rooms (both directions)
-          const friendsResult = await query(
-            'SELECT friend_id FROM friends WHERE user_id = $1 UNION SELECT user_id FROM friends WHERE friend_id = $1',
-            [socket.userId]
-          );
+          // Remove disconnected user from matchmaking queue
+          await dequeueUser(normalizedUserId);
           
-          for (const friend of friendsResult.rows) {
-            const friendId = friend.friend_id || friend.user_id;
-            await socketManager.removeFromFriendRoom(normalizedUserId, normalizeUserId(friendId), socket.id);
+          // Get last known status before disconnecting - but keep it for reconnection
+          const lastKnownStatus = await socketManager.getLastKnownStatus(normalizedUserId);
+          
+          // Update user's offline status in database but preserve last known status in Redis
+          await updateUserStatus(socket.userId, 'offline', false);
+          
+          // Keep the last known status in Redis for when they reconnect
+          if (lastKnownStatus && lastKnownStatus !== 'offline') {
+            await socketManager.setLastKnownStatus(normalizedUserId, lastKnownStatus);
           }
+          
+          await socketManager.setUserStatus(normalizedUserId, 'offline');
+          
+          // Broadcast offline status to friends
+          await broadcastUserStatus(socket.userId, 'offline');
+          
+          // Notify users in random chat if this user was in a random chat
+          io.to(`random:${socket.userId}`).emit('randomUserDisconnected', {
+            disconnectedUser: socket.username
+          });
         } catch (error) {
           // Even if Redis cleanup fails, still broadcast offline status
           await broadcastUserStatus(socket.userId, 'offline');
@@ -1417,6 +2565,9 @@ function initializeSocket(server) {
   // Start periodic Redis socket cleanup
   startRedisSocketCleanup(io);
   
+  // group waiting users on a timer so the group wait policy applies without new arrivals
+  startMatchmaking();
+  
   return io;
 }
 
@@ -1463,22 +2614,7 @@ async function broadcastUserStatus(userId, status) {
         };
         
         // Send status update to the user themselves (for their own profile icon)
-        const userSocketId = userSockets.get(normalizedUserId);
-        if (userSocketId) {
-          io.to(userSocketId).emit('userStatusChanged', statusEvent);
-        } else {
-          // fallback to redis for the user themselves
-          try {
-            const userSocketsFromRedis = await socketManager.getUserSockets(normalizedUserId);
-            if (userSocketsFromRedis.length > 0) {
-              userSocketsFromRedis.forEach(socketId => {
-                io.to(socketId).emit('userStatusChanged', statusEvent);
-              });
-            }
-          } catch (error) {
-            // error broadcasting status to user via redis
-          }
-        }
+        io.to(`user:${normalizedUserId}`).emit('userStatusChanged', statusEvent);
         
         // Get user's friends (both directions - where user is user_id OR friend_id)
         const friendsResult = await query(
@@ -1488,28 +2624,11 @@ async function broadcastUserStatus(userId, status) {
 
         const friends = friendsResult.rows.map(row => normalizeUserId(row.friend_id || row.user_id));
         
-        // Broadcast to all online friends
+        // Broadcast to all online friends (personal rooms reach every instance)
         for (const friendId of friends) {
-          // Try direct socket ID first
-          const friendSocketId = userSockets.get(friendId);
-          if (friendSocketId) {
-            io.to(friendSocketId).emit('userStatusChanged', statusEvent);
-          } else {
-            // fallback to redis
-            try {
-              const friendSockets = await socketManager.getUserSockets(friendId);
-              if (friendSockets.length > 0) {
-                friendSockets.forEach(socketId => {
-                  io.to(socketId).emit('userStatusChanged', statusEvent);
-                });
-              }
-            } catch (error) {
-              // error broadcasting status to friend via redis
-            }
-          }
+          io.to(`user:${friendId}`).emit('userStatusChanged', statusEvent);
         }
         
-        
         // Clean up the timer
         statusBroadcastTimers.delete(normalizedUserId);
       } catch (error) {
@@ -1544,43 +2663,98 @@ async function getOnlineFriends(userId) {
 // Periodic Redis socket cleanup to remove stale sockets
 function startRedisSocketCleanup(io) {
   // Run every 30 seconds
-  setInterval(async () => {
+  backgroundTimers.push(setInterval(async () => {
     try {
-      // Get all Redis socket keys
-      const pattern = 'user_socket:*';
-      const { redis } = require('../utils/redis');
-      const keys = await redis.keys(pattern);
+      // walk the socket keys in batches with SCAN so redis is never blocked on the whole keyspace
+      // (a key may come up twice, which is harmless)
+      const instanceAlive = new Map([[instanceId, true]]);
+      
+      for await (const keys of redis.scanStream({ match: 'user_socket:*', count: 500 })) {
+        for (const key of keys) {
+          const owners = await redis.hgetall(key);
+          
+          for (const [socketId, value] of Object.entries(owners)) {
+            const ownerId = socketManager.parseSocketOwner(value).instanceId;
+            
+            // only the owning instance can tell whether its socket is still connected;
+            // sockets owned by instances that stopped heartbeating are stale for everyone
+            if (!instanceAlive.has(ownerId)) {
+              instanceAlive.set(ownerId, await socketManager.isInstanceAlive(ownerId));
+            }
+            
+            const isStale = ownerId === instanceId
+              ? !io.sockets.sockets.get(socketId)?.connected
+              : !instanceAlive.get(ownerId);
+            
+            if (isStale) {
+              await redis.hdel(key, socketId);
+            }
+          }
+        }
+      }
       
-      let totalCleaned = 0;
+      // drop queue entries of users who are no longer connected anywhere and keep the rest marked waiting,
+      // for this instance and the instances found dead above (nobody else looks after their users)
+      const deadInstances = [...instanceAlive].filter(([, alive]) => !alive).map(([ownerId]) => ownerId);
+      const waitingUsers = (await Promise.all([instanceId, ...deadInstances].map(ownerId =>
+        matchStore.getInstanceQueueEntries(ownerId)
+      ))).flat();
+      for (const entry of waitingUsers) {
+        if (!(await socketManager.isUserOnline(normalizeUserId(entry.userId)))) {
+          await dequeueUser(entry.userId);
+        } else {
+          // the matcher drops users whose waiting mark expired, however long they have been in line
+          await matchmakingService.refreshWaiting(entry.userId);
+        }
+      }
       
-      for (const key of keys) {
-        const userId = key.replace('user_socket:', '');
-        const sockets = await redis.hgetall(key);
-        const socketIds = Object.keys(sockets);
-        
-        if (socketIds.length === 0) continue;
-        
-        let staleSockets = 0;
-        for (const socketId of socketIds) {
-          const socketInstance = io.sockets.sockets.get(socketId);
-          if (!socketInstance || !socketInstance.connected) {
-            await redis.hdel(key, socketId);
-            staleSockets++;
-            totalCleaned++;
+      // drop room members who are no longer connected anywhere, and close rooms that were deleted
+      for (const roomId of await roomStore.getActiveRooms()) {
+        if (!(await interestRoomModel.getRoomById(roomId))) {
+          await closeInterestRoom(roomId);
+          continue;
+        }
+        for (const member of await roomStore.getMembers(roomId)) {
+          if (!(await socketManager.isUserOnline(member.userId))) {
+            await leaveInterestRoom(member.userId, roomId, 'disconnected');
           }
         }
       }
       
+      // remove ephemeral rooms that were created but never (or no longer) used
+      const staleRooms = await interestRoomModel.getEphemeralRoomsOlderThan(EPHEMERAL_ROOM_GRACE_SECONDS);
+      const occupancy = await roomStore.getOccupancy(staleRooms.map(room => room.id));
+      for (const room of staleRooms) {
+        if (occupancy[room.id] === 0) {
+          await interestRoomModel.deleteEphemeralRoom(room.id);
+        }
+      }
+      
     } catch (error) {
       // error in periodic socket cleanup
     }
-  }, 30000); // Every 30 seconds
+  }, 30000)); // Every 30 seconds
+}
+
+// pair and group waiting users every few seconds, so pairs whose score only clears the bar after waiting
+// and partial groups form without anyone new joining, then tell everyone still waiting where they stand
+function startMatchmaking() {
+  backgroundTimers.push(setInterval(() => {
+    rematchWaitingUsers()
+      .then(() => pushQueueStatus())
+      .catch(() => {
+        // the next run tries again
+      });
+    tryGroupMatch().catch(() => {
+      // the next run tries again
+    });
+  }, MATCHMAKING_INTERVAL));
 }
 
 // Heartbeat system to detect disconnected users
 function startHeartbeatSystem(io) {
   // Run every 15 seconds (more frequent)
-  setInterval(async () => {
+  backgroundTimers.push(setInterval(async () => {
     try {
       // Get all users marked as online in database
       const onlineUsersResult = await query(
@@ -1633,7 +2807,7 @@ function startHeartbeatSystem(io) {
     } catch (error) {
       // error in heartbeat system
     }
-  }, 15000); // Check every 15 seconds
+  }, 15000)); // Check every 15 seconds
 }
 
 // ========================================
@@ -1642,10 +2816,14 @@ function startHeartbeatSystem(io) {
 
 // helper function to send notifications
 function sendNotification(userId, notification) {
-  const socketId = userSockets.get(userId);
-  if (socketId) {
-    io.to(socketId).emit('notification', notification);
-  }
+  io.to(`user:${normalizeUserId(userId)}`).emit('notification', notification);
+}
+
+// drop every socket of a logged out device session (on any instance)
+function disconnectSession(sessionId) {
+  if (!io || !sessionId) return;
+  io.to(`session:${sessionId}`).emit('sessionRevoked', { sessionId });
+  io.in(`session:${sessionId}`).disconnectSockets(true);
 }
 
 // export the io instance for use in controllers
@@ -1653,11 +2831,45 @@ function getSocketIO() {
   return io;
 }
 
+// stop background timers, close sockets and deregister this instance (graceful shutdown/tests)
+async function closeSocket() {
+  backgroundTimers.forEach(clearInterval);
+  backgroundTimers = [];
+  
+  if (io) {
+    await new Promise(resolve => io.close(() => resolve()));
+    io = null;
+  }
+  
+  await socketManager.unregisterInstance(instanceId);
+  await Promise.all(adapterClients.map(client => client.quit().catch(() => {})));
+  adapterClients = [];
+}
+
 module.exports = {
   initializeSocket,
+  closeSocket,
   getSocketIO,
+  deliverDirectMessage,
+  editDirectMessage,
+  deleteDirectMessage,
+  postGroupMessage,
+  postGroupNotice,
+  joinGroupRoom,
+  leaveGroupRoom,
+  emitToGroup,
+  emitToUsers,
+  closeInterestRoom,
+  emitToInterestRoom,
   broadcastUserStatus,
   updateUserStatus,
   getOnlineFriends,
-  sendNotification
+  sendNotification,
+  disconnectSession,
+  enforceSanction,
+  getRandomSession,
+  requestRandomMatch,
+  cancelRandomMatch,
+  skipRandomMatch,
+  endRandomMatch
 };
\ No newline at end of file
@@ -1,5 +1,9 @@
 const sodium = require('libsodium-wrappers');
+const { getKeyProvider } = require('./keyProviders');
 
+// messages are encrypted with per-conversation data keys, which are stored wrapped by a master key.
+// master keys stay with the key provider (KEY_PROVIDER, see utils/keyProviders), this class never sees them.
+// SERVER_KEY only decrypts rows written before data keys existed, keep it until they are re-encrypted
 class MessageEncryption {
   constructor() {
     this.initialized = false;
@@ -8,31 +12,69 @@ class MessageEncryption {
   async init() {
     if (!this.initialized) {
       await sodium.ready;
-      this.serverKey = Buffer.from(process.env.SERVER_KEY, 'hex');
-      if (this.serverKey.length !== 32) {
-        throw new Error('SERVER_KEY must be exactly 32 bytes (64 hex characters)');
+
+      this.legacyKey = null;
+      if (process.env.SERVER_KEY) {
+        this.legacyKey = Buffer.from(process.env.SERVER_KEY, 'hex');
+        if (this.legacyKey.length !== 32) {
+          throw new Error('SERVER_KEY must be exactly 32 bytes (64 hex characters)');
+        }
       }
+      this.keyProvider = getKeyProvider();
       this.initialized = true;
     }
   }
 
-  async encrypt(plaintext) {
+  // ============================================================================
+  // DATA KEYS
+  // ============================================================================
+
+  async getCurrentMasterKeyId() {
+    await this.init();
+    return this.keyProvider.getCurrentKeyId();
+  }
+
+  async generateDataKey() {
+    await this.init();
+    return Buffer.from(sodium.crypto_aead_xchacha20poly1305_ietf_keygen());
+  }
+
+  // context names the key row (conversation and version) so wrapped keys cannot be swapped either
+  async wrapDataKey(dataKey, context) {
+    await this.init();
+    return this.keyProvider.wrap(dataKey, `conversation_key:${context}`);
+  }
+
+  async unwrapDataKey({ master_key_id, wrapped_key, nonce }, context) {
+    await this.init();
+    return this.keyProvider.unwrap({ master_key_id, wrapped_key, nonce }, `conversation_key:${context}`);
+  }
+
+  // ============================================================================
+  // MESSAGES
+  // ============================================================================
+
+  // associatedData must be rebuilt from the row when decrypting, a ciphertext moved elsewhere fails
+  async encrypt(plaintext, dataKey, associatedData) {
     await this.init();
-    
+
     if (!plaintext || typeof plaintext !== 'string') {
       throw new Error('Plaintext must be a non-empty string');
     }
+    if (!dataKey) {
+      throw new Error('A data key is required');
+    }
 
     // generate random nonce (24 bytes for XChaCha20-Poly1305)
     const nonce = sodium.randombytes_buf(sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES);
-    
+
     // encrypt with authenticated encryption
     const ciphertext = sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(
       plaintext,
-      null, // no additional data
+      associatedData,
       null, // no secret nonce
       nonce,
-      this.serverKey
+      dataKey
     );
 
     return {
@@ -42,9 +84,10 @@ class MessageEncryption {
     };
   }
 
-  async decrypt(encryptedMessage, iv, signature = null) {
+  // without a data key the row predates data keys and was encrypted with SERVER_KEY, no associated data
+  async decrypt(encryptedMessage, iv, signature = null, dataKey = null, associatedData = null) {
     await this.init();
-    
+
     if (!encryptedMessage || !iv) {
       throw new Error('Encrypted message and IV are required');
     }
@@ -52,18 +95,23 @@ class MessageEncryption {
     try {
       const ciphertext = Buffer.from(encryptedMessage, 'base64');
       const nonce = Buffer.from(iv, 'base64');
-      
+
       if (nonce.length !== sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES) {
         throw new Error('Invalid nonce length');
       }
 
+      const key = dataKey || this.legacyKey;
+      if (!key) {
+        throw new Error('SERVER_KEY is required for messages without a key id');
+      }
+
       // decrypt with authenticated decryption
       const plaintext = sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
         null, // no secret nonce
         ciphertext,
-        null, // no additional data
+        dataKey ? associatedData : null,
         nonce,
-        this.serverKey
+        key
       );
 
       return sodium.to_string(plaintext);
@@ -75,12 +123,12 @@ class MessageEncryption {
   // utility method to check if a message is encrypted (based on format)
   isEncrypted(message, iv) {
     if (!message || !iv) return false;
-    
+
     try {
       // check if message and iv are valid base64
       Buffer.from(message, 'base64');
       Buffer.from(iv, 'base64');
-      
+
       // check if iv has correct length when decoded
       const decodedIv = Buffer.from(iv, 'base64');
       return decodedIv.length === sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES;
@@ -93,4 +141,4 @@ class MessageEncryption {
 // export singleton instance
 const messageEncryption = new MessageEncryption();
 
-module.exports = messageEncryption;
\ No newline at end of file
+module.exports = messageEncryption;
@@ -0,0 +1,88 @@
+const { seal, open } = require('./seal');
+
+function parseKey(hex, name) {
+  const key = Buffer.from(hex, 'hex');
+  if (key.length !== 32) {
+    throw new Error(`${name} must be exactly 32 bytes (64 hex characters)`);
+  }
+  return key;
+}
+
+// master keys straight from the environment: MESSAGE_MASTER_KEYS="1:<hex>,2:<hex>" with
+// MESSAGE_MASTER_KEY_ID naming the current one, or SERVER_KEY as master key 1.
+// keys are edited in the environment, so this provider cannot generate, rotate or retire them
+class EnvKeyProvider {
+  constructor() {
+    this.name = 'env';
+    this.keys = null;
+  }
+
+  async init() {
+    if (this.keys) return;
+
+    const keys = new Map();
+    let currentId;
+
+    if (process.env.MESSAGE_MASTER_KEYS) {
+      for (const entry of process.env.MESSAGE_MASTER_KEYS.split(',').map(s => s.trim()).filter(Boolean)) {
+        const [id, hex] = entry.split(':');
+        if (!/^\d+$/.test(id) || !hex) {
+          throw new Error('MESSAGE_MASTER_KEYS entries must look like <id>:<64 hex characters>');
+        }
+        keys.set(parseInt(id, 10), parseKey(hex, `master key ${id}`));
+      }
+      currentId = parseInt(process.env.MESSAGE_MASTER_KEY_ID, 10);
+    } else if (process.env.SERVER_KEY) {
+      keys.set(1, parseKey(process.env.SERVER_KEY, 'SERVER_KEY'));
+      currentId = 1;
+    }
+
+    if (!keys.has(currentId)) {
+      throw new Error('MESSAGE_MASTER_KEY_ID must name one of MESSAGE_MASTER_KEYS (or set SERVER_KEY)');
+    }
+
+    this.keys = keys;
+    this.currentId = currentId;
+  }
+
+  async getCurrentKeyId() {
+    await this.init();
+    return this.currentId;
+  }
+
+  async wrap(plaintext, associatedData) {
+    await this.init();
+
+    const { ciphertext, nonce } = await seal(this.keys.get(this.currentId), plaintext, associatedData);
+    return { master_key_id: this.currentId, wrapped_key: ciphertext, nonce };
+  }
+
+  async unwrap({ master_key_id, wrapped_key, nonce }, associatedData) {
+    await this.init();
+
+    const key = this.keys.get(master_key_id);
+    if (!key) {
+      throw new Error(`Master key ${master_key_id} is not configured`);
+    }
+    return open(key, wrapped_key, nonce, associatedData);
+  }
+
+  async listKeys() {
+    await this.init();
+    return [...this.keys.keys()].map(id => ({ id, current: id === this.currentId, created_at: null, retired_at: null }));
+  }
+
+  async generateKey() {
+    throw new Error('env keys are read-only: add a key to MESSAGE_MASTER_KEYS (openssl rand -hex 32)');
+  }
+
+  async setCurrentKey() {
+    throw new Error('env keys are read-only: change MESSAGE_MASTER_KEY_ID');
+  }
+
+  async retireKey() {
+    throw new Error('env keys are read-only: remove the key from MESSAGE_MASTER_KEYS');
+  }
+}
+
+module.exports = EnvKeyProvider;
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SERVER_DIR } = require('./paths');
+const { seal, open, randomKey, deriveKey, SCRYPT_DEFAULTS } = require('./seal');
+
+const FORMAT = 1;
+const CHECK_VALUE = 'luckylink-keystore';
+
+// passphrase from <NAME>_FILE (e.g. a mounted secret) or <NAME>
+function passphraseFromEnv(name) {
+  return async () => {
+    const file = process.env[`${name}_FILE`];
+    if (file) {
+      return fs.readFileSync(file, 'utf8').trim();
+    }
+    if (process.env[name]) {
+      return process.env[name];
+    }
+    throw new Error(`${name}_FILE or ${name} is required`);
+  };
+}
+
+// json file of master keys, each sealed with a key derived from a passphrase.
+// the file is reloaded when it changes on disk, so keys rotated with the cli are picked up without a restart
+class FileKeystore {
+  constructor(filePath, getPassphrase) {
+    this.filePath = path.resolve(filePath);
+    this.getPassphrase = getPassphrase;
+    this.data = null;
+    this.mtimeMs = null;
+    this.keys = new Map();
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  async load() {
+    const stat = fs.statSync(this.filePath);
+    if (this.data && stat.mtimeMs === this.mtimeMs) return;
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    if (data.format !== FORMAT) {
+      throw new Error(`Unsupported keystore format in ${this.filePath}`);
+    }
+
+    // the derived key only changes with the salt, skip the kdf on reloads
+    if (!this.kek || !this.data || this.data.kdf.salt !== data.kdf.salt) {
+      this.kek = await deriveKey(await this.getPassphrase({ creating: false }), data.kdf);
+      this.keys.clear();
+    }
+    try {
+      await open(this.kek, data.check.ciphertext, data.check.nonce, 'keystore:check');
+    } catch (error) {
+      this.kek = null;
+      throw new Error('Wrong keystore passphrase');
+    }
+
+    this.data = data;
+    this.mtimeMs = stat.mtimeMs;
+  }
+
+  async create() {
+    if (this.exists()) {
+      throw new Error(`Keystore ${this.filePath} already exists`);
+    }
+
+    const kdf = { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_DEFAULTS };
+    this.kek = await deriveKey(await this.getPassphrase({ creating: true }), kdf);
+    this.data = {
+      format: FORMAT,
+      kdf,
+      check: await seal(this.kek, CHECK_VALUE, 'keystore:check'),
+      current: null,
+      keys: []
+    };
+    this.save();
+  }
+
+  // write to a temporary file first so a crash never leaves a half-written keystore
+  save() {
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, this.filePath);
+    this.mtimeMs = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  entry(id) {
+    const entry = this.data.keys.find(k => k.id === id);
+    if (!entry) {
+      throw new Error(`Master key ${id} does not exist`);
+    }
+    return entry;
+  }
+
+  async getKey(id) {
+    await this.load();
+
+    // checked before the cache, the key may have been retired by another process
+    const entry = this.entry(id);
+    if (entry.retired_at) {
+      throw new Error(`Master key ${id} is retired`);
+    }
+    if (this.keys.has(id)) return this.keys.get(id);
+
+    const key = await open(this.kek, entry.sealed, entry.nonce, `keystore:key:${id}`);
+    this.keys.set(id, key);
+    return key;
+  }
+
+  async getCurrentId() {
+    await this.load();
+    if (!this.data.current) {
+      throw new Error(`Keystore ${this.filePath} has no keys, generate one first`);
+    }
+    return this.data.current;
+  }
+
+  // add a key (the first one becomes current), returns its id
+  async addKey() {
+    await this.load();
+
+    const id = this.data.keys.reduce((max, k) => Math.max(max, k.id), 0) + 1;
+    const { ciphertext, nonce } = await seal(this.kek, await randomKey(), `keystore:key:${id}`);
+    this.data.keys.push({ id, created_at: new Date().toISOString(), retired_at: null, nonce, sealed: ciphertext });
+    if (!this.data.current) {
+      this.data.current = id;
+    }
+    this.save();
+    return id;
+  }
+
+  async setCurrent(id) {
+    await this.load();
+    if (this.entry(id).retired_at) {
+      throw new Error(`Master key ${id} is retired`);
+    }
+    this.data.current = id;
+    this.save();
+  }
+
+  // destroy the key material, the id stays listed so it is never reused
+  async retire(id) {
+    await this.load();
+    if (id === this.data.current) {
+      throw new Error('The current master key cannot be retired, rotate first');
+    }
+
+    const entry = this.entry(id);
+    entry.retired_at = new Date().toISOString();
+    delete entry.sealed;
+    delete entry.nonce;
+    this.keys.delete(id);
+    this.save();
+  }
+
+  async list() {
+    await this.load();
+    return this.data.keys.map(k => ({
+      id: k.id,
+      current: k.id === this.data.current,
+      created_at: k.created_at,
+      retired_at: k.retired_at
+    }));
+  }
+}
+
+// master keys in a passphrase-protected file (KEYSTORE_PATH)
+class FileKeystoreProvider {
+  constructor({ getPassphrase } = {}) {
+    this.name = 'file';
+    this.keystore = new FileKeystore(
+      path.resolve(SERVER_DIR, process.env.KEYSTORE_PATH || 'keystore.json'),
+      getPassphrase || passphraseFromEnv('KEYSTORE_PASSPHRASE')
+    );
+  }
+
+  async getCurrentKeyId() {
+    return this.keystore.getCurrentId();
+  }
+
+  async wrap(plaintext, associatedData) {
+    const id = await this.keystore.getCurrentId();
+    const { ciphertext, nonce } = await seal(await this.keystore.getKey(id), plaintext, associatedData);
+    return { master_key_id: id, wrapped_key: ciphertext, nonce };
+  }
+
+  async unwrap({ master_key_id, wrapped_key, nonce }, associatedData) {
+    return open(await this.keystore.getKey(master_key_id), wrapped_key, nonce, associatedData);
+  }
+
+  async listKeys() {
+    return this.keystore.exists() ? this.keystore.list() : [];
+  }
+
+  async generateKey() {
+    if (!this.keystore.exists()) {
+      await this.keystore.create();
+    }
+    return this.keystore.addKey();
+  }
+
+  async setCurrentKey(id) {
+    return this.keystore.setCurrent(id);
+  }
+
+  async retireKey(id) {
+    return this.keystore.retire(id);
+  }
+}
+
+module.exports = FileKeystoreProvider;
+module.exports.FileKeystore = FileKeystore;
+module.exports.passphraseFromEnv = passphraseFromEnv;
@@ -0,0 +1,43 @@
+const EnvKeyProvider = require('./envProvider');
+const FileKeystoreProvider = require('./fileKeystoreProvider');
+const Pkcs11KeyProvider = require('./pkcs11Provider');
+const MockKmsKeyProvider = require('./mockKmsProvider');
+
+// where the master keys wrapping data keys (and the server's private key) come from.
+// every provider implements:
+//   getCurrentKeyId() -> id of the key new wraps use
+//   wrap(plaintext, associatedData) -> { master_key_id, wrapped_key, nonce }
+//   unwrap({ master_key_id, wrapped_key, nonce }, associatedData) -> Buffer
+//   listKeys() -> [{ id, current, created_at, retired_at }]
+//   generateKey() -> id (the first key becomes current), setCurrentKey(id), retireKey(id)
+const PROVIDERS = {
+  env: EnvKeyProvider,
+  file: FileKeystoreProvider,
+  pkcs11: Pkcs11KeyProvider,
+  'mock-kms': MockKmsKeyProvider,
+};
+
+// options.getPassphrase overrides how the file keystore and software token unlock (used by the cli)
+function createKeyProvider(name = process.env.KEY_PROVIDER || 'env', options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown KEY_PROVIDER "${name}" (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return new Provider(options);
+}
+
+let provider = null;
+
+// provider configured for this process
+function getKeyProvider() {
+  if (!provider) {
+    provider = createKeyProvider();
+  }
+  return provider;
+}
+
+module.exports = {
+  createKeyProvider,
+  getKeyProvider,
+  PROVIDERS,
+};
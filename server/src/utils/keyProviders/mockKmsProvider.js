@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const { SERVER_DIR } = require('./paths');
+const { seal, open, randomKey } = require('./seal');
+
+// local stand-in for a cloud KMS with the same request/response shape (createKey, aliases, encrypt and
+// decrypt with an encryption context, scheduleKeyDeletion). key material lives in a plain json file,
+// which plays the part of the remote service: it is for development and tests only
+class MockKmsClient {
+  constructor(statePath) {
+    this.statePath = path.resolve(statePath);
+  }
+
+  // state is re-read on every call so the cli and running servers see the same keys
+  read() {
+    if (!fs.existsSync(this.statePath)) {
+      return { keys: {}, aliases: {}, nextKeyId: 1 };
+    }
+    return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+  }
+
+  write(state) {
+    const tmp = `${this.statePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, this.statePath);
+  }
+
+  resolve(state, keyId) {
+    const id = keyId.startsWith('alias/') ? state.aliases[keyId] : keyId;
+    const key = id && state.keys[id];
+    if (!key) {
+      throw new Error(`NotFoundException: ${keyId}`);
+    }
+    return { id, key };
+  }
+
+  metadata(id, key) {
+    return { KeyId: id, KeyState: key.state, CreationDate: key.created_at, DeletionDate: key.deleted_at || null };
+  }
+
+  async createKey({ Description = '' } = {}) {
+    const state = this.read();
+    const id = String(state.nextKeyId++);
+    state.keys[id] = {
+      description: Description,
+      state: 'Enabled',
+      created_at: new Date().toISOString(),
+      material: (await randomKey()).toString('hex')
+    };
+    this.write(state);
+    return { KeyMetadata: this.metadata(id, state.keys[id]) };
+  }
+
+  async createAlias({ AliasName, TargetKeyId }) {
+    const state = this.read();
+    if (state.aliases[AliasName]) {
+      throw new Error(`AlreadyExistsException: ${AliasName}`);
+    }
+    this.resolve(state, TargetKeyId);
+    state.aliases[AliasName] = TargetKeyId;
+    this.write(state);
+  }
+
+  async updateAlias({ AliasName, TargetKeyId }) {
+    const state = this.read();
+    if (!state.aliases[AliasName]) {
+      throw new Error(`NotFoundException: ${AliasName}`);
+    }
+    const { key } = this.resolve(state, TargetKeyId);
+    if (key.state !== 'Enabled') {
+      throw new Error(`KMSInvalidStateException: ${TargetKeyId} is ${key.state}`);
+    }
+    state.aliases[AliasName] = TargetKeyId;
+    this.write(state);
+  }
+
+  async describeKey({ KeyId }) {
+    const state = this.read();
+    const { id, key } = this.resolve(state, KeyId);
+    return { KeyMetadata: this.metadata(id, key) };
+  }
+
+  async listKeys() {
+    const state = this.read();
+    return { Keys: Object.keys(state.keys).map(KeyId => ({ KeyId })) };
+  }
+
+  async listAliases() {
+    const state = this.read();
+    return { Aliases: Object.entries(state.aliases).map(([AliasName, TargetKeyId]) => ({ AliasName, TargetKeyId })) };
+  }
+
+  // the blob names its key, like the real service, so decrypt needs no key id
+  async encrypt({ KeyId, Plaintext, EncryptionContext = {} }) {
+    const state = this.read();
+    const { id, key } = this.resolve(state, KeyId);
+    if (key.state !== 'Enabled') {
+      throw new Error(`KMSInvalidStateException: ${id} is ${key.state}`);
+    }
+
+    const { ciphertext, nonce } = await seal(Buffer.from(key.material, 'hex'), Plaintext, contextAad(EncryptionContext));
+    return {
+      KeyId: id,
+      CiphertextBlob: Buffer.from(JSON.stringify({ key: id, nonce, ciphertext }))
+    };
+  }
+
+  async decrypt({ CiphertextBlob, EncryptionContext = {} }) {
+    const blob = JSON.parse(Buffer.from(CiphertextBlob).toString('utf8'));
+    const state = this.read();
+    const { id, key } = this.resolve(state, blob.key);
+    if (key.state !== 'Enabled') {
+      throw new Error(`KMSInvalidStateException: ${id} is ${key.state}`);
+    }
+
+    try {
+      const plaintext = await open(Buffer.from(key.material, 'hex'), blob.ciphertext, blob.nonce, contextAad(EncryptionContext));
+      return { KeyId: id, Plaintext: plaintext };
+    } catch (error) {
+      throw new Error('InvalidCiphertextException');
+    }
+  }
+
+  // the real service waits 7-30 days, the mock destroys the material right away
+  async scheduleKeyDeletion({ KeyId }) {
+    const state = this.read();
+    const { id, key } = this.resolve(state, KeyId);
+    if (Object.values(state.aliases).includes(id)) {
+      throw new Error(`KMSInvalidStateException: ${id} is the target of an alias`);
+    }
+    key.state = 'PendingDeletion';
+    key.deleted_at = new Date().toISOString();
+    delete key.material;
+    this.write(state);
+    return { KeyId: id, KeyState: key.state };
+  }
+}
+
+// encryption context is a string map, bound in sorted order
+function contextAad(context) {
+  return JSON.stringify(Object.keys(context).sort().map(k => [k, context[k]]));
+}
+
+// master keys held by the (mock) KMS, the alias KMS_KEY_ALIAS points at the current key
+class MockKmsKeyProvider {
+  constructor() {
+    this.name = 'mock-kms';
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The mock KMS keeps key material in plain files and cannot be used in production');
+    }
+
+    this.client = new MockKmsClient(path.resolve(SERVER_DIR, process.env.KMS_MOCK_STATE_PATH || 'kms-mock.json'));
+    this.alias = process.env.KMS_KEY_ALIAS || 'alias/luckylink-messages';
+  }
+
+  async getCurrentKeyId() {
+    const { KeyMetadata } = await this.client.describeKey({ KeyId: this.alias });
+    return parseInt(KeyMetadata.KeyId, 10);
+  }
+
+  async wrap(plaintext, associatedData) {
+    const result = await this.client.encrypt({
+      KeyId: this.alias,
+      Plaintext: plaintext,
+      EncryptionContext: { purpose: associatedData }
+    });
+
+    // the nonce travels inside the blob
+    return {
+      master_key_id: parseInt(result.KeyId, 10),
+      wrapped_key: result.CiphertextBlob.toString('base64'),
+      nonce: ''
+    };
+  }
+
+  async unwrap({ master_key_id, wrapped_key }, associatedData) {
+    const result = await this.client.decrypt({
+      CiphertextBlob: Buffer.from(wrapped_key, 'base64'),
+      EncryptionContext: { purpose: associatedData }
+    });
+    if (parseInt(result.KeyId, 10) !== master_key_id) {
+      throw new Error(`Wrapped key was not encrypted with master key ${master_key_id}`);
+    }
+    return Buffer.from(result.Plaintext);
+  }
+
+  async listKeys() {
+    const { Aliases } = await this.client.listAliases();
+    const current = (Aliases.find(a => a.AliasName === this.alias) || {}).TargetKeyId;
+    const { Keys } = await this.client.listKeys();
+
+    return Promise.all(Keys.map(async ({ KeyId }) => {
+      const { KeyMetadata } = await this.client.describeKey({ KeyId });
+      return {
+        id: parseInt(KeyId, 10),
+        current: KeyId === current,
+        created_at: KeyMetadata.CreationDate,
+        retired_at: KeyMetadata.DeletionDate
+      };
+    }));
+  }
+
+  // the first key also gets the alias
+  async generateKey() {
+    const { KeyMetadata } = await this.client.createKey({ Description: 'LuckyLink message master key' });
+    const { Aliases } = await this.client.listAliases();
+    if (!Aliases.some(a => a.AliasName === this.alias)) {
+      await this.client.createAlias({ AliasName: this.alias, TargetKeyId: KeyMetadata.KeyId });
+    }
+    return parseInt(KeyMetadata.KeyId, 10);
+  }
+
+  async setCurrentKey(id) {
+    await this.client.updateAlias({ AliasName: this.alias, TargetKeyId: String(id) });
+  }
+
+  async retireKey(id) {
+    await this.client.scheduleKeyDeletion({ KeyId: String(id) });
+  }
+}
+
+module.exports = MockKmsKeyProvider;
+module.exports.MockKmsClient = MockKmsClient;
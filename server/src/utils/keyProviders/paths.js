@@ -0,0 +1,6 @@
+const path = require('path');
+
+// relative key file paths are resolved against the server directory, wherever the process was started
+const SERVER_DIR = path.resolve(__dirname, '../../..');
+
+module.exports = { SERVER_DIR };
@@ -0,0 +1,127 @@
+const path = require('path');
+const { SERVER_DIR } = require('./paths');
+const { seal, open } = require('./seal');
+const { FileKeystore, passphraseFromEnv } = require('./fileKeystoreProvider');
+
+const LABEL_PREFIX = 'luckylink-master-';
+
+// software token with the shape of a PKCS#11 session: objects are found by label, used through
+// handles and their key material never leaves the token. it keeps its objects in the same encrypted
+// file format as the file keystore, with the user PIN as passphrase.
+// a hardware module (PKCS11_MODULE) would be driven through the same calls
+class SoftToken {
+  constructor(tokenPath) {
+    this.tokenPath = tokenPath;
+    this.store = null;
+  }
+
+  C_Login(getPin) {
+    this.store = new FileKeystore(this.tokenPath, getPin);
+  }
+
+  session() {
+    if (!this.store) {
+      throw new Error('CKR_USER_NOT_LOGGED_IN');
+    }
+    return this.store;
+  }
+
+  async C_InitToken() {
+    await this.session().create();
+  }
+
+  isInitialized() {
+    return this.session().exists();
+  }
+
+  // handles are the key ids, labels are what the application asks for
+  async C_FindObjects({ label }) {
+    const objects = await this.session().list();
+    return objects
+      .filter(o => !o.retired_at && (label === undefined || `${LABEL_PREFIX}${o.id}` === label))
+      .map(o => o.id);
+  }
+
+  async C_GetAttributeValue(handle) {
+    const object = (await this.session().list()).find(o => o.id === handle);
+    if (!object) {
+      throw new Error('CKR_OBJECT_HANDLE_INVALID');
+    }
+    return { label: `${LABEL_PREFIX}${object.id}`, ...object };
+  }
+
+  async C_GenerateKey() {
+    return this.session().addKey();
+  }
+
+  async C_DestroyObject(handle) {
+    await this.session().retire(handle);
+  }
+
+  async C_Encrypt(handle, data, associatedData) {
+    return seal(await this.session().getKey(handle), data, associatedData);
+  }
+
+  async C_Decrypt(handle, { ciphertext, nonce }, associatedData) {
+    return open(await this.session().getKey(handle), ciphertext, nonce, associatedData);
+  }
+}
+
+// master keys held by a PKCS#11 token (PKCS11_TOKEN_PATH for the software token, PKCS11_PIN(_FILE))
+// the token marks its current key, a real deployment would use a label from config instead
+class Pkcs11KeyProvider {
+  constructor({ getPassphrase } = {}) {
+    this.name = 'pkcs11';
+
+    if (process.env.PKCS11_MODULE) {
+      throw new Error('Hardware PKCS#11 modules are not supported yet, unset PKCS11_MODULE to use the software token');
+    }
+
+    this.token = new SoftToken(path.resolve(SERVER_DIR, process.env.PKCS11_TOKEN_PATH || 'pkcs11-token.json'));
+    this.token.C_Login(getPassphrase || passphraseFromEnv('PKCS11_PIN'));
+  }
+
+  async getCurrentKeyId() {
+    return this.token.session().getCurrentId();
+  }
+
+  async findHandle(id) {
+    const [handle] = await this.token.C_FindObjects({ label: `${LABEL_PREFIX}${id}` });
+    if (handle === undefined) {
+      throw new Error(`Master key ${id} is not on the token`);
+    }
+    return handle;
+  }
+
+  async wrap(plaintext, associatedData) {
+    const id = await this.getCurrentKeyId();
+    const { ciphertext, nonce } = await this.token.C_Encrypt(await this.findHandle(id), plaintext, associatedData);
+    return { master_key_id: id, wrapped_key: ciphertext, nonce };
+  }
+
+  async unwrap({ master_key_id, wrapped_key, nonce }, associatedData) {
+    return this.token.C_Decrypt(await this.findHandle(master_key_id), { ciphertext: wrapped_key, nonce }, associatedData);
+  }
+
+  async listKeys() {
+    return this.token.isInitialized() ? this.token.session().list() : [];
+  }
+
+  async generateKey() {
+    if (!this.token.isInitialized()) {
+      await this.token.C_InitToken();
+    }
+    return this.token.C_GenerateKey();
+  }
+
+  async setCurrentKey(id) {
+    await this.findHandle(id);
+    return this.token.session().setCurrent(id);
+  }
+
+  async retireKey(id) {
+    return this.token.C_DestroyObject(await this.findHandle(id));
+  }
+}
+
+module.exports = Pkcs11KeyProvider;
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const sodium = require('libsodium-wrappers');
+
+// xchacha20-poly1305 sealing for providers that hold key material in this process
+async function seal(key, plaintext, associatedData) {
+  await sodium.ready;
+
+  const nonce = sodium.randombytes_buf(sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES);
+  const ciphertext = sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(plaintext, associatedData, null, nonce, key);
+
+  return {
+    ciphertext: Buffer.from(ciphertext).toString('base64'),
+    nonce: Buffer.from(nonce).toString('base64')
+  };
+}
+
+async function open(key, ciphertext, nonce, associatedData) {
+  await sodium.ready;
+
+  const plaintext = sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
+    null,
+    Buffer.from(ciphertext, 'base64'),
+    associatedData,
+    Buffer.from(nonce, 'base64'),
+    key
+  );
+  return Buffer.from(plaintext);
+}
+
+async function randomKey() {
+  await sodium.ready;
+  return Buffer.from(sodium.crypto_aead_xchacha20poly1305_ietf_keygen());
+}
+
+// passphrase -> 32 byte key, parameters are stored next to what it protects
+const SCRYPT_DEFAULTS = { N: 32768, r: 8, p: 1 };
+
+function deriveKey(passphrase, { salt, N, r, p }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, Buffer.from(salt, 'base64'), 32, { N, r, p, maxmem: 256 * N * r }, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+}
+
+module.exports = {
+  seal,
+  open,
+  randomKey,
+  deriveKey,
+  SCRYPT_DEFAULTS,
+};
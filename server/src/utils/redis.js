@@ -17,13 +17,22 @@ redis.on('connect', () => {
   // redis connected successfully
 });
 
+const INSTANCE_TTL = 60; // seconds an instance stays alive without a heartbeat
+const MATCH_TTL = 6 * 60 * 60; // 6 hours
+const MATCH_QUEUE_KEY = 'match_queue';
+const GROUP_MATCH_QUEUE_KEY = 'group_match_queue';
+const PAIRING_RATE_WINDOW = 15 * 60 * 1000; // recent random chat pairings kept for wait estimates (ms)
+const SESSION_TTL = 12 * 60 * 60; // matches the jwt lifetime
+const TYPING_TTL = 6 * 1000; // a typing indicator without a fresh typingStart is stale (ms)
+const SANCTION_CACHE_TTL = 60; // seconds a user's account blocking sanction lookup is reused
+
 // socket management functions
 const socketManager = {
-  // add socket for user (supports multiple devices/tabs)
-  async addUserSocket(userId, socketId) {
+  // add socket for user (supports multiple devices/tabs), remembering the owning instance and device session
+  async addUserSocket(userId, socketId, instanceId = 'default', sessionId = null) {
     try {
       const key = `user_socket:${userId}`;
-      await redis.hset(key, socketId, Date.now().toString());
+      await redis.hset(key, socketId, JSON.stringify({ instanceId, sessionId }));
       await redis.expire(key, 3600); // expire after 1 hour
     } catch (error) {
       // error adding user socket to redis
@@ -40,6 +49,58 @@ const socketManager = {
     }
   },
 
+  // parse a user_socket entry ({ instanceId, sessionId }; older entries hold a timestamp)
+  parseSocketOwner(value) {
+    try {
+      const owner = JSON.parse(value);
+      if (owner && typeof owner === 'object') {
+        return owner;
+      }
+    } catch (error) {
+      // legacy plain value
+    }
+    return { instanceId: value, sessionId: null };
+  },
+
+  // get device session ids that currently have a connected socket
+  async getUserSocketSessions(userId) {
+    try {
+      const entries = await redis.hgetall(`user_socket:${userId}`);
+      return Object.values(entries)
+        .map(value => this.parseSocketOwner(value).sessionId)
+        .filter(Boolean);
+    } catch (error) {
+      return [];
+    }
+  },
+
+  // mark a server instance as alive (refreshed by its heartbeat)
+  async registerInstance(instanceId) {
+    try {
+      await redis.set(`socket_instance:${instanceId}`, Date.now().toString(), 'EX', INSTANCE_TTL);
+    } catch (error) {
+      // error registering instance in redis
+    }
+  },
+
+  // remove a server instance on shutdown
+  async unregisterInstance(instanceId) {
+    try {
+      await redis.del(`socket_instance:${instanceId}`);
+    } catch (error) {
+      // error removing instance from redis
+    }
+  },
+
+  // check whether the instance that owns a socket is still running
+  async isInstanceAlive(instanceId) {
+    try {
+      return (await redis.exists(`socket_instance:${instanceId}`)) === 1;
+    } catch (error) {
+      return true; // assume alive so sockets are not dropped on redis hiccups
+    }
+  },
+
   // get all sockets for a user
   async getUserSockets(userId) {
     try {
@@ -173,7 +234,490 @@ const socketManager = {
     }
   },
 
+  // remember that fromUserId is typing to toUserId (typing:<to> maps sender -> expiry in ms) so a reloaded
+  // client can show it
+  async setTyping(fromUserId, toUserId, isTyping) {
+    try {
+      const key = `typing:${toUserId}`;
+      if (isTyping) {
+        await redis.pipeline()
+          .hset(key, String(fromUserId), Date.now() + TYPING_TTL)
+          .pexpire(key, TYPING_TTL)
+          .exec();
+      } else {
+        await redis.hdel(key, String(fromUserId));
+      }
+    } catch (error) {
+      // error storing typing state in redis
+    }
+  },
+
+  // ids of the users typing to userId right now
+  async getTypingUsers(userId) {
+    try {
+      const typing = await redis.hgetall(`typing:${userId}`);
+      const now = Date.now();
+      return Object.keys(typing).filter(fromUserId => Number(typing[fromUserId]) > now);
+    } catch (error) {
+      return [];
+    }
+  },
+
+};
+
+// device sessions: one entry per issued login token so devices can be listed and logged out
+const sessionManager = {
+  // register a new device session for a user
+  async createSession(userId, session) {
+    const key = `user_sessions:${userId}`;
+    await redis.hset(key, session.id, JSON.stringify(session));
+    await redis.expire(key, SESSION_TTL);
+  },
+
+  // list a user's device sessions, dropping entries older than the token lifetime
+  async getSessions(userId) {
+    const key = `user_sessions:${userId}`;
+    const raw = await redis.hgetall(key);
+    const cutoff = Date.now() - SESSION_TTL * 1000;
+    const sessions = [];
+
+    for (const [sessionId, value] of Object.entries(raw)) {
+      const session = JSON.parse(value);
+      if (new Date(session.createdAt).getTime() < cutoff) {
+        await redis.hdel(key, sessionId);
+        continue;
+      }
+      sessions.push(session);
+    }
+
+    return sessions.sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+  },
+
+  // get a single device session
+  async getSession(userId, sessionId) {
+    const raw = await redis.hget(`user_sessions:${userId}`, sessionId);
+    return raw ? JSON.parse(raw) : null;
+  },
+
+  // refresh last seen time when a device connects
+  async touchSession(userId, sessionId) {
+    const session = await this.getSession(userId, sessionId);
+    if (!session) return;
+    session.lastSeenAt = new Date().toISOString();
+    await redis.hset(`user_sessions:${userId}`, sessionId, JSON.stringify(session));
+  },
+
+  // log a device out: its token stops working everywhere until it would have expired anyway
+  async revokeSession(userId, sessionId) {
+    const removed = await redis.hdel(`user_sessions:${userId}`, sessionId);
+    await redis.set(`revoked_session:${sessionId}`, '1', 'EX', SESSION_TTL);
+    return removed === 1;
+  },
+
+  // check whether a token's session was logged out
+  async isSessionRevoked(sessionId) {
+    if (!sessionId) return false;
+    return (await redis.exists(`revoked_session:${sessionId}`)) === 1;
+  },
+
+  // a user's cached account blocking sanction: undefined when not cached, null when they have none
+  async getCachedSanction(userId) {
+    const raw = await redis.get(`account_sanction:${userId}`);
+    return raw === null ? undefined : JSON.parse(raw);
+  },
+
+  // cache a user's account blocking sanction (or null), never past the sanction's expiry
+  async cacheSanction(userId, sanction) {
+    const secondsLeft = sanction && sanction.expires_at
+      ? Math.ceil((new Date(sanction.expires_at).getTime() - Date.now()) / 1000)
+      : SANCTION_CACHE_TTL;
+    if (secondsLeft <= 0) return;
+    await redis.set(`account_sanction:${userId}`, JSON.stringify(sanction), 'EX', Math.min(secondsLeft, SANCTION_CACHE_TTL));
+  },
+
+  // forget a user's cached sanction once one is issued or revoked
+  async clearCachedSanction(userId) {
+    await redis.del(`account_sanction:${userId}`);
+  },
+};
+
+// leave a group random chat: nil if not a member, otherwise { members left, the member's entry }
+const LEAVE_GROUP_MATCH_SCRIPT = `
+local member = redis.call('HGET', KEYS[1], ARGV[1])
+if not member then return nil end
+redis.call('HDEL', KEYS[1], ARGV[1])
+if redis.call('GET', KEYS[2]) == ARGV[2] then redis.call('DEL', KEYS[2]) end
+return { redis.call('HLEN', KEYS[1]), member }`;
+
+// shared random chat state so every server instance sees the same queue and matches
+const matchStore = {
+  // get a user's waiting queue entry
+  async getQueueEntry(userId) {
+    const raw = await redis.hget(MATCH_QUEUE_KEY, String(userId));
+    return raw ? JSON.parse(raw) : null;
+  },
+
+  // add a user to the waiting queue, returns false if they are already queued. the instance that queued
+  // them keeps their id in match_queue:<instanceId> to send them queue status
+  async addQueueEntry(userId, entry) {
+    const added = await redis.hsetnx(MATCH_QUEUE_KEY, String(userId), JSON.stringify(entry));
+    if (added === 1) {
+      await redis.sadd(`${MATCH_QUEUE_KEY}:${entry.instanceId}`, String(userId));
+    }
+    return added === 1;
+  },
+
+  // change a waiting entry in place, returns the updated entry or null when the user is no longer waiting
+  // (callers hold the match_queue lock so the entry cannot be matched meanwhile)
+  async updateQueueEntry(userId, changes) {
+    const entry = await this.getQueueEntry(userId);
+    if (!entry) return null;
+    const updated = { ...entry, ...changes };
+    await redis.hset(MATCH_QUEUE_KEY, String(userId), JSON.stringify(updated));
+    return updated;
+  },
+
+  // remove a user from the waiting queue and return their entry
+  async removeQueueEntry(userId) {
+    const entry = await this.getQueueEntry(userId);
+    if (entry) {
+      await redis.multi()
+        .hdel(MATCH_QUEUE_KEY, String(userId))
+        .srem(`${MATCH_QUEUE_KEY}:${entry.instanceId}`, String(userId))
+        .exec();
+    }
+    return entry;
+  },
+
+  // get the waiting entries of the given users, null for users who are not waiting
+  async getQueueEntries(userIds) {
+    if (userIds.length === 0) return [];
+    const raw = await redis.hmget(MATCH_QUEUE_KEY, ...userIds.map(String));
+    return raw.map(value => (value ? JSON.parse(value) : null));
+  },
+
+  // get the waiting entries queued through one instance
+  async getInstanceQueueEntries(instanceId) {
+    const entries = await this.getQueueEntries(await redis.smembers(`${MATCH_QUEUE_KEY}:${instanceId}`));
+    // users matched or gone between the two reads
+    return entries.filter(Boolean);
+  },
 
+  // count a random chat pairing towards the rate of each interest it was made in (sorted set per interest,
+  // score = time in ms)
+  async recordPairing(interests) {
+    const now = Date.now();
+    const pipeline = redis.pipeline();
+    for (const interest of new Set(interests)) {
+      const key = `pairings:${interest}`;
+      pipeline.zadd(key, now, `${now}:${Math.random().toString(36).slice(2)}`);
+      pipeline.zremrangebyscore(key, '-inf', now - PAIRING_RATE_WINDOW);
+      pipeline.expire(key, PAIRING_RATE_WINDOW / 1000);
+    }
+    await pipeline.exec();
+  },
+
+  // pairings per minute over the rate window for each interest
+  async getPairingRates(interests) {
+    const since = Date.now() - PAIRING_RATE_WINDOW;
+    const pipeline = redis.pipeline();
+    for (const interest of interests) {
+      pipeline.zcount(`pairings:${interest}`, since, '+inf');
+    }
+    const results = await pipeline.exec();
+    return Object.fromEntries(interests.map((interest, index) => [
+      interest,
+      (results[index][1] || 0) / (PAIRING_RATE_WINDOW / 60000)
+    ]));
+  },
+
+  // get an active random chat by session id
+  async getMatch(sessionId) {
+    if (!sessionId) return null;
+    const raw = await redis.get(`active_match:${sessionId}`);
+    return raw ? JSON.parse(raw) : null;
+  },
+
+  // store an active random chat and index it by both users
+  async setMatch(sessionId, match) {
+    await redis.multi()
+      .set(`active_match:${sessionId}`, JSON.stringify(match), 'EX', MATCH_TTL)
+      .set(`user_match:${match.user1}`, sessionId, 'EX', MATCH_TTL)
+      .set(`user_match:${match.user2}`, sessionId, 'EX', MATCH_TTL)
+      .exec();
+  },
+
+  // remove an active random chat, returns the match only for the caller that removed it
+  async deleteMatch(sessionId) {
+    const match = await this.getMatch(sessionId);
+    if (!match) return null;
+
+    const removed = await redis.del(`active_match:${sessionId}`);
+    if (removed === 0) return null;
+
+    await redis.del(`match_reactions:${sessionId}`);
+
+    for (const userId of [match.user1, match.user2]) {
+      const key = `user_match:${userId}`;
+      if (await redis.get(key) === sessionId) {
+        await redis.del(key);
+      }
+    }
+    return match;
+  },
+
+  // add an ephemeral reaction to a random chat message, returns false if it already existed
+  async addReaction(sessionId, messageId, emoji, username) {
+    const key = `match_reactions:${sessionId}`;
+    const [[, added]] = await redis.multi()
+      .sadd(key, JSON.stringify([messageId, emoji, username]))
+      .expire(key, MATCH_TTL)
+      .exec();
+    return added === 1;
+  },
+
+  // remove an ephemeral reaction, returns false if there was nothing to remove
+  async removeReaction(sessionId, messageId, emoji, username) {
+    const removed = await redis.srem(`match_reactions:${sessionId}`, JSON.stringify([messageId, emoji, username]));
+    return removed === 1;
+  },
+
+  // get { emoji, username } rows for one random chat message
+  async getReactions(sessionId, messageId) {
+    const members = await redis.smembers(`match_reactions:${sessionId}`);
+    return members
+      .map(member => JSON.parse(member))
+      .filter(([id]) => id === messageId)
+      .map(([, emoji, username]) => ({ emoji, username }));
+  },
+
+  // get the active random chat a user is in, if any
+  async getMatchForUser(userId) {
+    const sessionId = await redis.get(`user_match:${userId}`);
+    if (!sessionId) return null;
+
+    const match = await this.getMatch(sessionId);
+    return match ? { sessionId, match } : null;
+  },
+
+  // get a user's entry in the group random chat queue
+  async getGroupQueueEntry(userId) {
+    const raw = await redis.hget(GROUP_MATCH_QUEUE_KEY, String(userId));
+    return raw ? JSON.parse(raw) : null;
+  },
+
+  // add a user to the group queue, returns false if they are already queued
+  async addGroupQueueEntry(userId, entry) {
+    const added = await redis.hsetnx(GROUP_MATCH_QUEUE_KEY, String(userId), JSON.stringify(entry));
+    return added === 1;
+  },
+
+  // remove a user from the group queue and return their entry
+  async removeGroupQueueEntry(userId) {
+    const entry = await this.getGroupQueueEntry(userId);
+    if (entry) {
+      await redis.hdel(GROUP_MATCH_QUEUE_KEY, String(userId));
+    }
+    return entry;
+  },
+
+  async getGroupQueueEntries() {
+    const raw = await redis.hgetall(GROUP_MATCH_QUEUE_KEY);
+    return Object.values(raw).map(value => JSON.parse(value));
+  },
+
+  // store a group random chat: its details, a member hash (userId -> { username, interests }) and a per-user index
+  async setGroupMatch(sessionId, { members, ...details }) {
+    const membersKey = `group_match_members:${sessionId}`;
+    const multi = redis.multi()
+      .set(`active_group_match:${sessionId}`, JSON.stringify(details), 'EX', MATCH_TTL);
+    members.forEach(({ userId, username, interests }) => {
+      multi.hset(membersKey, String(userId), JSON.stringify({ username, interests }));
+      multi.set(`user_group_match:${userId}`, sessionId, 'EX', MATCH_TTL);
+    });
+    await multi.expire(membersKey, MATCH_TTL).exec();
+  },
+
+  // get a group random chat with its current members, or null once it has ended
+  async getGroupMatch(sessionId) {
+    if (!sessionId) return null;
+    const [[, raw], [, members]] = await redis.multi()
+      .get(`active_group_match:${sessionId}`)
+      .hgetall(`group_match_members:${sessionId}`)
+      .exec();
+    if (!raw) return null;
+    return {
+      sessionId,
+      ...JSON.parse(raw),
+      members: Object.entries(members).map(([userId, value]) => ({ userId, ...JSON.parse(value) }))
+    };
+  },
+
+  // get the group random chat a user is in, if any
+  async getGroupMatchForUser(userId) {
+    const sessionId = await redis.get(`user_group_match:${userId}`);
+    return sessionId ? this.getGroupMatch(sessionId) : null;
+  },
+
+  async isGroupMatchMember(sessionId, userId) {
+    return (await redis.hexists(`group_match_members:${sessionId}`, String(userId))) === 1;
+  },
+
+  // remove one member, returns { remaining, username, interests } or null if they were not in the group
+  async leaveGroupMatch(sessionId, userId) {
+    const result = await redis.eval(
+      LEAVE_GROUP_MATCH_SCRIPT,
+      2,
+      `group_match_members:${sessionId}`,
+      `user_group_match:${userId}`,
+      String(userId),
+      sessionId
+    );
+    if (!result) return null;
+    return { remaining: result[0], ...JSON.parse(result[1]) };
+  },
+
+  // end a group random chat, returns the members still in it only for the caller that ended it
+  async deleteGroupMatch(sessionId) {
+    const match = await this.getGroupMatch(sessionId);
+    if (!match) return null;
+
+    const removed = await redis.del(`active_group_match:${sessionId}`);
+    if (removed === 0) return null;
+
+    await redis.del(`group_match_members:${sessionId}`);
+    for (const { userId } of match.members) {
+      const key = `user_group_match:${userId}`;
+      if (await redis.get(key) === sessionId) {
+        await redis.del(key);
+      }
+    }
+    return match;
+  },
+
+  // run fn while holding a short cluster-wide lock, returns null if the lock is taken
+  async withLock(name, fn, ttlMs = 5000) {
+    const key = `lock:${name}`;
+    const token = `${process.pid}:${Date.now()}:${Math.random()}`;
+    const acquired = await redis.set(key, token, 'NX', 'PX', ttlMs);
+    if (!acquired) return null;
+
+    try {
+      return await fn();
+    } finally {
+      // only delete lock if you still own it
+      if (await redis.get(key) === token) {
+        await redis.del(key);
+      }
+    }
+  },
+};
+
+// join a room unless it is full: 1 joined, 0 already a member, -1 full
+const JOIN_ROOM_SCRIPT = `
+if redis.call('HEXISTS', KEYS[1], ARGV[1]) == 1 then return 0 end
+if redis.call('HLEN', KEYS[1]) >= tonumber(ARGV[3]) then return -1 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+redis.call('SADD', KEYS[2], ARGV[4])
+redis.call('SADD', KEYS[3], ARGV[4])
+return 1`;
+
+// leave a room: nil if not a member, otherwise { members left, the member's entry }
+const LEAVE_ROOM_SCRIPT = `
+local member = redis.call('HGET', KEYS[1], ARGV[1])
+if not member then return nil end
+redis.call('HDEL', KEYS[1], ARGV[1])
+redis.call('SREM', KEYS[2], ARGV[2])
+local remaining = redis.call('HLEN', KEYS[1])
+if remaining == 0 then redis.call('SREM', KEYS[3], ARGV[2]) end
+return { remaining, member }`;
+
+const ACTIVE_ROOMS_KEY = 'interest_rooms_active';
+
+// live interest room state: who is in which room (per user, shared by all their devices) and slow mode
+const roomStore = {
+  // add a member if the room has space, returns 'joined', 'member' (already in) or 'full'
+  async join(roomId, userId, username, maxOccupancy) {
+    const result = await redis.eval(
+      JOIN_ROOM_SCRIPT,
+      3,
+      `interest_room_members:${roomId}`,
+      `user_interest_rooms:${userId}`,
+      ACTIVE_ROOMS_KEY,
+      String(userId),
+      JSON.stringify({ username, joinedAt: new Date().toISOString() }),
+      maxOccupancy,
+      String(roomId)
+    );
+    return result === 1 ? 'joined' : result === 0 ? 'member' : 'full';
+  },
+
+  // remove a member, returns { remaining, username } or null if they were not in the room
+  async leave(roomId, userId) {
+    const result = await redis.eval(
+      LEAVE_ROOM_SCRIPT,
+      3,
+      `interest_room_members:${roomId}`,
+      `user_interest_rooms:${userId}`,
+      ACTIVE_ROOMS_KEY,
+      String(userId),
+      String(roomId)
+    );
+    if (!result) return null;
+    return { remaining: result[0], username: JSON.parse(result[1]).username };
+  },
+
+  async isMember(roomId, userId) {
+    return (await redis.hexists(`interest_room_members:${roomId}`, String(userId))) === 1;
+  },
+
+  // get { userId, username, joinedAt } for everyone in a room, earliest first
+  async getMembers(roomId) {
+    const raw = await redis.hgetall(`interest_room_members:${roomId}`);
+    return Object.entries(raw)
+      .map(([userId, value]) => ({ userId, ...JSON.parse(value) }))
+      .sort((a, b) => a.joinedAt.localeCompare(b.joinedAt));
+  },
+
+  // get member counts for several rooms as { roomId: count }
+  async getOccupancy(roomIds) {
+    if (roomIds.length === 0) return {};
+    const pipeline = redis.pipeline();
+    roomIds.forEach(roomId => pipeline.hlen(`interest_room_members:${roomId}`));
+    const results = await pipeline.exec();
+    return Object.fromEntries(roomIds.map((roomId, index) => [roomId, results[index][1] || 0]));
+  },
+
+  // get the ids of the rooms a user is in
+  async getUserRooms(userId) {
+    const roomIds = await redis.smembers(`user_interest_rooms:${userId}`);
+    return roomIds.map(Number);
+  },
+
+  // get the ids of rooms that currently have members
+  async getActiveRooms() {
+    const roomIds = await redis.smembers(ACTIVE_ROOMS_KEY);
+    return roomIds.map(Number);
+  },
+
+  // remove everyone from a room (room deleted), returns the user ids that were in it
+  async clear(roomId) {
+    const key = `interest_room_members:${roomId}`;
+    const userIds = await redis.hkeys(key);
+    const multi = redis.multi().del(key).srem(ACTIVE_ROOMS_KEY, String(roomId));
+    userIds.forEach(userId => multi.srem(`user_interest_rooms:${userId}`, String(roomId)));
+    await multi.exec();
+    return userIds;
+  },
+
+  // start a member's slow mode wait, returns 0 if they may post now or the milliseconds left to wait
+  async takeSlowModeSlot(roomId, userId, seconds) {
+    if (!seconds) return 0;
+    const key = `interest_room_slow:${roomId}:${userId}`;
+    const acquired = await redis.set(key, '1', 'EX', seconds, 'NX');
+    if (acquired) return 0;
+    return Math.max(await redis.pttl(key), 1);
+  },
 };
 
-module.exports = { redis, socketManager }; 
\ No newline at end of file
+module.exports = { redis, socketManager, sessionManager, matchStore, roomStore }; 
\ No newline at end of file
@@ -1,5 +1,8 @@
 const validator = require('validator');
 
+// upper bound for an encrypted message envelope (ciphertext plus ratchet header)
+const MAX_E2EE_ENVELOPE_LENGTH = 65536;
+
 /**
  * simple sanitization utilities to prevent XSS attacks
  * designed to be non-breaking - returns original value if valid
@@ -59,9 +62,34 @@ function cleanSearchQuery(query) {
   return query.replace(/[;'"\\]/g, '').trim();
 }
 
+/**
+ * check the shape of an end-to-end encrypted message envelope
+ * the server cannot read the ciphertext, it only makes sure the client sent a well formed envelope
+ * @param {string} envelope - json envelope produced by the client
+ * @returns {boolean} - true if valid envelope
+ */
+function isValidE2EEEnvelope(envelope) {
+  if (!envelope || typeof envelope !== 'string' || envelope.length > MAX_E2EE_ENVELOPE_LENGTH) {
+    return false;
+  }
+  
+  try {
+    const parsed = JSON.parse(envelope);
+    return parsed !== null && typeof parsed === 'object' &&
+      parsed.v === 1 &&
+      (parsed.type === 'prekey' || parsed.type === 'message') &&
+      typeof parsed.header === 'object' && parsed.header !== null &&
+      typeof parsed.iv === 'string' &&
+      typeof parsed.ciphertext === 'string';
+  } catch (error) {
+    return false;
+  }
+}
+
 module.exports = {
   escapeHtml,
   isValidUUID,
   isValidEmail,
-  cleanSearchQuery
+  cleanSearchQuery,
+  isValidE2EEEnvelope
 };
\ No newline at end of file
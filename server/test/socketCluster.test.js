@@ -0,0 +1,213 @@
+// integration test: two socket servers in one process sharing a local redis
+// run with `npm test` from server/ (requires redis on REDIS_HOST/REDIS_PORT, no postgres needed)
+const assert = require('assert');
+const http = require('http');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { io: connectClient } = require('socket.io-client');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_secret';
+
+const SRC = path.join(__dirname, '..', 'src');
+
+const ALICE = { id: 900001, username: 'cluster_alice' };
+const BOB = { id: 900002, username: 'cluster_bob' };
+const USERS = [ALICE, BOB];
+
+// postgres is replaced by a tiny fake that knows the two test users are friends
+const db = require(path.join(SRC, 'utils/db'));
+db.query = async (text, params = []) => {
+  const other = params[0] === ALICE.id ? BOB : ALICE;
+  if (text.includes('FROM friends')) {
+    return { rows: [{ friend_id: other.id }] };
+  }
+  if (text.includes('SELECT username FROM users')) {
+    const user = USERS.find(u => u.id === params[0]);
+    return { rows: user ? [{ username: user.username }] : [] };
+  }
+  if (text.includes('SELECT status FROM users')) {
+    return { rows: [{ status: 'online' }] };
+  }
+  if (text.includes('SET delivered_at')) {
+    return { rows: params[1].map(id => ({ id, sender_id: ALICE.id, delivered_at: new Date() })) };
+  }
+  return { rows: [] };
+};
+
+// analytics and message persistence are out of scope here
+const kafka = require(path.join(SRC, 'services/kafka'));
+kafka.sendAnalyticsEvent = async () => {};
+const messageModel = require(path.join(SRC, 'models/message'));
+let nextMessageId = 1;
+messageModel.sendMessage = async ({ sender_id, receiver_id, client_message_id }) => ({
+  id: nextMessageId++,
+  sender_id,
+  receiver_id,
+  client_message_id,
+  sent_at: new Date(),
+});
+
+const { redis } = require(path.join(SRC, 'utils/redis'));
+const matchmaking = require(path.join(SRC, 'services/matchmaking'));
+
+// each instance gets its own copy of socket.js, like a separate node process would
+function loadSocketModule() {
+  const modulePath = require.resolve(path.join(SRC, 'socket/socket'));
+  delete require.cache[modulePath];
+  return require(modulePath);
+}
+
+async function startInstance(instanceId) {
+  const socketModule = loadSocketModule();
+  const server = http.createServer();
+  const io = socketModule.initializeSocket(server, { instanceId });
+  await new Promise(resolve => server.listen(0, resolve));
+  return { socketModule, io, port: server.address().port };
+}
+
+function connectUser(instance, user) {
+  const token = jwt.sign({ userId: user.id, username: user.username }, process.env.JWT_SECRET);
+  return connectClient(`http://localhost:${instance.port}`, {
+    auth: { token },
+    transports: ['websocket'],
+    forceNew: true,
+    reconnection: false,
+  });
+}
+
+// poll until condition holds (the connection handler joins rooms asynchronously)
+async function waitFor(condition, timeoutMs = 5000) {
+  const started = Date.now();
+  while (Date.now() - started < timeoutMs) {
+    if (await condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+function nextEvent(socket, event, predicate = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), 5000);
+    const handler = (data, ack) => {
+      // acknowledge like the real client does so delivery can be confirmed
+      if (typeof ack === 'function') ack({ received: true });
+      if (!predicate(data)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(data);
+    };
+    socket.on(event, handler);
+  });
+}
+
+async function clearTestState() {
+  const pipeline = redis.pipeline();
+  for (const user of USERS) {
+    pipeline.hdel('match_queue', String(user.id));
+    pipeline.del(`user_socket:${user.id}`, `user_match:${user.id}`, `active:${user.id}`, `recent:${user.id}`, `avoid:${user.id}`);
+    pipeline.del(`user_status:${user.id}`, `last_known_status:${user.id}`);
+  }
+  await pipeline.exec();
+
+  for (const user of USERS) {
+    await matchmaking.removeUserFromQueues(String(user.id));
+    await matchmaking.redis.del(`active:${user.id}`, `mm_profile:${user.id}`);
+  }
+}
+
+describe('socket layer across instances', function () {
+  this.timeout(15000);
+
+  let instanceA;
+  let instanceB;
+  let alice;
+  let bob;
+
+  before(async () => {
+    await clearTestState();
+    instanceA = await startInstance('test-instance-a');
+    instanceB = await startInstance('test-instance-b');
+
+    alice = connectUser(instanceA, ALICE);
+    bob = connectUser(instanceB, BOB);
+
+    // both users are reachable through their personal rooms from either instance
+    await waitFor(async () => (await instanceB.io.in(`user:${ALICE.id}`).fetchSockets()).length === 1);
+    await waitFor(async () => (await instanceA.io.in(`user:${BOB.id}`).fetchSockets()).length === 1);
+  });
+
+  after(async () => {
+    alice?.disconnect();
+    bob?.disconnect();
+    await instanceA?.socketModule.closeSocket();
+    await instanceB?.socketModule.closeSocket();
+    await clearTestState();
+  });
+
+  it('tracks sockets of both instances in redis', async () => {
+    const owners = async user => Object.values(await redis.hgetall(`user_socket:${user.id}`))
+      .map(value => JSON.parse(value).instanceId);
+    assert.deepStrictEqual(await owners(ALICE), ['test-instance-a']);
+    assert.deepStrictEqual(await owners(BOB), ['test-instance-b']);
+  });
+
+  it('delivers friend messages to a user on another instance', async () => {
+    const received = nextEvent(bob, 'newMessage', msg => msg.isReceived);
+    const delivered = nextEvent(alice, 'messagesDelivered');
+    const ack = await alice.timeout(5000).emitWithAck('sendMessage', {
+      receiverId: BOB.id,
+      message: 'hello from instance a',
+      clientMessageId: 'cluster-test-1',
+    });
+
+    assert.strictEqual(ack.ok, true);
+    assert.strictEqual(ack.clientMessageId, 'cluster-test-1');
+
+    const message = await received;
+    assert.strictEqual(message.id, ack.id);
+    assert.strictEqual(message.sender, ALICE.username);
+    assert.strictEqual(message.message, 'hello from instance a');
+
+    // bob's acknowledgement on instance b reaches alice on instance a
+    assert.ok((await delivered).messageIds.includes(ack.id));
+  });
+
+  it('relays typing indicators across instances', async () => {
+    const typing = nextEvent(alice, 'userTyping');
+    bob.emit('typingStart', { receiverId: ALICE.id });
+
+    const event = await typing;
+    assert.strictEqual(event.fromUsername, BOB.username);
+  });
+
+  it('broadcasts status changes to friends on another instance', async () => {
+    const statusChanged = nextEvent(bob, 'userStatusChanged', event => event.username === ALICE.username && event.status === 'away');
+    alice.emit('updateStatus', { status: 'away' });
+
+    await statusChanged;
+  });
+
+  it('matches random chat users queued on different instances', async () => {
+    const aliceMatch = nextEvent(alice, 'matchFound');
+    const bobMatch = nextEvent(bob, 'matchFound');
+
+    alice.emit('enqueueForRandom', { interests: [] });
+    await nextEvent(alice, 'queueJoined');
+    bob.emit('enqueueForRandom', { interests: [] });
+
+    const [aliceEvent, bobEvent] = await Promise.all([aliceMatch, bobMatch]);
+    assert.strictEqual(aliceEvent.sessionId, bobEvent.sessionId);
+    assert.strictEqual(aliceEvent.partner, BOB.username);
+    assert.strictEqual(bobEvent.partner, ALICE.username);
+
+    // the random chat room spans both instances
+    const randomMessage = nextEvent(bob, 'randomMessage', msg => msg.isReceived && msg.sender === ALICE.username);
+    alice.emit('sendRandomMessage', { sessionId: aliceEvent.sessionId, message: 'hi stranger' });
+    assert.strictEqual((await randomMessage).message, 'hi stranger');
+
+    // ending on one instance notifies the partner on the other
+    const ended = nextEvent(alice, 'randomChatEnded');
+    bob.emit('endMatch', { sessionId: bobEvent.sessionId });
+    assert.strictEqual((await ended).endedBy, BOB.username);
+  });
+});